@@ -0,0 +1,11 @@
+{
+  "targets": [
+    {
+      "target_name": "serial_termios",
+      "sources": ["serial-termios.c"],
+      "conditions": [
+        ["OS=='linux'", { "sources": ["serial-termios-linux.c"] }]
+      ]
+    }
+  ]
+}
@@ -12,12 +12,12 @@ const builds = [
     {
         template: 'esp32-viewer.html',
         output: 'dist/esp32-viewer-standalone.html',
-        scripts: ['chips.js', 'flasher.js', 'esp32-parser.js']
+        scripts: ['chips.js', 'flasher.js', 'esp32-parser.js', 'esp32-cache.js']
     },
     {
         template: 'flasher.html',
         output: 'dist/flasher-standalone.html',
-        scripts: ['chips.js', 'flasher.js']
+        scripts: ['chips.js', 'flasher.js', 'flasher-batch.js']
     }
 ];
 
@@ -1,6 +1,69 @@
 
 class ChipDescriptions {
     constructor() {
+        /*
+            eFuse maps: blocks lists the read registers of each eFuse block, fields maps a name to
+            [block index, word, first bit, bit count]. Bit positions follow esptool's efuse definitions.
+            Chips that share the "V2" controller (S2 and later) have the same block layout.
+        */
+        const efuseBlocksV2 = (base) => [
+            { "name": "BLOCK0", "addr": base + 0x02C, "words": 6 },
+            { "name": "BLOCK_MAC_SYS", "addr": base + 0x044, "words": 6 },
+            { "name": "BLOCK_SYS_DATA", "addr": base + 0x05C, "words": 8 },
+            { "name": "BLOCK_USR_DATA", "addr": base + 0x07C, "words": 8 },
+            { "name": "BLOCK_KEY0", "addr": base + 0x09C, "words": 8 },
+            { "name": "BLOCK_KEY1", "addr": base + 0x0BC, "words": 8 },
+            { "name": "BLOCK_KEY2", "addr": base + 0x0DC, "words": 8 },
+            { "name": "BLOCK_KEY3", "addr": base + 0x0FC, "words": 8 },
+            { "name": "BLOCK_KEY4", "addr": base + 0x11C, "words": 8 },
+            { "name": "BLOCK_KEY5", "addr": base + 0x13C, "words": 8 },
+            { "name": "BLOCK_SYS_DATA2", "addr": base + 0x15C, "words": 8 }
+        ];
+
+        /* BLOCK0 protection and key/secure boot settings, identical on S2, S3, C3, C6 and H2 */
+        const efuseSecurityFieldsV2 = {
+            "WR_DIS": [0, 0, 0, 32],
+            "RD_DIS": [0, 1, 0, 7],
+            "SOFT_DIS_JTAG": [0, 1, 16, 3],
+            "DIS_DOWNLOAD_MANUAL_ENCRYPT": [0, 1, 20, 1],
+            "SPI_BOOT_CRYPT_CNT": [0, 2, 18, 3],
+            "SECURE_BOOT_KEY_REVOKE0": [0, 2, 21, 1],
+            "SECURE_BOOT_KEY_REVOKE1": [0, 2, 22, 1],
+            "SECURE_BOOT_KEY_REVOKE2": [0, 2, 23, 1],
+            "KEY_PURPOSE_0": [0, 2, 24, 4],
+            "KEY_PURPOSE_1": [0, 2, 28, 4],
+            "KEY_PURPOSE_2": [0, 3, 0, 4],
+            "KEY_PURPOSE_3": [0, 3, 4, 4],
+            "KEY_PURPOSE_4": [0, 3, 8, 4],
+            "KEY_PURPOSE_5": [0, 3, 12, 4],
+            "SECURE_BOOT_EN": [0, 3, 20, 1],
+            "SECURE_BOOT_AGGRESSIVE_REVOKE": [0, 3, 21, 1],
+            "DIS_DOWNLOAD_MODE": [0, 4, 0, 1],
+            "ENABLE_SECURITY_DOWNLOAD": [0, 4, 5, 1]
+        };
+
+        /* KEY_PURPOSE_n values that differ from EFUSE_KEY_PURPOSE_MAP on chips with an ECDSA peripheral (C5, C61, P4) */
+        const efuseKeyPurposesEcdsa = {
+            1: "ECDSA_KEY",
+            13: "XTS_AES_256_KEY_1_PSRAM",
+            14: "XTS_AES_256_KEY_2_PSRAM",
+            15: "XTS_AES_128_KEY_PSRAM",
+            16: "ECDSA_KEY_P192",
+            17: "ECDSA_KEY_P384_L",
+            18: "ECDSA_KEY_P384_H"
+        };
+
+        /* RISC-V chips of the C3 generation share the USB-Serial-JTAG/JTAG disable bits */
+        const efuseUsbJtagFieldsRiscV = {
+            "DIS_USB_JTAG": [0, 1, 9, 1],
+            "DIS_USB_SERIAL_JTAG": [0, 1, 11, 1],
+            "DIS_FORCE_DOWNLOAD": [0, 1, 12, 1],
+            "JTAG_SEL_ENABLE": [0, 1, 15, 1],
+            "DIS_PAD_JTAG": [0, 1, 19, 1],
+            "DIS_USB_SERIAL_JTAG_ROM_PRINT": [0, 4, 2, 1],
+            "DIS_USB_SERIAL_JTAG_DOWNLOAD_MODE": [0, 4, 4, 1]
+        };
+
         this.chip_descriptions = {
             /*
                 These are the flash stub loaders from esptool: 
@@ -8,9 +71,37 @@ class ChipDescriptions {
                 
                 The binaries in JSON format distributed in this directory are released as Free Software under GNU General Public License Version 2 or later. 
             */
+            /*
+                spi_regs: SPI flash controller user-command registers (offsets relative to base),
+                used to send raw commands like RDID (0x9F) to the flash chip. Values from esptool's target definitions.
+
+                ram_ranges: [start, end) of the internal SRAM/RTC RAM address windows that MEM_BEGIN/MEM_DATA can load to.
+
+                reset: default reset strategy over a USB-UART bridge (strategy) and over the chip's own USB (usb_strategy),
+                plus the RTC/LP watchdog registers (config0, config1, write protect) used by the "watchdog" strategy.
+
+                chip_info: names for the eFuse package/flash/PSRAM codes, plus the registers used to estimate
+                the crystal (UART clock divider vs. current baud) and to find out which USB peripheral the ROM uses.
+
+                efuse: block read addresses and named fields as [block index, word, bit, length], positions from esptool's
+                eFuse tables; key_purposes names KEY_PURPOSE_n values that differ from EFUSE_KEY_PURPOSE_MAP in flasher.js.
+            */
             "esp8266": {
                 "magic_value": 0xFFF0C101,
                 "mac_efuse_reg": 0x3FF00050,
+                "spi_regs": { "base": 0x60000200, "usr": 0x1C, "usr1": 0x20, "usr2": 0x24, "mosi_dlen": null, "miso_dlen": null, "w0": 0x40 },
+                "ram_ranges": [[0x3FFE8000, 0x40000000], [0x40100000, 0x40110000]],
+                "reset": { "strategy": "classic" },
+                "chip_info": {
+                    "uart_clkdiv_reg": 0x60000014,
+                    "xtal_clk_divider": 2
+                },
+                "efuse": {
+                    "blocks": [
+                        { "name": "EFUSE", "addr": 0x3FF00050, "words": 4 }
+                    ],
+                    "fields": {}
+                },
                 "stub":
                 {
                     "entry": 1074843652,
@@ -24,6 +115,46 @@ class ChipDescriptions {
             "esp32": {
                 "magic_value": 0x00F01D83,
                 "mac_efuse_reg": 0x3FF5A004,
+                "spi_regs": { "base": 0x3FF42000, "usr": 0x1C, "usr1": 0x20, "usr2": 0x24, "mosi_dlen": 0x28, "miso_dlen": 0x2C, "w0": 0x80 },
+                "ram_ranges": [[0x3FF80000, 0x3FF82000], [0x3FFAE000, 0x40000000], [0x40070000, 0x400C2000]],
+                "reset": { "strategy": "classic", "rtc_wdt": { "config0": 0x3FF4808C, "config1": 0x3FF48090, "wprotect": 0x3FF480A4 } },
+                "chip_info": {
+                    "packages": { 0: "ESP32-D0WDQ6", 1: "ESP32-D0WD", 2: "ESP32-D2WD", 4: "ESP32-U4WDH", 5: "ESP32-PICO-D4", 6: "ESP32-PICO-V3-02", 7: "ESP32-D0WDR2-V3" },
+                    "uart_clkdiv_reg": 0x3FF40014,
+                    "xtal_clk_divider": 1,
+                    "apb_ctl_date_reg": 0x3FF6607C
+                },
+                "efuse": {
+                    "blocks": [
+                        { "name": "BLOCK0", "addr": 0x3FF5A000, "words": 7 },
+                        { "name": "BLOCK1", "addr": 0x3FF5A038, "words": 8 },
+                        { "name": "BLOCK2", "addr": 0x3FF5A058, "words": 8 },
+                        { "name": "BLOCK3", "addr": 0x3FF5A078, "words": 8 }
+                    ],
+                    "fields": {
+                        "WR_DIS": [0, 0, 0, 16],
+                        "RD_DIS": [0, 0, 16, 4],
+                        "FLASH_CRYPT_CNT": [0, 0, 20, 7],
+                        "UART_DOWNLOAD_DIS": [0, 0, 27, 1],
+                        "CHIP_VER_DIS_APP_CPU": [0, 3, 0, 1],
+                        "CHIP_VER_DIS_BT": [0, 3, 1, 1],
+                        "CHIP_PACKAGE_4BIT": [0, 3, 2, 1],
+                        "CHIP_PACKAGE": [0, 3, 9, 3],
+                        "CHIP_VER_REV1": [0, 3, 15, 1],
+                        "CHIP_VER_REV2": [0, 5, 20, 1],
+                        "WAFER_VERSION_MINOR": [0, 5, 24, 2],
+                        "FLASH_CRYPT_CONFIG": [0, 5, 28, 4],
+                        "CODING_SCHEME": [0, 6, 0, 2],
+                        "CONSOLE_DEBUG_DISABLE": [0, 6, 2, 1],
+                        "ABS_DONE_0": [0, 6, 4, 1],
+                        "ABS_DONE_1": [0, 6, 5, 1],
+                        "JTAG_DISABLE": [0, 6, 6, 1],
+                        "DISABLE_DL_ENCRYPT": [0, 6, 7, 1],
+                        "DISABLE_DL_DECRYPT": [0, 6, 8, 1],
+                        "DISABLE_DL_CACHE": [0, 6, 9, 1]
+                    },
+                    "secure_boot_digest_blocks": [2]
+                },
                 "stub":
                 {
                     "entry": 1074521712,
@@ -36,6 +167,31 @@ class ChipDescriptions {
             },
             "esp32s2": {
                 "mac_efuse_reg": 0x3F41A044,
+                "spi_regs": { "base": 0x3F402000, "usr": 0x18, "usr1": 0x1C, "usr2": 0x20, "mosi_dlen": 0x24, "miso_dlen": 0x28, "w0": 0x58 },
+                "ram_ranges": [[0x3FF9E000, 0x3FFA0000], [0x3FFB0000, 0x40000000], [0x40020000, 0x40072000]],
+                "reset": { "strategy": "classic", "usb_strategy": "watchdog", "rtc_wdt": { "config0": 0x3F408094, "config1": 0x3F408098, "wprotect": 0x3F4080AC } },
+                "chip_info": {
+                    "packages": { 0: "ESP32-S2", 1: "ESP32-S2FH2", 2: "ESP32-S2FH4" },
+                    "flash_caps": { 1: "2MB", 2: "4MB" },
+                    "psram_caps": { 1: "2MB", 2: "4MB" },
+                    "uart_clkdiv_reg": 0x3F400014,
+                    "xtal_clk_divider": 1,
+                    "uartdev_buf_no": { "addr": 0x3FFFFD14, "usb_otg": 2 }
+                },
+                "efuse": {
+                    "blocks": efuseBlocksV2(0x3F41A000),
+                    "fields": {
+                        ...efuseSecurityFieldsV2,
+                        "DIS_USB": [0, 1, 13, 1],
+                        "HARD_DIS_JTAG": [0, 1, 18, 1],
+                        "WAFER_VERSION_MAJOR": [1, 3, 18, 2],
+                        "WAFER_VERSION_MINOR_HI": [1, 3, 20, 1],
+                        "FLASH_CAP": [1, 3, 21, 4],
+                        "PSRAM_CAP": [1, 3, 25, 4],
+                        "PKG_VERSION": [1, 4, 0, 4],
+                        "WAFER_VERSION_MINOR_LO": [1, 4, 4, 3]
+                    }
+                },
                 "magic_value": 0x000007C6,
                 "stub":
                 {
@@ -49,6 +205,38 @@ class ChipDescriptions {
             },
             "esp32s3": {
                 "mac_efuse_reg": 0x60007044,
+                "spi_regs": { "base": 0x60002000, "usr": 0x18, "usr1": 0x1C, "usr2": 0x20, "mosi_dlen": 0x24, "miso_dlen": 0x28, "w0": 0x58 },
+                "ram_ranges": [[0x3FC88000, 0x3FD00000], [0x40370000, 0x403E0000], [0x50000000, 0x50002000], [0x600FE000, 0x60100000]],
+                "reset": { "strategy": "classic", "usb_strategy": "usb_jtag", "rtc_wdt": { "config0": 0x60008098, "config1": 0x6000809C, "wprotect": 0x600080B0 } },
+                "chip_info": {
+                    "packages": { 0: "ESP32-S3 (QFN56)", 1: "ESP32-S3-PICO-1 (LGA56)" },
+                    "flash_caps": { 1: "8MB", 2: "4MB" },
+                    "psram_caps": { 1: "8MB", 2: "2MB" },
+                    "uart_clkdiv_reg": 0x60000014,
+                    "xtal_clk_divider": 1,
+                    "uartdev_buf_no": { "addr": 0x3FCEF14C, "usb_otg": 3, "usb_jtag_serial": 4 }
+                },
+                "efuse": {
+                    "blocks": efuseBlocksV2(0x60007000),
+                    "fields": {
+                        ...efuseSecurityFieldsV2,
+                        "DIS_USB_OTG": [0, 1, 13, 1],
+                        "DIS_PAD_JTAG": [0, 1, 19, 1],
+                        "DIS_USB_JTAG": [0, 3, 22, 1],
+                        "DIS_USB_SERIAL_JTAG": [0, 3, 23, 1],
+                        "STRAP_JTAG_SEL": [0, 3, 24, 1],
+                        "DIS_USB_SERIAL_JTAG_ROM_PRINT": [0, 4, 2, 1],
+                        "DIS_USB_SERIAL_JTAG_DOWNLOAD_MODE": [0, 4, 4, 1],
+                        "WAFER_VERSION_MINOR_LO": [1, 3, 18, 3],
+                        "PKG_VERSION": [1, 3, 21, 3],
+                        "FLASH_CAP": [1, 3, 27, 3],
+                        "FLASH_VENDOR": [1, 4, 0, 3],
+                        "PSRAM_CAP": [1, 4, 3, 2],
+                        "PSRAM_VENDOR": [1, 4, 7, 2],
+                        "WAFER_VERSION_MINOR_HI": [1, 5, 23, 1],
+                        "WAFER_VERSION_MAJOR": [1, 5, 24, 2]
+                    }
+                },
                 "magic_value": 0x00000009,
                 "stub":
                 {
@@ -62,6 +250,28 @@ class ChipDescriptions {
             },
             "esp32c2": {
                 "mac_efuse_reg": 0x60008840,
+                "spi_regs": { "base": 0x60002000, "usr": 0x18, "usr1": 0x1C, "usr2": 0x20, "mosi_dlen": 0x24, "miso_dlen": 0x28, "w0": 0x58 },
+                "ram_ranges": [[0x3FCA0000, 0x3FCE0000], [0x4037C000, 0x403C0000]],
+                "reset": { "strategy": "classic", "rtc_wdt": { "config0": 0x60008084, "config1": 0x60008088, "wprotect": 0x6000809C } },
+                "chip_info": {
+                    "packages": { 0: "ESP32-C2" },
+                    "uart_clkdiv_reg": 0x60000014,
+                    "xtal_clk_divider": 1
+                },
+                "efuse": {
+                    "blocks": [
+                        { "name": "BLOCK0", "addr": 0x6000882C, "words": 2 },
+                        { "name": "BLOCK1", "addr": 0x60008834, "words": 3 },
+                        { "name": "BLOCK2", "addr": 0x60008840, "words": 8 },
+                        { "name": "BLOCK_KEY0", "addr": 0x60008860, "words": 8 }
+                    ],
+                    "fields": {
+                        "WR_DIS": [0, 0, 0, 8],
+                        "WAFER_VERSION_MINOR": [2, 1, 16, 4],
+                        "WAFER_VERSION_MAJOR": [2, 1, 20, 2],
+                        "PKG_VERSION": [2, 1, 22, 3]
+                    }
+                },
                 "stub":
                 {
                     "entry": 1077413350,
@@ -74,6 +284,29 @@ class ChipDescriptions {
             },
             "esp32c3": {
                 "mac_efuse_reg": 0x60008844,
+                "spi_regs": { "base": 0x60002000, "usr": 0x18, "usr1": 0x1C, "usr2": 0x20, "mosi_dlen": 0x24, "miso_dlen": 0x28, "w0": 0x58 },
+                "ram_ranges": [[0x3FC80000, 0x3FCE0000], [0x4037C000, 0x403E0000], [0x50000000, 0x50002000]],
+                "reset": { "strategy": "classic", "usb_strategy": "usb_jtag", "rtc_wdt": { "config0": 0x60008090, "config1": 0x60008094, "wprotect": 0x600080A8 } },
+                "chip_info": {
+                    "packages": { 0: "ESP32-C3 (QFN32)", 1: "ESP8685 (QFN28)", 2: "ESP32-C3 AZ (QFN32)", 3: "ESP8686 (QFN24)" },
+                    "flash_caps": { 1: "4MB", 2: "2MB", 3: "1MB", 4: "8MB" },
+                    "uart_clkdiv_reg": 0x60000014,
+                    "xtal_clk_divider": 1,
+                    "uartdev_buf_no": { "addr": 0x3FCDF07C, "usb_jtag_serial": 3 }
+                },
+                "efuse": {
+                    "blocks": efuseBlocksV2(0x60008800),
+                    "fields": {
+                        ...efuseSecurityFieldsV2,
+                        ...efuseUsbJtagFieldsRiscV,
+                        "WAFER_VERSION_MINOR_LO": [1, 3, 18, 3],
+                        "PKG_VERSION": [1, 3, 21, 3],
+                        "FLASH_CAP": [1, 3, 27, 3],
+                        "FLASH_VENDOR": [1, 4, 0, 3],
+                        "WAFER_VERSION_MINOR_HI": [1, 5, 23, 1],
+                        "WAFER_VERSION_MAJOR": [1, 5, 24, 2]
+                    }
+                },
                 "magic_value": [0x6921506F, 0x1B31506F, 0x4881606F, 0x4361606F],
                 "stub":
                 {
@@ -87,6 +320,43 @@ class ChipDescriptions {
             },
             "esp32c5": {
                 "mac_efuse_reg": 0x600B4844,
+                "spi_regs": { "base": 0x60003000, "usr": 0x18, "usr1": 0x1C, "usr2": 0x20, "mosi_dlen": 0x24, "miso_dlen": 0x28, "w0": 0x58 },
+                "ram_ranges": [[0x40800000, 0x40860000], [0x50000000, 0x50004000]],
+                "reset": { "strategy": "classic", "usb_strategy": "usb_jtag", "rtc_wdt": { "config0": 0x600B1C00, "config1": 0x600B1C04, "wprotect": 0x600B1C18 } },
+                "chip_info": {
+                    "packages": { 0: "ESP32-C5" },
+                    "uartdev_buf_no": { "addr": 0x4085F514, "usb_jtag_serial": 3 }
+                },
+                "efuse": {
+                    "blocks": efuseBlocksV2(0x600B4800),
+                    /* 5 bit key purposes push the secure boot bits up; download mode bits are not decoded */
+                    "fields": {
+                        "WR_DIS": [0, 0, 0, 32],
+                        "RD_DIS": [0, 1, 0, 7],
+                        "DIS_USB_JTAG": [0, 1, 9, 1],
+                        "DIS_FORCE_DOWNLOAD": [0, 1, 12, 1],
+                        "JTAG_SEL_ENABLE": [0, 1, 15, 1],
+                        "SOFT_DIS_JTAG": [0, 1, 16, 3],
+                        "DIS_PAD_JTAG": [0, 1, 19, 1],
+                        "DIS_DOWNLOAD_MANUAL_ENCRYPT": [0, 1, 20, 1],
+                        "SPI_BOOT_CRYPT_CNT": [0, 2, 16, 3],
+                        "SECURE_BOOT_KEY_REVOKE0": [0, 2, 19, 1],
+                        "SECURE_BOOT_KEY_REVOKE1": [0, 2, 20, 1],
+                        "SECURE_BOOT_KEY_REVOKE2": [0, 2, 21, 1],
+                        "KEY_PURPOSE_0": [0, 2, 22, 5],
+                        "KEY_PURPOSE_1": [0, 2, 27, 5],
+                        "KEY_PURPOSE_2": [0, 3, 0, 5],
+                        "KEY_PURPOSE_3": [0, 3, 5, 5],
+                        "KEY_PURPOSE_4": [0, 3, 10, 5],
+                        "KEY_PURPOSE_5": [0, 3, 15, 5],
+                        "SECURE_BOOT_EN": [0, 3, 25, 1],
+                        "SECURE_BOOT_AGGRESSIVE_REVOKE": [0, 3, 26, 1],
+                        "WAFER_VERSION_MINOR": [1, 2, 0, 4],
+                        "WAFER_VERSION_MAJOR": [1, 2, 4, 2],
+                        "PKG_VERSION": [1, 2, 26, 3]
+                    },
+                    "key_purposes": efuseKeyPurposesEcdsa
+                },
                 "stub":
                 {
                     "entry": 1082133196,
@@ -99,6 +369,24 @@ class ChipDescriptions {
             },
             "esp32c6": {
                 "mac_efuse_reg": 0x600B0844,
+                "spi_regs": { "base": 0x60003000, "usr": 0x18, "usr1": 0x1C, "usr2": 0x20, "mosi_dlen": 0x24, "miso_dlen": 0x28, "w0": 0x58 },
+                "ram_ranges": [[0x40800000, 0x40880000], [0x50000000, 0x50004000]],
+                "reset": { "strategy": "classic", "usb_strategy": "usb_jtag", "rtc_wdt": { "config0": 0x600B1C00, "config1": 0x600B1C04, "wprotect": 0x600B1C18 } },
+                "chip_info": {
+                    "packages": { 0: "ESP32-C6 (QFN40)", 1: "ESP32-C6FH4 (QFN32)" },
+                    "xtal_fixed_mhz": 40,
+                    "uartdev_buf_no": { "addr": 0x4087F580, "usb_jtag_serial": 3 }
+                },
+                "efuse": {
+                    "blocks": efuseBlocksV2(0x600B0800),
+                    "fields": {
+                        ...efuseSecurityFieldsV2,
+                        ...efuseUsbJtagFieldsRiscV,
+                        "WAFER_VERSION_MINOR": [1, 3, 18, 4],
+                        "WAFER_VERSION_MAJOR": [1, 3, 22, 2],
+                        "PKG_VERSION": [1, 3, 24, 3]
+                    }
+                },
                 "magic_value": 0x2CE0806F,
                 "stub":
                 {
@@ -112,6 +400,34 @@ class ChipDescriptions {
             },
             "esp32c61": {
                 "mac_efuse_reg": 0x600B4844,
+                "spi_regs": { "base": 0x60003000, "usr": 0x18, "usr1": 0x1C, "usr2": 0x20, "mosi_dlen": 0x24, "miso_dlen": 0x28, "w0": 0x58 },
+                "ram_ranges": [[0x40800000, 0x40860000]],
+                "reset": { "strategy": "classic", "usb_strategy": "usb_jtag", "rtc_wdt": { "config0": 0x600B1C00, "config1": 0x600B1C04, "wprotect": 0x600B1C18 } },
+                "chip_info": {
+                    "packages": { 0: "ESP32-C61" },
+                    "xtal_fixed_mhz": 40
+                },
+                "efuse": {
+                    "blocks": efuseBlocksV2(0x600B4800),
+                    /* BLOCK0 is packed differently from the other V2 chips; JTAG/USB and download mode bits are not decoded */
+                    "fields": {
+                        "WR_DIS": [0, 0, 0, 32],
+                        "RD_DIS": [0, 1, 0, 7],
+                        "DIS_DOWNLOAD_MANUAL_ENCRYPT": [0, 1, 14, 1],
+                        "SPI_BOOT_CRYPT_CNT": [0, 1, 23, 3],
+                        "KEY_PURPOSE_0": [0, 2, 0, 4],
+                        "KEY_PURPOSE_1": [0, 2, 4, 4],
+                        "KEY_PURPOSE_2": [0, 2, 8, 4],
+                        "KEY_PURPOSE_3": [0, 2, 12, 4],
+                        "KEY_PURPOSE_4": [0, 2, 16, 4],
+                        "KEY_PURPOSE_5": [0, 2, 20, 4],
+                        "SECURE_BOOT_EN": [0, 2, 26, 1],
+                        "WAFER_VERSION_MINOR": [1, 2, 0, 4],
+                        "WAFER_VERSION_MAJOR": [1, 2, 4, 2],
+                        "PKG_VERSION": [1, 2, 26, 3]
+                    },
+                    "key_purposes": efuseKeyPurposesEcdsa
+                },
                 "stub":
                 {
                     "entry": 1082132230,
@@ -124,6 +440,24 @@ class ChipDescriptions {
             },
             "esp32h2": {
                 "mac_efuse_reg": 0x600B0844,
+                "spi_regs": { "base": 0x60003000, "usr": 0x18, "usr1": 0x1C, "usr2": 0x20, "mosi_dlen": 0x24, "miso_dlen": 0x28, "w0": 0x58 },
+                "ram_ranges": [[0x40800000, 0x40850000], [0x50000000, 0x50001000]],
+                "reset": { "strategy": "classic", "usb_strategy": "usb_jtag", "rtc_wdt": { "config0": 0x600B1C00, "config1": 0x600B1C04, "wprotect": 0x600B1C18 } },
+                "chip_info": {
+                    "packages": { 0: "ESP32-H2" },
+                    "xtal_fixed_mhz": 32,
+                    "uartdev_buf_no": { "addr": 0x4084FEFC, "usb_jtag_serial": 3 }
+                },
+                "efuse": {
+                    "blocks": efuseBlocksV2(0x600B0800),
+                    "fields": {
+                        ...efuseSecurityFieldsV2,
+                        ...efuseUsbJtagFieldsRiscV,
+                        "WAFER_VERSION_MINOR": [1, 3, 18, 3],
+                        "WAFER_VERSION_MAJOR": [1, 3, 21, 2],
+                        "PKG_VERSION": [1, 4, 0, 3]
+                    }
+                },
                 "stub":
                 {
                     "entry": 1082132230,
@@ -136,6 +470,28 @@ class ChipDescriptions {
             },
             "esp32p4": {
                 "mac_efuse_reg": 0x5012D044,
+                "spi_regs": { "base": 0x5008D000, "usr": 0x18, "usr1": 0x1C, "usr2": 0x20, "mosi_dlen": 0x24, "miso_dlen": 0x28, "w0": 0x58 },
+                "ram_ranges": [[0x4FF00000, 0x4FFC0000], [0x50108000, 0x50110000]],
+                "reset": { "strategy": "classic", "usb_strategy": "usb_jtag", "rtc_wdt": { "config0": 0x50116000, "config1": 0x50116004, "wprotect": 0x50116018 } },
+                "chip_info": {
+                    "packages": { 0: "ESP32-P4" },
+                    "xtal_fixed_mhz": 40
+                },
+                "efuse": {
+                    "blocks": efuseBlocksV2(0x5012D000),
+                    "fields": {
+                        ...efuseSecurityFieldsV2,
+                        "DIS_USB_JTAG": [0, 1, 9, 1],
+                        "DIS_FORCE_DOWNLOAD": [0, 1, 12, 1],
+                        "JTAG_SEL_ENABLE": [0, 1, 15, 1],
+                        "DIS_PAD_JTAG": [0, 1, 19, 1],
+                        "WAFER_VERSION_MINOR": [1, 2, 0, 4],
+                        "WAFER_VERSION_MAJOR_LO": [1, 2, 4, 2],
+                        "WAFER_VERSION_MAJOR_HI": [1, 2, 23, 1],
+                        "PKG_VERSION": [1, 2, 20, 3]
+                    },
+                    "key_purposes": efuseKeyPurposesEcdsa
+                },
                 "stub":
                 {
                     "entry": 1341459424,
@@ -148,6 +504,28 @@ class ChipDescriptions {
             },
             "esp32p4rc1": {
                 "mac_efuse_reg": 0x5012D044,
+                "spi_regs": { "base": 0x5008D000, "usr": 0x18, "usr1": 0x1C, "usr2": 0x20, "mosi_dlen": 0x24, "miso_dlen": 0x28, "w0": 0x58 },
+                "ram_ranges": [[0x4FF00000, 0x4FFC0000], [0x50108000, 0x50110000]],
+                "reset": { "strategy": "classic", "usb_strategy": "usb_jtag", "rtc_wdt": { "config0": 0x50116000, "config1": 0x50116004, "wprotect": 0x50116018 } },
+                "chip_info": {
+                    "packages": { 0: "ESP32-P4" },
+                    "xtal_fixed_mhz": 40
+                },
+                "efuse": {
+                    "blocks": efuseBlocksV2(0x5012D000),
+                    "fields": {
+                        ...efuseSecurityFieldsV2,
+                        "DIS_USB_JTAG": [0, 1, 9, 1],
+                        "DIS_FORCE_DOWNLOAD": [0, 1, 12, 1],
+                        "JTAG_SEL_ENABLE": [0, 1, 15, 1],
+                        "DIS_PAD_JTAG": [0, 1, 19, 1],
+                        "WAFER_VERSION_MINOR": [1, 2, 0, 4],
+                        "WAFER_VERSION_MAJOR_LO": [1, 2, 4, 2],
+                        "WAFER_VERSION_MAJOR_HI": [1, 2, 23, 1],
+                        "PKG_VERSION": [1, 2, 20, 3]
+                    },
+                    "key_purposes": efuseKeyPurposesEcdsa
+                },
                 "stub":
                 {
                     "entry": 1341197280,
@@ -0,0 +1,417 @@
+/*
+ * Persistent flash cache for SparseImage
+ * Keeps what was read from a device (and optionally the changes not written yet) between sessions,
+ * keyed by MAC address and flash size. Nothing restored is trusted blindly: a restored region is
+ * compared with SPI_FLASH_MD5 the first time a read touches it and only regions that changed on the
+ * device are read again.
+ *
+ * Works in the browser (esp32-viewer.html, IndexedDB) and in Node.js (MemoryCacheStore or an own store).
+ *
+ * Usage:
+ *   const cache = new SparseImageCache(new IndexedDbCacheStore());
+ *   const restored = await cache.attach(parser.sparseImage, flasher, { mac: deviceMac });
+ *   ...                            // reads now come from the cache where the MD5 still matches
+ *   cache.scheduleSave();          // after reads, edits or a flush; saves once things calmed down
+ *   await cache.detach();          // saves and stops intercepting reads
+ *
+ * A store is any object with async get(key), put(record), delete(key) and keys().
+ */
+
+/* Layout version of the stored records; records with another version are ignored */
+const SPARSE_CACHE_VERSION = 1;
+
+class SparseImageCache {
+    /**
+     * @param {Object} [store] - Record store, defaults to IndexedDB where available and memory otherwise
+     * @param {Object} [options]
+     * @param {number} [options.regionSize=0x10000] - Granularity of the MD5 check, a changed byte costs one region re-read
+     * @param {boolean} [options.persistWrites=false] - Also keep pending writes and restore them on attach as one undoable history entry
+     * @param {number} [options.saveDelay=2000] - Milliseconds scheduleSave() waits for more changes
+     * @param {Function} [options.logDebug]
+     */
+    constructor(store = null, options = {}) {
+        this.store = store || SparseImageCache.defaultStore();
+        this.regionSize = options.regionSize || 0x10000;
+        this.persistWrites = !!options.persistWrites;
+        this.saveDelay = options.saveDelay ?? 2000;
+        this.logDebug = options.logDebug || (() => { });
+
+        this.sparseImage = null;
+        this.flasher = null;
+        this.key = null;
+        /* Restored regions not compared with the device yet, sorted by address */
+        this.unverified = [];
+        this.stats = SparseImageCache._emptyStats();
+
+        this._readCallback = null;
+        this._saveTimer = null;
+        this._md5Failed = false;
+    }
+
+    /**
+     * IndexedDB in browsers, a memory store elsewhere (lost when the process ends)
+     */
+    static defaultStore() {
+        if (typeof indexedDB !== 'undefined') {
+            return new IndexedDbCacheStore();
+        }
+        return new MemoryCacheStore();
+    }
+
+    /**
+     * Record key of a device: MAC plus flash size, so a swapped flash chip does not reuse the cache
+     */
+    static cacheKey(mac, flashSize) {
+        return `${String(mac).toLowerCase()}/${flashSize}`;
+    }
+
+    static _emptyStats() {
+        return { restoredBytes: 0, restoredWriteBytes: 0, verifiedBytes: 0, staleBytes: 0, md5Commands: 0 };
+    }
+
+    /**
+     * Restore the cached content of the device and start serving reads from it
+     * @param {SparseImage} sparseImage - Image of the device, usually parser.sparseImage
+     * @param {ESPFlasher} flasher - Connected flasher, used for SPI_FLASH_MD5
+     * @param {Object} [options]
+     * @param {string} [options.mac] - Device MAC, read from the device when missing
+     * @param {number} [options.flashSize] - Defaults to the size of sparseImage
+     * @returns {Promise<{key: string, restoredBytes: number, restoredWriteBytes: number}>}
+     */
+    async attach(sparseImage, flasher, options = {}) {
+        if (this.sparseImage) {
+            throw new Error('SparseImageCache is already attached, detach() first');
+        }
+        const mac = options.mac || await flasher.readMac();
+        const flashSize = options.flashSize || sparseImage.size;
+
+        this.sparseImage = sparseImage;
+        this.flasher = flasher;
+        this.key = SparseImageCache.cacheKey(mac, flashSize);
+        this.stats = SparseImageCache._emptyStats();
+        this.unverified = [];
+        this._md5Failed = false;
+
+        let record = null;
+        try {
+            record = await this.store.get(this.key);
+        } catch (error) {
+            /* A broken store only costs the speedup */
+            this.logDebug(`Flash cache: could not load ${this.key}: ${error.message}`);
+        }
+        if (record && record.version === SPARSE_CACHE_VERSION && record.flashSize === flashSize) {
+            this.unverified = this._splitRegions(this._validSegments(record.read));
+            this.stats.restoredBytes = this.unverified.reduce((sum, region) => sum + region.data.length, 0);
+
+            const writes = this._validSegments(record.write);
+            if (this.persistWrites && writes.length && sparseImage.writeBuffer.length === 0) {
+                /* Through write() so the restore is one undoable history entry and listeners hear about it */
+                sparseImage.beginChange('Restored unsaved changes');
+                try {
+                    writes.forEach(segment => sparseImage.write(segment.address, segment.data));
+                } finally {
+                    sparseImage.endChange();
+                }
+                this.stats.restoredWriteBytes = writes.reduce((sum, segment) => sum + segment.data.length, 0);
+            }
+        }
+
+        this._readCallback = sparseImage.readDataCallback;
+        sparseImage.readDataCallback = this._read.bind(this);
+        this.logDebug(`Flash cache: ${this.key}, ${this.stats.restoredBytes} bytes to revalidate, ${this.stats.restoredWriteBytes} bytes of pending writes`);
+
+        return { key: this.key, restoredBytes: this.stats.restoredBytes, restoredWriteBytes: this.stats.restoredWriteBytes };
+    }
+
+    /**
+     * Save now and stop intercepting reads
+     * @param {Object} [options]
+     * @param {boolean} [options.save=true] - Set false to drop what changed since the last save
+     */
+    async detach(options = {}) {
+        if (!this.sparseImage) {
+            return;
+        }
+        clearTimeout(this._saveTimer);
+        this._saveTimer = null;
+        if (options.save !== false) {
+            await this.save();
+        }
+        this.sparseImage.readDataCallback = this._readCallback;
+        this.sparseImage = null;
+        this.flasher = null;
+        this._readCallback = null;
+        this.unverified = [];
+    }
+
+    /**
+     * Save after saveDelay, restarting the wait on every call
+     */
+    scheduleSave() {
+        if (!this.sparseImage) {
+            return;
+        }
+        clearTimeout(this._saveTimer);
+        this._saveTimer = setTimeout(() => {
+            this._saveTimer = null;
+            this.save().catch(error => this.logDebug(`Flash cache: save failed: ${error.message}`));
+        }, this.saveDelay);
+    }
+
+    /**
+     * Store the read cache, the regions not revalidated yet and, with persistWrites, the pending writes
+     */
+    async save() {
+        if (!this.sparseImage) {
+            return null;
+        }
+        clearTimeout(this._saveTimer);
+        this._saveTimer = null;
+
+        const sparseImage = this.sparseImage;
+        /* What was read in this session is newer than a region still waiting for its check */
+        const older = sparseImage._mergeReadAndWriteWithPriority(await this._storedEvicted(), this.unverified);
+        const read = sparseImage._mergeReadAndWriteWithPriority(older, sparseImage.readBuffer);
+        const write = this.persistWrites ? sparseImage._mergeSegmentsGeneric(sparseImage.writeBuffer.slice()) : [];
+        const [mac, flashSize] = this.key.split('/');
+        const record = {
+            key: this.key,
+            version: SPARSE_CACHE_VERSION,
+            mac,
+            flashSize: Number(flashSize),
+            savedAt: Date.now(),
+            read,
+            write
+        };
+        await this.store.put(record);
+        this.logDebug(`Flash cache: saved ${read.reduce((sum, s) => sum + s.data.length, 0)} bytes for ${this.key}`);
+        return record;
+    }
+
+    /**
+     * Parts of the stored record in sectors the memory budget evicted, so saving does not lose them
+     * @private
+     */
+    async _storedEvicted() {
+        const evicted = this.sparseImage.getEvictedRanges ? this.sparseImage.getEvictedRanges() : [];
+        if (!evicted.length) {
+            return [];
+        }
+        let previous = null;
+        try {
+            previous = await this.store.get(this.key);
+        } catch (error) {
+            return [];
+        }
+        if (!previous || previous.version !== SPARSE_CACHE_VERSION) {
+            return [];
+        }
+        const pieces = [];
+        for (const segment of this._validSegments(previous.read)) {
+            const segmentEnd = segment.address + segment.data.length;
+            for (const range of evicted) {
+                const start = Math.max(segment.address, range.address);
+                const end = Math.min(segmentEnd, range.address + range.size);
+                if (start < end) {
+                    pieces.push({ address: start, data: segment.data.subarray(start - segment.address, end - segment.address) });
+                }
+            }
+        }
+        return pieces;
+    }
+
+    /**
+     * Delete the stored record of the attached device and the regions not checked yet
+     */
+    async forget() {
+        this.unverified = [];
+        if (this.key) {
+            await this.store.delete(this.key);
+        }
+    }
+
+    /**
+     * readDataCallback in front of the original one: restored regions are checked by MD5 and returned
+     * when they still match, everything else goes to the device
+     * @private
+     */
+    async _read(address, size) {
+        const end = address + size;
+        let next = this.unverified.find(region => region.address + region.data.length > address);
+
+        /* Consecutive matching regions from the start of the request are returned in one piece */
+        const verified = [];
+        let position = address;
+        while (next && next.address <= position && position < end && !this._md5Failed) {
+            this.unverified.splice(this.unverified.indexOf(next), 1);
+            if (!await this._verify(next)) {
+                break;
+            }
+            verified.push(next);
+            position = next.address + next.data.length;
+            next = this.unverified.find(region => region.address + region.data.length > position);
+        }
+        if (this._md5Failed) {
+            this.unverified = [];
+        }
+        if (verified.length) {
+            return this.sparseImage._mergeSegmentsGeneric(verified)[0];
+        }
+
+        /* Read up to the next restored region, it may still be valid */
+        next = this.unverified.find(region => region.address + region.data.length > address);
+        const limit = next && next.address > address ? Math.min(end, next.address) : end;
+        const result = await this._readCallback(address, limit - address);
+        this.scheduleSave();
+        return result;
+    }
+
+    /**
+     * Compare a restored region with the flash; a failing MD5 command ends all revalidation
+     * @private
+     */
+    async _verify(region) {
+        try {
+            this.stats.md5Commands++;
+            const md5 = await this.flasher.checksumFlash(region.address, region.data.length);
+            if (md5.toLowerCase() === this.flasher.calculateMD5(region.data)) {
+                this.stats.verifiedBytes += region.data.length;
+                return true;
+            }
+            this.logDebug(`Flash cache: 0x${region.address.toString(16)}+0x${region.data.length.toString(16)} changed on the device`);
+        } catch (error) {
+            this._md5Failed = true;
+            this.logDebug(`Flash cache: MD5 not available (${error.message}), reading from the device`);
+        }
+        this.stats.staleBytes += region.data.length;
+        return false;
+    }
+
+    /**
+     * Stored segments that fit the image, as Uint8Arrays
+     * @private
+     */
+    _validSegments(list) {
+        if (!Array.isArray(list)) {
+            return [];
+        }
+        return list
+            .filter(segment => segment && Number.isInteger(segment.address) && segment.data && segment.data.length > 0)
+            .map(segment => ({ address: segment.address, data: new Uint8Array(segment.data) }))
+            .filter(segment => segment.address >= 0 && segment.address + segment.data.length <= this.sparseImage.size);
+    }
+
+    /**
+     * Cut segments at regionSize boundaries, each piece is checked on its own
+     * @private
+     */
+    _splitRegions(segments) {
+        const regions = [];
+        for (const segment of this.sparseImage._mergeSegmentsGeneric(segments)) {
+            const end = segment.address + segment.data.length;
+            let position = segment.address;
+            while (position < end) {
+                const next = Math.min(end, (Math.floor(position / this.regionSize) + 1) * this.regionSize);
+                regions.push({ address: position, data: segment.data.subarray(position - segment.address, next - segment.address) });
+                position = next;
+            }
+        }
+        return regions;
+    }
+}
+
+/**
+ * Records in a Map, for Node.js and tests; copies on the way in and out like IndexedDB does
+ */
+class MemoryCacheStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    static _copy(record) {
+        const copySegments = (list) => (list || []).map(segment => ({ address: segment.address, data: segment.data.slice() }));
+        return { ...record, read: copySegments(record.read), write: copySegments(record.write) };
+    }
+
+    async get(key) {
+        const record = this.records.get(key);
+        return record ? MemoryCacheStore._copy(record) : null;
+    }
+
+    async put(record) {
+        this.records.set(record.key, MemoryCacheStore._copy(record));
+    }
+
+    async delete(key) {
+        this.records.delete(key);
+    }
+
+    async keys() {
+        return Array.from(this.records.keys());
+    }
+}
+
+/**
+ * Records in an IndexedDB object store, one per device
+ */
+class IndexedDbCacheStore {
+    /**
+     * @param {string} [databaseName='esp32-flasher-cache']
+     * @param {IDBFactory} [factory] - Defaults to the global indexedDB
+     */
+    constructor(databaseName = 'esp32-flasher-cache', factory = null) {
+        this.databaseName = databaseName;
+        this.factory = factory || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.storeName = 'images';
+        this._db = null;
+    }
+
+    _open() {
+        if (!this._db) {
+            if (!this.factory) {
+                return Promise.reject(new Error('IndexedDB is not available'));
+            }
+            this._db = new Promise((resolve, reject) => {
+                const request = this.factory.open(this.databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            /* Allow a retry after a failed open, e.g. storage blocked in private windows */
+            this._db.catch(() => { this._db = null; });
+        }
+        return this._db;
+    }
+
+    async _request(mode, operation) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    async get(key) {
+        return (await this._request('readonly', store => store.get(key))) || null;
+    }
+
+    async put(record) {
+        await this._request('readwrite', store => store.put(record));
+    }
+
+    async delete(key) {
+        await this._request('readwrite', store => store.delete(key));
+    }
+
+    async keys() {
+        return this._request('readonly', store => store.getAllKeys());
+    }
+}
+
+/* Export */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SparseImageCache, MemoryCacheStore, IndexedDbCacheStore, SPARSE_CACHE_VERSION };
+}
@@ -0,0 +1,859 @@
+/*
+ * Virtual ESP32 ROM bootloader / stub loader for offline testing of ESPFlasher
+ *
+ * Speaks the SLIP framed serial protocol against an in-memory flash image and exposes the same
+ * port interface as the Node.js polyfill in flasher-nodejs.js (readable/writable, setSignals, setBaudRate).
+ *
+ * Usage:
+ *   require('./flasher-nodejs.js');
+ *   const ESPFlasher = require('./flasher.js');
+ *   const { ESPEmulator } = require('./esp32-emulator.js');
+ *   const emulator = new ESPEmulator({ chip: 'esp32s3', flashSize: 0x400000 });
+ *   const flasher = new ESPFlasher();
+ *   await flasher.openPortWithPort(emulator.createPort());
+ *   await flasher.sync();
+ *
+ * Faults can be injected to test error handling:
+ *   emulator.injectFault({ type: 'drop', direction: 'toHost', count: 4 });   // lose bytes on the wire
+ *   emulator.injectFault({ type: 'delay', ms: 50, count: 3 });               // slow responses
+ *   emulator.injectFault({ type: 'nak', command: 0x11, error: 0x08 });       // fail a command
+ *   emulator.injectFault({ type: 'checksum', command: 0x03 });               // corrupt a data packet
+ *   emulator.injectFault({ type: 'flip', count: 2 });                        // corrupt READ_FLASH data
+ */
+
+const EmulatorChipDescriptions = typeof ChipDescriptions !== 'undefined'
+    ? ChipDescriptions
+    : (typeof require !== 'undefined' ? require('./chips.js') : null);
+
+/* Command opcodes, same values as in flasher.js */
+const EMU_CMD = {
+    FLASH_BEGIN: 0x02,
+    FLASH_DATA: 0x03,
+    FLASH_END: 0x04,
+    MEM_BEGIN: 0x05,
+    MEM_END: 0x06,
+    MEM_DATA: 0x07,
+    SYNC: 0x08,
+    WRITE_REG: 0x09,
+    READ_REG: 0x0a,
+    SPI_SET_PARAMS: 0x0b,
+    SPI_ATTACH: 0x0d,
+    READ_FLASH_SLOW: 0x0e,
+    CHANGE_BAUDRATE: 0x0f,
+    FLASH_DEFL_BEGIN: 0x10,
+    FLASH_DEFL_DATA: 0x11,
+    FLASH_DEFL_END: 0x12,
+    SPI_FLASH_MD5: 0x13,
+    GET_SECURITY_INFO: 0x14,
+    ERASE_FLASH: 0xd0,
+    ERASE_REGION: 0xd1,
+    READ_FLASH: 0xd2,
+    RUN_USER_CODE: 0xd3
+};
+
+/* Error codes reported in the status bytes (ROM loader numbering) */
+const EMU_ERROR = {
+    INVALID_MESSAGE: 0x05,
+    FAILED_TO_ACT: 0x06,
+    INVALID_CRC: 0x07,
+    FLASH_WRITE_ERROR: 0x08,
+    FLASH_READ_ERROR: 0x09,
+    DEFLATE_ERROR: 0x0b
+};
+
+/* Chip IDs returned by GET_SECURITY_INFO; ESP32 and ESP8266 ROMs do not implement the command */
+const EMU_SECURITY_CHIP_IDS = {
+    esp32s2: 0x02, esp32c3: 0x05, esp32s3: 0x09, esp32c2: 0x0C, esp32c6: 0x0D,
+    esp32h2: 0x10, esp32p4: 0x12, esp32p4rc1: 0x12, esp32c61: 0x14, esp32c5: 0x17
+};
+
+const EMU_SECTOR_SIZE = 0x1000;
+
+/**
+ * Emulated device: ROM loader, stub loader, registers and SPI flash
+ */
+class ESPEmulator {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.chip='esp32'] - Chip name as used in ChipDescriptions
+     * @param {number} [options.flashSize=0x400000] - Flash size in bytes
+     * @param {Uint8Array} [options.flash] - Initial flash content (defaults to erased flash)
+     * @param {number} [options.jedecId] - RDID answer, derived from flashSize if omitted
+     * @param {string} [options.mac='24:0a:c4:00:00:01'] - MAC address reported by the eFuses
+     * @param {Object} [options.registers] - Additional register values, {address: value}
+     * @param {number} [options.securityFlags=0] - Flags returned by GET_SECURITY_INFO
+     * @param {number} [options.usbVendorId] - USB VID reported by the port (ESPFlasher treats 0x303A as USB-Serial/JTAG)
+     * @param {number} [options.usbProductId] - USB PID reported by the port
+     * @param {number} [options.chunkSize=0] - Split data towards the host into chunks of this size (0 = whole frames)
+     * @param {string|Uint8Array} [options.ramOutput] - What a program started from RAM prints right after the MEM_END response
+     * @param {string|Uint8Array} [options.ramOutputBefore] - What it prints before the response is out
+     * @param {Function} [options.log] - Debug logger
+     */
+    constructor(options = {}) {
+        this.chip = options.chip || 'esp32';
+        this.description = new EmulatorChipDescriptions().chip_descriptions[this.chip];
+        if (!this.description) {
+            throw new Error(`Unknown chip ${this.chip}`);
+        }
+
+        this.flashSize = options.flashSize || 0x400000;
+        this.flash = new Uint8Array(this.flashSize).fill(0xFF);
+        if (options.flash) {
+            this.flash.set(options.flash.subarray(0, this.flashSize));
+        }
+        this.jedecId = options.jedecId !== undefined
+            ? options.jedecId
+            : (0xEF | (0x40 << 8) | (Math.log2(this.flashSize) << 16));
+
+        this.securityFlags = options.securityFlags || 0;
+        this.usbVendorId = options.usbVendorId;
+        this.usbProductId = options.usbProductId;
+        this.chunkSize = options.chunkSize || 0;
+        this.ramOutput = options.ramOutput || null;
+        this.ramOutputBefore = options.ramOutputBefore || null;
+        this.log = options.log || (() => { });
+
+        /* 'download' (ROM or stub answering commands), 'app' (running firmware) */
+        this.state = 'download';
+        this.stubRunning = false;
+        this.baudRate = null;
+        this.ramSegments = [];
+        this.faults = [];
+        this.stats = { commands: {}, naks: 0, droppedBytes: 0 };
+
+        this.registers = new Map();
+        this._initRegisters(options.mac || '24:0a:c4:00:00:01');
+        for (const [addr, value] of Object.entries(options.registers || {})) {
+            this.registers.set(Number(addr) >>> 0, value >>> 0);
+        }
+
+        this.port = null;
+        this._rxBuffer = [];
+        this._rxEscaping = false;
+        this._txChain = Promise.resolve();
+        this._txBatch = null;
+        this._memLoad = null;
+        this._flashWrite = null;
+        this._readFlash = null;
+    }
+
+    /**
+     * Create the port to hand to ESPFlasher.openPortWithPort()
+     * @returns {EmulatorSerialPort}
+     */
+    createPort() {
+        this.port = new EmulatorSerialPort(this);
+        return this.port;
+    }
+
+    /**
+     * Add a fault to be applied to the following traffic
+     * @param {Object} fault - {type: 'drop'|'delay'|'nak'|'checksum'|'flip', ...}
+     *   drop:     {direction: 'toHost'|'toDevice', count: bytes, skip: bytes to pass first}
+     *   delay:    {ms, count: responses (default: all)}
+     *   nak:      {command (default: any), count: 1, error: EMU_ERROR code}
+     *   checksum: {command (default: any data command), count: 1}
+     *   flip:     {count: READ_FLASH data frames with one flipped bit, skip: frames to pass first}
+     * @returns {Object} The fault entry, its remaining count can be inspected
+     */
+    injectFault(fault) {
+        const entry = { count: 1, skip: 0, ...fault };
+        if (fault.type === 'delay' && fault.count === undefined) {
+            entry.count = Infinity;
+        }
+        this.faults.push(entry);
+        return entry;
+    }
+
+    /**
+     * Remove all pending faults
+     */
+    clearFaults() {
+        this.faults = [];
+    }
+
+    /**
+     * Reset the emulated chip
+     * @param {boolean} [download=true] - Boot into the ROM loader instead of the app
+     */
+    reset(download = true) {
+        this.stubRunning = false;
+        this.baudRate = null;
+        this._memLoad = null;
+        this._flashWrite = null;
+        this._readFlash = null;
+        this._rxBuffer = [];
+        this._rxEscaping = false;
+
+        if (download) {
+            this.state = 'download';
+            this._sendText('\r\nrst:0x1 (POWERON_RESET),boot:0x3 (DOWNLOAD_BOOT(UART0/UART1/SDIO_REI_REO_V2))\r\nwaiting for download\r\n');
+        } else {
+            this.state = 'app';
+            this._sendText('\r\nrst:0x1 (POWERON_RESET),boot:0x13 (SPI_FAST_FLASH_BOOT)\r\n');
+        }
+        this.log(`[Emulator] reset into ${this.state}`);
+    }
+
+    /**
+     * Send text as if printed by a running program
+     * @param {string} text
+     */
+    sendConsole(text) {
+        this._sendText(text);
+    }
+
+    /* ==================== Registers ==================== */
+
+    _initRegisters(mac) {
+        const magic = this.description.magic_value;
+        this.registers.set(0x40001000, (Array.isArray(magic) ? magic[0] : magic || 0) >>> 0);
+
+        const bytes = mac.split(':').map(b => parseInt(b, 16));
+        if (this.description.mac_efuse_reg) {
+            const low = ((bytes[2] << 24) | (bytes[3] << 16) | (bytes[4] << 8) | bytes[5]) >>> 0;
+            const high = (bytes[0] << 8) | bytes[1];
+            this.registers.set(this.description.mac_efuse_reg >>> 0, low);
+            this.registers.set((this.description.mac_efuse_reg + 4) >>> 0, high);
+        }
+    }
+
+    readRegister(addr) {
+        return this.registers.get(addr >>> 0) || 0;
+    }
+
+    writeRegister(addr, value, mask = 0xFFFFFFFF) {
+        addr = addr >>> 0;
+        const updated = ((this.readRegister(addr) & ~mask) | (value & mask)) >>> 0;
+        this.registers.set(addr, updated);
+
+        /* SPI user command: execute immediately and clear the busy bit */
+        const spi = this.description.spi_regs;
+        if (spi && addr === spi.base && (updated & (1 << 18))) {
+            const command = this.readRegister(spi.base + spi.usr2) & 0xFFFF;
+            this.registers.set((spi.base + spi.w0) >>> 0, command === 0x9F ? this.jedecId >>> 0 : 0);
+            this.registers.set(addr, (updated & ~(1 << 18)) >>> 0);
+        }
+
+        /* RTC watchdog armed with a system reset stage: reboot into the app shortly after */
+        const wdt = this.description.reset && this.description.reset.rtc_wdt;
+        if (wdt && addr === wdt.config0 && (updated & (1 << 31))) {
+            setTimeout(() => this.reset(false), 5);
+        }
+    }
+
+    /* ==================== Host -> device ==================== */
+
+    /**
+     * Bytes written by the host
+     * @param {Uint8Array} data
+     */
+    receive(data) {
+        if (this.port && this.baudRate && this.port.baudRate !== this.baudRate) {
+            /* Line settings differ, the UART only sees garbage */
+            return;
+        }
+
+        for (const byte of this._applyDrop('toDevice', data)) {
+            if (byte === 0xC0) {
+                if (this._rxBuffer.length > 0) {
+                    const frame = new Uint8Array(this._rxBuffer);
+                    this._rxBuffer = [];
+                    this._handleFrame(frame);
+                }
+                this._rxEscaping = false;
+            } else if (this._rxEscaping) {
+                this._rxBuffer.push(byte === 0xDC ? 0xC0 : (byte === 0xDD ? 0xDB : byte));
+                this._rxEscaping = false;
+            } else if (byte === 0xDB) {
+                this._rxEscaping = true;
+            } else {
+                this._rxBuffer.push(byte);
+            }
+        }
+    }
+
+    _handleFrame(frame) {
+        if (this.state !== 'download') {
+            return;
+        }
+
+        /* READ_FLASH acknowledgements are bare 4 byte frames */
+        if (this._readFlash && frame.length === 4) {
+            this._readFlash.acked = new DataView(frame.buffer).getUint32(0, true);
+            this._pumpReadFlash();
+            return;
+        }
+
+        if (frame.length < 8 || frame[0] !== 0x00) {
+            return;
+        }
+        const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+        const command = frame[1];
+        const size = view.getUint16(2, true);
+        if (frame.length !== 8 + size) {
+            return;
+        }
+        const packet = {
+            command,
+            checksum: view.getUint32(4, true),
+            data: frame.slice(8),
+            word: (index) => new DataView(frame.buffer, frame.byteOffset + 8).getUint32(index * 4, true)
+        };
+
+        this.stats.commands[command] = (this.stats.commands[command] || 0) + 1;
+
+        /* Line noise: flip a payload bit of a data packet so the checksum no longer matches */
+        const isDataCommand = [EMU_CMD.MEM_DATA, EMU_CMD.FLASH_DATA, EMU_CMD.FLASH_DEFL_DATA].includes(command);
+        if (isDataCommand && packet.data.length > 16 && this._takeFault('checksum', command)) {
+            packet.data[16] ^= 0x01;
+        }
+
+        const nak = this._takeFault('nak', command);
+        if (nak) {
+            this.stats.naks++;
+            this._respond(command, 0, new Uint8Array(0), nak.error || EMU_ERROR.FAILED_TO_ACT);
+            return;
+        }
+
+        try {
+            this._dispatch(packet);
+        } catch (error) {
+            this.log(`[Emulator] command 0x${command.toString(16)} failed: ${error.message}`);
+            this._respond(command, 0, new Uint8Array(0), error.code || EMU_ERROR.FAILED_TO_ACT);
+        }
+    }
+
+    _dispatch(packet) {
+        const { command, data, word } = packet;
+        const ok = (value = 0, payload = new Uint8Array(0)) => this._respond(command, value, payload);
+        const fail = (code) => this._respond(command, 0, new Uint8Array(0), code);
+        const stubOnly = () => {
+            if (!this.stubRunning) {
+                fail(EMU_ERROR.INVALID_MESSAGE);
+                return true;
+            }
+            return false;
+        };
+        const checksumOk = () => {
+            let checksum = 0xEF;
+            for (let i = 16; i < data.length; i++) {
+                checksum ^= data[i];
+            }
+            return checksum === packet.checksum;
+        };
+
+        switch (command) {
+            case EMU_CMD.SYNC:
+                /* The ROM autobauds on SYNC and answers it several times */
+                if (!this.baudRate && this.port) {
+                    this.baudRate = this.port.baudRate;
+                }
+                for (let i = 0; i < (this.stubRunning ? 1 : 8); i++) {
+                    ok();
+                }
+                break;
+
+            case EMU_CMD.READ_REG:
+                ok(this.readRegister(word(0)));
+                break;
+
+            case EMU_CMD.WRITE_REG:
+                this.writeRegister(word(0), word(1), word(2));
+                ok();
+                break;
+
+            case EMU_CMD.SPI_SET_PARAMS:
+            case EMU_CMD.SPI_ATTACH:
+                ok();
+                break;
+
+            case EMU_CMD.CHANGE_BAUDRATE:
+                ok();
+                this._txChain = this._txChain.then(() => {
+                    this.baudRate = word(0);
+                });
+                break;
+
+            case EMU_CMD.MEM_BEGIN:
+                this._memLoad = { address: word(3), size: word(0), blockSize: word(2), buffer: new Uint8Array(word(0)) };
+                ok();
+                break;
+
+            case EMU_CMD.MEM_DATA: {
+                if (!this._memLoad) {
+                    fail(EMU_ERROR.FAILED_TO_ACT);
+                    break;
+                }
+                if (!checksumOk()) {
+                    fail(EMU_ERROR.INVALID_CRC);
+                    break;
+                }
+                const length = word(0);
+                const offset = word(1) * this._memLoad.blockSize;
+                this._memLoad.buffer.set(data.subarray(16, 16 + Math.min(length, this._memLoad.size - offset)), offset);
+                ok();
+                break;
+            }
+
+            case EMU_CMD.MEM_END:
+                this._memEnd(word(0), word(1));
+                break;
+
+            case EMU_CMD.FLASH_BEGIN:
+            case EMU_CMD.FLASH_DEFL_BEGIN: {
+                const size = word(0);
+                const offset = word(3);
+                if (offset + size > this.flashSize) {
+                    fail(EMU_ERROR.FAILED_TO_ACT);
+                    break;
+                }
+                this._erase(offset, size);
+                this._flashWrite = {
+                    offset,
+                    size,
+                    blockSize: word(2),
+                    deflate: command === EMU_CMD.FLASH_DEFL_BEGIN,
+                    compressed: [],
+                    written: 0
+                };
+                ok();
+                break;
+            }
+
+            case EMU_CMD.FLASH_DATA:
+            case EMU_CMD.FLASH_DEFL_DATA: {
+                const write = this._flashWrite;
+                if (!write || write.deflate !== (command === EMU_CMD.FLASH_DEFL_DATA)) {
+                    fail(EMU_ERROR.FAILED_TO_ACT);
+                    break;
+                }
+                if (!checksumOk()) {
+                    fail(EMU_ERROR.INVALID_CRC);
+                    break;
+                }
+                const chunk = data.slice(16, 16 + word(0));
+                if (write.deflate) {
+                    write.compressed.push(chunk);
+                    const output = this._inflate(write.compressed);
+                    if (!output) {
+                        fail(EMU_ERROR.DEFLATE_ERROR);
+                        break;
+                    }
+                    this._program(write.offset + write.written, output.subarray(write.written, write.size));
+                    write.written = Math.min(output.length, write.size);
+                } else {
+                    const position = word(1) * write.blockSize;
+                    this._program(write.offset + position, chunk.subarray(0, Math.max(0, write.size - position)));
+                }
+                ok();
+                break;
+            }
+
+            case EMU_CMD.FLASH_END:
+            case EMU_CMD.FLASH_DEFL_END:
+                this._flashWrite = null;
+                ok();
+                break;
+
+            case EMU_CMD.READ_FLASH_SLOW: {
+                const address = word(0);
+                const length = Math.min(word(1), 64);
+                const payload = new Uint8Array(64);
+                payload.set(this.flash.subarray(address, address + length));
+                ok(0, payload);
+                break;
+            }
+
+            case EMU_CMD.SPI_FLASH_MD5: {
+                const address = word(0);
+                const length = word(1);
+                if (address + length > this.flashSize) {
+                    fail(EMU_ERROR.FLASH_READ_ERROR);
+                    break;
+                }
+                const digest = this._md5(this.flash.subarray(address, address + length));
+                /* The ROM answers in ASCII hex, the stub with the raw digest */
+                ok(0, this.stubRunning ? digest : new TextEncoder().encode(Buffer.from(digest).toString('hex')));
+                break;
+            }
+
+            case EMU_CMD.GET_SECURITY_INFO: {
+                const chipId = EMU_SECURITY_CHIP_IDS[this.chip];
+                if (chipId === undefined) {
+                    fail(EMU_ERROR.INVALID_MESSAGE);
+                    break;
+                }
+                const payload = new Uint8Array(20);
+                const view = new DataView(payload.buffer);
+                view.setUint32(0, this.securityFlags, true);
+                view.setUint32(12, chipId, true);
+                ok(0, payload);
+                break;
+            }
+
+            case EMU_CMD.ERASE_FLASH:
+                if (stubOnly()) break;
+                this.flash.fill(0xFF);
+                ok();
+                break;
+
+            case EMU_CMD.ERASE_REGION:
+                if (stubOnly()) break;
+                if (word(0) % EMU_SECTOR_SIZE || word(1) % EMU_SECTOR_SIZE || word(0) + word(1) > this.flashSize) {
+                    fail(EMU_ERROR.FAILED_TO_ACT);
+                    break;
+                }
+                this._erase(word(0), word(1));
+                ok();
+                break;
+
+            case EMU_CMD.READ_FLASH:
+                if (stubOnly()) break;
+                if (word(0) + word(1) > this.flashSize) {
+                    fail(EMU_ERROR.FLASH_READ_ERROR);
+                    break;
+                }
+                ok();
+                this._readFlash = { address: word(0), length: word(1), blockSize: word(2), maxInFlight: word(3), sent: 0, acked: 0 };
+                this._pumpReadFlash();
+                break;
+
+            case EMU_CMD.RUN_USER_CODE:
+                if (stubOnly()) break;
+                /* No response, the stub jumps straight into the app */
+                this.reset(false);
+                break;
+
+            default:
+                fail(EMU_ERROR.INVALID_MESSAGE);
+                break;
+        }
+    }
+
+    _memEnd(flag, entry) {
+        const load = this._memLoad;
+        if (load) {
+            this.ramSegments.push({ address: load.address, data: load.buffer });
+            this._memLoad = null;
+        }
+        const stub = this.description.stub;
+        const program = flag === 0 && !(stub && entry === stub.entry);
+        /* A program that prints at once: its output arrives in the same chunk as the response */
+        const sendOutput = (output) => this._send(typeof output === 'string' ? new TextEncoder().encode(output) : output);
+        this._sendTogether(() => {
+            if (program && this.ramOutputBefore) {
+                sendOutput(this.ramOutputBefore);
+            }
+            this._respond(EMU_CMD.MEM_END, 0, new Uint8Array(0));
+            if (program && this.ramOutput) {
+                sendOutput(this.ramOutput);
+            }
+        });
+        if (flag !== 0) {
+            return;
+        }
+
+        if (!program) {
+            this.stubRunning = true;
+            this._sendFrame(new TextEncoder().encode('OHAI'));
+            this.log('[Emulator] stub running');
+        } else {
+            this.state = 'app';
+            this.ramEntry = entry;
+            this.log(`[Emulator] running RAM code at 0x${entry.toString(16)}`);
+        }
+    }
+
+    _pumpReadFlash() {
+        const read = this._readFlash;
+        while (read.sent < read.length && read.sent - read.acked < read.maxInFlight) {
+            const length = Math.min(read.blockSize, read.length - read.sent);
+            const start = read.address + read.sent;
+            const chunk = this.flash.slice(start, start + length);
+            if (this._takeFault('flip')) {
+                chunk[chunk.length >> 1] ^= 0x10;
+            }
+            this._sendFrame(chunk);
+            read.sent += length;
+        }
+        if (read.acked >= read.length) {
+            this._readFlash = null;
+            this._sendFrame(this._md5(this.flash.subarray(read.address, read.address + read.length)));
+        }
+    }
+
+    /* ==================== Flash ==================== */
+
+    _erase(offset, size) {
+        const start = offset - (offset % EMU_SECTOR_SIZE);
+        const end = Math.min(this.flashSize, Math.ceil((offset + size) / EMU_SECTOR_SIZE) * EMU_SECTOR_SIZE);
+        this.flash.fill(0xFF, start, end);
+    }
+
+    /* NOR flash can only clear bits */
+    _program(address, data) {
+        for (let i = 0; i < data.length && address + i < this.flashSize; i++) {
+            this.flash[address + i] &= data[i];
+        }
+    }
+
+    _inflate(chunks) {
+        const zlib = require('zlib');
+        try {
+            return new Uint8Array(zlib.inflateSync(Buffer.concat(chunks), { finishFlush: zlib.constants.Z_SYNC_FLUSH }));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    _md5(data) {
+        return new Uint8Array(require('crypto').createHash('md5').update(data).digest());
+    }
+
+    /* ==================== Device -> host ==================== */
+
+    _respond(command, value, payload, error = 0) {
+        /* Status: ROM loaders send 4 bytes (2 on the ESP8266), the stub 2 */
+        const statusLength = (this.stubRunning || this.chip === 'esp8266') ? 2 : 4;
+        const frame = new Uint8Array(8 + payload.length + statusLength);
+        const view = new DataView(frame.buffer);
+        frame[0] = 0x01;
+        frame[1] = command;
+        view.setUint16(2, payload.length + statusLength, true);
+        view.setUint32(4, value >>> 0, true);
+        frame.set(payload, 8);
+        frame[8 + payload.length] = error ? 1 : 0;
+        frame[9 + payload.length] = error;
+        this._sendFrame(frame);
+    }
+
+    _sendFrame(data) {
+        const encoded = [0xC0];
+        for (const byte of data) {
+            if (byte === 0xC0) {
+                encoded.push(0xDB, 0xDC);
+            } else if (byte === 0xDB) {
+                encoded.push(0xDB, 0xDD);
+            } else {
+                encoded.push(byte);
+            }
+        }
+        encoded.push(0xC0);
+        this._send(new Uint8Array(encoded));
+    }
+
+    _sendText(text) {
+        this._send(new TextEncoder().encode(text));
+    }
+
+    /* Deliver everything fn() sends as one piece */
+    _sendTogether(fn) {
+        const parts = [];
+        this._txBatch = parts;
+        try {
+            fn();
+        } finally {
+            this._txBatch = null;
+        }
+        const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            bytes.set(part, offset);
+            offset += part.length;
+        }
+        this._send(bytes);
+    }
+
+    /* Queue output in order, with optional delay, drops and chunking */
+    _send(bytes) {
+        if (this._txBatch) {
+            this._txBatch.push(bytes);
+            return;
+        }
+        const delay = this._takeFault('delay');
+        this._txChain = this._txChain.then(async () => {
+            await new Promise(resolve => setTimeout(resolve, delay ? delay.ms : 0));
+            if (!this.port || !this.port.isOpen) {
+                return;
+            }
+            if (this.baudRate && this.port.baudRate !== this.baudRate) {
+                return;
+            }
+            const data = this._applyDrop('toHost', bytes);
+            const step = this.chunkSize || data.length;
+            for (let offset = 0; offset < data.length; offset += step) {
+                this.port._deliver(data.slice(offset, offset + step));
+            }
+        });
+    }
+
+    /* ==================== Faults ==================== */
+
+    _takeFault(type, command) {
+        const index = this.faults.findIndex(fault => fault.type === type && fault.count > 0
+            && (fault.command === undefined || command === undefined || fault.command === command));
+        if (index < 0) {
+            return null;
+        }
+        const fault = this.faults[index];
+        if (fault.type === 'flip' && fault.skip > 0) {
+            fault.skip--;
+            return null;
+        }
+        fault.count--;
+        if (fault.count <= 0) {
+            this.faults.splice(index, 1);
+        }
+        return fault;
+    }
+
+    _applyDrop(direction, data) {
+        const fault = this.faults.find(f => f.type === 'drop' && f.direction === direction && f.count > 0);
+        if (!fault) {
+            return data;
+        }
+        const kept = [];
+        for (const byte of data) {
+            if (fault.skip > 0) {
+                fault.skip--;
+                kept.push(byte);
+            } else if (fault.count > 0) {
+                fault.count--;
+                this.stats.droppedBytes++;
+            } else {
+                kept.push(byte);
+            }
+        }
+        if (fault.count <= 0) {
+            this.faults.splice(this.faults.indexOf(fault), 1);
+        }
+        return new Uint8Array(kept);
+    }
+}
+
+/**
+ * Port object handed to ESPFlasher, mirrors NodeSerialPort from flasher-nodejs.js
+ */
+class EmulatorSerialPort {
+    constructor(emulator) {
+        this.emulator = emulator;
+        this.isOpen = false;
+        this.baudRate = null;
+        this.readable = null;
+        this.writable = null;
+        this.signals = { dataTerminalReady: false, requestToSend: false };
+        this.eventListeners = { 'close': [], 'disconnect': [] };
+        this._dataQueue = [];
+        this._readResolvers = [];
+    }
+
+    async open(options = {}) {
+        if (this.isOpen) {
+            throw new Error('Port is already open');
+        }
+        this.baudRate = options.baudRate || 115200;
+        this.isOpen = true;
+        this._dataQueue = [];
+        this._readResolvers = [];
+
+        this.readable = {
+            getReader: () => ({
+                read: () => this._read(),
+                cancel: async () => this._endReads(),
+                releaseLock: () => { }
+            })
+        };
+        this.writable = {
+            getWriter: () => ({
+                write: async (data) => {
+                    if (!this.isOpen) {
+                        throw new Error('Port is not open');
+                    }
+                    this.emulator.receive(new Uint8Array(data));
+                },
+                close: async () => { },
+                releaseLock: () => { }
+            })
+        };
+    }
+
+    async close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this._endReads();
+        this._triggerEvent('close');
+    }
+
+    getInfo() {
+        return { usbVendorId: this.emulator.usbVendorId, usbProductId: this.emulator.usbProductId };
+    }
+
+    async setBaudRate(baudRate) {
+        if (!this.isOpen) throw new Error('Port is not open');
+        this.baudRate = baudRate;
+    }
+
+    /**
+     * Classic auto-reset circuit: RTS holds EN low, DTR holds IO0 low.
+     * Releasing EN boots the chip, into download mode if IO0 is held low at that moment.
+     */
+    async setSignals(signals) {
+        const wasInReset = this.signals.requestToSend;
+        this.signals = { ...this.signals, ...signals };
+        if (wasInReset && !this.signals.requestToSend) {
+            this.emulator.reset(this.signals.dataTerminalReady);
+        }
+    }
+
+    addEventListener(event, callback) {
+        if (this.eventListeners[event]) this.eventListeners[event].push(callback);
+    }
+
+    removeEventListener(event, callback) {
+        if (this.eventListeners[event]) {
+            this.eventListeners[event] = this.eventListeners[event].filter(cb => cb !== callback);
+        }
+    }
+
+    _triggerEvent(event) {
+        (this.eventListeners[event] || []).forEach(callback => {
+            try { callback({ target: this }); } catch (e) { }
+        });
+    }
+
+    _deliver(data) {
+        if (!this.isOpen || !data.length) return;
+        if (this._readResolvers.length > 0) {
+            this._readResolvers.shift()({ value: data, done: false });
+        } else {
+            this._dataQueue.push(data);
+        }
+    }
+
+    async _read() {
+        if (!this.isOpen) {
+            return { value: undefined, done: true };
+        }
+        if (this._dataQueue.length > 0) {
+            return { value: this._dataQueue.shift(), done: false };
+        }
+        return new Promise(resolve => this._readResolvers.push(resolve));
+    }
+
+    _endReads() {
+        while (this._readResolvers.length > 0) {
+            this._readResolvers.shift()({ value: undefined, done: true });
+        }
+    }
+}
+
+/* CommonJS export for Node.js */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ESPEmulator,
+        EmulatorSerialPort,
+        EMU_CMD,
+        EMU_ERROR
+    };
+}
@@ -0,0 +1,1119 @@
+#!/usr/bin/env node
+/*
+ * esp32-flasher - command line interface for ESPFlasher and ESP32Parser
+ *
+ * Usage:
+ *   node esp32-flasher.js [options] <command> [args...]
+ *   node esp32-flasher.js -p /dev/ttyUSB0 chip-info
+ *   node esp32-flasher.js -p /dev/ttyUSB0 -b 921600 write-flash 0x1000 bootloader.bin 0x8000 partitions.bin 0x10000 app.bin
+ *   node esp32-flasher.js -p /dev/ttyUSB0 --json read-flash 0x0 4M dump.bin
+ *   node esp32-flasher.js --file dump.bin nvs-get wifi
+ *   node esp32-flasher.js --serial 7C:DF:A1:00:11:22 chip-info
+ *   node esp32-flasher.js list-ports
+ *   node esp32-flasher.js -p auto -o logs batch-write 0x0 bootloader.bin 0x10000 app.bin
+ *   node esp32-flasher.js -p /dev/ttyUSB0 --record session.esplog chip-info
+ *   node esp32-flasher.js -p replay:session.esplog chip-info
+ *
+ * --port auto, --serial, --vid and --pid pick the port from the USB serial ports (Linux, see flasher-discovery.js).
+ * Partition, NVS, FAT and image commands work on a connected device or, with --file, on a flash dump.
+ * Progress bars go to stderr, results to stdout. With --json, stdout carries exactly one JSON document.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/* Web Serial polyfill must be installed before flasher.js is used */
+const { createNodeESPFlasher } = require('./flasher-nodejs.js');
+const ESPFlasher = require('./flasher.js');
+const ESP32Parser = require('./esp32-parser.js');
+const { listSerialPorts, findSerialPorts, parseUsbId } = require('./flasher-discovery.js');
+const { BatchFlasher } = require('./flasher-batch.js');
+
+/* Process exit codes, stable so scripts and CI jobs can rely on them */
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,
+    USAGE: 2,
+    CONNECTION: 3,
+    VERIFY_FAILED: 4,
+    NOT_FOUND: 5
+};
+
+/* Partition subtypes of the DATA type */
+const PARTITION_SUBTYPE_NVS = 0x02;
+const PARTITION_SUBTYPE_FAT = 0x81;
+
+/* NVS type names accepted by nvs-set, mapped to NVSParser.createItem() types */
+const NVS_TYPES = {
+    u8: 'U8', u16: 'U16', u32: 'U32', u64: 'U64',
+    i8: 'I8', i16: 'I16', i32: 'I32', i64: 'I64',
+    string: 'String', blob: 'Blob'
+};
+
+/**
+ * Error carrying the process exit code
+ */
+class CliError extends Error {
+    constructor(message, exitCode = EXIT_CODES.ERROR) {
+        super(message);
+        this.name = 'CliError';
+        this.exitCode = exitCode;
+    }
+}
+
+/* Global options: name -> {alias, value (takes an argument), description} */
+const OPTIONS = {
+    port: { alias: 'p', value: true, description: 'Serial port, e.g. /dev/ttyUSB0, COM3, rfc2217://host:port, ws://bridge:8765/, replay:session.esplog or auto' },
+    serial: { value: true, description: 'Use the USB serial port with this serial number' },
+    vid: { value: true, description: 'Use the USB serial port with this vendor ID (hex)' },
+    pid: { value: true, description: 'Use the USB serial port with this product ID (hex)' },
+    baud: { alias: 'b', value: true, description: 'Baud rate to switch to after connecting' },
+    'initial-baud': { value: true, description: 'Baud rate used to sync (default 115200)' },
+    reset: { value: true, description: 'Reset strategy: auto, classic, usb_jtag, watchdog, run_user_code or none' },
+    after: { value: true, description: 'After the command: reset (default) or none' },
+    'no-stub': { description: 'Stay in the ROM loader instead of loading the stub' },
+    file: { alias: 'f', value: true, description: 'Work on a flash dump instead of a device' },
+    partition: { value: true, description: 'Partition label for nvs-*, fat-* and image-info' },
+    'table-offset': { value: true, description: 'Partition table offset (default: detected)' },
+    address: { value: true, description: 'Image address for image-info' },
+    output: { alias: 'o', value: true, description: 'Output directory for dump-partitions, or for the batch-write report and logs' },
+    jobs: { alias: 'j', value: true, description: 'Devices batch-write flashes at the same time (default: all)' },
+    json: { description: 'Print the result as JSON' },
+    quiet: { alias: 'q', description: 'No progress bars' },
+    verbose: { alias: 'v', description: 'Print flasher debug output to stderr' },
+    record: { value: true, description: 'Save all serial traffic to this .esplog file, for bug reports' },
+    help: { alias: 'h', description: 'Show this help' }
+};
+
+/**
+ * Parse a number with optional 0x prefix and k/M suffix
+ * @param {string} text - Value from the command line
+ * @param {string} what - Name used in the error message
+ * @returns {number}
+ * @throws {CliError} If the value is not a number
+ */
+function parseNumber(text, what) {
+    const match = /^(0x[0-9a-f]+|\d+)([km])?$/i.exec(String(text).trim());
+    if (!match) {
+        throw new CliError(`Invalid ${what}: ${text}`, EXIT_CODES.USAGE);
+    }
+    const multiplier = { k: 0x400, m: 0x100000 }[(match[2] || '').toLowerCase()] || 1;
+    return parseInt(match[1]) * multiplier;
+}
+
+/**
+ * Split argv into command, positional arguments and options
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {{command: string|null, args: string[], options: Object}}
+ * @throws {CliError} On unknown options or missing option values
+ */
+function parseArgs(argv) {
+    const options = {};
+    const positional = [];
+    const aliases = {};
+    Object.entries(OPTIONS).forEach(([name, spec]) => {
+        if (spec.alias) aliases[spec.alias] = name;
+    });
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            positional.push(...argv.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('-') || arg === '-' || /^-\d/.test(arg)) {
+            positional.push(arg);
+            continue;
+        }
+
+        let name;
+        let value;
+        if (arg.startsWith('--')) {
+            [name, value] = arg.slice(2).split(/=(.*)/s);
+        } else {
+            name = aliases[arg.slice(1)];
+        }
+        const spec = OPTIONS[name];
+        if (!spec) {
+            throw new CliError(`Unknown option: ${arg}`, EXIT_CODES.USAGE);
+        }
+        if (spec.value) {
+            if (value === undefined) {
+                if (i + 1 >= argv.length) {
+                    throw new CliError(`Option --${name} needs a value`, EXIT_CODES.USAGE);
+                }
+                value = argv[++i];
+            }
+            options[name] = value;
+        } else {
+            options[name] = true;
+        }
+    }
+
+    return { command: positional.shift() || null, args: positional, options };
+}
+
+/**
+ * Single line progress bar on a TTY stream
+ */
+class ProgressBar {
+    constructor(stream, label, enabled) {
+        this.stream = stream;
+        this.label = label;
+        this.enabled = enabled;
+        this.lastDraw = 0;
+        this.drawn = false;
+    }
+
+    update(done, total, stage = '') {
+        if (!this.enabled || !total) {
+            return;
+        }
+        const now = Date.now();
+        if (now - this.lastDraw < 100 && done < total) {
+            return;
+        }
+        this.lastDraw = now;
+        const width = 30;
+        const ratio = Math.max(0, Math.min(1, done / total));
+        const filled = Math.round(ratio * width);
+        const bar = '#'.repeat(filled) + '-'.repeat(width - filled);
+        const kib = (value) => Math.round(value / 1024);
+        this.stream.write(`\r${this.label} [${bar}] ${Math.round(ratio * 100)}% ${kib(done)}/${kib(total)} KiB ${stage}`.padEnd(100));
+        this.drawn = true;
+    }
+
+    finish() {
+        if (this.drawn) {
+            this.stream.write('\n');
+            this.drawn = false;
+        }
+    }
+}
+
+/**
+ * State shared by the commands of one CLI run: device connection, parsed image and output
+ */
+class CliSession {
+    constructor(options, io, command = null, args = []) {
+        this.options = options;
+        this.io = io;
+        this.flasher = null;
+        this.parser = null;
+        this.fileData = null;
+        this.progressBars = [];
+        this.recorder = options.record ? new ESPFlasher.SerialSessionRecorder({ info: { tool: 'esp32-flasher', command, args } }) : null;
+    }
+
+    /**
+     * Whether --port auto, --serial, --vid or --pid ask for port discovery instead of a given port
+     * @returns {boolean}
+     */
+    selectsPorts() {
+        const { port, serial, vid, pid } = this.options;
+        return port === 'auto' || serial !== undefined || vid !== undefined || pid !== undefined;
+    }
+
+    /**
+     * USB serial ports matching --port auto, --serial, --vid and --pid, at least one
+     * @returns {Array<Object>} Entries of listSerialPorts()
+     */
+    findPorts() {
+        const { port, serial, vid, pid } = this.options;
+        if (port && port !== 'auto') {
+            throw new CliError('--serial, --vid and --pid select a port themselves, use them without --port or with --port auto', EXIT_CODES.USAGE);
+        }
+        [['vid', vid], ['pid', pid]].forEach(([name, value]) => {
+            if (value !== undefined && parseUsbId(value) === null) {
+                throw new CliError(`Invalid --${name}: ${value}`, EXIT_CODES.USAGE);
+            }
+        });
+
+        const matches = findSerialPorts({ serial, vid, pid }, { ports: this.io.listPorts() });
+        if (matches.length === 0) {
+            throw new CliError(port === 'auto' && serial === undefined && vid === undefined && pid === undefined
+                ? 'No serial port of a known ESP USB adapter found'
+                : 'No serial port matches --serial/--vid/--pid', EXIT_CODES.NOT_FOUND);
+        }
+        return matches;
+    }
+
+    /**
+     * Port to connect to: --port as given, or the single USB serial port matching --port auto, --serial, --vid and --pid
+     * @returns {string|undefined}
+     */
+    resolvePort() {
+        if (!this.selectsPorts()) {
+            return this.options.port;
+        }
+        const matches = this.findPorts();
+        if (matches.length > 1) {
+            throw new CliError(`${matches.length} serial ports match, narrow down with --serial or --port:\n`
+                + matches.map(p => `  ${describePort(p)}`).join('\n'), EXIT_CODES.USAGE);
+        }
+        if (!this.options.quiet) {
+            this.io.stderr.write(`Using ${describePort(matches[0])}\n`);
+        }
+        return matches[0].path;
+    }
+
+    /**
+     * ESPFlasher constructor options from --initial-baud, --reset and the logging options
+     * @returns {Object}
+     */
+    flasherOptions() {
+        const verbose = this.options.verbose;
+        const log = (prefix) => (...args) => this.io.stderr.write(`${prefix} ${args.join(' ')}\n`);
+        return {
+            initialBaudRate: this.options['initial-baud'] ? parseNumber(this.options['initial-baud'], 'baud rate') : 115200,
+            resetStrategy: this.options.reset || 'auto',
+            logDebug: verbose ? log('[debug]') : () => { },
+            logWarning: this.options.json ? () => { } : log('Warning:'),
+            logError: verbose ? log('[error]') : () => { },
+            recorder: this.recorder
+        };
+    }
+
+    /**
+     * Connect, sync, load the stub and switch baud rate as requested by the options
+     * @returns {Promise<ESPFlasher>}
+     */
+    async connect() {
+        if (this.flasher) {
+            return this.flasher;
+        }
+
+        const flasherOptions = this.flasherOptions();
+        const port = this.resolvePort();
+        try {
+            this.flasher = await this.io.createFlasher(port, flasherOptions);
+            try {
+                await this.flasher.hardReset(true);
+            } catch (error) {
+                /* Some adapters have no DTR/RTS, the chip may already be in download mode */
+            }
+            await this.flasher.sync();
+            await this.flasher.detectChipInfo();
+        } catch (error) {
+            if (error instanceof CliError) {
+                throw error;
+            }
+            throw new CliError(`Could not connect: ${error.message || error}`, EXIT_CODES.CONNECTION);
+        }
+
+        if (!this.options['no-stub']) {
+            if (!(await this.flasher.downloadStub())) {
+                throw new CliError('Stub loader did not start, try --no-stub', EXIT_CODES.CONNECTION);
+            }
+        } else {
+            try {
+                await this.flasher.readFlashId();
+            } catch (error) {
+                this.flasher.logWarning(`Could not detect flash size: ${error.message}`);
+            }
+        }
+
+        if (this.options.baud) {
+            const baudRate = parseNumber(this.options.baud, 'baud rate');
+            if (baudRate !== this.flasher.currentBaudRate && !(await this.flasher.changeBaudRate(baudRate))) {
+                throw new CliError(`Could not switch to ${baudRate} baud`, EXIT_CODES.CONNECTION);
+            }
+        }
+
+        return this.flasher;
+    }
+
+    /**
+     * Parser over the device flash, or over the --file dump
+     * @returns {Promise<ESP32Parser>}
+     */
+    async openImage() {
+        if (this.parser) {
+            return this.parser;
+        }
+        if (this.options.file) {
+            this.fileData = new Uint8Array(readInputFile(this.options.file));
+            this.parser = new ESP32Parser(this.fileData);
+        } else {
+            const flasher = await this.connect();
+            this.parser = new ESP32Parser(flasher, { sizeHint: flasher.flashSize });
+        }
+        return this.parser;
+    }
+
+    /**
+     * Commit modifications made through the parser to the device or back into the --file dump
+     * @returns {Promise<Object>} {bytesWritten, bytesUnchanged}; sectors already on the device are not written again
+     */
+    async saveImage() {
+        const sparse = this.parser.sparseImage;
+        const bytes = sparse.writeBuffer.reduce((sum, seg) => sum + seg.data.length, 0);
+        if (bytes === 0) {
+            return { bytesWritten: 0, bytesUnchanged: 0 };
+        }
+        if (this.options.file) {
+            const data = await sparse.slice_async(0, sparse.size);
+            fs.writeFileSync(this.options.file, Buffer.from(data));
+        } else {
+            const bar = this.progress('Writing');
+            this.parser.callbacks.writeBlockCbr = (addr, data, offset, total, status) => bar(offset, total, typeof status === 'string' ? status : '');
+            const stats = await sparse.flush();
+            this.finishProgress();
+            return { bytesWritten: stats.writtenBytes, bytesUnchanged: stats.skippedBytes };
+        }
+        return { bytesWritten: bytes, bytesUnchanged: 0 };
+    }
+
+    /**
+     * Partition table of the image, parsed once
+     * @returns {Promise<Object[]>}
+     */
+    async partitions() {
+        const parser = await this.openImage();
+        if (parser.partitions.length > 0) {
+            return parser.partitions;
+        }
+
+        let offset = this.options['table-offset'] !== undefined ? parseNumber(this.options['table-offset'], 'table offset') : null;
+        if (offset === null) {
+            let bootImage = await parser.parseImage(0x0000);
+            if (!bootImage || bootImage.error) {
+                bootImage = await parser.parseImage(0x1000);
+            }
+            offset = await parser.detectPartitionTableOffset(bootImage && !bootImage.error ? bootImage : null);
+        }
+        if (offset === null) {
+            throw new CliError('No partition table found, use --table-offset', EXIT_CODES.NOT_FOUND);
+        }
+
+        const partitions = await parser.parsePartitions(offset);
+        if (partitions.length === 0) {
+            throw new CliError(`No partition table at 0x${offset.toString(16)}`, EXIT_CODES.NOT_FOUND);
+        }
+        return partitions;
+    }
+
+    /**
+     * Partition selected by --partition, or the first DATA partition of the given subtype
+     * @param {number} subType - Partition subtype to look for without --partition
+     * @param {string} kind - Name used in the error message
+     * @returns {Promise<Object>}
+     */
+    async findPartition(subType, kind) {
+        const partitions = await this.partitions();
+        const label = this.options.partition;
+        const partition = label
+            ? partitions.find(p => p.label === label)
+            : partitions.find(p => p.type === 0x01 && p.subType === subType);
+        if (!partition) {
+            throw new CliError(label ? `Partition "${label}" not found` : `No ${kind} partition found, use --partition`, EXIT_CODES.NOT_FOUND);
+        }
+        return partition;
+    }
+
+    /**
+     * Progress callback drawing a bar on stderr
+     * @param {string} label - Text in front of the bar
+     * @returns {Function} Callback(done, total, stage)
+     */
+    progress(label) {
+        const enabled = !this.options.quiet && !this.options.json && !!this.io.stderr.isTTY;
+        const bar = new ProgressBar(this.io.stderr, label.padEnd(9), enabled);
+        this.progressBars.push(bar);
+        return (done, total, stage) => bar.update(done, total, stage);
+    }
+
+    finishProgress() {
+        this.progressBars.forEach(bar => bar.finish());
+        this.progressBars = [];
+    }
+
+    async close() {
+        this.finishProgress();
+        try {
+            if (!this.flasher) {
+                return;
+            }
+            try {
+                if ((this.options.after || 'reset') === 'reset') {
+                    await this.flasher.hardReset(false);
+                }
+            } finally {
+                await this.flasher.disconnect();
+            }
+        } finally {
+            this.saveRecording();
+            this.flasher = null;
+        }
+    }
+
+    /**
+     * Write the --record file, also when connecting failed since that is what bug reports need most
+     */
+    saveRecording() {
+        if (!this.recorder) {
+            return;
+        }
+        if (this.flasher) {
+            this.recorder.info.chip = this.flasher.current_chip;
+        }
+        try {
+            fs.writeFileSync(this.options.record, this.recorder.serialize());
+        } catch (error) {
+            throw new CliError(`Cannot write ${this.options.record}: ${error.message}`);
+        }
+        this.recorder = null;
+    }
+}
+
+function readInputFile(file) {
+    try {
+        return fs.readFileSync(file);
+    } catch (error) {
+        throw new CliError(`Cannot read ${file}: ${error.message}`, EXIT_CODES.NOT_FOUND);
+    }
+}
+
+function hex(value, digits = 8) {
+    return `0x${(value >>> 0).toString(16).padStart(digits, '0')}`;
+}
+
+/**
+ * Parse "<address> <file>" pairs of write-flash and verify
+ * @returns {Array<{address: number, file: string, data: Uint8Array}>}
+ */
+function parseAddressFilePairs(args, usage) {
+    if (args.length === 0 || args.length % 2 !== 0) {
+        throw new CliError(`Usage: ${usage}`, EXIT_CODES.USAGE);
+    }
+    const pairs = [];
+    for (let i = 0; i < args.length; i += 2) {
+        const address = parseNumber(args[i], 'address');
+        pairs.push({ address, file: args[i + 1], data: new Uint8Array(readInputFile(args[i + 1])) });
+    }
+
+    const sorted = [...pairs].sort((a, b) => a.address - b.address);
+    for (let i = 1; i < sorted.length; i++) {
+        const prev = sorted[i - 1];
+        if (prev.address + prev.data.length > sorted[i].address) {
+            throw new CliError(`${prev.file} at ${hex(prev.address)} overlaps ${sorted[i].file} at ${hex(sorted[i].address)}`, EXIT_CODES.USAGE);
+        }
+    }
+    return pairs;
+}
+
+function flattenFiles(files, list = []) {
+    for (const file of files || []) {
+        list.push(file);
+        flattenFiles(file.children, list);
+    }
+    return list;
+}
+
+async function openFat(session) {
+    const parser = await session.openImage();
+    const partition = await session.findPartition(PARTITION_SUBTYPE_FAT, 'FAT');
+    const fat = await parser.parseFATFilesystem(partition);
+    if (!fat.fatInfo || fat.fatInfo.error) {
+        throw new CliError(`Partition "${partition.label}" holds no FAT filesystem: ${fat.fatInfo ? fat.fatInfo.error : 'parse failed'}`, EXIT_CODES.NOT_FOUND);
+    }
+    return { fat, partition };
+}
+
+function nvsItems(nvs) {
+    const items = [];
+    for (const page of nvs.pages || []) {
+        for (const item of page.items) {
+            if (item.nsIndex === 0 || item.isBlobIndex) {
+                continue;
+            }
+            items.push({
+                namespace: item.namespace,
+                key: item.key,
+                type: item.typeName,
+                value: item.value,
+                crcValid: item.headerCrcValid && item.dataCrcValid !== false
+            });
+        }
+    }
+    return items;
+}
+
+/* ==================== Commands ==================== */
+
+async function cmdChipInfo(session) {
+    const flasher = await session.connect();
+    const info = flasher.chipInfo || {};
+    return {
+        chip: flasher.current_chip,
+        mac: await flasher.readMac(),
+        revision: info.revisionName || null,
+        package: info.packageName || null,
+        crystalMHz: info.crystalMHz || null,
+        usbMode: info.usbMode || null,
+        embeddedFlash: info.embeddedFlash || null,
+        embeddedPsram: info.embeddedPsram || null,
+        flash: flasher.flashId ? {
+            id: hex(flasher.flashId.id, 6),
+            manufacturer: flasher.flashId.manufacturer,
+            size: flasher.flashId.sizeBytes
+        } : null,
+        stub: flasher.stubLoaded,
+        baudRate: flasher.currentBaudRate
+    };
+}
+
+function printChipInfo(result, out) {
+    out(`Chip:       ${result.chip}${result.revision ? ` (revision ${result.revision})` : ''}`);
+    out(`MAC:        ${result.mac}`);
+    if (result.package) out(`Package:    ${result.package}`);
+    if (result.crystalMHz) out(`Crystal:    ${result.crystalMHz} MHz`);
+    if (result.usbMode) out(`USB mode:   ${result.usbMode}`);
+    if (result.embeddedFlash) out(`Emb. flash: ${result.embeddedFlash}`);
+    if (result.embeddedPsram) out(`Emb. PSRAM: ${result.embeddedPsram}`);
+    if (result.flash) out(`Flash:      ${result.flash.manufacturer}, ID ${result.flash.id}, ${result.flash.size ? `${result.flash.size / 0x100000} MiB` : 'unknown size'}`);
+    out(`Loader:     ${result.stub ? 'stub' : 'ROM'} @ ${result.baudRate} baud`);
+}
+
+async function cmdReadFlash(session, args) {
+    if (args.length !== 3) {
+        throw new CliError('Usage: read-flash <address> <size> <file>', EXIT_CODES.USAGE);
+    }
+    const address = parseNumber(args[0], 'address');
+    const size = parseNumber(args[1], 'size');
+    const flasher = await session.connect();
+
+    const data = await flasher.readFlash(address, size, session.progress('Reading'));
+    session.finishProgress();
+    fs.writeFileSync(args[2], Buffer.from(data));
+    return { address, size, file: args[2], md5: flasher.calculateMD5(data) };
+}
+
+async function cmdWriteFlash(session, args) {
+    const pairs = parseAddressFilePairs(args, 'write-flash <address> <file> [<address> <file> ...]');
+    const flasher = await session.connect();
+
+    const writes = [];
+    for (const pair of pairs) {
+        const bar = session.progress(path.basename(pair.file).slice(0, 9));
+        const result = await flasher.writeFlash(pair.address, pair.data, (done, total, stage) => bar(done, total, typeof stage === 'string' ? stage : ''));
+        session.finishProgress();
+        writes.push({ address: pair.address, size: pair.data.length, file: pair.file, md5: result.md5 });
+    }
+    return { writes };
+}
+
+/*
+ * Write the same files to every selected device in parallel: all ports of --port a,b,c,
+ * or all matches of --port auto/--serial/--vid/--pid
+ */
+async function cmdBatchWrite(session, args) {
+    const pairs = parseAddressFilePairs(args, 'batch-write <address> <file> [<address> <file> ...]');
+    const ports = session.selectsPorts()
+        ? session.findPorts().map(port => port.path)
+        : (session.options.port || '').split(',').filter(Boolean);
+    if (ports.length === 0) {
+        throw new CliError('No serial ports given, use --port a,b,c or --port auto', EXIT_CODES.USAGE);
+    }
+
+    const { options } = session;
+    const showStatus = !options.quiet && !options.json;
+    const lastStatus = new Map();
+    const batch = new BatchFlasher({
+        images: pairs.map(pair => ({ address: pair.address, data: pair.data, name: path.basename(pair.file) })),
+        baudRate: options.baud ? parseNumber(options.baud, 'baud rate') : null,
+        useStub: !options['no-stub'],
+        resetAfter: (options.after || 'reset') === 'reset',
+        concurrency: options.jobs ? parseNumber(options.jobs, 'job count') : Infinity,
+        debug: !!options.verbose,
+        createFlasher: (device, flasherOptions) => session.io.createFlasher(device.port, { ...session.flasherOptions(), ...flasherOptions }),
+        onUpdate: (device) => {
+            const line = `${device.status}: ${device.stage}`;
+            if (showStatus && device.status !== 'pending' && lastStatus.get(device.id) !== line) {
+                lastStatus.set(device.id, line);
+                session.io.stderr.write(`[${device.id}] ${line}\n`);
+            }
+        }
+    });
+    const report = await batch.run(ports.map(port => ({ id: port, port })));
+
+    if (options.output) {
+        fs.mkdirSync(options.output, { recursive: true });
+        batch.devices.forEach(device => {
+            const name = (device.mac || device.id).replace(/[^\w.-]+/g, '_');
+            fs.writeFileSync(path.join(options.output, `${name}.log`), BatchFlasher.formatLog(device));
+        });
+        fs.writeFileSync(path.join(options.output, 'report.json'), JSON.stringify(report, null, 2) + '\n');
+    }
+    return report;
+}
+
+function printBatchReport(report, out) {
+    Object.entries(report.devices).forEach(([mac, device]) => {
+        out(`${device.status === 'done' ? 'OK    ' : 'FAILED'} ${mac} ${device.id} ${device.chip}${device.error ? `: ${device.error}` : ''}`);
+    });
+    report.unidentified.forEach(device => out(`FAILED ${'-'.padEnd(17)} ${device.id}: ${device.error}`));
+    out(`${report.succeeded} of ${report.total} devices flashed`);
+}
+
+async function cmdEraseRegion(session, args) {
+    if (args.length !== 2) {
+        throw new CliError('Usage: erase-region <address> <size>', EXIT_CODES.USAGE);
+    }
+    const address = parseNumber(args[0], 'address');
+    const size = parseNumber(args[1], 'size');
+    if (address % 0x1000 !== 0 || size % 0x1000 !== 0) {
+        throw new CliError('Address and size must be multiples of 0x1000', EXIT_CODES.USAGE);
+    }
+    const flasher = await session.connect();
+
+    await flasher.eraseRegion(address, size, session.progress('Erasing'));
+    session.finishProgress();
+    return { address, size };
+}
+
+async function cmdVerify(session, args) {
+    const pairs = parseAddressFilePairs(args, 'verify <address> <file> [<address> <file> ...]');
+    const flasher = await session.connect();
+
+    const results = [];
+    for (const pair of pairs) {
+        const expected = flasher.calculateMD5(pair.data);
+        const actual = await flasher.checksumFlash(pair.address, pair.data.length);
+        results.push({ address: pair.address, size: pair.data.length, file: pair.file, match: expected === actual.toLowerCase(), expected, actual });
+    }
+    return { results, mismatches: results.filter(r => !r.match).length };
+}
+
+async function cmdDumpPartitions(session) {
+    const parser = await session.openImage();
+    const partitions = (await session.partitions()).map(p => ({
+        label: p.label,
+        type: p.type,
+        subType: p.subType,
+        typeName: p.typeName,
+        offset: p.offset,
+        size: p.length
+    }));
+
+    const outputDir = session.options.output;
+    if (outputDir) {
+        fs.mkdirSync(outputDir, { recursive: true });
+        for (const partition of partitions) {
+            const end = Math.min(partition.offset + partition.size, parser.sparseImage.size);
+            const data = session.flasher
+                ? await session.flasher.readFlash(partition.offset, end - partition.offset, session.progress(partition.label.slice(0, 9)))
+                : await parser.sparseImage.slice_async(partition.offset, end);
+            session.finishProgress();
+            partition.file = path.join(outputDir, `${partition.label || `part${partition.offset.toString(16)}`}.bin`);
+            fs.writeFileSync(partition.file, Buffer.from(data));
+        }
+    }
+    return { tableOffset: parser.partitionTableOffset, partitions };
+}
+
+function printPartitions(result, out) {
+    out(`Partition table at ${hex(result.tableOffset)}`);
+    out(`${'Label'.padEnd(16)} ${'Type'.padEnd(20)} ${'Offset'.padEnd(10)} ${'Size'.padEnd(10)}`);
+    for (const p of result.partitions) {
+        out(`${p.label.padEnd(16)} ${p.typeName.padEnd(20)} ${hex(p.offset)} ${hex(p.size)}${p.file ? `  -> ${p.file}` : ''}`);
+    }
+}
+
+async function cmdNvsGet(session, args) {
+    if (args.length > 2) {
+        throw new CliError('Usage: nvs-get [<namespace> [<key>]]', EXIT_CODES.USAGE);
+    }
+    const parser = await session.openImage();
+    const partition = await session.findPartition(PARTITION_SUBTYPE_NVS, 'NVS');
+    const nvs = await parser.parseNVS(partition);
+
+    const [namespace, key] = args;
+    const items = nvsItems(nvs).filter(item =>
+        (namespace === undefined || item.namespace === namespace) && (key === undefined || item.key === key));
+    if (key !== undefined && items.length === 0) {
+        throw new CliError(`Key "${namespace}/${key}" not found in partition "${partition.label}"`, EXIT_CODES.NOT_FOUND);
+    }
+    return { partition: partition.label, items };
+}
+
+function writtenText(result) {
+    return `${result.bytesWritten} bytes written${result.bytesUnchanged ? `, ${result.bytesUnchanged} bytes unchanged` : ''}`;
+}
+
+function printNvsItems(result, out) {
+    for (const item of result.items) {
+        out(`${item.namespace}/${item.key} (${item.type}) = ${item.value}${item.crcValid ? '' : '  [CRC error]'}`);
+    }
+}
+
+async function cmdNvsSet(session, args) {
+    if (args.length !== 4) {
+        throw new CliError(`Usage: nvs-set <namespace> <key> <type> <value>, type is one of ${Object.keys(NVS_TYPES).join(', ')}`, EXIT_CODES.USAGE);
+    }
+    const [namespace, key, typeArg, value] = args;
+    const type = NVS_TYPES[typeArg.toLowerCase()];
+    if (!type) {
+        throw new CliError(`Unknown NVS type "${typeArg}", use one of ${Object.keys(NVS_TYPES).join(', ')}`, EXIT_CODES.USAGE);
+    }
+    if (namespace.length > 15 || key.length > 15) {
+        throw new CliError('Namespace and key are limited to 15 characters', EXIT_CODES.USAGE);
+    }
+
+    const parser = await session.openImage();
+    const partition = await session.findPartition(PARTITION_SUBTYPE_NVS, 'NVS');
+    const nvs = await parser.parseNVS(partition);
+
+    const namespaces = await nvs.buildNamespaceMap();
+    const createdNamespace = !(namespace in namespaces);
+    if (createdNamespace) {
+        await nvs.addNamespace(namespace);
+    }
+    try {
+        await nvs.updateItem(namespace, key, type, value);
+    } catch (error) {
+        throw new CliError(`Cannot set ${namespace}/${key}: ${error.message}`, EXIT_CODES.USAGE);
+    }
+
+    const saved = await session.saveImage();
+    return { partition: partition.label, namespace, key, type, value, createdNamespace, ...saved };
+}
+
+async function cmdFatLs(session, args) {
+    const { fat, partition } = await openFat(session);
+    const dir = (args[0] || '').replace(/^\/+|\/+$/g, '');
+    let files = fat.fatInfo.files;
+    if (dir) {
+        const entry = fat.findFileByPath(dir);
+        if (!entry || !entry.isDirectory) {
+            throw new CliError(`Directory "${dir}" not found`, EXIT_CODES.NOT_FOUND);
+        }
+        files = entry.children || [];
+    }
+    return {
+        partition: partition.label,
+        fatType: fat.fatInfo.fatType,
+        files: flattenFiles(files).map(f => ({ path: f.path, size: f.size, directory: f.isDirectory, date: `${f.date} ${f.time}` }))
+    };
+}
+
+function printFatFiles(result, out) {
+    for (const file of result.files) {
+        out(`${file.directory ? '<DIR>'.padStart(10) : String(file.size).padStart(10)}  ${file.date}  ${file.path}${file.directory ? '/' : ''}`);
+    }
+}
+
+async function cmdFatGet(session, args) {
+    if (args.length !== 2) {
+        throw new CliError('Usage: fat-get <path> <file>', EXIT_CODES.USAGE);
+    }
+    const { fat } = await openFat(session);
+    const entry = fat.findFileByPath(args[0].replace(/^\/+/, ''));
+    if (!entry || entry.isDirectory) {
+        throw new CliError(`File "${args[0]}" not found`, EXIT_CODES.NOT_FOUND);
+    }
+    const blob = await fat.extractFile(entry);
+    const data = new Uint8Array(await blob.arrayBuffer());
+    fs.writeFileSync(args[1], Buffer.from(data));
+    return { path: entry.path, size: data.length, file: args[1] };
+}
+
+async function cmdFatPut(session, args) {
+    if (args.length !== 2) {
+        throw new CliError('Usage: fat-put <file> <path>', EXIT_CODES.USAGE);
+    }
+    const data = new Uint8Array(readInputFile(args[0]));
+    const target = args[1].replace(/^\/+/, '');
+    const { fat } = await openFat(session);
+
+    const existing = fat.findFileByPath(target.toUpperCase()) || fat.findFileByPath(target);
+    if (existing) {
+        if (existing.isDirectory) {
+            throw new CliError(`"${target}" is a directory`, EXIT_CODES.USAGE);
+        }
+        const removed = await fat.deleteFile(existing);
+        if (!removed.success) {
+            throw new CliError(`Cannot replace "${target}": ${removed.error}`);
+        }
+    }
+    const added = await fat.addFile(target, data);
+    if (!added.success) {
+        throw new CliError(`Cannot add "${target}": ${added.error}`);
+    }
+
+    const saved = await session.saveImage();
+    return { path: target, size: data.length, replaced: !!existing, ...saved };
+}
+
+async function cmdImageInfo(session, args) {
+    if (args.length > 1) {
+        throw new CliError('Usage: image-info [<image file>]', EXIT_CODES.USAGE);
+    }
+
+    let parser;
+    let offset = 0;
+    let length = null;
+    if (args.length === 1) {
+        parser = new ESP32Parser(new Uint8Array(readInputFile(args[0])));
+    } else {
+        parser = await session.openImage();
+        if (session.options.address !== undefined) {
+            offset = parseNumber(session.options.address, 'address');
+        } else if (session.options.partition) {
+            const partition = (await session.partitions()).find(p => p.label === session.options.partition);
+            if (!partition) {
+                throw new CliError(`Partition "${session.options.partition}" not found`, EXIT_CODES.NOT_FOUND);
+            }
+            offset = partition.offset;
+            length = partition.length;
+        } else {
+            throw new CliError('image-info needs an image file, --address or --partition', EXIT_CODES.USAGE);
+        }
+    }
+
+    const image = await parser.parseImage(offset, length);
+    if (!image.segmentList) {
+        throw new CliError(`No image at ${hex(offset)}: ${image.error}`, EXIT_CODES.NOT_FOUND);
+    }
+
+    let checksumValid = null;
+    try {
+        checksumValid = (await parser.calculateImageChecksum(offset, length)).checksum === image.checksum;
+    } catch (error) {
+        /* Truncated image, reported through image.error */
+    }
+    const hash = image.hasHash ? await parser.validateImageSHA256(image) : null;
+
+    return {
+        offset,
+        chip: image.chipName,
+        entry: image.entryAddr,
+        flashMode: image.spiModeName,
+        flashSpeed: image.spiSpeedName,
+        flashSize: image.spiSizeName,
+        minRevision: image.minChipRevFull !== undefined ? `v${image.minChipRevMajor}.${image.minChipRevMinor}` : null,
+        maxRevision: image.maxChipRevFull !== undefined ? `v${image.maxChipRevMajor}.${image.maxChipRevMinor}` : null,
+        segments: image.segmentList.map(s => ({ loadAddress: s.loadAddress, length: s.length, offset: s.offset })),
+        size: image.endOffset - offset,
+        checksumValid,
+        sha256Valid: hash ? hash.valid : null,
+        app: image.appDesc ? {
+            projectName: image.appDesc.projectName,
+            version: image.appDesc.version,
+            idfVersion: image.appDesc.idfVer,
+            buildDate: `${image.appDesc.date} ${image.appDesc.time}`,
+            secureVersion: image.appDesc.secureVersion
+        } : null,
+        warnings: [image.error, ...(image.compatibilityWarnings || [])].filter(Boolean)
+    };
+}
+
+/* One line per port: path, VID:PID, serial number and what is known about the adapter */
+function describePort(port) {
+    const id = (value) => value === null ? '????' : value.toString(16).padStart(4, '0');
+    const serial = port.serialNumber ? ` serial ${port.serialNumber}` : '';
+    const adapter = port.adapter ? ` ${port.adapter}, ${port.hint}` : ` ${[port.manufacturer, port.product].filter(Boolean).join(' ') || 'unknown adapter'}`;
+    return `${port.path} [${id(port.vendorId)}:${id(port.productId)}]${serial}${adapter}`;
+}
+
+async function cmdListPorts(session, args) {
+    if (args.length > 0) {
+        throw new CliError('Usage: list-ports', EXIT_CODES.USAGE);
+    }
+    const { serial, vid, pid } = session.options;
+    const ports = session.io.listPorts();
+    const selected = serial === undefined && vid === undefined && pid === undefined ? ports : findSerialPorts({ serial, vid, pid }, { ports });
+    return { ports: selected };
+}
+
+function printPorts(result, out) {
+    if (result.ports.length === 0) {
+        out('No USB serial ports found');
+    }
+    result.ports.forEach(port => out(describePort(port)));
+}
+
+function printImageInfo(result, out) {
+    out(`Image at ${hex(result.offset)}: ${result.chip}, entry ${hex(result.entry)}, ${result.size} bytes`);
+    out(`Flash:    ${result.flashMode}, ${result.flashSpeed}, ${result.flashSize}`);
+    if (result.minRevision) out(`Revision: ${result.minRevision} - ${result.maxRevision}`);
+    out(`Checksum: ${result.checksumValid === null ? 'n/a' : (result.checksumValid ? 'valid' : 'INVALID')}, SHA-256: ${result.sha256Valid === null ? 'n/a' : (result.sha256Valid ? 'valid' : 'INVALID')}`);
+    result.segments.forEach((s, i) => out(`  Segment ${i}: ${hex(s.loadAddress)} ${String(s.length).padStart(8)} bytes at file offset ${hex(s.offset)}`));
+    if (result.app) {
+        out(`App:      ${result.app.projectName} ${result.app.version} (IDF ${result.app.idfVersion}, built ${result.app.buildDate})`);
+    }
+    result.warnings.forEach(w => out(`Warning:  ${w}`));
+}
+
+/*
+ * Command table. print() renders the result for humans; exitCode() can turn a result into a failure.
+ * device: the command always talks to a device, --file is not supported.
+ */
+const COMMANDS = {
+    'chip-info': { usage: 'chip-info', summary: 'Chip, revision, MAC and flash details', device: true, run: cmdChipInfo, print: printChipInfo },
+    'read-flash': {
+        usage: 'read-flash <address> <size> <file>', summary: 'Read flash into a file (MD5 verified)', device: true, run: cmdReadFlash,
+        print: (r, out) => out(`Read ${r.size} bytes from ${hex(r.address)} into ${r.file} (MD5 ${r.md5})`)
+    },
+    'write-flash': {
+        usage: 'write-flash <address> <file> [<address> <file> ...]', summary: 'Write files to flash (MD5 verified)', device: true, run: cmdWriteFlash,
+        print: (r, out) => r.writes.forEach(w => out(`Wrote ${w.size} bytes from ${w.file} to ${hex(w.address)} (MD5 ${w.md5})`))
+    },
+    'batch-write': {
+        usage: 'batch-write <address> <file> [<address> <file> ...]', summary: 'Write files to several devices in parallel, report by MAC', device: true,
+        run: cmdBatchWrite, print: printBatchReport, exitCode: (r) => r.failed > 0 ? EXIT_CODES.ERROR : EXIT_CODES.OK
+    },
+    'erase-region': {
+        usage: 'erase-region <address> <size>', summary: 'Erase a 4 KiB aligned region', device: true, run: cmdEraseRegion,
+        print: (r, out) => out(`Erased ${hex(r.size)} bytes at ${hex(r.address)}`)
+    },
+    'verify': {
+        usage: 'verify <address> <file> [<address> <file> ...]', summary: 'Compare flash with files via MD5', device: true, run: cmdVerify,
+        print: (r, out) => r.results.forEach(v => out(`${v.match ? 'OK      ' : 'MISMATCH'} ${hex(v.address)} ${v.file}${v.match ? '' : ` (flash ${v.actual}, file ${v.expected})`}`)),
+        exitCode: (r) => r.mismatches > 0 ? EXIT_CODES.VERIFY_FAILED : EXIT_CODES.OK
+    },
+    'dump-partitions': { usage: 'dump-partitions [-o <dir>]', summary: 'Show the partition table, optionally save each partition', run: cmdDumpPartitions, print: printPartitions },
+    'nvs-get': { usage: 'nvs-get [<namespace> [<key>]]', summary: 'List NVS entries', run: cmdNvsGet, print: printNvsItems },
+    'nvs-set': {
+        usage: 'nvs-set <namespace> <key> <type> <value>', summary: 'Create or replace an NVS entry', run: cmdNvsSet,
+        print: (r, out) => out(`Set ${r.namespace}/${r.key} (${r.type}) = ${r.value}${r.createdNamespace ? ' in new namespace' : ''}, ${writtenText(r)}`)
+    },
+    'fat-ls': { usage: 'fat-ls [<directory>]', summary: 'List files in the FAT partition', run: cmdFatLs, print: printFatFiles },
+    'fat-get': {
+        usage: 'fat-get <path> <file>', summary: 'Copy a file out of the FAT partition', run: cmdFatGet,
+        print: (r, out) => out(`Saved ${r.path} (${r.size} bytes) to ${r.file}`)
+    },
+    'fat-put': {
+        usage: 'fat-put <file> <path>', summary: 'Add or replace a file in the FAT partition', run: cmdFatPut,
+        print: (r, out) => out(`${r.replaced ? 'Replaced' : 'Added'} ${r.path} (${r.size} bytes), ${writtenText(r)}`)
+    },
+    'list-ports': { usage: 'list-ports [--serial <sn>] [--vid <id>] [--pid <id>]', summary: 'List USB serial ports and the ESP adapters among them', run: cmdListPorts, print: printPorts },
+    'image-info': { usage: 'image-info [<image file>] [--address <addr> | --partition <label>]', summary: 'Decode an app or bootloader image header', run: cmdImageInfo, print: printImageInfo }
+};
+
+function usageText() {
+    const lines = ['Usage: esp32-flasher [options] <command> [args...]', '', 'Commands:'];
+    Object.values(COMMANDS).forEach(cmd => lines.push(`  ${cmd.usage.padEnd(58)} ${cmd.summary}`));
+    lines.push('', 'Options:');
+    Object.entries(OPTIONS).forEach(([name, spec]) => {
+        const flag = `${spec.alias ? `-${spec.alias}, ` : '    '}--${name}${spec.value ? ' <value>' : ''}`;
+        lines.push(`  ${flag.padEnd(28)} ${spec.description}`);
+    });
+    lines.push('', `Exit codes: ${Object.entries(EXIT_CODES).map(([name, code]) => `${code} ${name.toLowerCase()}`).join(', ')}`);
+    return lines.join('\n') + '\n';
+}
+
+/* JSON.stringify replacer: byte arrays as hex, BigInt as string */
+function jsonReplacer(key, value) {
+    if (value instanceof Uint8Array) {
+        return ESP32Parser.bytesToHex(value);
+    }
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    return value;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without node and script path
+ * @param {Object} [io] - {stdout, stderr, createFlasher(port, options), listPorts()}; the defaults use the process streams,
+ *                        a serial port and the USB serial ports in sysfs
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, io = {}) {
+    const streams = {
+        stdout: io.stdout || process.stdout,
+        stderr: io.stderr || process.stderr,
+        createFlasher: io.createFlasher || (async (port, options) => {
+            if (!port) {
+                throw new CliError('No serial port given, use --port', EXIT_CODES.USAGE);
+            }
+            const NodeESPFlasher = createNodeESPFlasher(ESPFlasher);
+            const flasher = new NodeESPFlasher(options);
+            await flasher.openPortByPath(port);
+            return flasher;
+        }),
+        listPorts: io.listPorts || (() => listSerialPorts())
+    };
+
+    let parsed = { options: {} };
+    let session = null;
+    const out = (line) => streams.stdout.write(line + '\n');
+
+    try {
+        parsed = parseArgs(argv);
+        if (parsed.options.help) {
+            streams.stdout.write(usageText());
+            return EXIT_CODES.OK;
+        }
+        if (!parsed.command) {
+            streams.stderr.write(usageText());
+            return EXIT_CODES.USAGE;
+        }
+
+        const command = COMMANDS[parsed.command];
+        if (!command) {
+            throw new CliError(`Unknown command "${parsed.command}", see --help`, EXIT_CODES.USAGE);
+        }
+        if (command.device && parsed.options.file) {
+            throw new CliError(`${parsed.command} needs a device, --file is not supported`, EXIT_CODES.USAGE);
+        }
+
+        session = new CliSession(parsed.options, streams, parsed.command, parsed.args);
+        const result = await command.run(session, parsed.args);
+        await session.close();
+        session = null;
+
+        if (parsed.options.json) {
+            out(JSON.stringify({ command: parsed.command, result }, jsonReplacer, 2));
+        } else {
+            command.print(result, out);
+        }
+        return command.exitCode ? command.exitCode(result) : EXIT_CODES.OK;
+
+    } catch (error) {
+        if (session) {
+            try {
+                await session.close();
+            } catch (closeError) {
+                /* Report the original error */
+            }
+        }
+        const exitCode = exitCodeFor(error);
+        const message = error.message || String(error);
+        if (parsed.options.json) {
+            const details = error instanceof ESPFlasher.ProtocolError
+                ? { command: error.commandName, errorCode: error.errorCode, errorName: error.errorName }
+                : {};
+            out(JSON.stringify({ command: parsed.command, error: { message, type: error.name || 'Error', exitCode, ...details } }, null, 2));
+        } else {
+            streams.stderr.write(`Error: ${message}\n`);
+        }
+        return exitCode;
+    }
+}
+
+/**
+ * Exit code for an error thrown by a command
+ * @param {Error} error
+ * @returns {number} EXIT_CODES value
+ */
+function exitCodeFor(error) {
+    if (error instanceof CliError) {
+        return error.exitCode;
+    }
+    if (error instanceof ESPFlasher.VerifyError) {
+        return EXIT_CODES.VERIFY_FAILED;
+    }
+    if (error instanceof ESPFlasher.TimeoutError || error instanceof ESPFlasher.SyncError || error instanceof ESPFlasher.DisconnectedError) {
+        return EXIT_CODES.CONNECTION;
+    }
+    return EXIT_CODES.ERROR;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => process.exit(code));
+}
+
+module.exports = { main, parseArgs, parseNumber, CliError, EXIT_CODES, COMMANDS };
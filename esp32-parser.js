@@ -1,6 +1,19 @@
 // ESP32 Firmware Parser JavaScript Implementation
 // Based on the C implementation from esp32.c
 
+/* Resolve ESPFlasher for both browser and Node environments */
+const ESPFlasherClass = typeof ESPFlasher !== 'undefined'
+    ? ESPFlasher
+    : (typeof require !== 'undefined' ? require('./flasher.js') : null);
+
+/* Event base class shared with ESPFlasher */
+const ParserEventEmitter = typeof FlasherEventEmitter !== 'undefined'
+    ? FlasherEventEmitter
+    : ESPFlasherClass.FlasherEventEmitter;
+
+/* Built-in read-ahead policies of SparseImage, see SparseImage.readAhead */
+const READ_AHEAD_POLICIES = ['none', 'sequential', 'hints', 'adaptive'];
+
 /**
  * SparseImage - Abstraction layer for accessing binary data with caching
  * Acts like a Uint8Array but lazily loads data from a device/source through a callback
@@ -31,6 +44,10 @@
  * - ReadBuffer: Array of {address, data} segments containing cached read data
  * - ReadData callback: Called to fetch missing data from device/source
  * - Automatic merging: Adjacent/overlapping segments are merged to optimize memory
+ * - Memory budget: with memoryBudget set, unmodified sectors not used for the longest time leave the read cache
+ * - Read-ahead: misses can fetch more than asked for (readAhead, hint()) and queued regions are read while idle
+ *   (backgroundPrefetch, queuePrefetch()); getReadStats() tells how well that works
+ * - History: write()/fill() are journaled until flush(), see undo(), redo(), beginChange() and snapshot()
  * 
  * Future enhancement:
  * - WriteBuffer: Parallel buffer for tracking writes before committing to device
@@ -44,13 +61,52 @@ class SparseImage {
         this.writeDataCallback = writeDataCallback;
         this.flushPrepareCallback = flushPrepareCallback;
         this.dataUpdatedCallback = null;
+        /* Optional async (address, size) handler; when set, sectors that are entirely 0xFF are erased instead of written */
+        this.eraseDataCallback = null;
+        /* Optional async (address, data) handler resolving to true when the backing store already holds data, see flush() */
+        this.compareDataCallback = null;
+        /* Byte counts of the last flush(), see flush() */
+        this.flushStats = null;
         this.sectorSize = sectorSize || 0x1000;
         this.readBuffer = []; // Array of {address, data} structures
         this.writeBuffer = []; // Array of {address, data} structures
         this.length = size;
+        /* Read cache limit in bytes (null: unlimited), least recently used clean sectors are evicted, see getMemoryUsage() */
+        this.memoryBudget = null;
+        /* Sector indices dropped from the read cache; read again on their next access */
+        this.evictedSectors = new Set();
+        /* Sector indices in the order of their last access, oldest first */
+        this._sectorUse = new Map();
+
+        /* One of READ_AHEAD_POLICIES or an object with plan(request, sparseImage) -> bytes to fetch, see _planRead() */
+        this.readAhead = 'none';
+        /* Upper limit of a read-ahead fetch and of a background prefetch step */
+        this.readAheadMax = 0x10000;
+        /* Read regions given to queuePrefetch() once no read was asked for during backgroundIdleMs */
+        this.backgroundPrefetch = false;
+        this.backgroundIdleMs = 200;
+        this._hints = [];
+        this._prefetchQueue = [];
+        this._backgroundTimer = null;
+        this._lastForeground = 0;
+        this._lastMissEnd = -1;
+        this._sequentialWindow = 0;
+        /* Fetched without being asked for; the first request they serve saves a round-trip */
+        this._speculative = new Set();
+        /* Changes on every flush()/clear(), background data read across one is dropped */
+        this._writeGeneration = 0;
+        this._resetReadStats();
         /* Lock to ensure _ensureData executes serially */
         this._ensureDataLock = Promise.resolve();
 
+        /* Change history of the pending writes, see undo() */
+        this.historyLimit = 100;
+        this.historyChangedCallback = null;
+        this._historyId = 0;
+        this._openChange = null;
+        this._changeDepth = 0;
+        this._resetHistory();
+
         this.logMessage = (msg) => { };
         this.logDebug = (msg) => { };
         this.logError = (msg) => { };
@@ -270,6 +326,7 @@ class SparseImage {
      * Read data from the sparse image, fetching from device if necessary
      */
     async _ensureData(address, size) {
+        this._lastForeground = Date.now();
         /* Acquire lock to ensure only one _ensureData executes at a time */
         const run = () => this._ensureDataUnlocked(address, size);
         this._ensureDataLock = this._ensureDataLock.then(run, run);
@@ -287,9 +344,16 @@ class SparseImage {
 
         // Clamp size to available data
         size = Math.min(size, this.size - address);
+        this._touchSectors(address, size);
+        this.readStats.requests++;
 
         // If range is already covered by write or read cache, nothing to do
-        if (this._isRangeCoveredAny(address, size)) return;
+        if (this._isRangeCoveredAny(address, size)) {
+            this.readStats.hits++;
+            this._countSaved(address, size);
+            return;
+        }
+        this.readStats.misses++;
 
         // Fill gaps: either by read callback (preferred) or zero-fill if no callback
         let safety = 64;
@@ -305,7 +369,9 @@ class SparseImage {
             }
 
             /* Call the callback; it may return more/less and with its own base address */
-            const res = await this.readDataCallback(gap.start, gap.size);
+            const plan = this._planRead(gap);
+            this.readStats.roundTrips++;
+            const res = await this.readDataCallback(plan.address, plan.size);
             let a = null;
             let d = null;
             if (res instanceof Uint8Array) {
@@ -329,6 +395,9 @@ class SparseImage {
 
             if (d && d.length > 0) {
                 this.readBuffer = this._addSegment(this.readBuffer, a, d);
+                this._markLoaded(a, d.length);
+                this._countFetched(a, d.length, address, address + size);
+                this._lastMissEnd = a + d.length;
                 // loop will re-check coverage
             } else {
                 // No progress possible from callback, avoid infinite loop
@@ -337,9 +406,362 @@ class SparseImage {
 
             this.dataUpdatedCallback && this.dataUpdatedCallback(a, d.length);
         }
+
+        /* The range just asked for stays, even if it alone exceeds the budget */
+        this._enforceMemoryBudget(address, address + size);
+    }
+
+    /**
+     * Range to fetch for a gap: the policy in readAhead may make it longer, up to the next cached data
+     * - 'sequential': a miss right after the previous one doubles the fetch size, up to readAheadMax
+     * - 'hints': a miss inside a hint() region fetches up to readAheadMax of that region
+     * - 'adaptive': both
+     * A custom policy gets {address, size, limit, sequential, hint, maxSize} and returns the bytes to fetch.
+     * @private
+     */
+    _planRead(gap) {
+        let nextCovered = this.size;
+        for (const segment of this.readBuffer.concat(this.writeBuffer)) {
+            if (segment.address > gap.start && segment.address < nextCovered) nextCovered = segment.address;
+        }
+        const request = {
+            address: gap.start,
+            size: gap.size,
+            limit: nextCovered,
+            sequential: this._lastMissEnd >= 0 && gap.start >= this._lastMissEnd && gap.start <= this._lastMissEnd + this.sectorSize,
+            hint: this._hints.find(hint => gap.start >= hint.address && gap.start < hint.end) || null,
+            maxSize: this.readAheadMax
+        };
+
+        let size = gap.size;
+        const policy = this.readAhead;
+        if (policy && typeof policy.plan === 'function') {
+            size = policy.plan(request, this) || gap.size;
+        } else {
+            if ((policy === 'hints' || policy === 'adaptive') && request.hint) {
+                size = Math.max(size, Math.min(this.readAheadMax, request.hint.end - gap.start));
+            }
+            if (policy === 'sequential' || policy === 'adaptive') {
+                this._sequentialWindow = request.sequential
+                    ? Math.min(this.readAheadMax, Math.max(this.sectorSize, this._sequentialWindow * 2))
+                    : 0;
+                size = Math.max(size, this._sequentialWindow);
+            }
+        }
+        return { address: gap.start, size: Math.max(gap.size, Math.min(size, nextCovered - gap.start)) };
+    }
+
+    /**
+     * Announce that a region will be scanned, e.g. a partition a parser walks through; misses inside
+     * it fetch bigger pieces with the 'hints' and 'adaptive' policies
+     */
+    hint(address, size) {
+        const end = Math.min(this.size, address + size);
+        if (end > address && !this._hints.some(hint => hint.address === address && hint.end === end)) {
+            this._hints.push({ address, end });
+        }
     }
 
+    clearHints() {
+        this._hints = [];
+    }
+
+    /**
+     * Read a region later, while nobody asks for data; only with backgroundPrefetch enabled
+     */
+    queuePrefetch(address, size) {
+        if (!this.backgroundPrefetch || !this.readDataCallback) {
+            return;
+        }
+        const end = Math.min(this.size, address + size);
+        if (end > address) {
+            this._prefetchQueue.push({ address, end });
+            this._scheduleBackground();
+        }
+    }
+
+    /**
+     * Drop the queued regions, e.g. before the device goes away; a step already running completes
+     */
+    stopBackgroundPrefetch() {
+        this._prefetchQueue = [];
+        clearTimeout(this._backgroundTimer);
+        this._backgroundTimer = null;
+    }
+
+    /**
+     * Read request statistics since creation or resetReadStats(); readAheadBytes and backgroundBytes count
+     * what was fetched beyond the requested ranges, roundTripsSaved the requests served by such data
+     * @returns {{requests: number, hits: number, misses: number, hitRate: number, roundTrips: number,
+     *            roundTripsSaved: number, bytesFetched: number, readAheadBytes: number, backgroundBytes: number}}
+     */
+    getReadStats() {
+        const stats = { ...this.readStats };
+        stats.hitRate = stats.requests ? stats.hits / stats.requests : 0;
+        return stats;
+    }
+
+    resetReadStats() {
+        this._resetReadStats();
+    }
+
+    _resetReadStats() {
+        this.readStats = { requests: 0, hits: 0, misses: 0, roundTrips: 0, roundTripsSaved: 0, bytesFetched: 0, readAheadBytes: 0, backgroundBytes: 0 };
+        this._speculative.clear();
+    }
+
+    /**
+     * Account fetched data; sectors outside the requested range are speculative
+     * @private
+     */
+    _countFetched(address, length, requestStart, requestEnd, background = false) {
+        const end = address + length;
+        const inside = Math.max(0, Math.min(end, requestEnd) - Math.max(address, requestStart));
+        this.readStats.bytesFetched += length;
+        this.readStats[background ? 'backgroundBytes' : 'readAheadBytes'] += length - inside;
+        for (let sector = Math.ceil(address / this.sectorSize); (sector + 1) * this.sectorSize <= end; sector++) {
+            const start = sector * this.sectorSize;
+            if (start >= requestEnd || start + this.sectorSize <= requestStart) {
+                this._speculative.add(sector);
+            }
+        }
+    }
+
+    /**
+     * A hit on speculative sectors is a round-trip the read-ahead saved
+     * @private
+     */
+    _countSaved(address, size) {
+        let saved = false;
+        const last = Math.floor((address + Math.max(size, 1) - 1) / this.sectorSize);
+        for (let sector = Math.floor(address / this.sectorSize); sector <= last; sector++) {
+            saved = this._speculative.delete(sector) || saved;
+        }
+        if (saved) {
+            this.readStats.roundTripsSaved++;
+        }
+    }
+
+    _scheduleBackground() {
+        if (this._backgroundTimer || !this._prefetchQueue.length) {
+            return;
+        }
+        const wait = Math.max(0, this._lastForeground + this.backgroundIdleMs - Date.now());
+        this._backgroundTimer = setTimeout(() => {
+            this._backgroundTimer = null;
+            this._backgroundStep().catch(error => {
+                /* Device gone or busy: give up on the queue, foreground reads report their own errors */
+                this.logDebug(`Background prefetch stopped: ${error.message}`);
+                this.stopBackgroundPrefetch();
+            });
+        }, wait);
+    }
+
+    /**
+     * Fetch one piece of the first queued region, behind any read that is waiting for the lock
+     * @private
+     */
+    async _backgroundStep() {
+        if (!this.backgroundPrefetch || !this._prefetchQueue.length) {
+            return;
+        }
+        if (Date.now() - this._lastForeground < this.backgroundIdleMs) {
+            this._scheduleBackground();
+            return;
+        }
+        const step = async () => {
+            while (this._prefetchQueue.length) {
+                const region = this._prefetchQueue[0];
+                const gap = this._findFirstGapRange(region.address, region.end - region.address);
+                if (!gap) {
+                    this._prefetchQueue.shift();
+                    continue;
+                }
+                const generation = this._writeGeneration;
+                const size = Math.min(gap.size, this.readAheadMax);
+                this.readStats.roundTrips++;
+                const res = await this.readDataCallback(gap.start, size);
+                const data = res && res.data ? res.data : res;
+                const address = res && res.address !== undefined ? res.address : gap.start;
+                if (!(data instanceof Uint8Array) || !data.length) {
+                    this._prefetchQueue.shift();
+                    continue;
+                }
+                if (generation !== this._writeGeneration) {
+                    /* Flushed or cleared meanwhile, the data may be older than the cache */
+                    return;
+                }
+                this.readBuffer = this._addSegment(this.readBuffer, address, data);
+                this._markLoaded(address, data.length);
+                this._touchSectors(address, data.length);
+                this._countFetched(address, data.length, 0, 0, true);
+                this._enforceMemoryBudget(address, address + data.length);
+                this.dataUpdatedCallback && this.dataUpdatedCallback(address, data.length);
+                return;
+            }
+        };
+        this._ensureDataLock = this._ensureDataLock.then(step, step);
+        await this._ensureDataLock;
+        this._scheduleBackground();
+    }
+
+    /**
+     * Read cache size against the budget
+     * @returns {{cachedBytes: number, pendingBytes: number, evictedBytes: number, budget: number|null}}
+     */
+    getMemoryUsage() {
+        const bytes = (list) => list.reduce((sum, segment) => sum + segment.data.length, 0);
+        return {
+            cachedBytes: bytes(this.readBuffer),
+            pendingBytes: bytes(this.writeBuffer),
+            evictedBytes: this.evictedSectors.size * this.sectorSize,
+            budget: this.memoryBudget
+        };
+    }
+
+    /**
+     * Evicted sectors as merged ranges, e.g. for a memory map
+     * @returns {Array<{address: number, size: number}>}
+     */
+    getEvictedRanges() {
+        const ranges = [];
+        for (const sector of [...this.evictedSectors].sort((a, b) => a - b)) {
+            const address = sector * this.sectorSize;
+            const last = ranges[ranges.length - 1];
+            if (last && last.address + last.size === address) {
+                last.size += this.sectorSize;
+            } else {
+                ranges.push({ address, size: this.sectorSize });
+            }
+        }
+        return ranges;
+    }
+
+    /**
+     * Move the sectors of a range to the most recently used end
+     * @private
+     */
+    _touchSectors(address, size) {
+        const last = Math.floor((address + Math.max(size, 1) - 1) / this.sectorSize);
+        for (let sector = Math.floor(address / this.sectorSize); sector <= last; sector++) {
+            this._sectorUse.delete(sector);
+            this._sectorUse.set(sector, true);
+        }
+    }
+
+    /**
+     * Sectors completely covered by new read cache data are no longer evicted
+     * @private
+     */
+    _markLoaded(address, size) {
+        const end = address + size;
+        for (let sector = Math.ceil(address / this.sectorSize); (sector + 1) * this.sectorSize <= end; sector++) {
+            this.evictedSectors.delete(sector);
+        }
+    }
+
+    /**
+     * Drop least recently used read cache sectors until the cache is 1/8 below memoryBudget, so the next
+     * reads do not evict again right away. Only data the read callback can fetch again is dropped and
+     * sectors with pending writes are never touched.
+     * @param {number} [keepStart] - Range that must stay, usually the one just read
+     * @param {number} [keepEnd]
+     * @returns {number} Bytes evicted
+     * @private
+     */
+    _enforceMemoryBudget(keepStart = 0, keepEnd = 0) {
+        if (this.memoryBudget === null || this.memoryBudget === undefined || !this.readDataCallback) {
+            return 0;
+        }
+        let cached = this.getMemoryUsage().cachedBytes;
+        if (cached <= this.memoryBudget) {
+            return 0;
+        }
+        const target = Math.floor(this.memoryBudget * 7 / 8);
+        const sectorSize = this.sectorSize;
+
+        /* Sectors that came in without a read (e.g. after flush() of another image) count as oldest */
+        const order = [];
+        for (const segment of this.readBuffer) {
+            const end = segment.address + segment.data.length;
+            for (let sector = Math.floor(segment.address / sectorSize); sector * sectorSize < end; sector++) {
+                if (!this._sectorUse.has(sector)) order.push(sector);
+            }
+        }
+        order.push(...this._sectorUse.keys());
+
+        const victims = new Set();
+        for (const sector of order) {
+            if (cached <= target) break;
+            const start = sector * sectorSize;
+            const end = start + sectorSize;
+            if (end > keepStart && start < keepEnd) continue;
+            if (this.writeBuffer.some(w => w.address < end && w.address + w.data.length > start)) continue;
+            let bytes = 0;
+            for (const segment of this.readBuffer) {
+                bytes += Math.max(0, Math.min(end, segment.address + segment.data.length) - Math.max(start, segment.address));
+            }
+            if (bytes > 0 && !victims.has(sector)) {
+                victims.add(sector);
+                cached -= bytes;
+            }
+        }
+        if (!victims.size) {
+            return 0;
+        }
+
+        /* Cut the victims out; the remaining pieces are copied so the big segment buffers can be freed */
+        const kept = [];
+        let evicted = 0;
+        for (const segment of this.readBuffer) {
+            const end = segment.address + segment.data.length;
+            let runStart = segment.address;
+            let cut = false;
+            for (let sector = Math.floor(segment.address / sectorSize); sector * sectorSize < end; sector++) {
+                if (!victims.has(sector)) continue;
+                const cutStart = Math.max(segment.address, sector * sectorSize);
+                const cutEnd = Math.min(end, (sector + 1) * sectorSize);
+                if (cutStart > runStart) {
+                    kept.push({ address: runStart, data: segment.data.slice(runStart - segment.address, cutStart - segment.address) });
+                }
+                evicted += cutEnd - cutStart;
+                runStart = cutEnd;
+                cut = true;
+            }
+            if (!cut) {
+                kept.push(segment);
+            } else if (runStart < end) {
+                kept.push({ address: runStart, data: segment.data.slice(runStart - segment.address) });
+            }
+        }
+        this.readBuffer = kept;
+        for (const sector of victims) {
+            this._sectorUse.delete(sector);
+            this._speculative.delete(sector);
+            this.evictedSectors.add(sector);
+        }
+        this.logDebug(`Memory budget: evicted ${victims.size} sectors (${evicted} bytes)`);
+        return evicted;
+    }
+
+    /**
+     * Change bytes; the change goes to writeBuffer until flush() and is recorded for undo()
+     */
     write(address, data) {
+        if (address < 0 || address >= this.size) {
+            throw new RangeError(`Address ${address} out of bounds [0, ${this.size})`);
+        }
+        const normalized = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.beginChange('Write');
+        try {
+            this._recordRange(address, Math.min(address + normalized.length, this.size));
+            this._write(address, normalized);
+        } finally {
+            this.endChange();
+        }
+    }
+
+    _write(address, data) {
         if (address < 0 || address >= this.size) {
             throw new RangeError(`Address ${address} out of bounds [0, ${this.size})`);
         }
@@ -486,26 +908,7 @@ class SparseImage {
             }
 
             if (identical) {
-                const pruned = [];
-                for (const seg of this.writeBuffer) {
-                    const segStart = seg.address;
-                    const segEnd = seg.address + seg.data.length;
-                    if (segEnd <= sectorStart || segStart >= sectorEnd) {
-                        pruned.push(seg);
-                        continue;
-                    }
-
-                    if (segStart < sectorStart) {
-                        const left = seg.data.slice(0, sectorStart - segStart);
-                        if (left.length) pruned.push({ address: segStart, data: left });
-                    }
-
-                    if (segEnd > sectorEnd) {
-                        const right = seg.data.slice(sectorEnd - segStart);
-                        if (right.length) pruned.push({ address: sectorEnd, data: right });
-                    }
-                }
-                this.writeBuffer = this._mergeSegmentsGeneric(pruned);
+                this._replaceWrites(sectorStart, sectorEnd, []);
             }
         }
 
@@ -528,11 +931,307 @@ class SparseImage {
         const buf = new Uint8Array(len);
         buf.fill(desired);
         // this.logDebug('SparseImage.fill', { start, end, len, desired });
-        this.write(start, buf);
+        this.beginChange(`Fill with 0x${desired.toString(16).toUpperCase().padStart(2, '0')}`);
+        try {
+            this.write(start, buf);
+        } finally {
+            this.endChange();
+        }
+    }
+
+    /**
+     * Group the following writes into one history entry until the matching endChange().
+     * Nested groups belong to the outermost one, whose label is used.
+     * @param {string} label - Shown in the history, e.g. 'NVS: delete wifi.ssid'
+     */
+    beginChange(label) {
+        if (this._changeDepth++ === 0) {
+            this._openChange = { label, pieces: [], ranges: [] };
+        }
+    }
+
+    /**
+     * Close a group started with beginChange(); the outermost one becomes a history entry
+     * unless its writes left the pending data as it was.
+     */
+    endChange() {
+        if (this._changeDepth === 0) {
+            throw new Error('endChange() without beginChange()');
+        }
+        if (--this._changeDepth > 0) {
+            return;
+        }
+        const change = this._openChange;
+        this._openChange = null;
+
+        change.pieces.forEach(piece => {
+            piece.after = this._copyWrites(piece.start, piece.end);
+        });
+        const pieces = change.pieces.filter(piece => !this._sameWrites(piece.before, piece.after));
+        if (pieces.length === 0) {
+            return;
+        }
+
+        this._dropRedo();
+        this.history.push({
+            id: ++this._historyId,
+            label: change.label,
+            time: Date.now(),
+            ranges: this._mergeRanges(change.ranges),
+            pieces
+        });
+        while (this.history.length > this.historyLimit) {
+            this._historyBaseId = this.history.shift().id;
+            this.snapshots = this.snapshots.filter(snapshot => snapshot.afterId >= this._historyBaseId);
+        }
+        this._historyChanged();
     }
 
-    async flush() {
-        if (!this.writeBuffer.length) return;
+    /**
+     * Run fn as one history entry, see beginChange()
+     * @param {string} label
+     * @param {Function} fn - May be async
+     * @returns {Promise<*>} What fn returned
+     */
+    async change(label, fn) {
+        this.beginChange(label);
+        try {
+            return await fn();
+        } finally {
+            this.endChange();
+        }
+    }
+
+    /**
+     * Take back the last change
+     * @returns {Object|null} The entry taken back ({id, label, time, ranges}), null if there is none
+     */
+    undo() {
+        this._checkNoOpenChange();
+        const entry = this.history.pop();
+        if (!entry) {
+            return null;
+        }
+        entry.pieces.forEach(piece => this._replaceWrites(piece.start, piece.end, piece.before));
+        this.redoHistory.push(entry);
+        this._historyChanged();
+        return this._entryInfo(entry, true);
+    }
+
+    /**
+     * Apply the last change taken back by undo() again
+     * @returns {Object|null} The entry applied, null if there is none
+     */
+    redo() {
+        this._checkNoOpenChange();
+        const entry = this.redoHistory.pop();
+        if (!entry) {
+            return null;
+        }
+        entry.pieces.forEach(piece => this._replaceWrites(piece.start, piece.end, piece.after));
+        this.history.push(entry);
+        this._historyChanged();
+        return this._entryInfo(entry, false);
+    }
+
+    /**
+     * Remember the current state under a name, see rollbackTo()
+     * @param {string} name - E.g. 'before NVS wipe'
+     * @returns {Object} {id, name, time}
+     */
+    snapshot(name) {
+        const last = this.history[this.history.length - 1];
+        const snapshot = {
+            id: ++this._historyId,
+            name,
+            time: Date.now(),
+            afterId: last ? last.id : this._historyBaseId
+        };
+        this.snapshots.push(snapshot);
+        this._historyChanged();
+        return { id: snapshot.id, name, time: snapshot.time };
+    }
+
+    /**
+     * Undo (or redo) changes until the pending data is as it was when the snapshot was taken
+     * @param {number|string} snapshot - Snapshot id, or name (the latest snapshot of that name)
+     * @returns {number} Number of entries undone or redone
+     */
+    rollbackTo(snapshot) {
+        this._checkNoOpenChange();
+        const found = typeof snapshot === 'number'
+            ? this.snapshots.find(s => s.id === snapshot)
+            : [...this.snapshots].reverse().find(s => s.name === snapshot);
+        if (!found) {
+            throw new Error(`Snapshot "${snapshot}" not found`);
+        }
+
+        const lastId = () => this.history.length ? this.history[this.history.length - 1].id : this._historyBaseId;
+        let steps = 0;
+        if (this.redoHistory.some(entry => entry.id === found.afterId)) {
+            while (lastId() !== found.afterId) {
+                this.redo();
+                steps++;
+            }
+        } else {
+            while (lastId() !== found.afterId) {
+                if (!this.undo()) {
+                    throw new Error(`Snapshot "${found.name}" is no longer reachable`);
+                }
+                steps++;
+            }
+        }
+        return steps;
+    }
+
+    /**
+     * History for display: applied entries first, then those taken back (undone: true)
+     * @returns {Object} {entries: [{id, label, time, ranges: [{address, size}], undone}], snapshots: [{id, name, time, afterId}],
+     *          canUndo, canRedo}
+     */
+    getHistory() {
+        return {
+            entries: [
+                ...this.history.map(entry => this._entryInfo(entry, false)),
+                ...[...this.redoHistory].reverse().map(entry => this._entryInfo(entry, true))
+            ],
+            snapshots: this.snapshots.map(snapshot => ({ ...snapshot })),
+            canUndo: this.history.length > 0,
+            canRedo: this.redoHistory.length > 0
+        };
+    }
+
+    _entryInfo(entry, undone) {
+        return { id: entry.id, label: entry.label, time: entry.time, ranges: entry.ranges.map(range => ({ ...range })), undone };
+    }
+
+    _resetHistory() {
+        /* Entries hold the writeBuffer contents of the sectors they touched, before and after the change */
+        this.history = [];
+        this.redoHistory = [];
+        this.snapshots = [];
+        this._historyBaseId = this._historyId;
+    }
+
+    _historyChanged() {
+        this.historyChangedCallback && this.historyChangedCallback();
+    }
+
+    _checkNoOpenChange() {
+        if (this._changeDepth > 0) {
+            throw new Error(`Change "${this._openChange.label}" is still being recorded`);
+        }
+    }
+
+    /* A new change after undo() makes the entries taken back, and snapshots on them, unreachable */
+    _dropRedo() {
+        const dropped = new Set(this.redoHistory.map(entry => entry.id));
+        this.redoHistory = [];
+        this.snapshots = this.snapshots.filter(snapshot => !dropped.has(snapshot.afterId));
+    }
+
+    /**
+     * Save the pending writes of the sectors around [start, end) that the open change has not saved yet.
+     * write() only changes writeBuffer within the sectors it touches, so these are enough to take it back.
+     * @private
+     */
+    _recordRange(start, end) {
+        const change = this._openChange;
+        if (!change || end <= start) return;
+        change.ranges.push({ address: start, size: end - start });
+
+        const sectorSize = this.sectorSize;
+        let pos = Math.floor(start / sectorSize) * sectorSize;
+        const stop = Math.min(this.size, Math.ceil(end / sectorSize) * sectorSize);
+        while (pos < stop) {
+            const covering = change.pieces.find(piece => piece.start <= pos && piece.end > pos);
+            if (covering) {
+                pos = covering.end;
+                continue;
+            }
+            let pieceEnd = stop;
+            change.pieces.forEach(piece => {
+                if (piece.start > pos && piece.start < pieceEnd) pieceEnd = piece.start;
+            });
+            change.pieces.push({ start: pos, end: pieceEnd, before: this._copyWrites(pos, pieceEnd), after: null });
+            pos = pieceEnd;
+        }
+    }
+
+    /* Copies of the writeBuffer data within [start, end) */
+    _copyWrites(start, end) {
+        const copies = [];
+        for (const seg of this.writeBuffer) {
+            const s0 = Math.max(start, seg.address);
+            const s1 = Math.min(end, seg.address + seg.data.length);
+            if (s0 < s1) {
+                copies.push({ address: s0, data: seg.data.slice(s0 - seg.address, s1 - seg.address) });
+            }
+        }
+        return copies.sort((a, b) => a.address - b.address);
+    }
+
+    /* Replace the writeBuffer data within [start, end) by (copies of) segments */
+    _replaceWrites(start, end, segments) {
+        const kept = [];
+        for (const seg of this.writeBuffer) {
+            const segStart = seg.address;
+            const segEnd = seg.address + seg.data.length;
+            if (segEnd <= start || segStart >= end) {
+                kept.push(seg);
+                continue;
+            }
+            if (segStart < start) {
+                kept.push({ address: segStart, data: seg.data.slice(0, start - segStart) });
+            }
+            if (segEnd > end) {
+                kept.push({ address: end, data: seg.data.slice(end - segStart) });
+            }
+        }
+        segments.forEach(seg => kept.push({ address: seg.address, data: seg.data.slice() }));
+        this.writeBuffer = this._mergeSegmentsGeneric(kept);
+    }
+
+    _sameWrites(a, b) {
+        if (a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i].address !== b[i].address || a[i].data.length !== b[i].data.length) return false;
+            if (a[i].data.some((byte, j) => byte !== b[i].data[j])) return false;
+        }
+        return true;
+    }
+
+    _mergeRanges(ranges) {
+        const sorted = [...ranges].sort((a, b) => a.address - b.address);
+        const merged = [];
+        for (const range of sorted) {
+            const last = merged[merged.length - 1];
+            if (last && range.address <= last.address + last.size) {
+                last.size = Math.max(last.size, range.address + range.size - last.address);
+            } else {
+                merged.push({ ...range });
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Write pending changes through writeDataCallback/eraseDataCallback
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Checked before every write or erase and passed on to the callbacks as {signal}
+     * @returns {Promise<Object>} {pendingBytes, writtenBytes, skippedBytes, skippedSectors}, also kept in flushStats
+     * @description Sectors that hold the same data as the backing store are skipped: compared with the read
+     *              cache where it covers the sector, otherwise asked from compareDataCallback. If a write fails
+     *              or is aborted, the data written so far moves to the read cache and the rest stays pending,
+     *              so calling flush() again finishes the job.
+     */
+    async flush(options = {}) {
+        const signal = options.signal;
+        this.flushStats = { pendingBytes: 0, writtenBytes: 0, skippedBytes: 0, skippedSectors: 0 };
+        if (!this.writeBuffer.length) return this.flushStats;
+        this._writeGeneration++;
+        if (signal && signal.aborted) throw signal.reason;
+        this.flushStats.pendingBytes = this.writeBuffer.reduce((sum, seg) => sum + seg.data.length, 0);
 
         // Consolidate write segments first (touching/overlapping writes coalesce)
         this._mergeWriteSegments();
@@ -545,22 +1244,181 @@ class SparseImage {
         // Flush to backing store if provided
         if (this.writeDataCallback) {
             // Deterministic order: ascending address
-            const toWrite = [...this.writeBuffer].sort((a, b) => a.address - b.address);
-            for (const segment of toWrite) {
-                await this.writeDataCallback(segment.address, segment.data);
+            const toWrite = await this._skipUnchanged([...this.writeBuffer].sort((a, b) => a.address - b.address), signal);
+            let index = 0;
+            let writtenEnd = 0;
+            try {
+                for (; index < toWrite.length; index++) {
+                    const segment = toWrite[index];
+                    const runs = this.eraseDataCallback
+                        ? this._splitErasedRuns(segment.address, segment.data)
+                        : [{ address: segment.address, data: segment.data, erase: false }];
+                    writtenEnd = segment.address;
+                    for (const run of runs) {
+                        if (signal && signal.aborted) throw signal.reason;
+                        if (run.erase) {
+                            await this.eraseDataCallback(run.address, run.data.length, { signal });
+                        } else {
+                            await this.writeDataCallback(run.address, run.data, { signal });
+                        }
+                        writtenEnd = run.address + run.data.length;
+                        this.flushStats.writtenBytes += run.data.length;
+                    }
+                }
+            } catch (error) {
+                this._writeGeneration++;
+                this._keepUnflushed(toWrite, index, writtenEnd);
+                if (index > 0 || writtenEnd > toWrite[index].address) {
+                    this._resetHistory();
+                    this._historyChanged();
+                }
+                throw error;
             }
         }
 
         // Merge read+write with explicit priority: write data overrides read data
         this.readBuffer = this._mergeReadAndWriteWithPriority(this.readBuffer, this.writeBuffer);
+        this._writeGeneration++;
+        for (const segment of this.writeBuffer) {
+            this._markLoaded(segment.address, segment.data.length);
+            this._touchSectors(segment.address, segment.data.length);
+        }
 
         // Clear pending writes
         this.writeBuffer = [];
+        this._enforceMemoryBudget();
+
+        /* What is on the device cannot be taken back by undo() */
+        this._resetHistory();
+        this._historyChanged();
+        return this.flushStats;
+    }
+
+    /**
+     * Drop the sectors of the flush that the backing store already holds
+     * @param {Array} segments - Pending segments, ascending
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Array>} Segments still to write; unchanged sectors move to the read cache
+     * @private
+     */
+    async _skipUnchanged(segments, signal) {
+        const sectorSize = this.sectorSize;
+        const unchanged = [];
+        const remaining = [];
+
+        const same = async (address, data) => {
+            if (this._isRangeCovered(address, data.length, this.readBuffer)) {
+                const cached = this._materializeReadRange(address, address + data.length);
+                return cached.every((byte, i) => byte === data[i]);
+            }
+            if (!this.compareDataCallback) return false;
+            if (signal && signal.aborted) throw signal.reason;
+            return await this.compareDataCallback(address, data, { signal });
+        };
+
+        for (const segment of segments) {
+            const end = segment.address + segment.data.length;
+            /* One comparison for the whole segment first, e.g. an image imported over the one on flash */
+            if (end - segment.address > sectorSize && await same(segment.address, segment.data)) {
+                unchanged.push(segment);
+                continue;
+            }
+            let runStart = null;
+            for (let pos = segment.address; pos < end;) {
+                const sectorEnd = Math.min(end, (Math.floor(pos / sectorSize) + 1) * sectorSize);
+                const data = segment.data.subarray(pos - segment.address, sectorEnd - segment.address);
+                if (await same(pos, data)) {
+                    unchanged.push({ address: pos, data });
+                    if (runStart !== null) {
+                        remaining.push({ address: runStart, data: segment.data.subarray(runStart - segment.address, pos - segment.address) });
+                        runStart = null;
+                    }
+                } else if (runStart === null) {
+                    runStart = pos;
+                }
+                pos = sectorEnd;
+            }
+            if (runStart !== null) {
+                remaining.push({ address: runStart, data: segment.data.subarray(runStart - segment.address) });
+            }
+        }
+
+        unchanged.forEach(segment => {
+            this.flushStats.skippedBytes += segment.data.length;
+            const end = segment.address + segment.data.length;
+            this.flushStats.skippedSectors += Math.ceil(end / sectorSize) - Math.floor(segment.address / sectorSize);
+        });
+        if (unchanged.length > 0) {
+            this.readBuffer = this._mergeReadAndWriteWithPriority(this.readBuffer, unchanged);
+        }
+        return remaining;
+    }
+
+    /**
+     * After a failed flush: cache what reached the backing store, keep the rest pending
+     * @param {Array} toWrite - Segments of the flush in write order
+     * @param {number} index - Segment that failed
+     * @param {number} writtenEnd - End address of the data of that segment already written
+     * @private
+     */
+    _keepUnflushed(toWrite, index, writtenEnd) {
+        const segment = toWrite[index];
+        const flushed = toWrite.slice(0, index);
+        const offset = writtenEnd - segment.address;
+        if (offset > 0) {
+            flushed.push({ address: segment.address, data: segment.data.slice(0, offset) });
+        }
+        this.readBuffer = this._mergeReadAndWriteWithPriority(this.readBuffer, flushed);
+        this.writeBuffer = [{ address: writtenEnd, data: segment.data.slice(offset) }, ...toWrite.slice(index + 1)];
+    }
+
+    /**
+     * Split a write segment into runs of whole 0xFF sectors (erase) and everything else (write).
+     * Partial sectors at the segment edges are always written.
+     */
+    _splitErasedRuns(address, data) {
+        const sectorSize = this.sectorSize;
+        const end = address + data.length;
+        const runs = [];
+
+        const push = (start, stop, erase) => {
+            const last = runs[runs.length - 1];
+            if (last && last.erase === erase && last.end === start) {
+                last.end = stop;
+            } else {
+                runs.push({ start, end: stop, erase });
+            }
+        };
+
+        let pos = address;
+        while (pos < end) {
+            const sectorStart = Math.floor(pos / sectorSize) * sectorSize;
+            const sectorEnd = Math.min(end, sectorStart + sectorSize);
+            let erased = sectorStart === pos && sectorEnd - sectorStart === sectorSize;
+            for (let i = pos - address; erased && i < sectorEnd - address; i++) {
+                if (data[i] !== 0xFF) erased = false;
+            }
+            push(pos, sectorEnd, erased);
+            pos = sectorEnd;
+        }
+
+        return runs.map(run => ({
+            address: run.start,
+            data: data.subarray(run.start - address, run.end - address),
+            erase: run.erase
+        }));
     }
 
     async clear(){
         this.readBuffer = [];
         this.writeBuffer = [];
+        this.evictedSectors.clear();
+        this._sectorUse.clear();
+        this._speculative.clear();
+        this._lastMissEnd = -1;
+        this._writeGeneration++;
+        this._resetHistory();
+        this._historyChanged();
     }
 
     /**
@@ -883,6 +1741,8 @@ class FATParser {
 
     async parse() {
         const WL_SECTOR_SIZE = 0x1000;
+        /* FAT, directories and the wear-levelling state are spread over the partition */
+        this.sparseImage.hint(this.startOffset, this.size);
         const wlInfo = await this.parseWearLeveling();
         if (wlInfo.error) {
             return { error: wlInfo.error };
@@ -1139,6 +1999,10 @@ class FATParser {
      * 3. Marking the directory entry as deleted (0xE5)
      */
     async deleteFile(fileEntry) {
+        return this.sparseImage.change(`FAT: delete ${fileEntry.path || fileEntry.name}`, () => this._deleteFile(fileEntry));
+    }
+
+    async _deleteFile(fileEntry) {
         const WL_SECTOR_SIZE = 0x1000;
         const fatInfo = this.fatInfo;
         const wlInfo = fatInfo.wearLeveling;
@@ -1240,6 +2104,10 @@ class FATParser {
      * @returns {Object} - Result with success status and details
      */
     async addFile(path, data) {
+        return this.sparseImage.change(`FAT: add ${path}`, () => this._addFile(path, data));
+    }
+
+    async _addFile(path, data) {
         const WL_SECTOR_SIZE = 0x1000;
         const fatInfo = this.fatInfo;
         const wlInfo = fatInfo.wearLeveling;
@@ -2193,6 +3061,8 @@ class NVSParser {
     async parse() {
         const NVS_SECTOR_SIZE = 4096;
         const MAX_ENTRY_COUNT = 126;
+        /* Every page is walked entry by entry */
+        this.sparseImage.hint(this.startOffset, this.size);
         const NVS_PAGE_STATE = {
             UNINIT: 0xFFFFFFFF,
             ACTIVE: 0xFFFFFFFE,
@@ -2357,6 +3227,10 @@ class NVSParser {
      * Add a new namespace entry to NVS
      */
     async addNamespace(namespaceName) {
+        return this.sparseImage.change(`NVS: add namespace ${namespaceName}`, () => this._addNamespace(namespaceName));
+    }
+
+    async _addNamespace(namespaceName) {
         const NVS_SECTOR_SIZE = 4096;
         const MAX_ENTRY_COUNT = 126;
 
@@ -2452,6 +3326,10 @@ class NVSParser {
      * Delete an item by namespace + key, and also delete the vice versa entry (Blob <-> BlobIndex)
      */
     async deleteItem(namespace, key) {
+        return this.sparseImage.change(`NVS: delete ${namespace}.${key}`, () => this._deleteItem(namespace, key));
+    }
+
+    async _deleteItem(namespace, key) {
         const NVS_SECTOR_SIZE = 4096;
         const MAX_ENTRY_COUNT = 126;
         const BLOB_TYPE = 0x42;
@@ -2590,6 +3468,10 @@ class NVSParser {
      * Add an item
      */
     async addItem(namespace, key, type, value) {
+        return this.sparseImage.change(`NVS: add ${namespace}.${key}`, () => this._addItem(namespace, key, type, value));
+    }
+
+    async _addItem(namespace, key, type, value) {
         const NVS_SECTOR_SIZE = 4096;
         const MAX_ENTRY_COUNT = 126;
 
@@ -2879,8 +3761,10 @@ class NVSParser {
      * Convenience: update item by deleting and re-adding
      */
     async updateItem(namespace, key, type, value) {
-        try { await this.deleteItem(namespace, key); } catch (e) { /* ignore if not exists */ }
-        await this.addItem(namespace, key, type, value);
+        await this.sparseImage.change(`NVS: update ${namespace}.${key}`, async () => {
+            try { await this._deleteItem(namespace, key); } catch (e) { /* ignore if not exists */ }
+            await this._addItem(namespace, key, type, value);
+        });
     }
 
     /**
@@ -2991,8 +3875,14 @@ class SparseImageDataView {
     }
 }
 
-class ESP32Parser {
+/*
+ * Events (parser.on(name, detail => ...)):
+ *   progress  {op, addr, done, total, stage} - device reads ('read'), writes ('write') and erases ('erase') of the sparse image
+ *   warning   {message} - e.g. an image that does not fit the connected chip
+ */
+class ESP32Parser extends ParserEventEmitter {
     constructor(input, options = {}) {
+        super();
         /* Options structure:
          * {
          *   readDataCallback: async function(addr, len) -> { address, data }
@@ -3005,9 +3895,14 @@ class ESP32Parser {
          *   postReadBlockCbr: function() -> void
          *   preWriteCommandCbr: function(addr, len) -> void
          *   postWriteCommandCbr: function(addr, len) -> void
-         *   writeBlockCbr: function(offset, total, status) -> void
+         *   writeBlockCbr: function(addr, data, offset, total, status, info) -> void, data is the Uint8Array being written;
+         *       sectors flushed as an erase report data = null, info is {length, erase} for both
          *   preFlushPrepareCbr: function(sparseImage) -> void
          *   postFlushPrepareCbr: function(sparseImage) -> void
+         *   abortSignal: AbortSignal for the device reads/writes issued by the parser (can be replaced later)
+         *   memoryBudget: number, read cache limit in bytes (see SparseImage.memoryBudget)
+         *   readAhead: one of READ_AHEAD_POLICIES or a policy object, default 'none' (see SparseImage.readAhead)
+         *   backgroundPrefetch: boolean, read the partitions the parsers need while idle (see SparseImage.queuePrefetch)
          * }
          */
 
@@ -3025,6 +3920,9 @@ class ESP32Parser {
             postFlushPrepareCbr: options.postFlushPrepareCbr
         };
 
+        /* Device reads and writes stop when this fires; flush({signal}) overrides it for writes */
+        this.abortSignal = options.abortSignal || null;
+
         this.logMessage = options.logMessage || ((msg) => { });
         this.logDebug = options.logDebug || ((msg) => { });
         this.logWarning = options.logWarning || ((msg) => { });
@@ -3039,7 +3937,7 @@ class ESP32Parser {
 
         this.flasher = null;
 
-        if (input instanceof ESPFlasher) {
+        if (ESPFlasherClass && input instanceof ESPFlasherClass) {
             /* ESPFlasher device path */
             this.flasher = input;
             this.sparseImage = new SparseImage(
@@ -3048,6 +3946,8 @@ class ESP32Parser {
                 this._onSparseImageWrite.bind(this),
                 this._onSparseImageFlushPrepare.bind(this)
             );
+            this.sparseImage.eraseDataCallback = this._onSparseImageErase.bind(this);
+            this.sparseImage.compareDataCallback = this._onSparseImageCompare.bind(this);
         } else if (input instanceof SparseImage) {
             /* SparseImage provided directly */
             this.sparseImage = input;
@@ -3064,6 +3964,16 @@ class ESP32Parser {
             throw new Error('Invalid constructor arguments for ESP32Parser. Provide ESPFlasher, Uint8Array/ArrayBuffer, SparseImage, or size with readDataCallback.');
         }
 
+        if (options.memoryBudget) {
+            this.sparseImage.memoryBudget = options.memoryBudget;
+        }
+        if (options.readAhead) {
+            this.sparseImage.readAhead = options.readAhead;
+        }
+        if (options.backgroundPrefetch) {
+            this.sparseImage.backgroundPrefetch = true;
+        }
+
         this.buffer = SparseImage._createProxy(this.sparseImage);
         this.view = this.sparseImage.createDataView();
         this.partitions = [];
@@ -3073,6 +3983,15 @@ class ESP32Parser {
         this.logError = (msg) => { };
     }
 
+    /**
+     * Log a warning and emit it as 'warning' event
+     * @private
+     */
+    _warn(message) {
+        this.logWarning(message);
+        this.emit('warning', { message });
+    }
+
     /**
      * SparseImage read callback for ESPFlasher device
      * Reads flash data from the device, respecting alignment and size constraints
@@ -3104,7 +4023,8 @@ class ESP32Parser {
             this.callbacks.preReadBlockCbr && this.callbacks.preReadBlockCbr();
             const ret = await this.flasher.readFlashPlain(addr, len, (bytesRead, totalBytes) => {
                 this.callbacks.readBlockCbr && this.callbacks.readBlockCbr(addr, len, bytesRead, totalBytes);
-            });
+                this.emit('progress', { op: 'read', addr, done: bytesRead, total: totalBytes, stage: 'reading' });
+            }, { signal: this.abortSignal });
             this.callbacks.postReadBlockCbr && this.callbacks.postReadBlockCbr();
             const chunk = { address: addr, data: ret };
             this.callbacks.postReadCommandCbr && this.callbacks.postReadCommandCbr(addr, len);
@@ -3119,7 +4039,8 @@ class ESP32Parser {
      * SparseImage write callback for ESPFlasher device
      * Writes flash data to the device with alignment validation
      */
-    async _onSparseImageWrite(writeAddr, writeData) {
+    async _onSparseImageWrite(writeAddr, writeData, options = {}) {
+        const signal = options.signal || this.abortSignal;
         this.callbacks.preWriteCommandCbr && this.callbacks.preWriteCommandCbr(writeAddr, writeData.length);
 
         /* Write callback for flushing changes to device */
@@ -3131,8 +4052,12 @@ class ESP32Parser {
         }
         try {
             await this.flasher.writeFlash(writeAddr, writeData, (offset, total, status) => {
-                this.callbacks.writeBlockCbr && this.callbacks.writeBlockCbr(writeAddr, writeData, offset, total, status);
-            });
+                this.callbacks.writeBlockCbr && this.callbacks.writeBlockCbr(writeAddr, writeData, offset, total, status, { length: writeData.length, erase: false });
+                if (status === 'Writing') {
+                    this.emit('progress', { op: 'write', addr: writeAddr, done: offset, total, stage: 'writing' });
+                }
+            }, { signal });
+            this.emit('progress', { op: 'write', addr: writeAddr, done: writeData.length, total: writeData.length, stage: 'verified' });
         } catch (writeError) {
             this.logError('Device write error:', writeError);
             throw writeError;
@@ -3140,12 +4065,67 @@ class ESP32Parser {
         this.callbacks.postWriteCommandCbr && this.callbacks.postWriteCommandCbr(writeAddr, writeData.length);
     }
 
+    /**
+     * SparseImage erase callback for ESPFlasher device
+     * Turns fully erased (0xFF) sectors into ERASE_REGION/ERASE_FLASH instead of data writes
+     */
+    async _onSparseImageErase(eraseAddr, eraseLen, options = {}) {
+        const signal = options.signal || this.abortSignal;
+        if (!this.flasher.stubLoaded) {
+            /* ROM loader has no erase commands, push the 0xFF data instead */
+            return this._onSparseImageWrite(eraseAddr, new Uint8Array(eraseLen).fill(0xFF), { signal });
+        }
+        if (signal && signal.aborted) throw signal.reason;
+
+        this.callbacks.preWriteCommandCbr && this.callbacks.preWriteCommandCbr(eraseAddr, eraseLen);
+
+        const progress = (offset, total, status) => {
+            this.callbacks.writeBlockCbr && this.callbacks.writeBlockCbr(eraseAddr, null, offset, total, status, { length: eraseLen, erase: true });
+            this.emit('progress', { op: 'erase', addr: eraseAddr, done: offset, total, stage: offset < total ? 'erasing' : 'erased' });
+        };
+        try {
+            if (eraseAddr === 0 && eraseLen >= this.flasher.flashSize) {
+                await this.flasher.eraseFlash(progress);
+            } else {
+                await this.flasher.eraseRegion(eraseAddr, eraseLen, progress, { signal });
+            }
+        } catch (eraseError) {
+            this.logError('Device erase error:', eraseError);
+            throw eraseError;
+        }
+        this.callbacks.postWriteCommandCbr && this.callbacks.postWriteCommandCbr(eraseAddr, eraseLen);
+    }
+
+    /**
+     * SparseImage compare callback for ESPFlasher device
+     * Compares the MD5 of the flash region (SPI_FLASH_MD5) with the pending data, so flush() can skip it
+     */
+    async _onSparseImageCompare(address, data, options = {}) {
+        const signal = options.signal || this.abortSignal;
+        if (this._deviceMd5Failed) {
+            return false;
+        }
+        if (signal && signal.aborted) throw signal.reason;
+        try {
+            const md5 = await this.flasher.checksumFlash(address, data.length);
+            const same = md5.toLowerCase() === this.flasher.calculateMD5(data);
+            this.logDebug(`Compare 0x${address.toString(16)}+0x${data.length.toString(16)}: ${same ? 'unchanged, skipped' : 'differs'}`);
+            return same;
+        } catch (error) {
+            /* Write everything rather than fail the flush over a comparison */
+            this._deviceMd5Failed = true;
+            this._warn(`Flash MD5 not available (${error.message}), writing all pending sectors`);
+            return false;
+        }
+    }
+
     /**
      * SparseImage flush prepare callback for ESPFlasher device
      * Consolidates write buffer into 4KB-aligned blocks
      */
     async _onSparseImageFlushPrepare(sparseImage) {
         this.callbacks.preFlushPrepareCbr && this.callbacks.preFlushPrepareCbr();
+        this._deviceMd5Failed = false;
 
         /* Flush prepare callback: combine cached and write data into 0x1000-byte blocks */
         this.logDebug('Flush prepare: consolidating write buffer into 4KB-aligned blocks');
@@ -3506,6 +4486,10 @@ class ESP32Parser {
     /* fixType: 'bootloader', 'ota', or null for both */
     /* otaOffset, otaLength: optional partition info when fixing specific OTA app */
     async fixAllChecksums(fixType = null, otaOffset = null, otaLength = null) {
+        return this.sparseImage.change('Fix checksums', () => this._fixAllChecksums(fixType, otaOffset, otaLength));
+    }
+
+    async _fixAllChecksums(fixType = null, otaOffset = null, otaLength = null) {
         const results = {
             bootloader: null,
             otaApp: null,
@@ -3753,9 +4737,27 @@ class ESP32Parser {
         }
 
         this.partitions = partitions;
+        this._queuePartitionPrefetch(partitions);
         return partitions;
     }
 
+    /**
+     * Queue what the parsers read next for idle time: NVS, otadata and PHY data, and the app image headers
+     * @private
+     */
+    _queuePartitionPrefetch(partitions) {
+        if (!this.sparseImage.backgroundPrefetch) {
+            return;
+        }
+        for (const partition of partitions) {
+            if (partition.type === 0x01 && [0x00, 0x01, 0x02].includes(partition.subType)) {
+                this.sparseImage.queuePrefetch(partition.offset, partition.length);
+            } else if (partition.type === 0x00) {
+                this.sparseImage.queuePrefetch(partition.offset, 0x1000);
+            }
+        }
+    }
+
     // Compute SHA-1 of a partition
     async computePartitionSHA1(partition) {
         const start = partition.offset;
@@ -3958,6 +4960,28 @@ class ESP32Parser {
         return chipNames[chipId] || `Unknown (0x${chipId.toString(16).toUpperCase().padStart(4, '0')})`;
     }
 
+    // Check an image header against the chip info from ESPFlasher.detectChipInfo(), returns warning strings
+    checkImageCompatibility(image, chipInfo) {
+        const warnings = [];
+
+        if (chipInfo.imageChipId !== null && chipInfo.imageChipId !== undefined && image.chipId !== chipInfo.imageChipId) {
+            warnings.push(`built for ${image.chipName}, but the connected chip is ${this.getChipName(chipInfo.imageChipId)}`);
+        }
+
+        const rev = chipInfo.revision;
+        if (rev && image.minChipRevFull !== undefined) {
+            if (rev.full < image.minChipRevFull) {
+                warnings.push(`requires chip revision v${image.minChipRevMajor}.${image.minChipRevMinor} or newer, connected chip is v${rev.major}.${rev.minor}`);
+            }
+            /* 0 and 0xFFFF both mean "no upper limit" */
+            if (image.maxChipRevFull && image.maxChipRevFull !== 0xFFFF && rev.full > image.maxChipRevFull) {
+                warnings.push(`supports chip revisions up to v${image.maxChipRevMajor}.${image.maxChipRevMinor}, connected chip is v${rev.major}.${rev.minor}`);
+            }
+        }
+
+        return warnings;
+    }
+
     // Get SPI flash mode name
     getSpiModeName(mode) {
         const modes = {
@@ -4098,6 +5122,22 @@ class ESP32Parser {
             image.hasHash = false;
         }
 
+        /* Header flash size vs. what the connected flash reports via JEDEC ID */
+        image.spiSizeBytes = spiSize <= 7 ? (0x100000 << spiSize) : null;
+        if (this.flasher && this.flasher.flashId && this.flasher.flashId.sizeBytes && image.spiSizeBytes) {
+            image.deviceFlashSize = this.flasher.flashId.sizeBytes;
+            image.flashSizeMismatch = image.spiSizeBytes !== image.deviceFlashSize;
+            if (image.flashSizeMismatch) {
+                this._warn(`Image at 0x${offset.toString(16)} declares ${image.spiSizeName} flash, but the connected chip has ${image.deviceFlashSize / 0x100000}MB`);
+            }
+        }
+
+        /* Chip type and revision range vs. the connected device */
+        if (this.flasher && this.flasher.chipInfo) {
+            image.compatibilityWarnings = this.checkImageCompatibility(image, this.flasher.chipInfo);
+            image.compatibilityWarnings.forEach(warning => this._warn(`Image at 0x${offset.toString(16)}: ${warning}`));
+        }
+
         let currentOffset = offset + headerSize;
 
         // Parse segments
@@ -4474,4 +5514,5 @@ class ESP32Parser {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ESP32Parser;
     module.exports.SparseImage = SparseImage;
+    module.exports.READ_AHEAD_POLICIES = READ_AHEAD_POLICIES;
 }
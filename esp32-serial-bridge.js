@@ -0,0 +1,605 @@
+#!/usr/bin/env node
+/*
+ * esp32-serial-bridge - expose a local serial port over WebSocket
+ *
+ * Usage:
+ *   node esp32-serial-bridge.js -p /dev/ttyUSB0 --listen 0.0.0.0:8765 --token secret --allow-origin https://viewer.example
+ *
+ * The browser side is WebSocketSerial from flasher.js, e.g. in esp32-viewer.html with
+ *   esp32-viewer.html?bridge=ws://lab-pc:8765/?token=secret
+ * Node scripts and the CLI reach the bridge with openPortByPath('ws://lab-pc:8765/?token=secret').
+ *
+ * Protocol: binary messages carry serial data in both directions. Text messages are JSON requests
+ * {id, type: 'open'|'close'|'setBaudRate'|'setSignals', ...} answered with {id, type: 'result', error?, info?}.
+ * {type: 'closed'} tells the client that the local port went away. One client at a time.
+ *
+ * Browsers send an Origin header that any web page can trigger, so upgrades are only accepted from
+ * allowed origins: pages on localhost unless --allow-origin is given. Origin "null" comes from file:// pages
+ * but also from sandboxed iframes and data: URLs of any site, so it is only accepted with --allow-origin null.
+ * Clients without an Origin header (Node, the CLI) are not browsers and are accepted.
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+/* Magic value from RFC6455 used to derive Sec-WebSocket-Accept */
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODE = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+/* Larger messages are a protocol error, serial data never comes close */
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024;
+
+/**
+ * Build one unfragmented WebSocket frame
+ * @param {number} opcode - One of OPCODE
+ * @param {Buffer} payload
+ * @param {boolean} [mask=false] - Clients must mask their frames, servers must not
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload, mask = false) {
+    const length = payload.length;
+    const lengthBytes = length < 126 ? 0 : (length < 0x10000 ? 2 : 8);
+    const header = Buffer.alloc(2 + lengthBytes + (mask ? 4 : 0));
+
+    header[0] = 0x80 | opcode;
+    header[1] = (mask ? 0x80 : 0) | (lengthBytes === 0 ? length : (lengthBytes === 2 ? 126 : 127));
+    if (lengthBytes === 2) {
+        header.writeUInt16BE(length, 2);
+    } else if (lengthBytes === 8) {
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    if (!mask) {
+        return Buffer.concat([header, payload]);
+    }
+
+    const key = crypto.randomBytes(4);
+    key.copy(header, 2 + lengthBytes);
+    const masked = Buffer.alloc(length);
+    for (let i = 0; i < length; i++) {
+        masked[i] = payload[i] ^ key[i & 3];
+    }
+    return Buffer.concat([header, masked]);
+}
+
+/**
+ * WebSocket framing on an upgraded socket, used by both the bridge and NodeWebSocket
+ * Emits 'message' (Buffer, isBinary) and 'close' (code, reason).
+ */
+class WebSocketConnection extends EventEmitter {
+    /**
+     * @param {net.Socket} socket - Socket after the HTTP upgrade
+     * @param {Object} [options]
+     * @param {boolean} [options.mask=false] - Mask outgoing frames (client side)
+     * @param {Buffer} [options.head] - Bytes that arrived together with the upgrade
+     */
+    constructor(socket, { mask = false, head = null } = {}) {
+        super();
+        this.socket = socket;
+        this.mask = mask;
+        this.closed = false;
+        this._buffer = Buffer.alloc(0);
+        this._fragments = [];
+        this._fragmentOpcode = null;
+        this._closeSent = false;
+
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this._onData(chunk));
+        socket.on('error', () => { /* 'close' follows */ });
+        socket.on('close', () => this._onClose(1006, ''));
+        if (head && head.length) {
+            this._onData(head);
+        }
+    }
+
+    /**
+     * Send a text (string) or binary (Buffer, ArrayBuffer, typed array) message
+     */
+    send(data) {
+        if (this.closed || this._closeSent) return;
+        if (typeof data === 'string') {
+            this.socket.write(encodeFrame(OPCODE.TEXT, Buffer.from(data, 'utf-8'), this.mask));
+        } else {
+            const payload = ArrayBuffer.isView(data)
+                ? Buffer.from(data.buffer, data.byteOffset, data.byteLength)
+                : Buffer.from(data);
+            this.socket.write(encodeFrame(OPCODE.BINARY, payload, this.mask));
+        }
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.closed || this._closeSent) return;
+        this._closeSent = true;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.socket.write(encodeFrame(OPCODE.CLOSE, payload, this.mask));
+        /* Do not wait forever for the peer's close frame */
+        setTimeout(() => this.socket.destroy(), 1000).unref();
+    }
+
+    _onData(chunk) {
+        this._buffer = this._buffer.length ? Buffer.concat([this._buffer, chunk]) : chunk;
+
+        while (this._buffer.length >= 2) {
+            const fin = (this._buffer[0] & 0x80) !== 0;
+            const opcode = this._buffer[0] & 0x0F;
+            const masked = (this._buffer[1] & 0x80) !== 0;
+            let length = this._buffer[1] & 0x7F;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this._buffer.length < 4) return;
+                length = this._buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this._buffer.length < 10) return;
+                length = Number(this._buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if (length > MAX_MESSAGE_SIZE) {
+                this.close(1009, 'Message too big');
+                this._buffer = Buffer.alloc(0);
+                return;
+            }
+
+            const keyOffset = offset;
+            if (masked) offset += 4;
+            if (this._buffer.length < offset + length) return;
+
+            const payload = Buffer.from(this._buffer.subarray(offset, offset + length));
+            if (masked) {
+                for (let i = 0; i < length; i++) {
+                    payload[i] ^= this._buffer[keyOffset + (i & 3)];
+                }
+            }
+            this._buffer = this._buffer.subarray(offset + length);
+            this._onFrame(fin, opcode, payload);
+        }
+    }
+
+    _onFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OPCODE.PING:
+                if (!this._closeSent) this.socket.write(encodeFrame(OPCODE.PONG, payload, this.mask));
+                return;
+
+            case OPCODE.PONG:
+                return;
+
+            case OPCODE.CLOSE: {
+                const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+                if (!this._closeSent) {
+                    this._closeSent = true;
+                    this.socket.write(encodeFrame(OPCODE.CLOSE, payload.subarray(0, 2), this.mask));
+                }
+                this.socket.end();
+                this._onClose(code, payload.subarray(2).toString('utf-8'));
+                return;
+            }
+
+            case OPCODE.TEXT:
+            case OPCODE.BINARY:
+                this._fragmentOpcode = opcode;
+                this._fragments = [payload];
+                break;
+
+            case OPCODE.CONTINUATION:
+                if (this._fragmentOpcode === null) return;
+                this._fragments.push(payload);
+                break;
+
+            default:
+                this.close(1002, 'Unknown opcode');
+                return;
+        }
+
+        if (fin) {
+            const message = Buffer.concat(this._fragments);
+            const isBinary = this._fragmentOpcode === OPCODE.BINARY;
+            this._fragments = [];
+            this._fragmentOpcode = null;
+            this.emit('message', message, isBinary);
+        }
+    }
+
+    _onClose(code, reason) {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close', code, reason);
+    }
+}
+
+/**
+ * Minimal WebSocket client with the browser API that WebSocketSerial uses
+ * (binaryType 'arraybuffer', onopen/onmessage/onerror/onclose, send, close, readyState).
+ */
+class NodeWebSocket {
+    constructor(url) {
+        this.url = url;
+        this.binaryType = 'arraybuffer';
+        this.readyState = NodeWebSocket.CONNECTING;
+        this.onopen = null;
+        this.onmessage = null;
+        this.onerror = null;
+        this.onclose = null;
+        this._connection = null;
+
+        const target = new URL(url);
+        const key = crypto.randomBytes(16).toString('base64');
+        const request = (target.protocol === 'wss:' ? https : http).request({
+            host: target.hostname.replace(/^\[(.*)\]$/, '$1'),
+            port: target.port || (target.protocol === 'wss:' ? 443 : 80),
+            path: target.pathname + target.search,
+            headers: {
+                'Connection': 'Upgrade',
+                'Upgrade': 'websocket',
+                'Sec-WebSocket-Key': key,
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+
+        request.on('upgrade', (response, socket, head) => {
+            const expected = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+            if (response.headers['sec-websocket-accept'] !== expected) {
+                socket.destroy();
+                this._fail('Invalid Sec-WebSocket-Accept from server');
+                return;
+            }
+
+            this._connection = new WebSocketConnection(socket, { mask: true, head });
+            this._connection.on('message', (data, isBinary) => {
+                const value = isBinary ? data.buffer.slice(data.byteOffset, data.byteOffset + data.length) : data.toString('utf-8');
+                this.onmessage && this.onmessage({ data: value });
+            });
+            this._connection.on('close', (code, reason) => {
+                this.readyState = NodeWebSocket.CLOSED;
+                this.onclose && this.onclose({ code, reason });
+            });
+            this.readyState = NodeWebSocket.OPEN;
+            this.onopen && this.onopen({});
+        });
+
+        request.on('response', (response) => {
+            response.resume();
+            this._fail(`Unexpected server response: ${response.statusCode}`);
+        });
+        request.on('error', (error) => this._fail(error.message));
+        request.end();
+    }
+
+    send(data) {
+        if (this.readyState !== NodeWebSocket.OPEN) {
+            throw new Error('WebSocket is not open');
+        }
+        this._connection.send(data);
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.readyState !== NodeWebSocket.OPEN) return;
+        this.readyState = NodeWebSocket.CLOSING;
+        this._connection.close(code, reason);
+    }
+
+    _fail(message) {
+        if (this.readyState === NodeWebSocket.CLOSED) return;
+        this.readyState = NodeWebSocket.CLOSED;
+        this.onerror && this.onerror({ message });
+        this.onclose && this.onclose({ code: 1006, reason: message });
+    }
+}
+
+NodeWebSocket.CONNECTING = 0;
+NodeWebSocket.OPEN = 1;
+NodeWebSocket.CLOSING = 2;
+NodeWebSocket.CLOSED = 3;
+
+/**
+ * WebSocket server that hands one client at a time a local serial port
+ */
+class SerialBridge {
+    /**
+     * @param {Object} options
+     * @param {string} options.portPath - Serial port to expose, e.g. /dev/ttyUSB0
+     * @param {string} [options.token] - Shared secret clients must pass as ?token=
+     * @param {string[]} [options.allowOrigins] - Browser origins allowed to connect, e.g. 'https://viewer.example' or '*';
+     *        'null' for file:// pages; defaults to localhost pages
+     * @param {Function} [options.createPort] - (portPath) => unopened port object, defaults to createNodePort()
+     * @param {Function} [options.log] - Status messages
+     */
+    constructor({ portPath, token = null, allowOrigins = null, createPort = null, log = () => { } }) {
+        this.portPath = portPath;
+        this.token = token;
+        this.allowOrigins = allowOrigins;
+        this.createPort = createPort || ((portPath) => require('./flasher-nodejs.js').createNodePort(portPath));
+        this.log = log;
+        this.server = null;
+        this.client = null;
+    }
+
+    /**
+     * Start listening
+     * @param {number} [port=8765]
+     * @param {string} [host='localhost'] - Use 0.0.0.0 to accept remote clients
+     * @returns {Promise<{host: string, port: number}>} Bound address
+     */
+    async listen(port = 8765, host = 'localhost') {
+        this.server = http.createServer((request, response) => {
+            response.writeHead(426, { 'Content-Type': 'text/plain' });
+            response.end('esp32-serial-bridge: connect with a WebSocket client\n');
+        });
+        this.server.on('upgrade', (request, socket, head) => this._onUpgrade(request, socket, head));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, resolve);
+        });
+        const address = this.server.address();
+        return { host: address.address, port: address.port };
+    }
+
+    /**
+     * Disconnect the client, release the serial port and stop listening
+     */
+    async close() {
+        if (this.client) {
+            this.client.connection.close(1001, 'Bridge shutting down');
+            await this._releasePort(this.client);
+            this.client.connection.socket.destroy();
+        }
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    _originAllowed(origin) {
+        if (this.allowOrigins) {
+            return this.allowOrigins.includes('*') || this.allowOrigins.includes(origin);
+        }
+        try {
+            return /^(localhost|127\.\d+\.\d+\.\d+|\[::1\])$/.test(new URL(origin).hostname);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /* Compares digests of equal length in constant time, so the reply time does not tell how much of a guess was right */
+    _tokenMatches(token) {
+        const expected = crypto.createHash('sha256').update(String(this.token)).digest();
+        const given = crypto.createHash('sha256').update(String(token ?? '')).digest();
+        return crypto.timingSafeEqual(expected, given);
+    }
+
+    _onUpgrade(request, socket, head) {
+        const reject = (status, text) => {
+            socket.end(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\n\r\n`);
+        };
+
+        const url = new URL(request.url, 'ws://bridge');
+        const key = request.headers['sec-websocket-key'];
+        if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            reject(400, 'Bad Request');
+            return;
+        }
+        const origin = request.headers.origin;
+        if (origin !== undefined && !this._originAllowed(origin)) {
+            this.log(`Rejected client ${socket.remoteAddress}: origin ${origin} not allowed`);
+            reject(403, 'Forbidden');
+            return;
+        }
+        if (this.token && !this._tokenMatches(url.searchParams.get('token'))) {
+            this.log(`Rejected client ${socket.remoteAddress}: wrong token`);
+            reject(401, 'Unauthorized');
+            return;
+        }
+        if (this.client) {
+            this.log(`Rejected client ${socket.remoteAddress}: ${this.portPath} is in use`);
+            reject(409, 'Conflict');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+            'Upgrade: websocket\r\n' +
+            'Connection: Upgrade\r\n' +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+        const client = {
+            connection: new WebSocketConnection(socket, { head }),
+            address: socket.remoteAddress,
+            port: null,
+            writer: null,
+            writeChain: Promise.resolve()
+        };
+        this.client = client;
+        this.log(`Client ${client.address} connected`);
+
+        client.connection.on('message', (data, isBinary) => {
+            if (isBinary) {
+                this._writeSerial(client, data);
+            } else {
+                this._onRequest(client, data.toString('utf-8'));
+            }
+        });
+        client.connection.on('close', async () => {
+            this.log(`Client ${client.address} disconnected`);
+            await this._releasePort(client);
+            if (this.client === client) {
+                this.client = null;
+            }
+        });
+    }
+
+    async _onRequest(client, text) {
+        let request;
+        try {
+            request = JSON.parse(text);
+        } catch (e) {
+            return;
+        }
+
+        const reply = (result) => client.connection.send(JSON.stringify({ id: request.id, type: 'result', ...result }));
+        try {
+            switch (request.type) {
+                case 'open':
+                    await this._openPort(client, request.baudRate);
+                    reply({ info: client.port.getInfo() });
+                    break;
+
+                case 'close':
+                    await this._releasePort(client);
+                    reply({});
+                    break;
+
+                case 'setBaudRate':
+                    if (!client.port) throw new Error('Port is not open');
+                    await client.port.setBaudRate(request.baudRate);
+                    reply({});
+                    break;
+
+                case 'setSignals':
+                    if (!client.port) throw new Error('Port is not open');
+                    /* Serialize with pending writes so a reset lands after the data sent before it */
+                    await client.writeChain;
+                    await client.port.setSignals({
+                        dataTerminalReady: request.dataTerminalReady,
+                        requestToSend: request.requestToSend
+                    });
+                    reply({});
+                    break;
+
+                default:
+                    throw new Error(`Unknown request '${request.type}'`);
+            }
+        } catch (error) {
+            reply({ error: error.message || String(error) });
+        }
+    }
+
+    async _openPort(client, baudRate) {
+        await this._releasePort(client);
+
+        const port = this.createPort(this.portPath);
+        await port.open({ baudRate: baudRate || 115200 });
+        client.port = port;
+        client.writer = port.writable.getWriter();
+        this.log(`Opened ${this.portPath} at ${baudRate || 115200} baud`);
+
+        const reader = port.readable.getReader();
+        client.reader = reader;
+        const pump = async () => {
+            try {
+                for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+                    client.connection.send(chunk.value);
+                }
+            } catch (e) {
+                /* Read errors end the session like a closed port */
+            }
+            if (client.port === port) {
+                /* The port went away while the client was still using it */
+                this.log(`${this.portPath} closed`);
+                client.port = null;
+                client.connection.send(JSON.stringify({ type: 'closed' }));
+            }
+        };
+        pump();
+    }
+
+    _writeSerial(client, data) {
+        const writer = client.writer;
+        if (!writer) return;
+        client.writeChain = client.writeChain
+            .then(() => writer.write(new Uint8Array(data)))
+            .catch(() => { /* Write errors surface as protocol timeouts on the client */ });
+    }
+
+    async _releasePort(client) {
+        const port = client.port;
+        if (!port) return;
+        client.port = null;
+        client.writer = null;
+        try {
+            await client.writeChain;
+            if (client.reader) await client.reader.cancel();
+            await port.close();
+        } catch (e) {
+            /* Port may already be gone */
+        }
+        client.reader = null;
+        this.log(`Released ${this.portPath}`);
+    }
+}
+
+/* Command line */
+async function main(argv) {
+    const options = { listen: 'localhost:8765', token: null, port: null, allowOrigins: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-p' || arg === '--port') options.port = argv[++i];
+        else if (arg === '-l' || arg === '--listen') options.listen = argv[++i];
+        else if (arg === '-t' || arg === '--token') options.token = argv[++i];
+        else if (arg === '-o' || arg === '--allow-origin') (options.allowOrigins = options.allowOrigins || []).push(argv[++i]);
+        else if (arg === '-h' || arg === '--help') options.help = true;
+        else throw new Error(`Unknown option ${arg}`);
+    }
+
+    if (options.help || !options.port) {
+        console.log('Usage: node esp32-serial-bridge.js -p <serial port> [--listen host:port] [--token secret] [--allow-origin origin]');
+        console.log('');
+        console.log('  -p, --port     Serial port to expose, e.g. /dev/ttyUSB0');
+        console.log('  -l, --listen   Address to listen on (default localhost:8765, 0.0.0.0:8765 for remote clients)');
+        console.log('  -t, --token    Shared secret, clients connect to ws://host:port/?token=<secret>');
+        console.log('  -o, --allow-origin  Web page origin allowed to connect, e.g. https://viewer.example, repeatable, * for any');
+        console.log('                 (default: pages on localhost; null allows file:// pages, and any page that sends null)');
+        return options.help ? 0 : 2;
+    }
+
+    const split = options.listen.lastIndexOf(':');
+    const host = split > 0 ? options.listen.slice(0, split) : 'localhost';
+    const port = parseInt(split >= 0 ? options.listen.slice(split + 1) : options.listen, 10);
+
+    const bridge = new SerialBridge({
+        portPath: options.port,
+        token: options.token,
+        allowOrigins: options.allowOrigins,
+        log: (message) => console.log(`[bridge] ${message}`)
+    });
+    const address = await bridge.listen(port, host);
+    if (!options.token && !/^(localhost|127\.|::1$)/.test(host)) {
+        console.warn('[bridge] Warning: listening on a network interface without --token, anyone who can reach it can flash the device');
+    }
+    console.log(`[bridge] Serving ${options.port} on ws://${host}:${address.port}/${options.token ? '?token=' + options.token : ''}`);
+
+    await new Promise(resolve => process.once('SIGINT', resolve));
+    await bridge.close();
+    return 0;
+}
+
+/* Export */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SerialBridge,
+        NodeWebSocket,
+        WebSocketConnection,
+        encodeFrame,
+        OPCODE
+    };
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => process.exit(code), (error) => {
+        console.error(`[bridge] ${error.message || error}`);
+        process.exit(1);
+    });
+}
@@ -10,6 +10,8 @@
  *   node flasher-example-nodejs.js /dev/ttyUSB0 info
  *   node flasher-example-nodejs.js COM3 read 0x0 0x1000
  *   node flasher-example-nodejs.js /dev/ttyUSB0 write firmware.bin 0x10000
+ *
+ * For the full command line tool (exit codes, --json, partitions, NVS, FAT) see esp32-flasher.js
  */
 
 const fs = require('fs');
@@ -0,0 +1,269 @@
+/*
+ * Batch flashing: the same job on several ESP devices at once
+ * Each device gets its own ESPFlasher and runs connect -> stub -> write -> verify -> reset.
+ * A failing device is marked failed and the others carry on.
+ *
+ * Works in the browser (flasher.html, Web Serial ports) and in Node.js (esp32-flasher.js batch-write).
+ *
+ * Usage:
+ *   const batch = new BatchFlasher({
+ *       images: [{ address: 0x0, data: bootloader, name: 'bootloader.bin' }, { address: 0x10000, data: app, name: 'app.bin' }],
+ *       createFlasher: async (device, flasherOptions) => {
+ *           const flasher = new ESPFlasher(flasherOptions);
+ *           await flasher.openPortWithPort(device.port);
+ *           return flasher;
+ *       },
+ *       onUpdate: (device) => render(device)
+ *   });
+ *   const report = await batch.run([{ id: 'hub-1', port: port1 }, { id: 'hub-2', port: port2 }]);
+ *   report.devices['24:0a:c4:00:00:01'].status    // 'done' or 'failed'
+ */
+
+/* VerifyError from flasher.js, a global in the browser */
+const BatchVerifyError = typeof VerifyError !== 'undefined'
+    ? VerifyError
+    : (typeof require !== 'undefined' ? require('./flasher.js').VerifyError : Error);
+
+/* Stages of a device job in the order they run; 'done' and 'failed' are final */
+const BATCH_STAGES = ['pending', 'connecting', 'stub', 'writing', 'verifying', 'resetting', 'done', 'failed'];
+
+class BatchFlasher {
+    /**
+     * @param {Object} options
+     * @param {Array<Object>} options.images - {address, data: Uint8Array, name?}, written in this order
+     * @param {Function} options.createFlasher - async (device, flasherOptions) => ESPFlasher with its port opened;
+     *                                           flasherOptions routes the flasher's logging into the device log
+     * @param {number} [options.baudRate] - Switch to this baud rate once the stub runs
+     * @param {boolean} [options.useStub=true] - Load the stub loader (faster, compressed writes)
+     * @param {boolean} [options.resetAfter=true] - Reset into the application when done
+     * @param {number} [options.concurrency=Infinity] - Devices worked on at the same time, e.g. for hubs with a power budget
+     * @param {boolean} [options.debug=false] - Also keep the flasher's debug output in the device logs
+     * @param {Function} [options.onUpdate] - Called with the device state on every status or progress change
+     * @param {Function} [options.onLog] - Called with (device, entry) for every log entry
+     */
+    constructor(options = {}) {
+        if (!options.images || options.images.length === 0) {
+            throw new Error('No images to flash');
+        }
+        if (typeof options.createFlasher !== 'function') {
+            throw new Error('createFlasher is required');
+        }
+
+        this.images = options.images.map((image, index) => ({
+            name: image.name || `image${index}`,
+            address: image.address,
+            data: image.data,
+            md5: null
+        }));
+        this.createFlasher = options.createFlasher;
+        this.baudRate = options.baudRate || null;
+        this.useStub = options.useStub !== false;
+        this.resetAfter = options.resetAfter !== false;
+        this.concurrency = options.concurrency || Infinity;
+        this.debug = options.debug || false;
+        this.onUpdate = options.onUpdate || (() => { });
+        this.onLog = options.onLog || (() => { });
+
+        this.devices = [];
+        this.startedAt = null;
+        this.finishedAt = null;
+    }
+
+    /**
+     * Flash all devices
+     * @param {Array<Object>} devices - {id, ...}; passed to createFlasher() as given, id names the device in logs
+     * @returns {Promise<Object>} Report, see report()
+     */
+    async run(devices) {
+        if (this.startedAt && !this.finishedAt) {
+            throw new Error('Batch is already running');
+        }
+
+        this.devices = devices.map(source => ({
+            id: String(source.id),
+            source,
+            status: 'pending',
+            stage: '',
+            progress: 0,
+            chip: null,
+            mac: null,
+            images: [],
+            error: null,
+            log: [],
+            startedAt: null,
+            finishedAt: null
+        }));
+        this.devices.forEach(device => this.onUpdate(device));
+        this.startedAt = Date.now();
+        this.finishedAt = null;
+
+        const queue = [...this.devices];
+        const worker = async () => {
+            while (queue.length > 0) {
+                await this._flashDevice(queue.shift());
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, worker));
+
+        this.finishedAt = Date.now();
+        return this.report();
+    }
+
+    /**
+     * Summary of the last run, devices keyed by MAC address
+     * @returns {Object} {startedAt, finishedAt, images: [{name, address, size, md5}], total, succeeded, failed,
+     *          devices: {mac: {id, chip, status, error, durationMs, images}},
+     *          unidentified: [...] (devices that failed before their MAC was read)}
+     */
+    report() {
+        const report = {
+            startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+            finishedAt: this.finishedAt ? new Date(this.finishedAt).toISOString() : null,
+            images: this.images.map(image => ({ name: image.name, address: image.address, size: image.data.length, md5: image.md5 })),
+            total: this.devices.length,
+            succeeded: this.devices.filter(device => device.status === 'done').length,
+            failed: this.devices.filter(device => device.status === 'failed').length,
+            devices: {},
+            unidentified: []
+        };
+
+        this.devices.forEach(device => {
+            const entry = {
+                id: device.id,
+                chip: device.chip,
+                status: device.status,
+                error: device.error,
+                durationMs: device.startedAt ? (device.finishedAt || Date.now()) - device.startedAt : null,
+                images: device.images
+            };
+            if (device.mac) {
+                report.devices[device.mac] = entry;
+            } else {
+                report.unidentified.push(entry);
+            }
+        });
+        return report;
+    }
+
+    /**
+     * Log of one device as text, one line per entry
+     * @param {Object} device - Entry of this.devices
+     * @returns {string}
+     */
+    static formatLog(device) {
+        return device.log.map(entry => `${new Date(entry.time).toISOString()} ${entry.level.toUpperCase().padEnd(5)} ${entry.message}\n`).join('');
+    }
+
+    async _flashDevice(device) {
+        let flasher = null;
+        device.startedAt = Date.now();
+
+        try {
+            this._setStatus(device, 'connecting', 'Opening port');
+            flasher = await this.createFlasher(device.source, this._flasherOptions(device));
+            try {
+                await flasher.hardReset(true);
+            } catch (error) {
+                /* Adapters without DTR/RTS, the chip may already be in download mode */
+            }
+            await flasher.sync();
+            await flasher.detectChipInfo();
+            device.chip = flasher.current_chip;
+            device.mac = await flasher.readMac();
+            this._log(device, 'info', `Connected to ${device.chip}, MAC ${device.mac}`);
+
+            if (this.useStub) {
+                this._setStatus(device, 'stub', 'Loading stub');
+                if (!(await flasher.downloadStub())) {
+                    throw new Error('Stub loader did not start');
+                }
+            } else {
+                await flasher.readFlashId();
+            }
+            if (this.baudRate && this.baudRate !== flasher.currentBaudRate) {
+                if (!(await flasher.changeBaudRate(this.baudRate))) {
+                    throw new Error(`Could not switch to ${this.baudRate} baud`);
+                }
+            }
+
+            const totalBytes = this.images.reduce((sum, image) => sum + image.data.length, 0);
+            let doneBytes = 0;
+            for (const image of this.images) {
+                this._setStatus(device, 'writing', image.name);
+                this._log(device, 'info', `Writing ${image.name}, ${image.data.length} bytes at 0x${image.address.toString(16)}`);
+                const result = await flasher.writeFlash(image.address, image.data, (offset) => {
+                    this._setProgress(device, (doneBytes + offset) / totalBytes);
+                });
+                image.md5 = result.md5;
+                device.images.push({ name: image.name, address: image.address, size: image.data.length, md5: result.md5, verified: false });
+                doneBytes += image.data.length;
+            }
+
+            /* writeFlash() checked every image right after writing it; checking again catches images overwriting each other */
+            this._setStatus(device, 'verifying', 'Comparing MD5');
+            for (const entry of device.images) {
+                const md5 = await flasher.checksumFlash(entry.address, entry.size);
+                if (md5.toLowerCase() !== entry.md5) {
+                    throw new BatchVerifyError(`MD5 mismatch for ${entry.name}: expected ${entry.md5}, flash has ${md5}`, { expected: entry.md5, actual: md5 });
+                }
+                entry.verified = true;
+            }
+
+            if (this.resetAfter) {
+                this._setStatus(device, 'resetting', 'Starting application');
+                await flasher.hardReset(false);
+            }
+
+            device.finishedAt = Date.now();
+            this._setStatus(device, 'done', `Finished in ${((device.finishedAt - device.startedAt) / 1000).toFixed(1)} s`);
+        } catch (error) {
+            device.error = error.message || String(error);
+            device.finishedAt = Date.now();
+            this._setStatus(device, 'failed', device.error);
+        } finally {
+            if (flasher) {
+                try {
+                    await flasher.disconnect();
+                } catch (error) {
+                    /* Port already gone */
+                }
+            }
+        }
+    }
+
+    _flasherOptions(device) {
+        const forward = (level) => (...args) => this._log(device, level, args.join(' '));
+        return {
+            logMessage: forward('info'),
+            logWarning: forward('warn'),
+            logError: forward('error'),
+            logDebug: this.debug ? forward('debug') : () => { }
+        };
+    }
+
+    _log(device, level, message) {
+        const entry = { time: Date.now(), level, message };
+        device.log.push(entry);
+        this.onLog(device, entry);
+    }
+
+    _setStatus(device, status, stage) {
+        device.status = status;
+        device.stage = stage;
+        if (status === 'done') {
+            device.progress = 1;
+        }
+        this._log(device, status === 'failed' ? 'error' : 'info', `${status}: ${stage}`);
+        this.onUpdate(device);
+    }
+
+    _setProgress(device, progress) {
+        device.progress = progress;
+        this.onUpdate(device);
+    }
+}
+
+/* Export */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BatchFlasher, BATCH_STAGES };
+}
@@ -0,0 +1,164 @@
+/*
+ * Serial port discovery for Node.js on Linux
+ * Reads the USB attributes behind /sys/class/tty/* and matches them against the adapter list
+ * WebUSBSerial.requestPort() uses (USB_SERIAL_ADAPTERS in flasher.js).
+ *
+ * Usage:
+ *   const { listSerialPorts, findSerialPorts } = require('./flasher-discovery.js');
+ *   listSerialPorts();                          // every USB serial port with VID/PID/serial/...
+ *   findSerialPorts({ serial: 'ABC123' });      // ports of one board
+ *   findSerialPorts({ vid: '303a' });           // all native USB-JTAG/OTG boards
+ *   findSerialPorts({});                        // all ports on known ESP adapters
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { describeUsbSerialAdapter } = require('./flasher.js');
+
+/* What each adapter kind says about the chip behind it */
+const KIND_HINTS = {
+    usb_jtag: 'native USB-Serial/JTAG (ESP32-C3/C5/C6/H2/S3/P4)',
+    usb_otg: 'native USB-OTG CDC (ESP32-S2/S3)',
+    uart_bridge: 'USB-UART bridge, any ESP32'
+};
+
+function readAttribute(dir, name) {
+    try {
+        return fs.readFileSync(path.join(dir, name), 'utf8').trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Parse a USB ID given as hex, with or without 0x
+ * @param {string|number} value - e.g. '303a', '0x303A' or 0x303A
+ * @returns {number|null}
+ */
+function parseUsbId(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    const match = /^(0x)?([0-9a-f]{1,4})$/i.exec(String(value || '').trim());
+    return match ? parseInt(match[2], 16) : null;
+}
+
+/**
+ * Describe one tty from sysfs, null for ttys without a USB device behind them
+ * @private
+ */
+function readUsbTty(classDir, name, devRoot) {
+    let dir;
+    try {
+        dir = fs.realpathSync(path.join(classDir, name, 'device'));
+    } catch (error) {
+        /* Virtual consoles and ptys have no device link */
+        return null;
+    }
+
+    /* ttyACM links to the USB interface, ttyUSB to a usb-serial port below it; the USB device is further up */
+    let interfaceDir = null;
+    while (dir !== path.dirname(dir)) {
+        if (!interfaceDir && fs.existsSync(path.join(dir, 'bInterfaceNumber'))) {
+            interfaceDir = dir;
+        }
+        if (fs.existsSync(path.join(dir, 'idVendor'))) {
+            break;
+        }
+        dir = path.dirname(dir);
+    }
+    if (dir === path.dirname(dir)) {
+        return null;
+    }
+
+    const vendorId = parseUsbId(readAttribute(dir, 'idVendor'));
+    const productId = parseUsbId(readAttribute(dir, 'idProduct'));
+    const adapter = describeUsbSerialAdapter(vendorId, productId);
+    const interfaceNumber = interfaceDir ? parseInt(readAttribute(interfaceDir, 'bInterfaceNumber'), 16) : null;
+
+    return {
+        path: path.join(devRoot, name),
+        name,
+        vendorId,
+        productId,
+        serialNumber: readAttribute(dir, 'serial'),
+        manufacturer: readAttribute(dir, 'manufacturer'),
+        product: readAttribute(dir, 'product'),
+        interfaceNumber: Number.isNaN(interfaceNumber) ? null : interfaceNumber,
+        known: !!adapter,
+        adapter: adapter ? `${adapter.vendor} ${adapter.name}` : null,
+        kind: adapter ? adapter.kind : null,
+        hint: adapter ? KIND_HINTS[adapter.kind] : null
+    };
+}
+
+/**
+ * List USB serial ports
+ * @param {Object} [options]
+ * @param {string} [options.sysfsRoot='/sys'] - sysfs mount point, tests pass a fake tree
+ * @param {string} [options.devRoot='/dev'] - Directory the device nodes live in
+ * @returns {Array<Object>} {path, name, vendorId, productId, serialNumber, manufacturer, product, interfaceNumber,
+ *                          known, adapter, kind, hint}, sorted by name; kind is 'usb_jtag', 'usb_otg',
+ *                          'uart_bridge' or null for adapters not in USB_SERIAL_ADAPTERS
+ */
+function listSerialPorts({ sysfsRoot = '/sys', devRoot = '/dev' } = {}) {
+    const classDir = path.join(sysfsRoot, 'class', 'tty');
+    let names;
+    try {
+        names = fs.readdirSync(classDir);
+    } catch (error) {
+        return [];
+    }
+
+    return names
+        .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }))
+        .map(name => readUsbTty(classDir, name, devRoot))
+        .filter(port => port !== null);
+}
+
+/**
+ * Find ports matching a selector
+ * @param {Object} selector - {serial, vid, pid}; without any criteria all ports on known ESP adapters match
+ * @param {Object} [options] - Passed to listSerialPorts(), or {ports} to match a list from elsewhere
+ * @returns {Array<Object>} Matching entries of listSerialPorts()
+ */
+function findSerialPorts(selector = {}, options = {}) {
+    const ports = options.ports || listSerialPorts(options);
+    const vid = selector.vid !== undefined ? parseUsbId(selector.vid) : null;
+    const pid = selector.pid !== undefined ? parseUsbId(selector.pid) : null;
+    const serial = selector.serial ? String(selector.serial).toLowerCase() : null;
+
+    if (vid === null && pid === null && !serial) {
+        return ports.filter(port => port.known);
+    }
+    return ports.filter(port =>
+        (vid === null || port.vendorId === vid) &&
+        (pid === null || port.productId === pid) &&
+        (!serial || (port.serialNumber || '').toLowerCase() === serial));
+}
+
+/**
+ * USB details of the port a device path refers to, following links like /dev/serial/by-id/*
+ * @param {string} portPath - Device path
+ * @param {Object} [options] - Passed to listSerialPorts()
+ * @returns {Object|null} Entry of listSerialPorts(), null if it is not a USB serial port
+ */
+function getSerialPortInfo(portPath, options = {}) {
+    let name;
+    try {
+        name = path.basename(fs.realpathSync(portPath));
+    } catch (error) {
+        name = path.basename(portPath);
+    }
+    return listSerialPorts(options).find(port => port.name === name) || null;
+}
+
+/* Export */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        listSerialPorts,
+        findSerialPorts,
+        getSerialPortInfo,
+        parseUsbId
+    };
+}
@@ -0,0 +1,515 @@
+/*
+ * Network serial transport for ESPFlasher in Node.js
+ * Talks to serial servers like ser2net, esp_rfc2217_server or socat over TCP
+ *
+ * URLs:
+ *   rfc2217://host:port  - Telnet with the RFC2217 COM port option, carries baud rate and DTR/RTS
+ *   socket://host:port   - raw TCP (tcp:// is accepted too), the server owns baud rate and signals
+ *
+ * Usage:
+ *   const { NetworkSerialPort } = require('./flasher-network.js');
+ *   await flasher.openPortWithPort(new NetworkSerialPort('rfc2217://rack-3:4000'));
+ *
+ * NodeESPFlasher.openPortByPath() and the CLI's --port accept these URLs directly.
+ */
+
+const net = require('net');
+const { EventEmitter } = require('events');
+const { NodeSerialReader, NodeSerialWriter } = require('./flasher-nodejs.js');
+
+/* Telnet commands (RFC854) and the options we negotiate */
+const TELNET = {
+    SE: 240,
+    SB: 250,
+    WILL: 251,
+    WONT: 252,
+    DO: 253,
+    DONT: 254,
+    IAC: 255,
+    OPT_BINARY: 0,
+    OPT_SGA: 3,
+    OPT_COM_PORT: 44
+};
+
+/* RFC2217 client-to-server commands, the server answers with command + 100 */
+const COM_PORT = {
+    SET_BAUDRATE: 1,
+    SET_DATASIZE: 2,
+    SET_PARITY: 3,
+    SET_STOPSIZE: 4,
+    SET_CONTROL: 5,
+    PURGE_DATA: 12,
+    SERVER_OFFSET: 100,
+
+    /* SET_CONTROL values */
+    CONTROL_NO_FLOW: 1,
+    CONTROL_DTR_ON: 8,
+    CONTROL_DTR_OFF: 9,
+    CONTROL_RTS_ON: 11,
+    CONTROL_RTS_OFF: 12,
+
+    PARITY_NONE: 1,
+    STOPSIZE_1: 1
+};
+
+/* Options we are willing to enable on either side */
+const SUPPORTED_OPTIONS = [TELNET.OPT_BINARY, TELNET.OPT_SGA, TELNET.OPT_COM_PORT];
+
+/**
+ * Split a network port URL into its parts
+ * @param {string} url - e.g. rfc2217://192.168.1.20:4000 or socket://[::1]:3333
+ * @returns {{protocol: string, host: string, port: number}|null} protocol is 'rfc2217' or 'socket', null for plain device paths
+ * @throws {Error} If the URL uses a network scheme but has no valid port
+ */
+function parseNetworkPortUrl(url) {
+    const match = /^(rfc2217|socket|tcp):\/\/(.+)$/i.exec(String(url));
+    if (!match) {
+        return null;
+    }
+
+    const parsed = new URL(`tcp://${match[2]}`);
+    const port = parseInt(parsed.port, 10);
+    if (!parsed.hostname || !(port > 0 && port < 65536)) {
+        throw new Error(`Invalid network port ${url}, expected ${match[1]}://host:port`);
+    }
+
+    return {
+        protocol: match[1].toLowerCase() === 'rfc2217' ? 'rfc2217' : 'socket',
+        host: parsed.hostname.replace(/^\[(.*)\]$/, '$1'),
+        port
+    };
+}
+
+/**
+ * Double every 0xFF so payload bytes are not taken for telnet commands
+ * @param {Uint8Array} data
+ * @returns {Buffer}
+ */
+function escapeIac(data) {
+    const buffer = Buffer.from(data);
+    if (!buffer.includes(TELNET.IAC)) {
+        return buffer;
+    }
+    const escaped = [];
+    for (const byte of buffer) {
+        escaped.push(byte);
+        if (byte === TELNET.IAC) {
+            escaped.push(TELNET.IAC);
+        }
+    }
+    return Buffer.from(escaped);
+}
+
+/**
+ * Incremental telnet stream decoder, keeps its state across TCP segments
+ */
+class TelnetParser {
+    constructor() {
+        this.state = 'data';
+        this.command = null;
+        this.subnegotiation = [];
+    }
+
+    /**
+     * Decode received bytes
+     * @param {Uint8Array} chunk - Bytes as received from the socket
+     * @returns {Array<Object>} Events in stream order: {type: 'data', data}, {type: 'command', command, option}
+     *                          or {type: 'subnegotiation', option, payload}
+     */
+    parse(chunk) {
+        const events = [];
+        let data = [];
+        const flushData = () => {
+            if (data.length) {
+                events.push({ type: 'data', data: Buffer.from(data) });
+                data = [];
+            }
+        };
+
+        for (const byte of chunk) {
+            switch (this.state) {
+                case 'data':
+                    if (byte === TELNET.IAC) {
+                        this.state = 'iac';
+                    } else {
+                        data.push(byte);
+                    }
+                    break;
+
+                case 'iac':
+                    if (byte === TELNET.IAC) {
+                        data.push(byte);
+                        this.state = 'data';
+                    } else if (byte === TELNET.SB) {
+                        this.subnegotiation = [];
+                        this.state = 'sb';
+                    } else if (byte >= TELNET.WILL && byte <= TELNET.DONT) {
+                        this.command = byte;
+                        this.state = 'option';
+                    } else {
+                        /* NOP, GA and friends carry no meaning for a serial link */
+                        this.state = 'data';
+                    }
+                    break;
+
+                case 'option':
+                    flushData();
+                    events.push({ type: 'command', command: this.command, option: byte });
+                    this.state = 'data';
+                    break;
+
+                case 'sb':
+                    if (byte === TELNET.IAC) {
+                        this.state = 'sb-iac';
+                    } else {
+                        this.subnegotiation.push(byte);
+                    }
+                    break;
+
+                case 'sb-iac':
+                    if (byte === TELNET.SE) {
+                        flushData();
+                        events.push({
+                            type: 'subnegotiation',
+                            option: this.subnegotiation[0],
+                            payload: Buffer.from(this.subnegotiation.slice(1))
+                        });
+                        this.state = 'data';
+                    } else {
+                        this.subnegotiation.push(byte);
+                        this.state = 'sb';
+                    }
+                    break;
+            }
+        }
+
+        flushData();
+        return events;
+    }
+}
+
+/**
+ * Serial port over TCP, mirrors NodeSerialPort from flasher-nodejs.js
+ * Emits 'data' and 'close' like TermiosSerialPort, so the Node reader/writer classes work on it unchanged.
+ */
+class NetworkSerialPort extends EventEmitter {
+    /**
+     * @param {string} url - rfc2217://host:port, socket://host:port or tcp://host:port
+     * @param {Object} [options]
+     * @param {number} [options.timeout=3000] - Connect timeout and how long to wait for RFC2217 replies, in ms
+     */
+    constructor(url, { timeout = 3000 } = {}) {
+        super();
+        const target = parseNetworkPortUrl(url);
+        if (!target) {
+            throw new Error(`Not a network port: ${url}`);
+        }
+        this.url = url;
+        this.protocol = target.protocol;
+        this.host = target.host;
+        this.port = target.port;
+        this.timeout = timeout;
+
+        this.socket = null;
+        this.isOpen = false;
+        this.baudRate = null;
+        this.signals = { dataTerminalReady: null, requestToSend: null };
+        this.readable = null;
+        this.writable = null;
+
+        this._parser = new TelnetParser();
+        this._options = new Set();
+        this._pending = [];
+        this._comPortWaiters = [];
+    }
+
+    get isRfc2217() {
+        return this.protocol === 'rfc2217';
+    }
+
+    /**
+     * Connect and, for RFC2217, negotiate the COM port option and set 8N1 at the requested baud rate
+     * @param {Object} [options]
+     * @param {number} [options.baudRate=115200]
+     */
+    async open(options = {}) {
+        if (this.isOpen) {
+            throw new Error('Port is already open');
+        }
+        const baudRate = options.baudRate || 115200;
+
+        this._parser = new TelnetParser();
+        this._options = new Set();
+        this.signals = { dataTerminalReady: null, requestToSend: null };
+        await this._connect();
+
+        this.readable = {
+            getReader: () => new NodeSerialReader(this)
+        };
+        this.writable = {
+            getWriter: () => new NodeSerialWriter(this)
+        };
+
+        if (!this.isRfc2217) {
+            this.baudRate = baudRate;
+            return;
+        }
+
+        try {
+            const comPort = this._waitForComPort();
+            this._sendCommand(TELNET.WILL, TELNET.OPT_BINARY);
+            this._sendCommand(TELNET.DO, TELNET.OPT_BINARY);
+            this._sendCommand(TELNET.WILL, TELNET.OPT_SGA);
+            this._sendCommand(TELNET.DO, TELNET.OPT_SGA);
+            this._sendCommand(TELNET.WILL, TELNET.OPT_COM_PORT);
+            await comPort;
+
+            await this._request(COM_PORT.SET_DATASIZE, [8]);
+            await this._request(COM_PORT.SET_PARITY, [COM_PORT.PARITY_NONE]);
+            await this._request(COM_PORT.SET_STOPSIZE, [COM_PORT.STOPSIZE_1]);
+            await this._request(COM_PORT.SET_CONTROL, [COM_PORT.CONTROL_NO_FLOW]);
+            await this.setBaudRate(baudRate);
+        } catch (error) {
+            this.socket.destroy();
+            throw error;
+        }
+    }
+
+    async close() {
+        if (!this.isOpen) return;
+        await new Promise(resolve => {
+            this.socket.once('close', resolve);
+            this.socket.end();
+            /* Do not wait for a server that never finishes the close handshake */
+            setTimeout(() => this.socket && this.socket.destroy(), this.timeout).unref();
+        });
+    }
+
+    getInfo() {
+        return { usbVendorId: undefined, usbProductId: undefined };
+    }
+
+    /**
+     * Change the baud rate of the remote port, a no-op on raw TCP where the server decides
+     * @param {number} baudRate
+     */
+    async setBaudRate(baudRate) {
+        if (!this.isOpen) throw new Error('Port is not open');
+        if (!this.isRfc2217) {
+            this.baudRate = baudRate;
+            return;
+        }
+
+        const value = Buffer.alloc(4);
+        value.writeUInt32BE(baudRate);
+        const reply = await this._request(COM_PORT.SET_BAUDRATE, value);
+        this.baudRate = reply.length >= 4 ? reply.readUInt32BE(0) : baudRate;
+        if (this.baudRate !== baudRate) {
+            throw new Error(`Server set ${this.baudRate} baud instead of ${baudRate}`);
+        }
+    }
+
+    /**
+     * Set DTR and RTS, DTR first so reset sequences see the same order as on a local port.
+     * Each change waits for the server's confirmation, which keeps the caller's delays between changes meaningful.
+     * @param {{dataTerminalReady?: boolean, requestToSend?: boolean}} signals
+     */
+    async setSignals(signals) {
+        if (!this.isOpen || !this.isRfc2217) return;
+
+        if (signals.dataTerminalReady !== undefined && signals.dataTerminalReady !== this.signals.dataTerminalReady) {
+            await this._request(COM_PORT.SET_CONTROL,
+                [signals.dataTerminalReady ? COM_PORT.CONTROL_DTR_ON : COM_PORT.CONTROL_DTR_OFF]);
+            this.signals.dataTerminalReady = signals.dataTerminalReady;
+        }
+        if (signals.requestToSend !== undefined && signals.requestToSend !== this.signals.requestToSend) {
+            await this._request(COM_PORT.SET_CONTROL,
+                [signals.requestToSend ? COM_PORT.CONTROL_RTS_ON : COM_PORT.CONTROL_RTS_OFF]);
+            this.signals.requestToSend = signals.requestToSend;
+        }
+    }
+
+    write(data, callback) {
+        if (!this.isOpen) {
+            if (callback) callback(new Error('Port is not open'));
+            return;
+        }
+        const payload = this.isRfc2217 ? escapeIac(data) : Buffer.from(data);
+        this.socket.write(payload, callback);
+    }
+
+    addEventListener(event, callback) {
+        this.on(event, callback);
+    }
+
+    removeEventListener(event, callback) {
+        this.removeListener(event, callback);
+    }
+
+    _connect() {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            const timer = setTimeout(() => {
+                socket.destroy();
+                reject(new Error(`Connection to ${this.host}:${this.port} timed out`));
+            }, this.timeout);
+
+            socket.once('error', (error) => {
+                clearTimeout(timer);
+                reject(new Error(`Failed to connect to ${this.host}:${this.port}: ${error.message}`));
+            });
+
+            socket.once('connect', () => {
+                clearTimeout(timer);
+                socket.removeAllListeners('error');
+                /* Small SLIP frames must not sit in the Nagle buffer */
+                socket.setNoDelay(true);
+
+                this.socket = socket;
+                this.isOpen = true;
+
+                socket.on('data', (chunk) => this._onData(chunk));
+                socket.on('error', () => { /* 'close' follows and ends the session */ });
+                socket.on('close', () => this._onClose());
+                resolve();
+            });
+        });
+    }
+
+    _onData(chunk) {
+        if (!this.isRfc2217) {
+            this.emit('data', chunk);
+            return;
+        }
+
+        for (const event of this._parser.parse(chunk)) {
+            if (event.type === 'data') {
+                this.emit('data', event.data);
+            } else if (event.type === 'command') {
+                this._onCommand(event.command, event.option);
+            } else if (event.option === TELNET.OPT_COM_PORT && event.payload.length > 0) {
+                this._onComPortReply(event.payload[0] - COM_PORT.SERVER_OFFSET, event.payload.subarray(1));
+            }
+        }
+    }
+
+    /* Accept the options we asked for, refuse everything else, and only answer state changes to avoid loops */
+    _onCommand(command, option) {
+        const supported = SUPPORTED_OPTIONS.includes(option);
+
+        switch (command) {
+            case TELNET.DO:
+                if (option === TELNET.OPT_COM_PORT) {
+                    this._comPortWaiters.splice(0).forEach(waiter => waiter.resolve());
+                }
+                if (!supported) {
+                    this._sendCommand(TELNET.WONT, option);
+                } else if (!this._options.has(`WILL ${option}`)) {
+                    this._sendCommand(TELNET.WILL, option);
+                }
+                break;
+
+            case TELNET.WILL:
+                if (!supported) {
+                    this._sendCommand(TELNET.DONT, option);
+                } else if (!this._options.has(`DO ${option}`)) {
+                    this._sendCommand(TELNET.DO, option);
+                }
+                break;
+
+            case TELNET.DONT:
+            case TELNET.WONT:
+                if (option === TELNET.OPT_COM_PORT && command === TELNET.DONT) {
+                    this._comPortWaiters.splice(0).forEach(waiter =>
+                        waiter.reject(new Error(`${this.host}:${this.port} does not support RFC2217, try socket://`)));
+                }
+                break;
+        }
+    }
+
+    _onComPortReply(command, value) {
+        const index = this._pending.findIndex(request => request.command === command);
+        if (index < 0) {
+            /* Line and modem state notifications, not needed for flashing */
+            return;
+        }
+        const [request] = this._pending.splice(index, 1);
+        clearTimeout(request.timer);
+        request.resolve(Buffer.from(value));
+    }
+
+    _onClose() {
+        const wasOpen = this.isOpen;
+        this.isOpen = false;
+        this.socket = null;
+
+        const error = new Error(`Connection to ${this.host}:${this.port} closed`);
+        this._pending.splice(0).forEach(request => {
+            clearTimeout(request.timer);
+            request.reject(error);
+        });
+        this._comPortWaiters.splice(0).forEach(waiter => waiter.reject(error));
+
+        if (wasOpen) {
+            this.emit('close');
+        }
+    }
+
+    _sendCommand(command, option) {
+        if (command === TELNET.WILL || command === TELNET.DO) {
+            this._options.add(`${command === TELNET.WILL ? 'WILL' : 'DO'} ${option}`);
+        }
+        this.socket.write(Buffer.from([TELNET.IAC, command, option]));
+    }
+
+    _waitForComPort() {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                reject(new Error(`${this.host}:${this.port} did not answer the RFC2217 negotiation, try socket://`));
+            }, this.timeout);
+            this._comPortWaiters.push({
+                resolve: () => { clearTimeout(timer); resolve(); },
+                reject: (error) => { clearTimeout(timer); reject(error); }
+            });
+        });
+    }
+
+    /**
+     * Send a COM port option command and wait for the server's reply
+     * @private
+     * @param {number} command - One of the COM_PORT client commands
+     * @param {Array<number>|Buffer} value - Command value, escaped here
+     * @returns {Promise<Buffer>} Value the server reports back
+     */
+    _request(command, value) {
+        if (!this.isOpen) {
+            return Promise.reject(new Error('Port is not open'));
+        }
+        return new Promise((resolve, reject) => {
+            const request = { command, resolve, reject };
+            request.timer = setTimeout(() => {
+                this._pending.splice(this._pending.indexOf(request), 1);
+                reject(new Error(`No RFC2217 reply to command ${command} from ${this.host}:${this.port}`));
+            }, this.timeout);
+            this._pending.push(request);
+
+            this.socket.write(Buffer.concat([
+                Buffer.from([TELNET.IAC, TELNET.SB, TELNET.OPT_COM_PORT, command]),
+                escapeIac(value),
+                Buffer.from([TELNET.IAC, TELNET.SE])
+            ]));
+        });
+    }
+}
+
+/* Export */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        NetworkSerialPort,
+        TelnetParser,
+        TELNET,
+        COM_PORT,
+        parseNetworkPortUrl,
+        escapeIac
+    };
+}
@@ -8,10 +8,12 @@
  *   const { createNodeESPFlasher } = require('./flasher-nodejs.js');
  *   const flasher = new (createNodeESPFlasher(ESPFlasher))();
  *   await flasher.openPortByPath('/dev/ttyUSB0');
+ *   await flasher.openPortByPath('rfc2217://rack-3:4000');   (see flasher-network.js)
+ *   await flasher.openPortByPath('ws://lab-pc:8765/');        (see esp32-serial-bridge.js)
  */
 
 const fs = require('fs');
-const { EventEmitter } = require('events');
+const { TermiosSerialPort, loadTermiosBinding, termiosBindingError } = require('./flasher-termios.js');
 
 /* Polyfill TextEncoder/TextDecoder - used by flasher.js */
 if (!global.TextEncoder) {
@@ -34,193 +36,13 @@ if (!global.TextDecoder) {
 }
 
 /*
- * Raw FD Serial Port - uses fs.readSync polling
+ * Native termios transport; the addon is built ahead of time, see flasher-termios.js
  */
-class RawFDSerialPort extends EventEmitter {
-    constructor(portPath) {
-        super();
-        this.portPath = portPath;
-        this.fd = null;
-        this.isOpen = false;
-        this.pollInterval = null;
-    }
-
-    async open(options = {}) {
-        const baudRate = options.baudRate || 115200;
-        const { execSync } = require('child_process');
-        const path = require('path');
-
-        try {
-            /*
-             * Use Python script to configure serial port for raw binary mode.
-             * This is more reliable than stty for disabling terminal processing
-             * of control characters like 0x16 (SYN/CTRL-V).
-             */
-            const scriptPath = path.join(__dirname, 'configure-serial.py');
-            execSync(`python3 ${scriptPath} ${this.portPath} ${baudRate}`, { stdio: 'pipe' });
-        } catch (e) {
-            console.warn(`[RawFDSerialPort] Configuration script failed:`, e.message);
-            console.warn(`[RawFDSerialPort] Attempting fallback stty configuration...`);
-            try {
-                execSync(`stty -F ${this.portPath} ${baudRate} raw -echo -echoe -echok -ixoff -ixon -ixany -crtscts cs8 -parenb -cstopb min 0 time 0`, { stdio: 'ignore' });
-                console.log(`[RawFDSerialPort] Fallback stty configuration applied`);
-            } catch (e2) {
-                console.warn(`[RawFDSerialPort] Both configuration methods failed`);
-            }
-        }
-
-        try {
-            const flags = fs.constants.O_RDWR | fs.constants.O_NOCTTY | fs.constants.O_NONBLOCK;
-            this.fd = fs.openSync(this.portPath, flags);
-            this.isOpen = true;
-
-            try { Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 10); } catch (_) { }
-            this._startPolling();
-        } catch (error) {
-            throw new Error(`Failed to open ${this.portPath}: ${error.message}`);
-        }
-    }
-
-    async close() {
-        if (!this.isOpen || !this.fd) return;
-        this.isOpen = false;
-        if (this.pollInterval) clearInterval(this.pollInterval);
-        try {
-            fs.closeSync(this.fd);
-            this.fd = null;
-            this.emit('close');
-        } catch (error) {
-            throw new Error(`Failed to close port: ${error.message}`);
-        }
-    }
-
-    _startPolling() {
-        const readBuffer = Buffer.alloc(65536); /* Large 64KB buffer to drain quickly */
-
-        this.pollInterval = setInterval(() => {
-            if (!this.isOpen || !this.fd) {
-                if (this.pollInterval) {
-                    clearInterval(this.pollInterval);
-                    this.pollInterval = null;
-                }
-                return;
-            }
-
-            /* Read in a loop to drain all available data immediately */
-            let totalRead = 0;
-            try {
-                while (true) {
-                    const bytesRead = fs.readSync(this.fd, readBuffer, 0, readBuffer.length);
-                    this.logSerialData(readBuffer.slice(0, bytesRead), 'RX', true);
-                    if (bytesRead > 0) {
-                        totalRead += bytesRead;
-                        this.emit('data', Buffer.from(readBuffer.slice(0, bytesRead)));
-                    } else {
-                        break; /* No more data available */
-                    }
-                }
-            } catch (error) {
-                if (error.code !== 'EAGAIN' && error.code !== 'EWOULDBLOCK' && this.isOpen) {
-                    console.error(`[RawFDSerialPort] Read error:`, error);
-                    this.emit('error', error);
-                }
-            }
-        }, 1);
-    }
-
-    logSerialData(data, type, dir) {
-        return;
-        const symbol = dir ? '▶' : '◀';
-
-        const maxBytes = 8192;
-        const bytesToShow = Math.min(data.length, maxBytes);
-        const truncated = data.length > maxBytes;
-
-        let hexStr = '';
-        let asciiStr = '';
-        let lines = [];
-
-        for (let i = 0; i < bytesToShow; i++) {
-            const byte = data[i];
-            hexStr += byte.toString(16).padStart(2, '0').toUpperCase() + ' ';
-            asciiStr += (byte >= 32 && byte <= 126) ? String.fromCharCode(byte) : '.';
-
-            if ((i + 1) % 16 === 0 || i === bytesToShow - 1) {
-                const hexPadding = ' '.repeat(Math.max(0, (16 - ((i % 16) + 1)) * 3));
-                lines.push(`    ${hexStr}${hexPadding} | ${asciiStr}`);
-                hexStr = '';
-                asciiStr = '';
-            }
-        }
-
-        const truncMsg = truncated ? ` (showing ${bytesToShow}/${data.length} bytes)` : '';
-        console.debug(`${symbol} RAW ${type} [${data.length} bytes]${truncMsg}`);
-        lines.forEach(line => console.debug(line));
-    }
-
-    write(data, callback) {
-        if (!this.isOpen) {
-            console.error('[RawFDSerialPort] Write failed: port is not open');
-            if (callback) callback(new Error('Port is not open'));
-            return;
-        }
-
-        try {
-            if (data instanceof Uint8Array) data = Buffer.from(data);
-            let bytesWritten = 0;
-            try {
-                bytesWritten = fs.writeSync(this.fd, data);
-            } catch (err) {
-                console.error(`[RawFDSerialPort] Write error (will retry):`, err.code);
-                if (err.code === 'EIO' || err.code === 'EAGAIN' || err.code === 'EWOULDBLOCK') {
-                    try { Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 2); } catch (_) { }
-                    bytesWritten = fs.writeSync(this.fd, data);
-                    console.log(`[RawFDSerialPort] Retry succeeded: wrote ${bytesWritten} bytes`);
-                } else {
-                    throw err;
-                }
-            }
-            if (callback) setImmediate(() => callback(null, bytesWritten));
-        } catch (error) {
-            console.error('[RawFDSerialPort] Write failed:', error);
-            if (callback) callback(error);
-            else this.emit('error', error);
-        }
-    }
-
-    async setSignals(signals) {
-        if (!this.isOpen || !this.fd) return Promise.resolve();
-
-        try {
-            const path = require('path');
-            const { execSync } = require('child_process');
-            const scriptPath = path.join(__dirname, 'set-signals.py');
-            let args = [];
-
-            if (signals.dataTerminalReady !== undefined) {
-                args.push(`dtr=${signals.dataTerminalReady ? 1 : 0}`);
-            }
-            if (signals.requestToSend !== undefined) {
-                args.push(`rts=${signals.requestToSend ? 1 : 0}`);
-            }
-
-            if (args.length > 0) {
-                execSync(`python3 ${scriptPath} ${this.portPath} ${args.join(' ')}`, { stdio: 'ignore' });
-            }
-        } catch (e) {
-            /* Silently fail - some systems may not support signal control */
-        }
-
-        return Promise.resolve();
-    }
-
-    addEventListener(event, callback) {
-        this.on(event, callback);
-    }
-
-    removeEventListener(event, callback) {
-        this.removeListener(event, callback);
+function createSerialDevice(portPath) {
+    if (!loadTermiosBinding()) {
+        throw new Error(`Native serial helper unavailable: ${termiosBindingError().message}`);
     }
+    return new TermiosSerialPort(portPath);
 }
 
 /*
@@ -229,19 +51,27 @@ class RawFDSerialPort extends EventEmitter {
 class NodeSerialPort {
     constructor(portPath) {
         this.portPath = portPath;
-        this.serialPort = new RawFDSerialPort(portPath);
+        /* Created by open(), so a missing native helper is reported there */
+        this.serialPort = null;
         this.readable = null;
         this.writable = null;
         this.isOpen = false;
+        this.usbInfo = null;
         this.eventListeners = { 'close': [], 'disconnect': [] };
     }
 
     async open(options = {}) {
         const baudRate = options.baudRate || 115200;
         try {
+            this.serialPort = this.serialPort || createSerialDevice(this.portPath);
             await this.serialPort.open({ baudRate });
             this.isOpen = true;
 
+            if (process.platform === 'linux') {
+                const { getSerialPortInfo } = require('./flasher-discovery.js');
+                this.usbInfo = getSerialPortInfo(this.portPath);
+            }
+
             this.readable = {
                 getReader: () => new NodeSerialReader(this.serialPort)
             };
@@ -273,8 +103,17 @@ class NodeSerialPort {
         }
     }
 
+    /* USB IDs from sysfs, so openPortWithPort() detects USB-JTAG and bridge limits like in the browser */
     getInfo() {
-        return { usbVendorId: undefined, usbProductId: undefined };
+        return {
+            usbVendorId: this.usbInfo ? this.usbInfo.vendorId : undefined,
+            usbProductId: this.usbInfo ? this.usbInfo.productId : undefined
+        };
+    }
+
+    async setBaudRate(baudRate) {
+        if (!this.isOpen) throw new Error('Port is not open');
+        return this.serialPort.setBaudRate(baudRate);
     }
 
     async setSignals(signals) {
@@ -284,6 +123,12 @@ class NodeSerialPort {
         return Promise.resolve();
     }
 
+    async flush(options) {
+        if (this.serialPort && typeof this.serialPort.flush === 'function') {
+            return this.serialPort.flush(options);
+        }
+    }
+
     addEventListener(event, callback) {
         if (this.eventListeners[event]) this.eventListeners[event].push(callback);
     }
@@ -389,33 +234,73 @@ if (!global.navigator.serial) {
     };
 }
 
+/*
+ * Create an unopened port object for a device path or URL:
+ *   rfc2217://host:port, socket://host:port  - serial server, see flasher-network.js
+ *   ws://host:port/?token=..., wss://...      - esp32-serial-bridge.js on another machine
+ *   replay:session.esplog                     - play back a recording, see SerialSessionRecorder
+ *   anything else                             - local serial device
+ */
+function createNodePort(portPath) {
+    const replay = /^replay:(.+)$/i.exec(portPath);
+    if (replay) {
+        const { ReplaySerialPort } = require('./flasher.js');
+        return new ReplaySerialPort(fs.readFileSync(replay[1], 'utf8'));
+    }
+
+    /* Required here, the network modules themselves build on this one */
+    if (/^wss?:\/\//i.test(portPath)) {
+        const { WebSocketSerial } = require('./flasher.js');
+        const { NodeWebSocket } = require('./esp32-serial-bridge.js');
+        return new WebSocketSerial(portPath, { WebSocket: NodeWebSocket });
+    }
+
+    const { NetworkSerialPort, parseNetworkPortUrl } = require('./flasher-network.js');
+    if (parseNetworkPortUrl(portPath)) {
+        return new NetworkSerialPort(portPath);
+    }
+    return new NodeSerialPort(portPath);
+}
+
 /*
  * Extend ESPFlasher with Node.js methods
  */
 function createNodeESPFlasher(ESPFlasherClass) {
     class NodeESPFlasher extends ESPFlasherClass {
-        constructor() {
-            super();
+        constructor(options = {}) {
+            super(options);
             this.portPath = null;
             this.isNodeJS = true;
-            this.initialBaudRate = 115200;
-            this.logPackets = false;
+            this.initialBaudRate = options.initialBaudRate || 115200;
+            this.logPackets = options.logPackets || false;
         }
 
+        /*
+         * Open a serial device path or a URL understood by createNodePort().
+         * openPortWithPort() opens the port itself, at baudRate if given.
+         */
         async openPortByPath(portPath, baudRate = null) {
             this.portPath = portPath;
-            const nodePort = new NodeSerialPort(portPath);
-            const baud = baudRate || this.initialBaudRate;
+            if (baudRate) {
+                this.initialBaudRate = baudRate;
+            }
 
             try {
-                await nodePort.open({ baudRate: baud });
-                return this.openPortWithPort(nodePort);
+                return await this.openPortWithPort(createNodePort(portPath));
             } catch (error) {
                 throw new Error(`Failed to open port ${portPath}: ${error.message}`);
             }
         }
 
+        /*
+         * List serial ports. On Linux this reads sysfs (see flasher-discovery.js) and the entries
+         * carry numeric vendorId/productId plus adapter/kind/hint, elsewhere the serialport package is used.
+         */
         static async listPorts() {
+            if (process.platform === 'linux') {
+                const { listSerialPorts } = require('./flasher-discovery.js');
+                return listSerialPorts();
+            }
             try {
                 const { SerialPort } = require('serialport');
                 const ports = await SerialPort.list();
@@ -441,6 +326,7 @@ if (typeof module !== 'undefined' && module.exports) {
         NodeSerialPort,
         NodeSerialReader,
         NodeSerialWriter,
+        createNodePort,
         createNodeESPFlasher
     };
 }
@@ -0,0 +1,248 @@
+/*
+ * Native serial transport for ESPFlasher in Node.js
+ * Configures the port through termios in serial-termios.c (Node-API addon) instead of
+ * Python or stty, and reads when the event loop reports the fd readable.
+ *
+ * The addon is built ahead of time, never when a port is opened:
+ *   npx node-gyp rebuild                    (binding.gyp, into build/Release/)
+ * or a prebuilt binary is shipped as prebuilds/<platform>-<arch>/serial_termios.node.
+ *
+ * Usage:
+ *   const { TermiosSerialPort } = require('./flasher-termios.js');
+ *   const port = new TermiosSerialPort('/dev/ttyUSB0');
+ *   await port.open({ baudRate: 1500000 });
+ *
+ * NodeSerialPort in flasher-nodejs.js uses it automatically.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+/* Where the addon is looked for, in this order */
+const BINDING_PATHS = [
+    path.join(__dirname, 'build', 'Release', 'serial_termios.node'),
+    path.join(__dirname, 'build', 'Debug', 'serial_termios.node'),
+    path.join(__dirname, 'prebuilds', `${process.platform}-${process.arch}`, 'serial_termios.node')
+];
+
+let binding;
+let bindingError = null;
+
+/**
+ * Load the native helper from build/ or prebuilds/
+ * @returns {Object|null} Addon exports, or null if it is not built or cannot be loaded (see termiosBindingError())
+ */
+function loadTermiosBinding() {
+    if (binding !== undefined) {
+        return binding;
+    }
+    binding = null;
+
+    if (process.platform === 'win32') {
+        bindingError = new Error('termios is not available on Windows');
+        return binding;
+    }
+
+    const bindingPath = BINDING_PATHS.find(candidate => fs.existsSync(candidate));
+    if (!bindingPath) {
+        bindingError = new Error('serial_termios.node is not built, run `npx node-gyp rebuild` in ' +
+            `${__dirname} or install a prebuilt binary in prebuilds/${process.platform}-${process.arch}/`);
+        return binding;
+    }
+    try {
+        binding = require(bindingPath);
+        bindingError = null;
+    } catch (error) {
+        bindingError = new Error(`Cannot load ${path.relative(__dirname, bindingPath)}: ${error.message}`);
+    }
+    return binding;
+}
+
+/**
+ * Why loadTermiosBinding() returned null
+ * @returns {Error|null}
+ */
+function termiosBindingError() {
+    return bindingError;
+}
+
+/*
+ * Serial port on a raw fd configured through termios
+ * Emits 'data' and 'close' for NodeSerialReader/NodeSerialWriter.
+ */
+class TermiosSerialPort extends EventEmitter {
+    constructor(portPath, nativeBinding = loadTermiosBinding()) {
+        super();
+        if (!nativeBinding) {
+            throw new Error(`Native serial helper not available: ${bindingError ? bindingError.message : 'unknown error'}`);
+        }
+        this.portPath = portPath;
+        this.binding = nativeBinding;
+        this.fd = null;
+        this.isOpen = false;
+        this.baudRate = null;
+        this._watch = null;
+        this._writeQueue = [];
+        this._readBuffer = Buffer.alloc(65536);
+    }
+
+    async open(options = {}) {
+        if (this.isOpen) {
+            throw new Error('Port is already open');
+        }
+        const baudRate = options.baudRate || 115200;
+
+        try {
+            const flags = fs.constants.O_RDWR | fs.constants.O_NOCTTY | fs.constants.O_NONBLOCK;
+            this.fd = fs.openSync(this.portPath, flags);
+        } catch (error) {
+            throw new Error(`Failed to open ${this.portPath}: ${error.message}`);
+        }
+
+        try {
+            this.binding.configure(this.fd, baudRate);
+            /* Drop whatever the device sent before we were listening */
+            this.binding.flush(this.fd, true, true);
+            this._watch = this.binding.watch(this.fd, (status) => this._onReadable(status));
+        } catch (error) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+            throw new Error(`Failed to configure ${this.portPath}: ${error.message}`);
+        }
+
+        this.baudRate = baudRate;
+        this.isOpen = true;
+    }
+
+    /*
+     * Change the baud rate while the port stays open, any rate the driver accepts.
+     */
+    async setBaudRate(baudRate) {
+        if (!this.isOpen) {
+            throw new Error('Port is not open');
+        }
+        this.binding.configure(this.fd, baudRate);
+        this.baudRate = baudRate;
+    }
+
+    /*
+     * Set DTR and/or RTS in one ioctl. Throws on ports without modem lines, e.g. pseudo-terminals.
+     */
+    async setSignals(signals) {
+        if (!this.isOpen) return;
+        this.binding.setSignals(this.fd, signals.dataTerminalReady, signals.requestToSend);
+    }
+
+    /*
+     * Discard received data not read yet and/or data not sent yet
+     */
+    async flush({ input = true, output = true } = {}) {
+        if (!this.isOpen) return;
+        this.binding.flush(this.fd, input, output);
+    }
+
+    async close() {
+        if (!this.isOpen) return;
+        this._shutdown();
+    }
+
+    write(data, callback) {
+        if (!this.isOpen) {
+            if (callback) callback(new Error('Port is not open'));
+            return;
+        }
+        this._writeQueue.push({ data: Buffer.from(data), offset: 0, callback });
+        if (this._writeQueue.length === 1) {
+            this._flushWrites();
+        }
+    }
+
+    addEventListener(event, callback) {
+        this.on(event, callback);
+    }
+
+    removeEventListener(event, callback) {
+        this.removeListener(event, callback);
+    }
+
+    /* Write as much as the driver takes, retry shortly while its buffer is full */
+    _flushWrites() {
+        while (this._writeQueue.length > 0) {
+            const entry = this._writeQueue[0];
+            if (!this.isOpen) {
+                this._writeQueue.shift();
+                if (entry.callback) entry.callback(new Error('Port is not open'));
+                continue;
+            }
+
+            try {
+                while (entry.offset < entry.data.length) {
+                    entry.offset += fs.writeSync(this.fd, entry.data, entry.offset);
+                }
+            } catch (error) {
+                if (error.code === 'EAGAIN' || error.code === 'EWOULDBLOCK') {
+                    setTimeout(() => this._flushWrites(), 1);
+                    return;
+                }
+                this._writeQueue.shift();
+                if (entry.callback) entry.callback(error);
+                continue;
+            }
+
+            this._writeQueue.shift();
+            if (entry.callback) entry.callback(null, entry.data.length);
+        }
+    }
+
+    _onReadable(status) {
+        if (!this.isOpen) return;
+
+        let lost = status instanceof Error;
+        try {
+            while (true) {
+                const bytesRead = fs.readSync(this.fd, this._readBuffer, 0, this._readBuffer.length);
+                if (bytesRead <= 0) {
+                    /* Readable with nothing to read is an end of file, e.g. the device went away */
+                    lost = lost || status === true;
+                    break;
+                }
+                this.emit('data', Buffer.from(this._readBuffer.subarray(0, bytesRead)));
+            }
+        } catch (error) {
+            if (error.code !== 'EAGAIN' && error.code !== 'EWOULDBLOCK') {
+                /* EIO once a USB adapter is unplugged or the other side of a pty closed */
+                lost = true;
+            }
+        }
+
+        if (lost) {
+            this._shutdown();
+        }
+    }
+
+    _shutdown() {
+        this.isOpen = false;
+        if (this._watch) {
+            this.binding.unwatch(this._watch);
+            this._watch = null;
+        }
+        try {
+            fs.closeSync(this.fd);
+        } catch (error) {
+            /* Already gone with the device */
+        }
+        this.fd = null;
+        this._flushWrites();
+        this.emit('close');
+    }
+}
+
+/* Export */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TermiosSerialPort,
+        loadTermiosBinding,
+        termiosBindingError
+    };
+}
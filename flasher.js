@@ -24,6 +24,42 @@ const ERASE_REGION = 0xd1;
 const READ_FLASH = 0xd2;
 const RUN_USER_CODE = 0xd3;
 
+/* Command names for logs and errors */
+const COMMAND_NAMES = {
+    0x02: 'FLASH_BEGIN', 0x03: 'FLASH_DATA', 0x04: 'FLASH_END',
+    0x05: 'MEM_BEGIN', 0x06: 'MEM_END', 0x07: 'MEM_DATA',
+    0x08: 'SYNC', 0x09: 'WRITE_REG', 0x0a: 'READ_REG',
+    0x0b: 'SPI_SET_PARAMS', 0x0d: 'SPI_ATTACH', 0x0f: 'CHANGE_BAUDRATE',
+    0x10: 'FLASH_DEFL_BEGIN', 0x11: 'FLASH_DEFL_DATA', 0x12: 'FLASH_DEFL_END',
+    0x13: 'SPI_FLASH_MD5', 0x14: 'GET_SECURITY_INFO',
+    0xd0: 'ERASE_FLASH', 0xd1: 'ERASE_REGION', 0xd2: 'READ_FLASH', 0xd3: 'RUN_USER_CODE'
+};
+
+/* Error byte of a failed response, names as in esptool: ROM loader 0x05-0x0B, stub loader 0xC0-0xFF */
+const LOADER_ERRORS = {
+    0x05: 'Received message is invalid',
+    0x06: 'Failed to act on received message',
+    0x07: 'Invalid CRC in message',
+    0x08: 'Flash write error',
+    0x09: 'Flash read error',
+    0x0A: 'Flash read length error',
+    0x0B: 'Deflate error',
+    0xC0: 'Bad data length',
+    0xC1: 'Bad data checksum',
+    0xC2: 'Bad blocksize',
+    0xC3: 'Invalid command',
+    0xC4: 'Failed SPI operation',
+    0xC5: 'Failed SPI unlock',
+    0xC6: 'Not in flash mode',
+    0xC7: 'Inflate error',
+    0xC8: 'Not enough data',
+    0xC9: 'Too much data',
+    0xFF: 'Command not implemented'
+};
+
+/* Errors caused by the link rather than the request, sending the command again may succeed */
+const TRANSIENT_LOADER_ERRORS = [0x07, 0xC1];
+
 /**
  * IMPORTANT: For browser usage, chips.js must be loaded BEFORE flasher.js
  * 
@@ -36,6 +72,15 @@ const ChipDescriptionsClass = typeof ChipDescriptions !== 'undefined'
     ? ChipDescriptions
     : (typeof require !== 'undefined' ? require('./chips.js') : null);
 
+/* Reset strategies for hardReset(); 'auto' picks the chip's default from ChipDescriptions */
+const RESET_STRATEGIES = ['auto', 'classic', 'usb_jtag', 'watchdog', 'run_user_code', 'none'];
+
+/* Write protect key of the RTC/LP watchdog */
+const RTC_WDT_WKEY = 0x50D83AA1;
+
+/* Worst case flash erase time per MiB, as esptool assumes; ERASE_FLASH and ERASE_REGION timeouts scale with it */
+const ERASE_TIMEOUT_PER_MB = 30000;
+
 /* ESP32 Reset Reason Codes (from ESP-IDF esp_system.h) */
 const RESET_REASON_MAP = {
     0: { name: 'NO_MEAN', desc: 'No reset reason' },
@@ -60,6 +105,54 @@ const RESET_REASON_MAP = {
     23: { name: 'POWER_GLITCH_RESET', desc: 'Power glitch reset digital core and rtc module' }
 };
 
+/* JEDEC manufacturer IDs of SPI flash vendors seen on ESP32 modules */
+const FLASH_MANUFACTURER_MAP = {
+    0x01: 'Spansion/Cypress',
+    0x0B: 'XTX',
+    0x1C: 'EON',
+    0x20: 'XMC/Micron',
+    0x46: 'FudanMicro',
+    0x5E: 'Zbit',
+    0x68: 'Boya',
+    0x85: 'Puya',
+    0x9D: 'ISSI',
+    0xA1: 'Fudan',
+    0xBA: 'Zetta',
+    0xC2: 'Macronix',
+    0xC8: 'GigaDevice',
+    0xCD: 'TH',
+    0xD8: 'Dosilicon',
+    0xEF: 'Winbond'
+};
+
+/* RDID capacity byte to flash size in bytes (same table as esptool) */
+const FLASH_SIZE_MAP = {
+    0x12: 0x40000, 0x13: 0x80000, 0x14: 0x100000, 0x15: 0x200000,
+    0x16: 0x400000, 0x17: 0x800000, 0x18: 0x1000000, 0x19: 0x2000000,
+    0x1A: 0x4000000, 0x1B: 0x8000000, 0x1C: 0x10000000,
+    0x20: 0x4000000, 0x21: 0x8000000, 0x22: 0x10000000,
+    0x32: 0x40000, 0x33: 0x80000, 0x34: 0x100000, 0x35: 0x200000,
+    0x36: 0x400000, 0x37: 0x800000, 0x38: 0x1000000, 0x39: 0x2000000,
+    0x3A: 0x4000000
+};
+
+/* eFuse KEY_PURPOSE_n values of chips with the V2 eFuse controller */
+const EFUSE_KEY_PURPOSE_MAP = {
+    0: 'USER',
+    1: 'RESERVED',
+    2: 'XTS_AES_256_KEY_1',
+    3: 'XTS_AES_256_KEY_2',
+    4: 'XTS_AES_128_KEY',
+    5: 'HMAC_DOWN_ALL',
+    6: 'HMAC_DOWN_JTAG',
+    7: 'HMAC_DOWN_DIGITAL_SIGNATURE',
+    8: 'HMAC_UP',
+    9: 'SECURE_BOOT_DIGEST0',
+    10: 'SECURE_BOOT_DIGEST1',
+    11: 'SECURE_BOOT_DIGEST2',
+    12: 'KM_INIT_KEY'
+};
+
 const CHIP_ID_MAP = {
     0x0000: 'esp32',
     0x0002: 'esp32s2',
@@ -77,6 +170,46 @@ const CHIP_ID_MAP = {
     0xFFFF: 'Invalid'
 };
 
+/*
+ * USB serial adapters found on ESP boards (https://devicehunt.com)
+ * WebUSBSerial.requestPort() offers these vendors and Node port discovery matches against them.
+ * kind: 'usb_jtag' for the USB-Serial/JTAG peripheral, 'usb_otg' for the chip's own USB-OTG CDC,
+ * 'uart_bridge' for USB-UART bridge chips wired to the ESP's UART.
+ * Entries without productId describe the rest of that vendor's devices.
+ */
+const USB_SERIAL_ADAPTERS = [
+    { vendorId: 0x303A, productId: 0x1001, vendor: 'Espressif', name: 'USB JTAG', kind: 'usb_jtag' },
+    { vendorId: 0x303A, vendor: 'Espressif', name: 'USB CDC', kind: 'usb_otg' },
+    { vendorId: 0x0403, productId: 0x6001, vendor: 'FTDI', name: 'FT232R', kind: 'uart_bridge' },
+    { vendorId: 0x0403, productId: 0x6010, vendor: 'FTDI', name: 'FT2232C/D/H', kind: 'uart_bridge' },
+    { vendorId: 0x0403, productId: 0x6011, vendor: 'FTDI', name: 'FT4232H', kind: 'uart_bridge' },
+    { vendorId: 0x0403, productId: 0x6014, vendor: 'FTDI', name: 'FT232H', kind: 'uart_bridge' },
+    { vendorId: 0x0403, productId: 0x6015, vendor: 'FTDI', name: 'FT231X', kind: 'uart_bridge' },
+    { vendorId: 0x0403, vendor: 'FTDI', name: 'Unknown', kind: 'uart_bridge' },
+    { vendorId: 0x1A86, productId: 0x7522, vendor: 'QinHeng Electronics', name: 'CH340C', kind: 'uart_bridge' },
+    { vendorId: 0x1A86, productId: 0x7523, vendor: 'QinHeng Electronics', name: 'CH340', kind: 'uart_bridge', maxBaudRate: 460800 },
+    { vendorId: 0x1A86, productId: 0x55D3, vendor: 'QinHeng Electronics', name: 'CH343', kind: 'uart_bridge' },
+    { vendorId: 0x1A86, productId: 0x55D4, vendor: 'QinHeng Electronics', name: 'CH9102F', kind: 'uart_bridge' },
+    { vendorId: 0x1A86, vendor: 'QinHeng Electronics', name: 'Unknown', kind: 'uart_bridge' },
+    { vendorId: 0x10C4, productId: 0xEA60, vendor: 'Silicon Labs', name: 'CP2102/CP2104', kind: 'uart_bridge' },
+    { vendorId: 0x10C4, productId: 0xEA70, vendor: 'Silicon Labs', name: 'CP2105', kind: 'uart_bridge' },
+    { vendorId: 0x10C4, vendor: 'Silicon Labs', name: 'Unknown', kind: 'uart_bridge' },
+    { vendorId: 0x067B, productId: 0x2303, vendor: 'Prolific', name: 'PL2303', kind: 'uart_bridge' },
+    { vendorId: 0x067B, vendor: 'Prolific', name: 'Unknown', kind: 'uart_bridge' }
+];
+
+/**
+ * Look up a USB serial adapter by its IDs
+ * @param {number} vendorId - USB vendor ID
+ * @param {number} productId - USB product ID
+ * @returns {Object|null} Entry of USB_SERIAL_ADAPTERS ({vendor, name, kind, maxBaudRate?}), null for other vendors
+ */
+function describeUsbSerialAdapter(vendorId, productId) {
+    return USB_SERIAL_ADAPTERS.find(a => a.vendorId === vendorId && a.productId === productId)
+        || USB_SERIAL_ADAPTERS.find(a => a.vendorId === vendorId && a.productId === undefined)
+        || null;
+}
+
 /**
  * SLIP Protocol Layer Handler
  * Implements Serial Line IP (RFC 1055) encoding/decoding for packet framing
@@ -256,13 +389,7 @@ class WebUSBSerial {
      * @returns {Promise<WebUSBSerial>} This instance
      */
     static async requestPort() {
-        const filters = [
-            { vendorId: 0x303A }, // Espressif
-            { vendorId: 0x0403 }, // FTDI
-            { vendorId: 0x1A86 }, // CH340
-            { vendorId: 0x10C4 }, // CP210x
-            { vendorId: 0x067B }  // PL2303
-        ];
+        const filters = [...new Set(USB_SERIAL_ADAPTERS.map(a => a.vendorId))].map(vendorId => ({ vendorId }));
 
         const device = await navigator.usb.requestDevice({ filters });
         const port = new WebUSBSerial();
@@ -418,23 +545,7 @@ class WebUSBSerial {
         // Set line coding
         const baudRate = options.baudRate || 115200;
         try {
-            const lineCoding = new Uint8Array([
-                baudRate & 0xFF,
-                (baudRate >> 8) & 0xFF,
-                (baudRate >> 16) & 0xFF,
-                (baudRate >> 24) & 0xFF,
-                0x00, // 1 stop bit
-                0x00, // No parity
-                0x08  // 8 data bits
-            ]);
-
-            await this.device.controlTransferOut({
-                requestType: 'class',
-                recipient: 'interface',
-                request: 0x20, // SET_LINE_CODING
-                value: 0,
-                index: this.controlInterface
-            }, lineCoding);
+            await this._setLineCoding(baudRate);
         } catch (e) {
             console.warn('Could not set line coding:', e.message);
         }
@@ -472,6 +583,44 @@ class WebUSBSerial {
         this.logDebug('[WebUSBSerial-flasher] Disconnect handler registered with navigator.usb');
     }
 
+    /**
+     * Send CDC SET_LINE_CODING (8N1) for the given baud rate
+     * @private
+     * @param {number} baudRate - Baud rate
+     * @returns {Promise<void>}
+     */
+    async _setLineCoding(baudRate) {
+        const lineCoding = new Uint8Array([
+            baudRate & 0xFF,
+            (baudRate >> 8) & 0xFF,
+            (baudRate >> 16) & 0xFF,
+            (baudRate >> 24) & 0xFF,
+            0x00, // 1 stop bit
+            0x00, // No parity
+            0x08  // 8 data bits
+        ]);
+
+        await this.device.controlTransferOut({
+            requestType: 'class',
+            recipient: 'interface',
+            request: 0x20, // SET_LINE_CODING
+            value: 0,
+            index: this.controlInterface
+        }, lineCoding);
+    }
+
+    /**
+     * Change the baud rate of the open device without closing it
+     * @param {number} baudRate - New baud rate
+     * @returns {Promise<void>}
+     */
+    async setBaudRate(baudRate) {
+        if (!this.device || !this.device.opened) {
+            throw new Error('Device not open');
+        }
+        await this._setLineCoding(baudRate);
+    }
+
     /**
      * Close the device (mimics port.close())
      * @returns {Promise<void>}
@@ -706,185 +855,1232 @@ class WebUSBSerial {
 }
 
 /**
- * ESP32 Bootloader Communication Handler
- * Manages serial communication with ESP32 devices using bootloader protocol
- * Supports reading/writing flash, downloading code to RAM, and firmware verification
- * @class ESPFlasher
+ * Serial port on another machine, reached through esp32-serial-bridge.js over WebSocket
+ * Mimics a Web Serial port, so ESPFlasher.openPortWithPort() accepts it like WebUSBSerial.
+ * Binary messages carry the serial data, JSON text messages the open/close, baud rate and DTR/RTS requests.
+ * @class WebSocketSerial
  */
-class ESPFlasher {
+class WebSocketSerial {
+    /**
+     * @param {string} url - Bridge URL, e.g. ws://lab-pc:8765/?token=secret
+     * @param {Object} [options]
+     * @param {Function} [options.WebSocket] - WebSocket constructor, defaults to the browser's
+     * @param {number} [options.timeout=5000] - How long to wait for the bridge to answer a request, in ms
+     */
+    constructor(url, { WebSocket: WebSocketClass = null, timeout = 5000 } = {}) {
+        this.url = url;
+        this.WebSocket = WebSocketClass || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        this.timeout = timeout;
+        this.socket = null;
+        this.isOpen = false;
+        this.info = {};
+        this.readable = null;
+        this.writable = null;
+        this._requestId = 0;
+        this._pending = new Map();
+        this._dataQueue = [];
+        this._readResolvers = [];
+        this._eventListeners = {
+            'close': [],
+            'disconnect': []
+        };
+    }
 
     /**
-     * Initialize ESP32 flasher instance
-     * Creates new instance with default configuration and empty state
+     * Connect to the bridge and open its serial port (mimics port.open())
+     * @param {Object} options - {baudRate: number}
+     * @returns {Promise<void>}
      */
-    constructor(options = {}) {
-        this.devMode = options.devMode || false;
-        this.logDebug = options.logDebug || ((...args) => { });
-        this.logError = options.logError || ((...args) => { });
-        this.logWarning = options.logWarning || ((...args) => { });
-        this.logMessage = options.logMessage || ((...args) => { });
-        this.logPackets = options.logPackets || false;
+    async open(options = {}) {
+        if (this.isOpen) {
+            throw new Error('Port is already open');
+        }
+        if (!this.WebSocket) {
+            throw new Error('WebSocket not available');
+        }
 
-        /*
-        Technical Limitation:
-            Web Serial cannot change the baud rate without reopening the port, which may reset the device.
-            Therefore, this tool keeps a single baud rate from start to end.
-            ESP32 ROM prints its reset messages at 115200 baud.
-            
-            When using a USB-UART adapter with RX/TX wiring:
-            - Use 115200 to see ROM reset messages (slower link), or
-            - Use a higher baud (e.g., 921600) for speed but you will not see reset messages.
+        await new Promise((resolve, reject) => {
+            const socket = new this.WebSocket(this.url);
+            socket.binaryType = 'arraybuffer';
+            socket.onopen = () => {
+                this.socket = socket;
+                resolve();
+            };
+            socket.onerror = (event) => {
+                reject(new Error(`Could not reach bridge ${this.url}${event && event.message ? `: ${event.message}` : ''}`));
+            };
+            socket.onclose = () => {
+                reject(new Error(`Bridge ${this.url} closed the connection`));
+                this._onSocketClose(socket);
+            };
+            socket.onmessage = (event) => this._onMessage(event.data);
+        });
 
-            This does not apply to native USB/JTAG interfaces of course.
+        this._dataQueue = [];
+        this._readResolvers = [];
+        this.isOpen = true;
 
-            Normal ESP32 needs 115200 or 250000 for any operation.
-        */
-        this.initialBaudRate = options.initialBaudRate || 921600;
+        try {
+            const reply = await this._request({ type: 'open', baudRate: options.baudRate || 115200 });
+            this.info = reply.info || {};
+        } catch (error) {
+            this.isOpen = false;
+            this.socket.close();
+            throw error;
+        }
 
-        /* Flash read tuning */
-        this.readFlashBlockSize = options.readFlashBlockSize || 0x1000;
-        this.readFlashMaxInFlight = options.readFlashMaxInFlight || 32;
+        this.readable = {
+            getReader: () => ({
+                read: () => this._read(),
+                cancel: async () => this._endReads(),
+                releaseLock: () => { }
+            })
+        };
+        this.writable = {
+            getWriter: () => ({
+                write: async (data) => {
+                    if (!this.isOpen) {
+                        throw new Error('Port is not open');
+                    }
+                    this.socket.send(data);
+                },
+                close: async () => { },
+                releaseLock: () => { }
+            })
+        };
+    }
 
-        this.chip_magic_addr = 0x40001000;
-        this.chip_descriptions = new ChipDescriptionsClass().chip_descriptions;
-        this.port = null;
-        this.currentAddress = 0x0000;
-        this.current_chip = "none";
-        this.stubLoaded = false;
-        this.responseHandlers = new Map();
-        this.buffer = [];
-        this.escaping = false;
-        this.slipLayer = new SlipLayer();
-        this.synced = false;
-        this.consoleBuffer = '';
-        this._preSyncState = 'idle';
-        this.reader = null;
-        this.dtrState = true;
-        this.rtsState = true;
+    /**
+     * Close the remote port and the connection (mimics port.close())
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (!this.isOpen) return;
+        try {
+            await this._request({ type: 'close' });
+        } catch (e) { /* The connection is dropped below either way */ }
+        this.socket.close();
+        this._onSocketClose(this.socket);
+    }
 
-        /* Command execution lock to prevent concurrent command execution */
-        this._commandLock = Promise.resolve();
+    /**
+     * USB IDs of the port on the bridge machine, as reported when it was opened
+     * @returns {{usbVendorId: number|undefined, usbProductId: number|undefined}}
+     */
+    getInfo() {
+        return { usbVendorId: this.info.usbVendorId, usbProductId: this.info.usbProductId };
+    }
 
-        /* Persistent writer + queued writes to avoid WritableStream lock contention */
-        this._activeWriter = null;
-        this._writeChain = Promise.resolve();
+    /**
+     * Change the baud rate of the remote port without closing it
+     * @param {number} baudRate - New baud rate
+     * @returns {Promise<void>}
+     */
+    async setBaudRate(baudRate) {
+        await this._request({ type: 'setBaudRate', baudRate });
     }
 
     /**
-     * Ensure a single persistent WritableStreamDefaultWriter exists
-     * @private
+     * Set DTR/RTS on the remote port, resolves once the bridge applied them
+     * @param {Object} signals - {dataTerminalReady?: boolean, requestToSend?: boolean}
+     * @returns {Promise<void>}
      */
-    async _ensureWriter() {
-        if (!this.port || !this.port.writable) {
-            throw new Error('Port is not writable.');
+    async setSignals(signals) {
+        await this._request({
+            type: 'setSignals',
+            dataTerminalReady: signals.dataTerminalReady,
+            requestToSend: signals.requestToSend
+        });
+    }
+
+    addEventListener(type, listener) {
+        if (this._eventListeners[type]) {
+            this._eventListeners[type].push(listener);
         }
-        if (!this._activeWriter) {
-            this._activeWriter = this.port.writable.getWriter();
+    }
+
+    removeEventListener(type, listener) {
+        if (this._eventListeners[type]) {
+            this._eventListeners[type] = this._eventListeners[type].filter(l => l !== listener);
         }
-        return this._activeWriter;
     }
 
     /**
-     * Queue a write on the persistent writer to serialize all writes
+     * Send a request to the bridge and wait for its reply
      * @private
+     * @param {Object} message - Request, gets an id assigned
+     * @returns {Promise<Object>} Reply message
      */
-    async _writeFrame(frame) {
-        this._writeChain = this._writeChain.then(async () => {
-            const writer = await this._ensureWriter();
-            this.logSerialData(frame, true);
-            await writer.write(frame);
+    _request(message) {
+        if (!this.isOpen) {
+            return Promise.reject(new Error('Port is not open'));
+        }
+        const id = ++this._requestId;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this._pending.delete(id);
+                reject(new Error(`Bridge did not answer '${message.type}'`));
+            }, this.timeout);
+            this._pending.set(id, { resolve, reject, timer });
+            this.socket.send(JSON.stringify({ ...message, id }));
         });
-        return this._writeChain;
     }
 
     /**
-     * Release the persistent writer if held
+     * Dispatch a message from the bridge: serial data, a reply, or the port going away
      * @private
      */
-    _releaseWriter() {
-        if (this._activeWriter) {
-            try { this._activeWriter.releaseLock(); } catch (e) { }
-            this._activeWriter = null;
+    _onMessage(data) {
+        if (typeof data !== 'string') {
+            const chunk = new Uint8Array(data);
+            if (!this.isOpen || !chunk.length) return;
+            if (this._readResolvers.length > 0) {
+                this._readResolvers.shift()({ value: chunk, done: false });
+            } else {
+                this._dataQueue.push(chunk);
+            }
+            return;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (e) {
+            return;
+        }
+
+        const request = this._pending.get(message.id);
+        if (message.type === 'result' && request) {
+            this._pending.delete(message.id);
+            clearTimeout(request.timer);
+            if (message.error) {
+                request.reject(new Error(message.error));
+            } else {
+                request.resolve(message);
+            }
+        } else if (message.type === 'closed' && this.socket) {
+            /* Serial port on the bridge machine went away, e.g. the board was unplugged */
+            this.socket.close();
+            this._onSocketClose(this.socket);
         }
     }
 
     /**
-     * Format bytes as colored hex dump for console
-     * @param {Uint8Array} data - Data to format
-     * @param {string} isTx - 'TX' or 'RX'
-     * @param {number} maxBytes - Maximum bytes to show (default: 256)
+     * Fail outstanding requests and reads and fire 'close', once per connection
+     * @private
      */
-    logSerialData(data, isTx, maxBytes = 128) {
-        if (!this.logPackets) return;
+    _onSocketClose(socket) {
+        if (socket !== this.socket) return;
+        this.socket = null;
+        const wasOpen = this.isOpen;
+        this.isOpen = false;
+
+        for (const request of this._pending.values()) {
+            clearTimeout(request.timer);
+            request.reject(new Error('Bridge connection closed'));
+        }
+        this._pending.clear();
+        this._endReads();
 
-        const arrow = isTx ? '→' : '←';
+        if (wasOpen) {
+            this._eventListeners['close'].forEach(listener => {
+                try {
+                    listener({ target: this });
+                } catch (e) {
+                    console.error('Error in close event listener:', e);
+                }
+            });
+        }
+    }
 
-        const truncated = data.length > maxBytes;
+    async _read() {
+        if (!this.isOpen) {
+            return { value: undefined, done: true };
+        }
+        if (this._dataQueue.length > 0) {
+            return { value: this._dataQueue.shift(), done: false };
+        }
+        return new Promise(resolve => this._readResolvers.push(resolve));
+    }
 
-        // Format hex string with spaces every 2 bytes and newline every 16 bytes
-        let hexStr = '';
-        let asciiStr = '';
-        let lines = [];
+    _endReads() {
+        while (this._readResolvers.length > 0) {
+            this._readResolvers.shift()({ value: undefined, done: true });
+        }
+    }
+}
 
-        const formatBytes = (startIdx, endIdx) => {
-            for (let i = startIdx; i < endIdx; i++) {
-                const byte = data[i];
-                hexStr += byte.toString(16).padStart(2, '0').toUpperCase() + ' ';
-                asciiStr += (byte >= 32 && byte <= 126) ? String.fromCharCode(byte) : '.';
+/* Recording file format, see SerialSessionRecorder */
+const ESPLOG_FORMAT = 'esplog';
+const ESPLOG_VERSION = 1;
 
-                if ((i + 1) % 16 === 0 || i === endIdx - 1) {
-                    // Pad hex string to align ASCII
-                    const hexPadding = ' '.repeat(Math.max(0, (16 - (i % 16) - 1) * 3));
-                    lines.push(`  ${hexStr}${hexPadding} | ${asciiStr}`);
-                    hexStr = '';
-                    asciiStr = '';
-                }
-            }
-        };
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
 
-        if (truncated) {
-            formatBytes(0, 64);
-            const lastSectionStart = Math.floor((data.length - 64) / 16) * 16;
-            const skipped = lastSectionStart - 64;
-            lines.push(`  ... (${skipped} bytes omitted) ...`);
-            formatBytes(lastSectionStart, data.length);
-        } else {
-            formatBytes(0, data.length);
-        }
+function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
 
-        const truncMsg = truncated ? ` (showing partially)` : '';
-        this.logDebug(`${arrow} RAW [${data.length} bytes]${truncMsg}`, { lines: lines });
+/**
+ * Records what goes over the serial port of an ESPFlasher, for bug reports
+ * Attach with new ESPFlasher({recorder}) or flasher.startRecording(). The flasher reports
+ * every TX/RX chunk, port open/close, baud rate change and DTR/RTS change with a timestamp.
+ * serialize() gives the .esplog text: a JSON header line, then one JSON line per event
+ * ({t: ms since start, type, data: base64, ...}). ReplaySerialPort plays it back.
+ * @class SerialSessionRecorder
+ */
+class SerialSessionRecorder {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxBytes=64 MiB] - Stop recording data beyond this, the header then says truncated
+     * @param {Object} [options.info] - Free-form header fields, e.g. a description of the problem
+     */
+    constructor({ maxBytes = 64 * 1024 * 1024, info = {} } = {}) {
+        this.maxBytes = maxBytes;
+        this.info = { ...info };
+        this.events = [];
+        this.bytes = 0;
+        this.truncated = false;
+        this.startedAt = Date.now();
     }
 
     /**
-     * Open serial port and start reading packets
-     * @async
-     * @returns {Promise<void>}
-     * @throws {Error} If port request fails
+     * Add an event
+     * @param {string} type - 'tx', 'rx', 'open', 'close', 'baud' or 'signals'
+     * @param {Uint8Array} [data] - Bytes of tx/rx, copied
+     * @param {Object} [detail] - Extra fields, e.g. {baudRate} or {dataTerminalReady, requestToSend}
      */
-    async openPort() {
-        /* Require Web Serial API (available in Chrome/Edge) */
-        if (typeof navigator === 'undefined' || !navigator.serial) {
-            throw new Error('Web Serial API not available. Please use Chrome or Edge.');
+    record(type, data = null, detail = {}) {
+        if (this.truncated) {
+            return;
         }
-
-        const port = await navigator.serial.requestPort();
-        return this.openPortWithPort(port);
+        if (data) {
+            if (this.bytes + data.length > this.maxBytes) {
+                this.truncated = true;
+                return;
+            }
+            this.bytes += data.length;
+        }
+        this.events.push({ t: Date.now() - this.startedAt, type, ...detail, ...(data ? { data: data.slice() } : {}) });
     }
 
     /**
-     * Open a provided serial port (Web Serial or WebUSB)
-     * @async
-     * @param {SerialPort|WebUSBSerial} port - Port instance to open
-     * @returns {Promise<void>}
-     * @throws {Error} If connection fails
+     * Recording as .esplog text
+     * @returns {string}
      */
-    async openPortWithPort(port) {
-        return new Promise(async (resolve, reject) => {
+    serialize() {
+        const header = {
+            format: ESPLOG_FORMAT,
+            version: ESPLOG_VERSION,
+            startedAt: new Date(this.startedAt).toISOString(),
+            truncated: this.truncated,
+            ...this.info
+        };
+        const lines = [JSON.stringify(header)];
+        for (const event of this.events) {
+            lines.push(JSON.stringify(event.data ? { ...event, data: bytesToBase64(event.data) } : event));
+        }
+        return lines.join('\n') + '\n';
+    }
 
-            /* Open the port */
-            try {
-                this.port = port;
+    /**
+     * Read .esplog text
+     * @param {string} text - Output of serialize()
+     * @returns {{header: Object, events: Array<Object>}} Events with data as Uint8Array
+     * @throws {Error} If the text is no recording of a supported version
+     */
+    static parse(text) {
+        const lines = String(text).split('\n').filter(line => line.trim().length > 0);
+        let header;
+        try {
+            header = JSON.parse(lines[0]);
+        } catch (e) {
+            header = null;
+        }
+        if (!header || header.format !== ESPLOG_FORMAT) {
+            throw new Error('Not an .esplog recording');
+        }
+        if (header.version > ESPLOG_VERSION) {
+            throw new Error(`Recording version ${header.version} is newer than this flasher supports (${ESPLOG_VERSION})`);
+        }
+        const events = lines.slice(1).map((line, index) => {
+            try {
+                const event = JSON.parse(line);
+                return event.data !== undefined ? { ...event, data: base64ToBytes(event.data) } : event;
+            } catch (e) {
+                throw new Error(`Broken event in recording line ${index + 2}: ${e.message}`);
+            }
+        });
+        return { header, events };
+    }
+}
+
+/**
+ * Port that plays back a SerialSessionRecorder recording, for reproducing problems offline
+ * Mimics a Web Serial port for ESPFlasher.openPortWithPort(). What the flasher does (open, DTR/RTS,
+ * baud rate changes, writes) moves through the recording in order; the RX chunks recorded after that
+ * step are then delivered, with their recorded delays unless realtime is false, so timeouts and
+ * retries happen as they did. Writes that differ from the recording are listed in divergences.
+ * @class ReplaySerialPort
+ */
+class ReplaySerialPort {
+    /**
+     * @param {string|Object} recording - .esplog text or the result of SerialSessionRecorder.parse()
+     * @param {Object} [options]
+     * @param {boolean} [options.realtime=true] - Keep the recorded RX timing, false delivers at once
+     * @param {boolean} [options.strict=false] - Fail the write that differs from the recording
+     */
+    constructor(recording, { realtime = true, strict = false } = {}) {
+        const parsed = typeof recording === 'string' ? SerialSessionRecorder.parse(recording) : recording;
+        this.header = parsed.header;
+        this.events = parsed.events;
+        this.realtime = realtime;
+        this.strict = strict;
+        this.cursor = 0;
+        this.divergences = [];
+        this.isOpen = false;
+        this.readable = null;
+        this.writable = null;
+        this._timers = new Set();
+        this._dataQueue = [];
+        this._readResolvers = [];
+        this._eventListeners = {
+            'close': [],
+            'disconnect': []
+        };
+        const firstOpen = this.events.find(event => event.type === 'open');
+        this.info = firstOpen ? { usbVendorId: firstOpen.usbVendorId, usbProductId: firstOpen.usbProductId } : {};
+    }
+
+    /**
+     * True once every recorded event was played
+     * @returns {boolean}
+     */
+    get finished() {
+        return this.cursor >= this.events.length;
+    }
+
+    async open(options = {}) {
+        if (this.isOpen) {
+            throw new Error('Port is already open');
+        }
+        this.isOpen = true;
+        this._dataQueue = [];
+        this._readResolvers = [];
+        this.readable = {
+            getReader: () => ({
+                read: () => this._read(),
+                cancel: async () => this._endReads(),
+                releaseLock: () => { }
+            })
+        };
+        this.writable = {
+            getWriter: () => ({
+                write: async (data) => this._write(new Uint8Array(data)),
+                close: async () => { },
+                releaseLock: () => { }
+            })
+        };
+        this._step('open', { baudRate: options.baudRate || 115200 });
+    }
+
+    async close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this._timers.forEach(timer => clearTimeout(timer));
+        this._timers.clear();
+        this._endReads();
+        this._step('close');
+        this._eventListeners['close'].forEach(listener => {
+            try {
+                listener({ target: this });
+            } catch (e) {
+                console.error('Error in close event listener:', e);
+            }
+        });
+    }
+
+    getInfo() {
+        return { usbVendorId: this.info.usbVendorId, usbProductId: this.info.usbProductId };
+    }
+
+    async setBaudRate(baudRate) {
+        this._step('baud', { baudRate });
+    }
+
+    async setSignals(signals) {
+        this._step('signals', { dataTerminalReady: signals.dataTerminalReady, requestToSend: signals.requestToSend });
+    }
+
+    addEventListener(type, listener) {
+        if (this._eventListeners[type]) {
+            this._eventListeners[type].push(listener);
+        }
+    }
+
+    removeEventListener(type, listener) {
+        if (this._eventListeners[type]) {
+            this._eventListeners[type] = this._eventListeners[type].filter(l => l !== listener);
+        }
+    }
+
+    /**
+     * Match a write against the next recorded TX, skipping recorded steps the flasher did not repeat
+     * @private
+     */
+    _write(data) {
+        if (!this.isOpen) {
+            throw new Error('Port is not open');
+        }
+        while (!this.finished && this.events[this.cursor].type !== 'tx') {
+            const skipped = this.events[this.cursor++];
+            if (skipped.type === 'rx') {
+                this._deliver(skipped.data);
+            }
+        }
+        if (this.finished) {
+            this._diverge({ index: this.cursor, expected: null, actual: data }, 'Write after the end of the recording');
+            return;
+        }
+        const index = this.cursor++;
+        const expected = this.events[index].data;
+        if (expected.length !== data.length || expected.some((b, i) => b !== data[i])) {
+            this._diverge({ index, expected, actual: data }, `Write differs from the recording at event ${index}`);
+        }
+        this._playResponses(this.events[index]);
+    }
+
+    /**
+     * Consume a recorded open/close/baud/signals step if it is the next one; otherwise ignore it
+     * @private
+     */
+    _step(type, detail = {}) {
+        const event = this.events[this.cursor];
+        if (!event || event.type !== type) {
+            return;
+        }
+        this.cursor++;
+        if (type === 'open' && event.baudRate !== detail.baudRate) {
+            this._diverge({ index: this.cursor - 1, expected: event.baudRate, actual: detail.baudRate }, `Opened at ${detail.baudRate} baud, recorded at ${event.baudRate}`);
+        }
+        this._playResponses(event);
+    }
+
+    /**
+     * Deliver the RX events recorded after a host step
+     * @private
+     */
+    _playResponses(step) {
+        while (!this.finished && this.events[this.cursor].type === 'rx') {
+            const event = this.events[this.cursor++];
+            if (!this.realtime) {
+                this._deliver(event.data);
+                continue;
+            }
+            const timer = setTimeout(() => {
+                this._timers.delete(timer);
+                this._deliver(event.data);
+            }, Math.max(0, event.t - step.t));
+            this._timers.add(timer);
+        }
+    }
+
+    _diverge(divergence, message) {
+        this.divergences.push({ ...divergence, message });
+        if (this.strict) {
+            throw new Error(`Replay diverged: ${message}`);
+        }
+    }
+
+    _deliver(data) {
+        if (!this.isOpen || !data.length) return;
+        if (this._readResolvers.length > 0) {
+            this._readResolvers.shift()({ value: data, done: false });
+        } else {
+            this._dataQueue.push(data);
+        }
+    }
+
+    async _read() {
+        if (!this.isOpen) {
+            return { value: undefined, done: true };
+        }
+        if (this._dataQueue.length > 0) {
+            return { value: this._dataQueue.shift(), done: false };
+        }
+        return new Promise(resolve => this._readResolvers.push(resolve));
+    }
+
+    _endReads() {
+        while (this._readResolvers.length > 0) {
+            this._readResolvers.shift()({ value: undefined, done: true });
+        }
+    }
+}
+
+/**
+ * Base class of the errors ESPFlasher throws
+ * `retryable` tells automation whether running the same operation again can help.
+ * @class FlasherError
+ */
+class FlasherError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [details] - Extra properties copied onto the error, `cause` becomes error.cause
+     */
+    constructor(message, details = {}) {
+        super(message, details.cause !== undefined ? { cause: details.cause } : undefined);
+        this.name = this.constructor.name;
+        this.retryable = false;
+        Object.keys(details).forEach(key => {
+            if (key !== 'cause') {
+                this[key] = details[key];
+            }
+        });
+    }
+}
+
+/**
+ * No (complete) response within the timeout
+ * @class TimeoutError
+ * @property {number} command - Command code
+ * @property {string} commandName - e.g. 'READ_REG'
+ * @property {number} timeout - Timeout in milliseconds
+ */
+class TimeoutError extends FlasherError {
+    constructor(message, details = {}) {
+        super(message, { command: null, commandName: null, timeout: null, ...details });
+        this.retryable = true;
+    }
+}
+
+/**
+ * The loader did not answer SYNC, or the link was lost after a baud rate change
+ * @class SyncError
+ */
+class SyncError extends FlasherError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.retryable = true;
+    }
+}
+
+/**
+ * The loader rejected a command or sent a response that makes no sense
+ * @class ProtocolError
+ * @property {number} command - Command code
+ * @property {string} commandName - e.g. 'FLASH_DEFL_DATA'
+ * @property {number|null} status - Status byte of the response, non-zero on failure
+ * @property {number|null} errorCode - Error byte of the response, see LOADER_ERRORS
+ * @property {string|null} errorName - esptool's name of the error byte, e.g. 'Invalid CRC in message'
+ * @property {number|null} value - Value field of the response
+ */
+class ProtocolError extends FlasherError {
+    constructor(message, details = {}) {
+        const command = details.command !== undefined ? details.command : null;
+        const errorCode = details.errorCode !== undefined ? details.errorCode : null;
+        super(message, {
+            commandName: command !== null ? (COMMAND_NAMES[command] || `0x${command.toString(16)}`) : null,
+            status: null,
+            value: null,
+            errorName: errorCode !== null ? describeLoaderError(errorCode) : null,
+            ...details,
+            command,
+            errorCode
+        });
+        this.retryable = TRANSIENT_LOADER_ERRORS.includes(errorCode);
+    }
+
+    /**
+     * Error for a response with a failure status
+     * @param {Object} pkt - Response from parsePacket() with status/errorCode filled in by processPacket()
+     * @returns {ProtocolError}
+     */
+    static fromResponse(pkt) {
+        const name = COMMAND_NAMES[pkt.command] || `command 0x${pkt.command.toString(16)}`;
+        const code = `0x${pkt.errorCode.toString(16).padStart(2, '0')}`;
+        return new ProtocolError(`${name} failed: ${describeLoaderError(pkt.errorCode)} (${code})`, {
+            command: pkt.command,
+            status: pkt.status,
+            errorCode: pkt.errorCode,
+            value: pkt.value
+        });
+    }
+}
+
+/**
+ * The port went away or could not be written to
+ * @class DisconnectedError
+ */
+class DisconnectedError extends FlasherError { }
+
+/**
+ * Data on the device does not match, e.g. an MD5 mismatch after a write or read
+ * @class VerifyError
+ * @property {string} expected - Expected MD5
+ * @property {string} actual - MD5 found
+ */
+class VerifyError extends FlasherError {
+    constructor(message, details = {}) {
+        super(message, { expected: null, actual: null, ...details });
+        this.retryable = true;
+    }
+}
+
+/**
+ * Name of a ROM/stub loader error byte
+ * @param {number} code - Error byte of a failed response
+ * @returns {string} esptool's name, or 'Unknown error 0x..'
+ */
+function describeLoaderError(code) {
+    return LOADER_ERRORS[code] || `Unknown error 0x${code.toString(16).padStart(2, '0')}`;
+}
+
+/**
+ * Throw if the AbortSignal of an operation fired
+ * @param {AbortSignal} [signal] - Signal passed in options.signal
+ * @throws {*} signal.reason, an AbortError DOMException unless abort() was given another reason
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw signal.reason !== undefined ? signal.reason : new Error('Operation aborted');
+    }
+}
+
+/**
+ * Minimal event emitter for browser and Node.js, base class of ESPFlasher and ESP32Parser
+ * Listeners get a single detail object. A throwing listener is logged and does not stop the others.
+ * @class FlasherEventEmitter
+ */
+class FlasherEventEmitter {
+    constructor() {
+        this._eventListeners = {};
+    }
+
+    /**
+     * Add a listener
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event detail
+     * @returns {this}
+     */
+    on(event, listener) {
+        (this._eventListeners[event] = this._eventListeners[event] || []).push(listener);
+        return this;
+    }
+
+    /**
+     * Add a listener that is removed after its first call
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event detail
+     * @returns {this}
+     */
+    once(event, listener) {
+        const wrapper = (detail) => {
+            this.off(event, wrapper);
+            listener(detail);
+        };
+        wrapper.listener = listener;
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Remove a listener added with on() or once()
+     * @param {string} event - Event name
+     * @param {Function} listener - The function passed to on() or once()
+     * @returns {this}
+     */
+    off(event, listener) {
+        const listeners = this._eventListeners[event];
+        if (listeners) {
+            this._eventListeners[event] = listeners.filter(l => l !== listener && l.listener !== listener);
+        }
+        return this;
+    }
+
+    /**
+     * @param {string} event - Event name
+     * @returns {number} Number of listeners for event
+     */
+    listenerCount(event) {
+        return (this._eventListeners[event] || []).length;
+    }
+
+    /**
+     * Call all listeners of an event
+     * @param {string} event - Event name
+     * @param {Object} [detail] - Passed to every listener
+     * @returns {boolean} True if there were listeners
+     */
+    emit(event, detail = {}) {
+        const listeners = this._eventListeners[event];
+        if (!listeners || listeners.length === 0) {
+            return false;
+        }
+        /* Copy, once() listeners remove themselves while we iterate */
+        for (const listener of [...listeners]) {
+            try {
+                listener(detail);
+            } catch (e) {
+                console.error(`Error in '${event}' event listener:`, e);
+            }
+        }
+        return true;
+    }
+}
+
+/**
+ * State of a block-wise flash read that can be resumed after a failure
+ * Created by ESPFlasher.createReadSession(), filled by ESPFlasher.readFlashSession().
+ * Each block is verified with SPI_FLASH_MD5 and only failed blocks are read again.
+ * @class FlashReadSession
+ */
+class FlashReadSession {
+    /**
+     * @param {number} address - Flash start address
+     * @param {number} size - Number of bytes
+     * @param {Object} [options]
+     * @param {number} [options.blockSize=0x10000] - Bytes per verified block
+     * @param {number} [options.maxRetries=3] - Retries per block before the session stops
+     * @param {number} [options.retryDelay=100] - Delay before the first retry in ms, doubled per attempt
+     * @param {number} [options.maxRetryDelay=2000] - Upper limit for the retry delay in ms
+     */
+    constructor(address, size, options = {}) {
+        this.address = address;
+        this.size = size;
+        this.blockSize = options.blockSize || 0x10000;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+        this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 100;
+        this.maxRetryDelay = options.maxRetryDelay !== undefined ? options.maxRetryDelay : 2000;
+        this.data = new Uint8Array(size);
+        this.retries = 0;
+
+        /* state: 'pending', 'done' or 'failed' */
+        this.blocks = [];
+        for (let offset = 0; offset < size; offset += this.blockSize) {
+            this.blocks.push({
+                offset: offset,
+                length: Math.min(this.blockSize, size - offset),
+                state: 'pending',
+                attempts: 0,
+                md5: null,
+                error: null
+            });
+        }
+    }
+
+    /** @returns {number} Number of verified bytes */
+    get bytesDone() {
+        return this.blocks.filter(b => b.state === 'done').reduce((sum, b) => sum + b.length, 0);
+    }
+
+    /** @returns {boolean} True when all blocks were read and verified */
+    get complete() {
+        return this.blocks.every(b => b.state === 'done');
+    }
+
+    /** @returns {Array<Object>} Blocks that ran out of retries */
+    get failedBlocks() {
+        return this.blocks.filter(b => b.state === 'failed');
+    }
+
+    /**
+     * Delay before the next attempt of a block
+     * @param {number} attempts - Attempts made so far
+     * @returns {number} Delay in ms
+     */
+    retryDelayFor(attempts) {
+        return Math.min(this.retryDelay * Math.pow(2, Math.max(0, attempts - 1)), this.maxRetryDelay);
+    }
+
+    /**
+     * Put failed blocks back into the queue with a fresh retry budget
+     */
+    resume() {
+        for (const block of this.blocks) {
+            if (block.state === 'failed') {
+                block.state = 'pending';
+                block.attempts = 0;
+            }
+        }
+    }
+}
+
+/**
+ * ESP32 Bootloader Communication Handler
+ * Manages serial communication with ESP32 devices using bootloader protocol
+ * Supports reading/writing flash, downloading code to RAM, and firmware verification
+ *
+ * Events (flasher.on(name, detail => ...)):
+ *   connect        {baudRate, vid, pid, adapter} - port opened
+ *   chip-detected  {chip, chipId or magic} - sync() identified the chip by its chip ID or by the magic register
+ *   stub-loaded    {chip, flashSize} - stub loader running
+ *   progress       {op, addr, done, total, stage} - op is 'read', 'write', 'erase', 'blank-check', 'test' or 'reliability'
+ *   packet         {direction, command, commandName, data, status, errorCode} - frame sent ('tx') or received ('rx'),
+ *                  data without SLIP framing; raw frames (READ_FLASH data and acks) have command null
+ *   log            {level, message, args} - level 'debug', 'info', 'warning' or 'error'
+ *   warning        {message}
+ *   device-state   {state, ...} - reset and boot mode messages of the ROM, see deviceStateCallback
+ *   disconnect     {unexpected, reason}
+ * The log*, deviceStateCallback and disconnected callbacks and the positional progress callbacks still work.
+ * @class ESPFlasher
+ */
+class ESPFlasher extends FlasherEventEmitter {
+
+    /**
+     * Initialize ESP32 flasher instance
+     * Creates new instance with default configuration and empty state
+     */
+    constructor(options = {}) {
+        super();
+        this.devMode = options.devMode || false;
+        this._logFunctions = {};
+        this.logDebug = options.logDebug;
+        this.logError = options.logError;
+        this.logWarning = options.logWarning;
+        this.logMessage = options.logMessage;
+        this.logPackets = options.logPackets || false;
+
+        /*
+        Technical Limitation:
+            Web Serial cannot change the baud rate without reopening the port, which may reset the device.
+            Therefore, the port is opened at a single initial baud rate. Once synced, changeBaudRate()
+            can move ROM/stub and host to a faster rate (in place on WebUSB and Node, by reopening on Web Serial).
+            ESP32 ROM prints its reset messages at 115200 baud.
+            
+            When using a USB-UART adapter with RX/TX wiring:
+            - Use 115200 to see ROM reset messages (slower link), or
+            - Use a higher baud (e.g., 921600) for speed but you will not see reset messages.
+
+            This does not apply to native USB/JTAG interfaces of course.
+
+            Normal ESP32 needs 115200 or 250000 for any operation.
+        */
+        this.initialBaudRate = options.initialBaudRate || 921600;
+
+        /* Flash read tuning */
+        this.readFlashBlockSize = options.readFlashBlockSize || 0x1000;
+        this.readFlashMaxInFlight = options.readFlashMaxInFlight || 32;
+        this.readFlashMaxRetries = options.readFlashMaxRetries !== undefined ? options.readFlashMaxRetries : 3;
+
+        /* Flash size used for SPI_SET_PARAMS and full-chip operations, replaced by readFlashId() */
+        this.flashSize = options.flashSize || 0x800000;
+        this.flashId = null;
+
+        /* Flash write tuning: use FLASH_DEFL_* when the stub is running */
+        this.compressFlashWrites = options.compressFlashWrites !== false;
+
+        this.chip_magic_addr = 0x40001000;
+        this.chip_descriptions = new ChipDescriptionsClass().chip_descriptions;
+        this.port = null;
+        this.currentAddress = 0x0000;
+        this.current_chip = "none";
+        this.stubLoaded = false;
+        this.responseHandlers = new Map();
+        this.buffer = [];
+        this.escaping = false;
+        this.slipLayer = new SlipLayer();
+        this.synced = false;
+        this.consoleBuffer = '';
+        this._preSyncState = 'idle';
+        this.reader = null;
+        this.dtrState = true;
+        this.rtsState = true;
+        this.currentBaudRate = null;
+        this.chipInfo = null;
+
+        /* One of RESET_STRATEGIES, used by hardReset() */
+        this.resetStrategy = options.resetStrategy || 'auto';
+
+        /* Set by runFromRam(): received bytes go to consoleDataCallback instead of the SLIP decoder */
+        this.consoleMode = false;
+        this.consoleDataCallback = null;
+        /* While runFromRam() waits for the MEM_END response: {frame, resolve} */
+        this._consoleResponse = null;
+
+        /* SerialSessionRecorder that gets all port traffic, see startRecording() */
+        this.recorder = options.recorder || null;
+
+        /* Command execution lock to prevent concurrent command execution */
+        this._commandLock = Promise.resolve();
+        /* Rejects the command waiting for a response, see _failPendingCommand() */
+        this._pendingReject = null;
+
+        /* 'disconnect' is emitted once per 'connect'; reopenPort() closes the port without disconnecting */
+        this._connected = false;
+        this._reopening = false;
+
+        /* Persistent writer + queued writes to avoid WritableStream lock contention */
+        this._activeWriter = null;
+        this._writeChain = Promise.resolve();
+    }
+
+    /*
+     * The log functions can be assigned like plain properties. Whatever is assigned becomes the callback
+     * of an adapter that also emits 'log' (and 'warning'), so listeners see the output of every level.
+     */
+    get logDebug() { return this._logFunctions.debug; }
+    set logDebug(callback) { this._setLogFunction('debug', callback); }
+    get logMessage() { return this._logFunctions.info; }
+    set logMessage(callback) { this._setLogFunction('info', callback); }
+    get logWarning() { return this._logFunctions.warning; }
+    set logWarning(callback) { this._setLogFunction('warning', callback); }
+    get logError() { return this._logFunctions.error; }
+    set logError(callback) { this._setLogFunction('error', callback); }
+
+    /**
+     * Install the adapter for one log level
+     * @private
+     * @param {string} level - 'debug', 'info', 'warning' or 'error'
+     * @param {Function} [callback] - Legacy log callback(...args)
+     */
+    _setLogFunction(level, callback) {
+        if (callback && callback === this._logFunctions[level]) {
+            return;
+        }
+        const adapter = (...args) => {
+            callback && callback(...args);
+            const wantsLog = this.listenerCount('log') > 0;
+            const wantsWarning = level === 'warning' && this.listenerCount('warning') > 0;
+            if (wantsLog || wantsWarning) {
+                const message = args
+                    .filter(arg => arg !== null && (typeof arg !== 'object' || arg instanceof Error))
+                    .map(arg => arg instanceof Error ? arg.message : String(arg))
+                    .join(' ');
+                wantsLog && this.emit('log', { level, message, args });
+                wantsWarning && this.emit('warning', { message });
+            }
+        };
+        this._logFunctions[level] = adapter;
+    }
+
+    /**
+     * Emit a 'progress' event, next to the positional callback of the operation
+     * @private
+     */
+    _emitProgress(op, addr, done, total, stage) {
+        this.emit('progress', { op, addr, done, total, stage });
+    }
+
+    /**
+     * Report a state of the device to deviceStateCallback and as 'device-state' event
+     * @private
+     * @param {string} state - 'reboot', 'secure', 'download', 'secure_boot' or 'secure_download'
+     * @param {Object} [data] - Extra fields, e.g. the reset reason for 'reboot'
+     */
+    _deviceState(state, data) {
+        this.deviceStateCallback && this.deviceStateCallback(state, data);
+        this.emit('device-state', { state, ...data });
+    }
+
+    /**
+     * Ensure a single persistent WritableStreamDefaultWriter exists
+     * @private
+     */
+    async _ensureWriter() {
+        if (!this.port || !this.port.writable) {
+            throw new DisconnectedError('Port is not writable.');
+        }
+        if (!this._activeWriter) {
+            this._activeWriter = this.port.writable.getWriter();
+        }
+        return this._activeWriter;
+    }
+
+    /**
+     * Queue a write on the persistent writer to serialize all writes
+     * @private
+     */
+    async _writeFrame(frame) {
+        this._writeChain = this._writeChain.then(async () => {
+            const writer = await this._ensureWriter();
+            this.logSerialData(frame, true);
+            this._record('tx', frame);
+            await writer.write(frame);
+        });
+        return this._writeChain;
+    }
+
+    /**
+     * SLIP-encode and send a frame, reported as 'packet' event
+     * @private
+     * @param {Uint8Array} payload - Command packet or raw frame (e.g. READ_FLASH acks)
+     * @param {number} [command] - Command number, null for raw frames
+     */
+    async _sendPacket(payload, command = null) {
+        if (this.listenerCount('packet') > 0) {
+            this.emit('packet', {
+                direction: 'tx',
+                command,
+                commandName: command !== null ? (COMMAND_NAMES[command] || null) : null,
+                data: payload,
+                status: null,
+                errorCode: null
+            });
+        }
+        return this._writeFrame(this.slipLayer.encode(payload));
+    }
+
+    /**
+     * Open this.port and record it
+     * @private
+     */
+    async _openPort(baudRate) {
+        await this.port.open({ baudRate });
+        const info = this.port.getInfo ? this.port.getInfo() : {};
+        this._record('open', null, { baudRate, usbVendorId: info.usbVendorId, usbProductId: info.usbProductId });
+    }
+
+    /**
+     * Close this.port and record it
+     * @private
+     */
+    async _closePort() {
+        this._record('close');
+        await this.port.close();
+    }
+
+    /**
+     * Set DTR/RTS on this.port and record it
+     * @private
+     */
+    async _setPortSignals(signals) {
+        this._record('signals', null, signals);
+        await this.port.setSignals(signals);
+    }
+
+    /**
+     * Pass port traffic to the recorder, if recording
+     * @private
+     */
+    _record(type, data, detail) {
+        this.recorder && this.recorder.record(type, data, detail);
+    }
+
+    /**
+     * Start recording the port traffic into a SerialSessionRecorder
+     * @param {Object} [options] - SerialSessionRecorder options
+     * @returns {SerialSessionRecorder}
+     * @description Start before opening the port to get a recording that ReplaySerialPort can play back.
+     */
+    startRecording(options = {}) {
+        this.recorder = new SerialSessionRecorder({
+            ...options,
+            info: { initialBaudRate: this.initialBaudRate, resetStrategy: this.resetStrategy, ...options.info }
+        });
+        return this.recorder;
+    }
+
+    /**
+     * Stop recording
+     * @returns {SerialSessionRecorder|null} The recording, with the detected chip added to its header
+     */
+    stopRecording() {
+        const recorder = this.recorder;
+        this.recorder = null;
+        if (recorder) {
+            recorder.info.chip = this.current_chip;
+        }
+        return recorder;
+    }
+
+    /**
+     * Release the persistent writer if held
+     * @private
+     */
+    _releaseWriter() {
+        if (this._activeWriter) {
+            try { this._activeWriter.releaseLock(); } catch (e) { }
+            this._activeWriter = null;
+        }
+    }
+
+    /**
+     * Format bytes as colored hex dump for console
+     * @param {Uint8Array} data - Data to format
+     * @param {string} isTx - 'TX' or 'RX'
+     * @param {number} maxBytes - Maximum bytes to show (default: 256)
+     */
+    logSerialData(data, isTx, maxBytes = 128) {
+        if (!this.logPackets) return;
+
+        const arrow = isTx ? '→' : '←';
+
+        const truncated = data.length > maxBytes;
+
+        // Format hex string with spaces every 2 bytes and newline every 16 bytes
+        let hexStr = '';
+        let asciiStr = '';
+        let lines = [];
+
+        const formatBytes = (startIdx, endIdx) => {
+            for (let i = startIdx; i < endIdx; i++) {
+                const byte = data[i];
+                hexStr += byte.toString(16).padStart(2, '0').toUpperCase() + ' ';
+                asciiStr += (byte >= 32 && byte <= 126) ? String.fromCharCode(byte) : '.';
+
+                if ((i + 1) % 16 === 0 || i === endIdx - 1) {
+                    // Pad hex string to align ASCII
+                    const hexPadding = ' '.repeat(Math.max(0, (16 - (i % 16) - 1) * 3));
+                    lines.push(`  ${hexStr}${hexPadding} | ${asciiStr}`);
+                    hexStr = '';
+                    asciiStr = '';
+                }
+            }
+        };
+
+        if (truncated) {
+            formatBytes(0, 64);
+            const lastSectionStart = Math.floor((data.length - 64) / 16) * 16;
+            const skipped = lastSectionStart - 64;
+            lines.push(`  ... (${skipped} bytes omitted) ...`);
+            formatBytes(lastSectionStart, data.length);
+        } else {
+            formatBytes(0, data.length);
+        }
+
+        const truncMsg = truncated ? ` (showing partially)` : '';
+        this.logDebug(`${arrow} RAW [${data.length} bytes]${truncMsg}`, { lines: lines });
+    }
+
+    /**
+     * Open serial port and start reading packets
+     * @async
+     * @returns {Promise<void>}
+     * @throws {Error} If port request fails
+     */
+    async openPort() {
+        /* Require Web Serial API (available in Chrome/Edge) */
+        if (typeof navigator === 'undefined' || !navigator.serial) {
+            throw new Error('Web Serial API not available. Please use Chrome or Edge.');
+        }
+
+        const port = await navigator.serial.requestPort();
+        return this.openPortWithPort(port);
+    }
+
+    /**
+     * Open a provided serial port (Web Serial or WebUSB)
+     * @async
+     * @param {SerialPort|WebUSBSerial} port - Port instance to open
+     * @returns {Promise<void>}
+     * @throws {Error} If connection fails
+     */
+    async openPortWithPort(port) {
+        return new Promise(async (resolve, reject) => {
+
+            /* Open the port */
+            try {
+                this.port = port;
 
                 /* If WebUSBSerial, provide logger callbacks so low-level dumps reach UI log */
                 if (this.port instanceof WebUSBSerial) {
@@ -894,7 +2090,8 @@ class ESPFlasher {
                     };
                 }
 
-                await this.port.open({ baudRate: this.initialBaudRate });
+                await this._openPort(this.initialBaudRate);
+                this.currentBaudRate = this.initialBaudRate;
 
                 let deviceVendor = `Unknown`;
                 let deviceName = `Unknown`;
@@ -910,75 +2107,18 @@ class ESPFlasher {
                     deviceVid = portInfo.usbVendorId.toString(16).padStart(4, '0').toUpperCase();
                     devicePid = portInfo.usbProductId.toString(16).padStart(4, '0').toUpperCase();
 
-                    /* https://devicehunt.com */
-                    switch (portInfo.usbVendorId) {
-                        case 0x303A:
-                            deviceVendor = 'Espressif';
-                            deviceName = 'USB JTAG';
+                    const adapter = describeUsbSerialAdapter(portInfo.usbVendorId, portInfo.usbProductId);
+                    if (adapter) {
+                        deviceVendor = adapter.vendor;
+                        deviceName = adapter.name;
+                        if (adapter.maxBaudRate) {
+                            this.maxBaudRate = adapter.maxBaudRate;
+                        }
+                        /* Any Espressif device resets through the USB-Serial/JTAG sequence */
+                        if (adapter.vendorId === 0x303A) {
                             this.isEspressifUsbJtag = true;
                             this.logDebug('Detected Espressif USB JTAG device - bootloader messages will be visible');
-                            break;
-
-                        case 0x10C4:
-                            deviceVendor = 'Silicon Labs';
-                            switch (portInfo.usbProductId) {
-                                case 0xEA60:
-                                    deviceName = 'CP2102/CP2104';
-                                    break;
-                                case 0xEA70:
-                                    deviceName = 'CP2105';
-                                    break;
-                                default:
-                                    break;
-                            }
-                            break;
-
-                        case 0x1A86:
-                            deviceVendor = 'QinHeng Electronics';
-                            switch (portInfo.usbProductId) {
-                                case 0x7522:
-                                    deviceName = 'CH340C';
-                                    break;
-                                case 0x7523:
-                                    deviceName = 'CH340';
-                                    this.maxBaudRate = 460800;
-                                    break;
-                                case 0x55D3:
-                                    deviceName = 'CH343';
-                                    break;
-                                case 0x55D4:
-                                    deviceName = 'CH9102F';
-                                    break;
-                                default:
-                                    break;
-                            }
-                            break;
-
-                        case 0x0403:
-                            deviceVendor = 'FTDI';
-                            switch (portInfo.usbProductId) {
-                                case 0x6001:
-                                    deviceName = 'FT232R';
-                                    break;
-                                case 0x6010:
-                                    deviceName = 'FT2232C/D/H';
-                                    break;
-                                case 0x6011:
-                                    deviceName = 'FT4232H';
-                                    break;
-                                case 0x6014:
-                                    deviceName = 'FT232H';
-                                    break;
-                                case 0x6015:
-                                    deviceName = 'FT231X';
-                                    break;
-                                default:
-                                    break;
-                            }
-                            break;
-
-                        default:
-                            break;
+                        }
                     }
 
                     this.logDebug(`Device: VID=0x${deviceVid}, PID=0x${devicePid} (${deviceName})`);
@@ -998,8 +2138,9 @@ class ESPFlasher {
             if (this.initialBaudRate > this.maxBaudRate) {
                 this.logWarning(`The selected baud rate of ${this.initialBaudRate} exceeds the maximum supported by this device (${this.maxBaudRate}). Falling back to ${this.maxBaudRate}.`);
                 this.initialBaudRate = this.maxBaudRate;
-                await this.port.close();
-                await this.port.open({ baudRate: this.initialBaudRate });
+                await this._closePort();
+                await this._openPort(this.initialBaudRate);
+                this.currentBaudRate = this.initialBaudRate;
             }
 
             // Register for device lost (Web Serial API)
@@ -1007,6 +2148,7 @@ class ESPFlasher {
                 navigator.serial.addEventListener('disconnect', (event) => {
                     if (event.target === this.port) {
                         this.logError(`The device was disconnected`);
+                        this._emitDisconnect(true, 'The device was disconnected');
                         this.disconnect();
                     }
                 });
@@ -1015,12 +2157,20 @@ class ESPFlasher {
             // Register for port closing
             if (this.port.addEventListener) {
                 this.port.addEventListener('close', () => {
-                    if (!this._disconnecting) {
+                    if (!this._disconnecting && !this._reopening) {
                         this.logError('Device disconnected unexpectedly');
+                        this._emitDisconnect(true, 'Device disconnected unexpectedly');
                     }
                 });
             }
 
+            this._connected = true;
+            this.emit('connect', {
+                baudRate: this.currentBaudRate,
+                vid: this.usbDeviceVid,
+                pid: this.usbDevicePid,
+                adapter: this.usbDeviceName
+            });
             resolve();
 
             /* Set up reading from the port */
@@ -1050,7 +2200,15 @@ class ESPFlasher {
                 }
                 if (value) {
                     this.logSerialData(value, false);
+                    this._record('rx', value);
                     this.parseResetMessages(value);
+                    if (this.consoleMode) {
+                        const output = this._consoleResponse ? this._takeConsoleResponse(value) : value;
+                        if (output.length) {
+                            this.consoleDataCallback && this.consoleDataCallback(output);
+                        }
+                        continue;
+                    }
                     const packets = this.slipLayer.decode(value);
                     for (let packet of packets) {
                         await this.processPacket(packet);
@@ -1059,6 +2217,10 @@ class ESPFlasher {
             }
         } catch (err) {
             // Handle cancellation
+            this._failPendingCommand(`Port lost while waiting for a response: ${err && err.message || err}`);
+            if (!this._disconnecting && !this._reopening) {
+                this._emitDisconnect(true, `Port lost: ${err && err.message || err}`);
+            }
         } finally {
             if (this.reader) {
                 this.reader.releaseLock();
@@ -1067,6 +2229,17 @@ class ESPFlasher {
         }
     }
 
+    /**
+     * Reject the command waiting for a response instead of letting it time out
+     * @private
+     * @param {string} message - Reason for the DisconnectedError
+     */
+    _failPendingCommand(message) {
+        if (this._pendingReject) {
+            this._pendingReject(new DisconnectedError(message));
+        }
+    }
+
     /**
      * Reopen the existing serial port with a new baud rate
      * Closes the current reader and port, then opens the same port at `baudRate`
@@ -1096,26 +2269,130 @@ class ESPFlasher {
             this.reader = null;
         }
 
-        /* Wait for pending writes and release writer before closing */
-        try {
-            await this._writeChain;
-        } catch (e) { /* Ignore pending write errors on reopen */ }
-        this._releaseWriter();
+        /* Wait for pending writes and release writer before closing */
+        try {
+            await this._writeChain;
+        } catch (e) { /* Ignore pending write errors on reopen */ }
+        this._releaseWriter();
+
+        /* Close and reopen the same port with new baud, the 'close' event is no disconnect */
+        this._reopening = true;
+        try {
+            await this._closePort();
+        } catch (error) {
+            /* Ignore close errors, we will try to open regardless */
+        }
+
+        const newBaud = baudRate || this.initialBaudRate;
+        try {
+            await this._openPort(newBaud);
+        } finally {
+            this._reopening = false;
+        }
+        this.currentBaudRate = newBaud;
+
+        /* Restart RX loop (do not re-register global listeners to avoid duplicates) */
+        this.reader = this.port.readable.getReader();
+
+        this.startRxLoop();
+    }
+
+    /**
+     * Switch the baud rate of a synced device and of the host port
+     * @async
+     * @param {number} newBaud - Baud rate to switch to
+     * @returns {Promise<boolean>} True if running at newBaud, false if it fell back to the previous rate
+     * @throws {Error} If the device is neither reachable at the new nor at the previous rate
+     * @description Sends CHANGE_BAUDRATE (new rate, old rate; old rate is 0 for the ROM loader),
+     *              then reconfigures the host side without resetting the chip and verifies the link
+     *              by reading the chip magic register.
+     */
+    async changeBaudRate(newBaud) {
+        if (!this.port) {
+            throw new Error('No port selected. Call openPort() first to choose a device.');
+        }
+
+        const oldBaud = this.currentBaudRate || this.initialBaudRate;
+
+        if (this.maxBaudRate && newBaud > this.maxBaudRate) {
+            this.logWarning(`Requested baud rate ${newBaud} exceeds the maximum supported by this device (${this.maxBaudRate}). Using ${this.maxBaudRate}.`);
+            newBaud = this.maxBaudRate;
+        }
+
+        if (newBaud == oldBaud) {
+            return true;
+        }
+
+        /* USB-JTAG/Serial ignores the line coding, there is nothing to negotiate */
+        if (this.isEspressifUsbJtag) {
+            this.logDebug(`changeBaudRate: USB-JTAG/Serial link, ignoring baud rate change to ${newBaud}`);
+            return true;
+        }
+
+        this.logDebug(`changeBaudRate: ${oldBaud} -> ${newBaud} (${this.stubLoaded ? 'stub' : 'ROM'})`);
+
+        /* The loader acknowledges at the old rate and switches afterwards */
+        await this.executeCommand(
+            this.buildCommandPacketU32(CHANGE_BAUDRATE, newBaud, this.stubLoaded ? oldBaud : 0),
+            async (resolve) => {
+                resolve();
+            }
+        );
+
+        /* Give the loader time to reconfigure its UART before we talk again */
+        await new Promise(resolve => setTimeout(resolve, 50));
+        await this._setHostBaudRate(newBaud);
+
+        if (await this._probeLink()) {
+            this.logMessage(`Baud rate changed to ${newBaud}`);
+            return true;
+        }
+
+        /* The loader may not have switched at all, try the previous rate before giving up */
+        this.logWarning(`Lost sync after switching to ${newBaud} baud, falling back to ${oldBaud}`);
+        await this._setHostBaudRate(oldBaud);
 
-        /* Close and reopen the same port with new baud */
-        try {
-            await this.port.close();
-        } catch (error) {
-            /* Ignore close errors, we will try to open regardless */
+        if (await this._probeLink()) {
+            return false;
         }
 
-        const newBaud = baudRate || this.initialBaudRate;
-        await this.port.open({ baudRate: newBaud });
+        throw new SyncError(`Lost sync after baud rate change to ${newBaud}, device needs a reset`);
+    }
 
-        /* Restart RX loop (do not re-register global listeners to avoid duplicates) */
-        this.reader = this.port.readable.getReader();
+    /**
+     * Reconfigure the host port baud rate, in place if the port supports it
+     * @async
+     * @private
+     * @param {number} baudRate - New baud rate
+     */
+    async _setHostBaudRate(baudRate) {
+        if (typeof this.port.setBaudRate === 'function') {
+            await this.port.setBaudRate(baudRate);
+            this._record('baud', null, { baudRate });
+            this.currentBaudRate = baudRate;
+        } else {
+            await this.reopenPort(baudRate);
+        }
+        this.slipLayer.buffer = [];
+        this.slipLayer.escaping = false;
+    }
 
-        this.startRxLoop();
+    /**
+     * Check whether the loader still answers by reading the chip magic register
+     * @async
+     * @private
+     * @returns {Promise<boolean>} True if the loader responded
+     */
+    async _probeLink() {
+        for (let attempt = 0; attempt < 3; attempt++) {
+            try {
+                await this.readReg(this.chip_magic_addr);
+                return true;
+            } catch (error) {
+                this.logDebug(`Link probe ${attempt + 1} failed: ${error.message || error}`);
+            }
+        }
+        return false;
     }
 
     parseResetMessages(data) {
@@ -1189,7 +2466,7 @@ class ESPFlasher {
                     const rst = parseInt(rstBootMatch[1], 16);
                     const boot = parseInt(bootMatch[1], 16);
                     const rstInfo = RESET_REASON_MAP[rst] || { name: 'UNKNOWN', desc: `Unknown reset reason 0x${rst.toString(16)}` };
-                    this.deviceStateCallback && this.deviceStateCallback('reboot', { rst, rstName: rstInfo.name, rstDesc: rstInfo.desc, boot });
+                    this._deviceState('reboot', { rst, rstName: rstInfo.name, rstDesc: rstInfo.desc, boot });
                     /* Enable mode detection after reboot line */
                     this._preSyncState = 'seen_reboot';
                 }
@@ -1197,10 +2474,10 @@ class ESPFlasher {
                 /* State machine: after reboot line, accept one mode line */
                 if (this._preSyncState === 'seen_reboot') {
                     if (lower.includes('(secure mode)')) {
-                        this.deviceStateCallback && this.deviceStateCallback('secure');
+                        this._deviceState('secure');
                         this._preSyncState = 'idle';
                     } else if (lower.includes('waiting for download') || lower.includes('wait uart download')) {
-                        this.deviceStateCallback && this.deviceStateCallback('download');
+                        this._deviceState('download');
                         this._preSyncState = 'idle';
                     }
                 }
@@ -1222,12 +2499,28 @@ class ESPFlasher {
                 if (responsePacket) {
                     resolve(responsePacket.value);
                 } else {
-                    reject('Failed to read register');
+                    reject(new ProtocolError('Failed to read register', { command: READ_REG }));
                 }
             });
     }
 
 
+    /**
+     * Write device register
+     * @async
+     * @param {number} addr - Register address
+     * @param {number} value - Value to write
+     * @param {number} [mask=0xFFFFFFFF] - Bit mask applied by the loader
+     * @param {number} [delayUs=0] - Delay after the write in microseconds
+     * @returns {Promise<void>}
+     */
+    async writeReg(addr, value, mask = 0xFFFFFFFF, delayUs = 0) {
+        return this.executeCommand(this.buildCommandPacketU32(WRITE_REG, addr, value, mask, delayUs),
+            async (resolve) => {
+                resolve();
+            });
+    }
+
     /**
      * Detect if stub loader is running on device
      * @async
@@ -1240,7 +2533,7 @@ class ESPFlasher {
             return this.stubLoaded;
         }
 
-        this.stubLoaded = this.executeCommand(this.buildCommandPacketU32(READ_REG, this.chip_magic_addr),
+        this.stubLoaded = await this.executeCommand(this.buildCommandPacketU32(READ_REG, this.chip_magic_addr),
             async (resolve, reject, responsePacket) => {
                 if (responsePacket && responsePacket.data) {
                     if (responsePacket.data.length == 2) {
@@ -1249,9 +2542,9 @@ class ESPFlasher {
                     if (responsePacket.data.length == 4) {
                         resolve(false);
                     }
-                    reject('Unexpected length');
+                    reject(new ProtocolError(`Unexpected READ_REG response length ${responsePacket.data.length}`, { command: READ_REG }));
                 } else {
-                    reject('Failed to read register');
+                    reject(new ProtocolError('Failed to read register', { command: READ_REG }));
                 }
             });
 
@@ -1267,7 +2560,9 @@ class ESPFlasher {
      * @param {number} [timeout=500] - Timeout in milliseconds
      * @param {Function} [checkTimeoutCbr] - Optional timeout check returning boolean
      * @returns {Promise<*>} Result from callback
-     * @throws {Error} On timeout or command failure
+     * @throws {TimeoutError} When no response arrives in time
+     * @throws {ProtocolError} When the loader answers with a failure status; packetResponseCbr is not called then
+     * @throws {DisconnectedError} When the port is closed or the command cannot be sent
      */
     async executeCommand(packet, packetResponseCbr, rawDataCbr, timeout = 500, checkTimeoutCbr = null) {
         /*
@@ -1288,8 +2583,9 @@ class ESPFlasher {
      */
     async _executeCommandUnlocked(packet, packetResponseCbr, rawDataCbr, timeout = 500, checkTimeoutCbr = null) {
         if (!this.port || !this.port.writable) {
-            throw new Error("Port is not writable.");
+            throw new DisconnectedError("Port is not writable.");
         }
+        const commandName = COMMAND_NAMES[packet.command] || `0x${packet.command.toString(16)}`;
 
         if (this.devMode) {
             this.dumpPacket(this.parsePacket(packet.payload));
@@ -1301,21 +2597,22 @@ class ESPFlasher {
 
             const scheduleTimeout = () => {
                 timeoutHandle = setTimeout(() => {
+                    const details = { command: packet.command, commandName, timeout };
                     if (checkTimeoutCbr) {
                         if (checkTimeoutCbr()) {
-                            safeReject(new Error(`Timeout in command ${packet.command}`));
+                            safeReject(new TimeoutError(`Timeout in command ${commandName}`, details));
                         } else {
                             scheduleTimeout();
                         }
                     } else {
-                        safeReject(new Error(`Timeout after ${timeout} ms waiting for response to command ${packet.command}`));
+                        safeReject(new TimeoutError(`Timeout after ${timeout} ms waiting for response to command ${commandName}`, details));
                     }
                 }, timeout);
             };
 
-            const safeResolve = (value) => { clearTimeout(timeoutHandle); return resolve(value); };
-            const safeReject = (err) => { clearTimeout(timeoutHandle); return reject(err); };
-
+            const safeResolve = (value) => { clearTimeout(timeoutHandle); this._pendingReject = null; return resolve(value); };
+            const safeReject = (err) => { clearTimeout(timeoutHandle); this._pendingReject = null; return reject(err); };
+            this._pendingReject = safeReject;
 
             /* Register response handlers */
             this.responseHandlers.clear();
@@ -1324,6 +2621,9 @@ class ESPFlasher {
             if (rawDataCbr) {
                 /* this command seems to have have normal response then raw data */
                 this.responseHandlers.set(packet.command, async (response) => {
+                    if (response.status) {
+                        return safeReject(ProtocolError.fromResponse(response));
+                    }
                     if (packetResponseCbr) {
                         return packetResponseCbr(safeResolve, safeReject, response);
                     }
@@ -1334,6 +2634,9 @@ class ESPFlasher {
             } else {
                 /* only normal response */
                 this.responseHandlers.set(packet.command, async (response) => {
+                    if (response.status) {
+                        return safeReject(ProtocolError.fromResponse(response));
+                    }
                     if (packetResponseCbr) {
                         return packetResponseCbr(safeResolve, safeReject, response);
                     }
@@ -1347,7 +2650,7 @@ class ESPFlasher {
                     performance.mark('esp32_flasher_send_start');
                 }
 
-                await this._writeFrame(this.slipLayer.encode(packet.payload));
+                await this._sendPacket(packet.payload, packet.command);
 
                 if (typeof performance !== 'undefined' && performance.mark && performance.measure) {
                     performance.mark('esp32_flasher_send_end');
@@ -1359,8 +2662,8 @@ class ESPFlasher {
                     }
                 }
             } catch (error) {
-                clearTimeout(timeoutHandle);
-                reject(error);
+                safeReject(error instanceof FlasherError ? error
+                    : new DisconnectedError(`Could not send ${commandName}: ${error.message || error}`, { cause: error }));
             }
         });
     }
@@ -1375,6 +2678,7 @@ class ESPFlasher {
             return;
         }
         this._disconnecting = true;
+        this._failPendingCommand('Disconnected while waiting for a response');
 
         navigator.serial.removeEventListener('disconnect', this.disconnect);
 
@@ -1392,7 +2696,7 @@ class ESPFlasher {
         if (this.port) {
             try {
                 this.port.removeEventListener('close', this.disconnect);
-                await this.port.close();
+                await this._closePort();
             } catch (error) {
                 //this.logError('Error during disconnect:', error);
             }
@@ -1402,15 +2706,31 @@ class ESPFlasher {
         this.synced = false;
         this.consoleBuffer = '';
         this._preSyncState = 'idle';
+        this.consoleMode = false;
         this._disconnecting = false;
 
         this.disconnected && this.disconnected();
+        this._emitDisconnect(false, 'Disconnected');
+    }
+
+    /**
+     * Emit 'disconnect' once per connection
+     * @private
+     * @param {boolean} unexpected - The port went away without disconnect()
+     * @param {string} reason - Description for the listeners
+     */
+    _emitDisconnect(unexpected, reason) {
+        if (!this._connected) {
+            return;
+        }
+        this._connected = false;
+        this.emit('disconnect', { unexpected, reason });
     }
 
     async setDtr(value) {
         try {
             this.dtrState = value;
-            await this.port.setSignals({
+            await this._setPortSignals({
                 dataTerminalReady: value,
                 requestToSend: this.rtsState,
             });
@@ -1424,7 +2744,7 @@ class ESPFlasher {
     async setRts(value) {
         try {
             this.rtsState = value;
-            await this.port.setSignals({
+            await this._setPortSignals({
                 dataTerminalReady: this.dtrState,
                 requestToSend: value,
             });
@@ -1445,7 +2765,7 @@ class ESPFlasher {
         this.rtsState = rts;
 
         try {
-            await this.port.setSignals({
+            await this._setPortSignals({
                 dataTerminalReady: dtr,
                 requestToSend: rts,
             });
@@ -1480,9 +2800,41 @@ class ESPFlasher {
     }
 
     /**
-     * Attempts to put the ESP device into bootloader mode using RTS/DTR signals.
-     * Relies on the common DTR=EN, RTS=GPIO0 circuit. May not work on all boards.
-     * @returns {Promise<boolean>} True if the sequence was sent, false if an error occurred (e.g., signals not supported).
+     * Resolve the reset strategy hardReset() will use
+     * @param {boolean} [bootloader=true] - True to enter download mode, false to start the application
+     * @returns {string} One of RESET_STRATEGIES except 'auto'
+     * @description 'auto' uses the chip's reset settings from ChipDescriptions (usb_strategy on Espressif USB,
+     *              strategy otherwise). 'watchdog' and 'run_user_code' need a running loader and can only start
+     *              the application; in the other cases the DTR/RTS sequence matching the link is used instead.
+     */
+    getResetStrategy(bootloader = true) {
+        const chip = this.chip_descriptions[this.current_chip];
+        const reset = (chip && chip.reset) || {};
+        const pinStrategy = this.isEspressifUsbJtag ? 'usb_jtag' : 'classic';
+
+        let strategy = RESET_STRATEGIES.includes(this.resetStrategy) ? this.resetStrategy : 'auto';
+        if (strategy === 'auto') {
+            strategy = (this.isEspressifUsbJtag ? reset.usb_strategy : reset.strategy) || pinStrategy;
+        }
+
+        if (strategy === 'watchdog' && (bootloader || !this.synced || !reset.rtc_wdt)) {
+            this.logDebug(`Watchdog reset not possible here, using ${pinStrategy}`);
+            return pinStrategy;
+        }
+        if (strategy === 'run_user_code' && (bootloader || !this.stubLoaded)) {
+            this.logDebug(`RUN_USER_CODE needs the stub and can only start the app, using ${pinStrategy}`);
+            return pinStrategy;
+        }
+        return strategy;
+    }
+
+    /**
+     * Reset the device into download mode or the application
+     * @param {boolean} [bootloader=true] - True to enter download mode, false to start the application
+     * @returns {Promise<boolean>} True if the reset was issued, false if an error occurred (e.g., signals not supported).
+     * @description The method is chosen by getResetStrategy(): DTR/RTS sequences for USB-UART bridges ('classic')
+     *              or the USB-Serial/JTAG peripheral ('usb_jtag'), an RTC watchdog reset, RUN_USER_CODE from the
+     *              stub, or 'none' for boards that are reset by hand.
      */
     async hardReset(bootloader = true) {
         if (!this.port) {
@@ -1490,58 +2842,125 @@ class ESPFlasher {
             return false;
         }
 
+        /* Decide while we still know whether a loader is listening */
+        const strategy = this.getResetStrategy(bootloader);
+
         this.synced = false;
         this.consoleBuffer = '';
         this._preSyncState = 'idle';
+        this.consoleMode = false;
 
-        this.logDebug("Automatic bootloader reset sequence...");
+        this.logDebug(`Reset to ${bootloader ? 'download mode' : 'application'} using '${strategy}' strategy...`);
 
         try {
+            switch (strategy) {
+                case 'none':
+                    break;
+                case 'usb_jtag':
+                    await this._resetUsbJtag(bootloader);
+                    break;
+                case 'watchdog':
+                    await this._resetWatchdog();
+                    break;
+                case 'run_user_code':
+                    await this._resetRunUserCode();
+                    break;
+                default:
+                    await this._resetClassic(bootloader);
+                    break;
+            }
+            if (strategy !== 'none') {
+                this.stubLoaded = false;
+            }
+            return true;
+        } catch (error) {
+            this.logError(`Could not reset using '${strategy}': ${error}. Please ensure device is in bootloader mode manually.`);
+            return false;
+        }
+    }
+
+    /**
+     * DTR/RTS reset sequence for the common DTR=IO0, RTS=EN auto-reset circuit of USB-UART bridges
+     * @async
+     * @private
+     * @param {boolean} bootloader - Hold IO0 low during reset to enter download mode
+     */
+    async _resetClassic(bootloader) {
+        /* high/low vs. asserted/deasserted logic is a bit pain here:
+           EN pin (RTS) - active low - to reset, pull low (EN high means RTS=false)
+           IO0 pin (DTR) - active low - to enter bootloader, pull low (IO0 high means DTR=false)
+        */
+        const setPins = async ({ io0PinHigh, enPinHigh }) => {
+            const io0Level = io0PinHigh ? false : true;
+            const enLevel = enPinHigh ? false : true;
+            await this.setSignals({ requestToSend: enLevel, dataTerminalReady: io0Level });
+        };
 
-            if (this.isEspressifUsbJtag) {
-                /* Native USB/JTAG interface - use the method described in ESP32-S3 Table 33.4-3. Reset SoC into Download Mode.
-                   This procedure assumes the Windows CDC driver toggles DRT only when RTS is set explicitly. */
+        await setPins({ io0PinHigh: true, enPinHigh: true });
+        await setPins({ io0PinHigh: false, enPinHigh: false });
+        await setPins({ io0PinHigh: true, enPinHigh: false });
+        await new Promise(r => setTimeout(r, 50));
+        await setPins({ io0PinHigh: bootloader ? false : true, enPinHigh: true });
+        await new Promise(r => setTimeout(r, 100));
+        await setPins({ io0PinHigh: true, enPinHigh: true });
+    }
 
-                /* set to known state first, but causes an extra reset usually */
-                await this.setDtr(false);
-                await this.setRts(false);
+    /**
+     * Reset through the chip's USB-Serial/JTAG peripheral, which maps DTR/RTS to IO0/reset internally
+     * @async
+     * @private
+     * @param {boolean} bootloader - Enter download mode after the reset
+     */
+    async _resetUsbJtag(bootloader) {
+        /* Native USB/JTAG interface - use the method described in ESP32-S3 Table 33.4-3. Reset SoC into Download Mode.
+           This procedure assumes the Windows CDC driver toggles DRT only when RTS is set explicitly. */
+
+        /* set to known state first, but causes an extra reset usually */
+        await this.setDtr(false);
+        await this.setRts(false);
+
+        if (bootloader) {
+            await this.setDtr(true);
+            await this.setRts(false);
+            await this.setRts(true);
+            await this.setDtr(false);
+        }
 
-                if (bootloader) {
-                    await this.setDtr(true);
-                    await this.setRts(false);
-                    await this.setRts(true);
-                    await this.setDtr(false);
-                }
+        await this.setRts(false);
+        await this.setRts(true);
+    }
 
-                await this.setRts(false);
-                await this.setRts(true);
-            } else {
-                /* high/low vs. asserted/deasserted logic is a bit pain here:
-                   EN pin (RTS) - active low - to reset, pull low (EN high means RTS=false)
-                   IO0 pin (DTR) - active low - to enter bootloader, pull low (IO0 high means DTR=false)
-                */
-                const setPins = async ({ io0PinHigh, enPinHigh }) => {
-                    const io0Level = io0PinHigh ? false : true;
-                    const enLevel = enPinHigh ? false : true;
-                    await this.setSignals({ requestToSend: enLevel, dataTerminalReady: io0Level });
-                };
-
-                await setPins({ io0PinHigh: true, enPinHigh: true });
-                await setPins({ io0PinHigh: false, enPinHigh: false });
-                await setPins({ io0PinHigh: true, enPinHigh: false });
-                await new Promise(r => setTimeout(r, 50));
-                await setPins({ io0PinHigh: bootloader ? false : true, enPinHigh: true });
-                await new Promise(r => setTimeout(r, 100));
-                await setPins({ io0PinHigh: true, enPinHigh: true });
-            }
+    /**
+     * Reset the whole system via the RTC/LP watchdog, works without any DTR/RTS wiring
+     * @async
+     * @private
+     * @description Arms stage 0 of the watchdog to reset the system after 2000 slow clock cycles.
+     *              The chip boots according to its strapping pins, i.e. normally into the app.
+     */
+    async _resetWatchdog() {
+        const wdt = this.chip_descriptions[this.current_chip].reset.rtc_wdt;
 
-            return true;
+        await this.writeReg(wdt.wprotect, RTC_WDT_WKEY);
+        await this.writeReg(wdt.config1, 2000);
+        await this.writeReg(wdt.config0, ((1 << 31) | (5 << 28) | (1 << 8) | 2) >>> 0);
+        try {
+            await this.writeReg(wdt.wprotect, 0);
         } catch (error) {
-            this.logError(`Could not set signals for automatic reset: ${error}. Please ensure device is in bootloader mode manually.`);
-            return false;
+            /* The watchdog may already have fired */
         }
     }
 
+    /**
+     * Ask the stub to leave the loader and run the application from flash
+     * @async
+     * @private
+     * @description The stub does not answer RUN_USER_CODE, so the frame is only sent.
+     */
+    async _resetRunUserCode() {
+        const packet = this.buildCommandPacketU32(RUN_USER_CODE);
+        await this._sendPacket(packet.payload, packet.command);
+    }
+
 
     /**
      * Convert base64-encoded string to binary data
@@ -1562,13 +2981,13 @@ class ESPFlasher {
      * Download binary payload to device RAM
      * @async
      * @param {number} address - Target RAM address
-     * @param {string} payload - Base64-encoded binary data
+     * @param {string|Uint8Array} payload - Base64-encoded or raw binary data
      * @returns {Promise<void>}
      * @throws {Error} If download fails
      * @description Used for downloading stub loader and other code to RAM
      */
     async downloadMem(address, payload) {
-        var binary = this.base64ToByteArray(payload);
+        var binary = typeof payload === 'string' ? this.base64ToByteArray(payload) : payload;
         const MAX_PACKET_SIZE = 0x1800; // as limited in https://github.com/espressif/esptool/blob/master/esptool/loader.py#L265 
         const packets = Math.ceil(binary.length / MAX_PACKET_SIZE);
 
@@ -1589,6 +3008,240 @@ class ESPFlasher {
         }
     }
 
+    /**
+     * Split an ESP app image or an ELF file into loadable segments
+     * @param {Uint8Array} data - ESP app image (magic 0xE9) or 32-bit little endian ELF
+     * @returns {{format: string, entry: number, segments: Array<{address: number, data: Uint8Array}>}}
+     * @throws {Error} If the data is neither format
+     * @description Segments are returned as stored; filtering for RAM is done by runFromRam().
+     */
+    parseRamImage(data) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const segments = [];
+
+        /* ELF: use the PT_LOAD program headers that carry file data */
+        if (data.length >= 0x34 && data[0] === 0x7F && data[1] === 0x45 && data[2] === 0x4C && data[3] === 0x46) {
+            if (data[4] !== 1 || data[5] !== 1) {
+                throw new Error('Only 32-bit little endian ELF files are supported');
+            }
+            const entry = view.getUint32(0x18, true);
+            const phoff = view.getUint32(0x1C, true);
+            const phentsize = view.getUint16(0x2A, true);
+            const phnum = view.getUint16(0x2C, true);
+
+            for (let i = 0; i < phnum; i++) {
+                const ph = phoff + i * phentsize;
+                if (ph + 0x20 > data.length) {
+                    throw new Error(`ELF program header ${i} is truncated`);
+                }
+                const type = view.getUint32(ph, true);
+                const offset = view.getUint32(ph + 0x04, true);
+                const vaddr = view.getUint32(ph + 0x08, true);
+                const filesz = view.getUint32(ph + 0x10, true);
+                if (type !== 1 || filesz === 0) {
+                    continue;
+                }
+                if (offset + filesz > data.length) {
+                    throw new Error(`ELF segment at 0x${vaddr.toString(16)} is truncated`);
+                }
+                segments.push({ address: vaddr, data: data.slice(offset, offset + filesz) });
+            }
+            return { format: 'elf', entry, segments };
+        }
+
+        /* ESP app image: 8 byte header, plus the 16 byte extended header on everything but the ESP8266 */
+        if (data.length >= 8 && data[0] === 0xE9) {
+            const segmentCount = data[1];
+            const entry = view.getUint32(4, true);
+            let offset = this.current_chip === 'esp8266' ? 8 : 24;
+
+            for (let i = 0; i < segmentCount; i++) {
+                if (offset + 8 > data.length) {
+                    throw new Error(`Image segment ${i} header is truncated`);
+                }
+                const address = view.getUint32(offset, true);
+                const length = view.getUint32(offset + 4, true);
+                offset += 8;
+                if (offset + length > data.length) {
+                    throw new Error(`Image segment ${i} at 0x${address.toString(16)} is truncated`);
+                }
+                segments.push({ address, data: data.slice(offset, offset + length) });
+                offset += length;
+            }
+            return { format: 'image', entry, segments };
+        }
+
+        throw new Error('Not an ESP app image or ELF file');
+    }
+
+    /**
+     * Load an app image or ELF into RAM, start it and switch the port to a console stream
+     * @async
+     * @param {Uint8Array|ArrayBuffer} imageOrElf - ESP app image or ELF file built to run from RAM
+     * @param {Function} [consoleCallback] - Callback(Uint8Array) for everything the program prints
+     * @returns {Promise<{entry: number, loaded: Array<{address: number, length: number}>, skipped: Array<{address: number, length: number}>}>}
+     * @throws {Error} If not synced, the file cannot be parsed or contains nothing for RAM
+     * @description Segments outside the chip's RAM windows (flash mapped IROM/DROM) are skipped with a warning.
+     *              After MEM_END the loader is gone: the flasher is no longer synced, received data is passed
+     *              to consoleCallback until exitConsoleMode(), hardReset() or disconnect().
+     */
+    async runFromRam(imageOrElf, consoleCallback) {
+        if (!this.synced) {
+            throw new Error('Device is not synced');
+        }
+        const chip = this.chip_descriptions[this.current_chip];
+        const data = imageOrElf instanceof Uint8Array ? imageOrElf : new Uint8Array(imageOrElf);
+        const { format, entry, segments } = this.parseRamImage(data);
+        const ramRanges = (chip && chip.ram_ranges) || [];
+
+        const loaded = [];
+        const skipped = [];
+        for (const segment of segments) {
+            const end = segment.address + segment.data.length;
+            if (ramRanges.some(([start, limit]) => segment.address >= start && end <= limit)) {
+                loaded.push(segment);
+            } else {
+                skipped.push(segment);
+                this.logWarning(`runFromRam: skipping segment 0x${segment.address.toString(16)} (${segment.data.length} bytes), not in RAM`);
+            }
+        }
+        if (!loaded.length) {
+            throw new Error(`No RAM segments in ${format === 'elf' ? 'ELF file' : 'image'}, is it built to run from RAM?`);
+        }
+
+        for (const segment of loaded) {
+            /* MEM_DATA wants whole words */
+            const padded = new Uint8Array((segment.data.length + 3) & ~3);
+            padded.set(segment.data);
+            this.logDebug(`runFromRam: loading ${padded.length} bytes to 0x${segment.address.toString(16)}`);
+            await this.downloadMem(segment.address, padded);
+        }
+
+        this.logMessage(`Starting ${format === 'elf' ? 'ELF' : 'image'} from RAM at 0x${entry.toString(16)}`);
+
+        /* Console mode starts before MEM_END goes out: the program may print before its response has
+           been read. Only the response frame is taken out of the stream, everything else is passed on.
+           Holding the command lock keeps a queued command from being sent, or answered, in between. */
+        const run = () => this._endMemAndEnterConsole(entry, consoleCallback);
+        this._commandLock = this._commandLock.then(run, run);
+        const pkt = await this._commandLock;
+        if (!pkt) {
+            /* Some loaders jump before the response is out, the program is running anyway */
+            this.logDebug('runFromRam: no MEM_END response');
+        } else if (pkt.status) {
+            this.logDebug(`runFromRam: MEM_END failed (${pkt.errorName})`);
+        }
+        this.synced = false;
+        this.stubLoaded = false;
+
+        const summary = segment => ({ address: segment.address, length: segment.data.length });
+        return { entry, loaded: loaded.map(summary), skipped: skipped.map(summary) };
+    }
+
+    /**
+     * Switch to console mode, send MEM_END and wait up to 1 s for its response; called under the command lock
+     * @async
+     * @private
+     * @param {number} entry - Entry point
+     * @param {Function|null} consoleCallback
+     * @returns {Promise<Object|null>} Decoded response, null if none arrived
+     */
+    async _endMemAndEnterConsole(entry, consoleCallback) {
+        this.slipLayer.buffer = [];
+        this.slipLayer.escaping = false;
+        this.consoleDataCallback = consoleCallback || null;
+        const response = new Promise(resolve => {
+            this._consoleResponse = { frame: null, resolve };
+        });
+        const waiting = this._consoleResponse;
+        this.consoleMode = true;
+
+        const packet = this.buildCommandPacketU32(MEM_END, 0, entry);
+        let timer = null;
+        try {
+            await this._sendPacket(packet.payload, packet.command);
+            return await Promise.race([response, new Promise(resolve => { timer = setTimeout(() => resolve(null), 1000); })]);
+        } finally {
+            clearTimeout(timer);
+            if (this._consoleResponse === waiting) {
+                this._consoleResponse = null;
+                /* A frame still open was program output after all */
+                if (waiting.frame && this.consoleDataCallback) {
+                    this.consoleDataCallback(new Uint8Array([0xC0, ...waiting.frame]));
+                }
+            }
+        }
+    }
+
+    /**
+     * Remove the MEM_END response frame from console data
+     * @private
+     * @param {Uint8Array} value - Received bytes
+     * @returns {Uint8Array} Bytes outside the frame, in order; frames that are not the response stay in
+     * @description A frame may span several chunks, its bytes are held back until it is complete.
+     */
+    _takeConsoleResponse(value) {
+        /* A MEM_END response is 10 to 12 bytes, twice that escaped; anything longer is program output */
+        const maxFrame = 32;
+        const waiting = this._consoleResponse;
+        const output = [];
+        for (let i = 0; i < value.length; i++) {
+            const byte = value[i];
+            if (this._consoleResponse !== waiting) {
+                output.push(byte);
+            } else if (waiting.frame === null) {
+                if (byte === 0xC0) {
+                    waiting.frame = [];
+                } else {
+                    output.push(byte);
+                }
+            } else if (byte !== 0xC0) {
+                waiting.frame.push(byte);
+                if (waiting.frame.length > maxFrame) {
+                    output.push(0xC0, ...waiting.frame);
+                    waiting.frame = null;
+                }
+            } else {
+                const decoded = waiting.frame.length ? this.slipLayer.decode(new Uint8Array([0xC0, ...waiting.frame, 0xC0]))[0] : null;
+                const pkt = decoded ? this.parsePacket(decoded) : null;
+                if (pkt && pkt.dir === 0x01 && pkt.command === MEM_END) {
+                    this._consoleResponse = null;
+                    waiting.resolve(this.decodeResponseStatus(pkt));
+                } else {
+                    /* Output that contains 0xC0; this one may open the response frame */
+                    output.push(0xC0, ...waiting.frame);
+                    waiting.frame = [];
+                }
+            }
+        }
+        return new Uint8Array(output);
+    }
+
+    /**
+     * Send raw data to a program started with runFromRam()
+     * @async
+     * @param {string|Uint8Array} data - Text (UTF-8 encoded) or bytes to send
+     * @returns {Promise<void>}
+     */
+    async writeConsole(data) {
+        if (!this.consoleMode) {
+            throw new Error('Not in console mode');
+        }
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        await this._writeFrame(bytes);
+    }
+
+    /**
+     * Stop passing received data to the console callback and go back to SLIP decoding
+     * @description The program keeps running; use hardReset() and sync() to talk to the ROM again.
+     */
+    exitConsoleMode() {
+        this.consoleMode = false;
+        this.consoleDataCallback = null;
+        this.slipLayer.buffer = [];
+        this.slipLayer.escaping = false;
+    }
+
     /**
      * Synchronize with bootloader and detect chip type
      * @async
@@ -1633,7 +3286,7 @@ class ESPFlasher {
                 if (attempt === maxRetries) {
                     this.logError(`Failed to synchronize after ${maxRetries} attempts.`);
                     // Throw an error to indicate overall failure of the sync process
-                    throw new Error(`Failed to synchronize with device after ${maxRetries} attempts.`);
+                    throw new SyncError(`Failed to synchronize with device after ${maxRetries} attempts.`, { attempts: maxRetries, cause: error });
                 }
                 // Wait before the next retry
                 await new Promise(resolve => setTimeout(resolve, retryDelayMs));
@@ -1644,7 +3297,7 @@ class ESPFlasher {
         if (!synchronized) {
             // This should technically not be reached if the error is thrown above,
             // but adding as a safeguard.
-            throw new Error("Synchronization failed (unexpected state).");
+            throw new SyncError("Synchronization failed (unexpected state).");
         }
 
         this.synced = true;
@@ -1669,13 +3322,14 @@ class ESPFlasher {
 
             if (this.securityInfo.flags_decoded.SECURE_BOOT_EN) {
                 if (!this.securityInfo.flags_decoded.SECURE_DOWNLOAD_ENABLE) {
-                    this.deviceStateCallback && this.deviceStateCallback('secure_boot');
+                    this._deviceState('secure_boot');
                 } else {
-                    this.deviceStateCallback && this.deviceStateCallback('secure_download');
+                    this._deviceState('secure_download');
                 }
             }
 
             /* if this command succeeded, we already have the chip type, so we can just return. only plain ESP32 doesn't have the security info command */
+            this.emit('chip-detected', { chip: this.current_chip, chipId: this.securityInfo.chip_id });
             return;
         } catch (error) {
             this.logDebug(`Failed to read security info: ${error.message}, maybe plain ESP32? Continuing to old chip detection...`);
@@ -1689,7 +3343,7 @@ class ESPFlasher {
             currentValue = await this.readReg(this.chip_magic_addr);
         } catch (readError) {
             this.logError(`Failed to read magic value after sync: ${readError}`);
-            throw new Error(`Successfully synced, but failed to read chip magic value: ${readError.message}`);
+            throw new SyncError(`Successfully synced, but failed to read chip magic value: ${readError.message}`, { cause: readError });
         }
 
         /* Function to check if the value matches any of the magic values */
@@ -1710,6 +3364,7 @@ class ESPFlasher {
                     this.logDebug(`Detected Chip: ${desc} (Magic: 0x${currentValue.toString(16)})`);
                     this.current_chip = desc;
                     chipDetected = true;
+                    this.emit('chip-detected', { chip: desc, magic: currentValue });
                     break; // Found the chip
                 }
             }
@@ -1822,7 +3477,7 @@ class ESPFlasher {
 
                     resolve(securityInfo);
                 } else {
-                    reject('Invalid security info response');
+                    reject(new ProtocolError('Invalid security info response', { command: GET_SECURITY_INFO }));
                 }
             },
             null,
@@ -1830,6 +3485,286 @@ class ESPFlasher {
         );
     }
 
+    /**
+     * Dump all eFuse blocks of the connected chip and decode them
+     * @async
+     * @returns {Promise<Object>} {chip, blocks: [{name, addr, words, hex}], ...decodeEfuses()}
+     * @throws {Error} If the chip has no eFuse map or a register read fails
+     */
+    async readEfuses() {
+        const chip = this.chip_descriptions[this.current_chip];
+        if (!chip || !chip.efuse) {
+            throw new Error(`eFuse map not defined for chip ${this.current_chip}`);
+        }
+
+        const blocks = [];
+        for (const block of chip.efuse.blocks) {
+            const words = [];
+            for (let word = 0; word < block.words; word++) {
+                words.push((await this.readReg(block.addr + word * 4)) >>> 0);
+            }
+            blocks.push({
+                name: block.name,
+                addr: block.addr,
+                words: words,
+                hex: words.map(w => w.toString(16).padStart(8, '0')).join(' ')
+            });
+        }
+
+        return {
+            chip: this.current_chip,
+            blocks: blocks,
+            ...this.decodeEfuses(this.current_chip, blocks)
+        };
+    }
+
+    /**
+     * Decode raw eFuse block words into named fields
+     * @param {string} chipName - Key into chip_descriptions
+     * @param {Array<Object>} blocks - Blocks as returned by readEfuses(), in eFuse map order
+     * @returns {Object} {fields, mac, chipRevision, packageVersion, flashCap, psramCap, flashCryptCnt,
+     *                    secureBoot, keyPurposes, writeProtect, readProtect, jtagUsb}
+     */
+    decodeEfuses(chipName, blocks) {
+        const chip = this.chip_descriptions[chipName];
+        const map = chip.efuse;
+
+        /* Extract every field in the map, fields may not cross a word boundary */
+        const fields = {};
+        for (const [name, [block, word, bit, len]] of Object.entries(map.fields)) {
+            const raw = blocks[block] ? blocks[block].words[word] : undefined;
+            if (raw === undefined) {
+                continue;
+            }
+            const mask = len >= 32 ? 0xFFFFFFFF : ((1 << len) - 1);
+            fields[name] = ((raw >>> bit) & mask) >>> 0;
+        }
+
+        const bitList = (value, count) => {
+            const bits = [];
+            for (let bit = 0; bit < count; bit++) {
+                if ((value >>> bit) & 1) {
+                    bits.push(bit);
+                }
+            }
+            return bits;
+        };
+
+        /* MAC lives in whichever block holds the MAC register */
+        let mac = null;
+        for (const [index, block] of map.blocks.entries()) {
+            const offset = chip.mac_efuse_reg - block.addr;
+            if (offset >= 0 && offset + 8 <= block.words * 4 && blocks[index]) {
+                const lower = blocks[index].words[offset / 4];
+                const higher = blocks[index].words[offset / 4 + 1] & 0xFFFF;
+                mac = [(higher >> 8) & 0xFF, higher & 0xFF,
+                (lower >>> 24) & 0xFF, (lower >> 16) & 0xFF, (lower >> 8) & 0xFF, lower & 0xFF]
+                    .map(b => b.toString(16).padStart(2, '0'))
+                    .join(':');
+                break;
+            }
+        }
+
+        /* Chip revision as major.minor, encoded like minChipRevFull (major * 100 + minor) */
+        let chipRevision = null;
+        if (fields.WAFER_VERSION_MAJOR !== undefined || fields.WAFER_VERSION_MAJOR_LO !== undefined) {
+            let minor = fields.WAFER_VERSION_MINOR;
+            if (minor === undefined && fields.WAFER_VERSION_MINOR_LO !== undefined) {
+                minor = ((fields.WAFER_VERSION_MINOR_HI || 0) << 3) | fields.WAFER_VERSION_MINOR_LO;
+            }
+            /* ESP32-P4 keeps the third major bit apart from the other two */
+            const major = fields.WAFER_VERSION_MAJOR !== undefined
+                ? fields.WAFER_VERSION_MAJOR
+                : ((fields.WAFER_VERSION_MAJOR_HI || 0) << 2) | fields.WAFER_VERSION_MAJOR_LO;
+            chipRevision = { major: major, minor: minor || 0 };
+        } else if (fields.CHIP_VER_REV1 !== undefined) {
+            /* ESP32: rev 3 additionally needs APB_CTL_DATE, which is not an eFuse */
+            const major = fields.CHIP_VER_REV1 ? (fields.CHIP_VER_REV2 ? 2 : 1) : 0;
+            chipRevision = { major: major, minor: fields.WAFER_VERSION_MINOR || 0 };
+        }
+        if (chipRevision) {
+            chipRevision.full = chipRevision.major * 100 + chipRevision.minor;
+        }
+
+        let packageVersion = fields.PKG_VERSION;
+        if (packageVersion === undefined && fields.CHIP_PACKAGE !== undefined) {
+            packageVersion = (fields.CHIP_PACKAGE_4BIT << 3) | fields.CHIP_PACKAGE;
+        }
+
+        /* Key blocks follow BLOCK_KEY0 in map order */
+        const purposeNames = { ...EFUSE_KEY_PURPOSE_MAP, ...(map.key_purposes || {}) };
+        const keyPurposes = [];
+        const digests = [];
+        const firstKeyBlock = map.blocks.findIndex(b => b.name === 'BLOCK_KEY0');
+        const readDisabled = fields.RD_DIS || 0;
+        for (let key = 0; key < 6; key++) {
+            const purpose = fields[`KEY_PURPOSE_${key}`];
+            if (purpose === undefined) {
+                continue;
+            }
+            const blockIndex = firstKeyBlock + key;
+            keyPurposes.push({
+                key: key,
+                block: map.blocks[blockIndex] ? map.blocks[blockIndex].name : null,
+                purpose: purpose,
+                name: purposeNames[purpose] || `UNKNOWN (${purpose})`,
+                readProtected: !!((readDisabled >>> key) & 1)
+            });
+            if (purpose >= 9 && purpose <= 11 && blocks[blockIndex]) {
+                digests.push({ slot: purpose - 9, block: blocks[blockIndex].name, hex: this._efuseBlockBytesHex(blocks[blockIndex]) });
+            }
+        }
+        for (const index of (map.secure_boot_digest_blocks || [])) {
+            if (blocks[index]) {
+                digests.push({ slot: 0, block: blocks[index].name, hex: this._efuseBlockBytesHex(blocks[index]) });
+            }
+        }
+
+        const secureBoot = {
+            enabled: !!(fields.SECURE_BOOT_EN || fields.ABS_DONE_0 || fields.ABS_DONE_1),
+            aggressiveRevoke: !!fields.SECURE_BOOT_AGGRESSIVE_REVOKE,
+            revokedKeys: [0, 1, 2].filter(n => fields[`SECURE_BOOT_KEY_REVOKE${n}`]),
+            digests: digests
+        };
+
+        const jtagUsb = {};
+        for (const name of Object.keys(fields)) {
+            if (/JTAG|USB/.test(name)) {
+                jtagUsb[name] = fields[name];
+            }
+        }
+
+        const wrDisBits = map.fields.WR_DIS ? map.fields.WR_DIS[3] : 0;
+        const rdDisBits = map.fields.RD_DIS ? map.fields.RD_DIS[3] : 0;
+
+        return {
+            fields: fields,
+            mac: mac,
+            chipRevision: chipRevision,
+            packageVersion: packageVersion,
+            flashCap: fields.FLASH_CAP,
+            psramCap: fields.PSRAM_CAP,
+            flashCryptCnt: fields.SPI_BOOT_CRYPT_CNT !== undefined ? fields.SPI_BOOT_CRYPT_CNT : fields.FLASH_CRYPT_CNT,
+            secureBoot: secureBoot,
+            keyPurposes: keyPurposes,
+            writeProtect: bitList(fields.WR_DIS || 0, wrDisBits),
+            readProtect: bitList(readDisabled, rdDisBits),
+            jtagUsb: jtagUsb
+        };
+    }
+
+    /**
+     * Identify silicon revision, package, embedded flash/PSRAM, crystal and USB mode of the synced chip
+     * @async
+     * @returns {Promise<Object>} {chip, imageChipId, revision: {major, minor, full}, revisionName, package,
+     *          packageName, embeddedFlash, embeddedPsram, crystalMHz, usbMode}; unknown values are null
+     * @description Result is also stored in this.chipInfo, where ESP32Parser picks it up
+     *              to check images against the connected device.
+     */
+    async detectChipInfo() {
+        const chip = this.chip_descriptions[this.current_chip];
+        if (!chip) {
+            throw new Error(`Unknown chip ${this.current_chip}`);
+        }
+        const desc = chip.chip_info || {};
+
+        const family = this.current_chip.replace(/rc\d+$/, '');
+        const imageChipId = family === 'esp8266'
+            ? 0xFFF0
+            : Number(Object.keys(CHIP_ID_MAP).find(id => CHIP_ID_MAP[id] === family));
+
+        const info = {
+            chip: this.current_chip,
+            imageChipId: Number.isNaN(imageChipId) ? null : imageChipId,
+            revision: null,
+            revisionName: null,
+            package: null,
+            packageName: null,
+            embeddedFlash: null,
+            embeddedPsram: null,
+            crystalMHz: null,
+            usbMode: null
+        };
+
+        try {
+            const efuses = await this.readEfuses();
+            info.efuses = efuses;
+
+            if (efuses.chipRevision) {
+                info.revision = { ...efuses.chipRevision };
+                /* ESP32 v3.x is only distinguishable from v2 via the APB control date register */
+                if (desc.apb_ctl_date_reg && info.revision.major == 2) {
+                    if ((await this.readReg(desc.apb_ctl_date_reg)) >>> 31) {
+                        info.revision.major = 3;
+                    }
+                }
+                info.revision.full = info.revision.major * 100 + info.revision.minor;
+                info.revisionName = `v${info.revision.major}.${info.revision.minor}`;
+            }
+
+            if (efuses.packageVersion !== undefined) {
+                info.package = efuses.packageVersion;
+                info.packageName = (desc.packages && desc.packages[efuses.packageVersion]) || `Unknown (${efuses.packageVersion})`;
+            }
+            if (efuses.flashCap) {
+                info.embeddedFlash = (desc.flash_caps && desc.flash_caps[efuses.flashCap]) || `Unknown (${efuses.flashCap})`;
+            }
+            if (efuses.psramCap) {
+                info.embeddedPsram = (desc.psram_caps && desc.psram_caps[efuses.psramCap]) || `Unknown (${efuses.psramCap})`;
+            }
+        } catch (error) {
+            this.logWarning(`Could not read eFuses for chip details: ${error.message || error}`);
+        }
+
+        /* Crystal: fixed on some chips, otherwise estimated from the ROM's UART divider at the known baud rate */
+        if (desc.xtal_fixed_mhz) {
+            info.crystalMHz = desc.xtal_fixed_mhz;
+        } else if (desc.uart_clkdiv_reg && !this.isEspressifUsbJtag && this.currentBaudRate) {
+            try {
+                const uartDiv = (await this.readReg(desc.uart_clkdiv_reg)) & 0xFFFFF;
+                const estimated = (this.currentBaudRate * uartDiv) / 1000000 / (desc.xtal_clk_divider || 1);
+                info.crystalMHz = estimated > 33 ? 40 : 26;
+            } catch (error) {
+                this.logDebug(`Crystal detection failed: ${error.message || error}`);
+            }
+        }
+
+        /* USB mode: ask the ROM which console it is using, fall back to what the host sees */
+        info.usbMode = this.isEspressifUsbJtag ? 'USB-Serial/JTAG' : 'UART';
+        if (desc.uartdev_buf_no) {
+            try {
+                const uartNo = (await this.readReg(desc.uartdev_buf_no.addr)) & 0xFF;
+                if (uartNo === desc.uartdev_buf_no.usb_jtag_serial) {
+                    info.usbMode = 'USB-Serial/JTAG';
+                } else if (uartNo === desc.uartdev_buf_no.usb_otg) {
+                    info.usbMode = 'USB-OTG';
+                } else {
+                    info.usbMode = 'UART';
+                }
+            } catch (error) {
+                this.logDebug(`USB mode detection failed: ${error.message || error}`);
+            }
+        }
+
+        this.logMessage(`Chip: ${this.current_chip} ${info.revisionName || ''} ${info.packageName || ''}`.trim()
+            + `${info.embeddedFlash ? `, flash ${info.embeddedFlash}` : ''}${info.embeddedPsram ? `, PSRAM ${info.embeddedPsram}` : ''}`
+            + `${info.crystalMHz ? `, ${info.crystalMHz} MHz crystal` : ''}, ${info.usbMode}`);
+
+        this.chipInfo = info;
+        return info;
+    }
+
+    /**
+     * Format an eFuse block as byte-order hex (words are little endian)
+     * @private
+     */
+    _efuseBlockBytesHex(block) {
+        return block.words
+            .map(w => [w & 0xFF, (w >>> 8) & 0xFF, (w >>> 16) & 0xFF, (w >>> 24) & 0xFF]
+                .map(b => b.toString(16).padStart(2, '0')).join(''))
+            .join('');
+    }
+
     /**
      * Test serial communication reliability
      * @async
@@ -1850,7 +3785,7 @@ class ESPFlasher {
                         resolve(responsePacket.value);
                     } else {
                         this.logError(`Test read failed`);
-                        reject(`Test read failed`);
+                        reject(new ProtocolError('Test read failed', { command: READ_REG }));
                     }
                 });
         } catch (error) {
@@ -1873,7 +3808,7 @@ class ESPFlasher {
                         if (responsePacket) {
                             resolve(responsePacket.value);
                         } else {
-                            reject(`Test read failed`);
+                            reject(new ProtocolError('Test read failed', { command: READ_REG }));
                         }
                     });
 
@@ -1888,6 +3823,7 @@ class ESPFlasher {
                 const progressPercentage = Math.min(100, (elapsed / duration) * 100); // Cap at 100%
 
                 cbr && cbr(progressPercentage);
+                this._emitProgress('reliability', null, progressPercentage, 100, 'testing');
 
                 /* Check if the read value differs from the reference */
                 if (testread !== reference) {
@@ -1939,7 +3875,7 @@ class ESPFlasher {
                         resolve();
                     } else {
                         this.logError(`Unexpected stub response: ${responseData}`);
-                        reject(`Unexpected response from stub: ${responseData}`);
+                        reject(new ProtocolError(`Unexpected response from stub: ${responseData}`, { command: MEM_END }));
                     }
                 },
                 3000 // Longer timeout for stub execution
@@ -1950,8 +3886,15 @@ class ESPFlasher {
             return false;
         }
 
+        /* Use the real flash size for SPI_SET_PARAMS if the chip tells us */
+        try {
+            await this.readFlashId();
+        } catch (error) {
+            this.logWarning(`Could not detect flash size, assuming ${this.flashSize / 0x100000} MiB: ${error.message || error}`);
+        }
+
         try {
-            await this.executeCommand(this.buildCommandPacketU32(SPI_SET_PARAMS, 0, 0x800000, 64 * 1024, 4 * 1024, 256, 0xFFFF), async (resolve, reject, responsePacket) => {
+            await this.executeCommand(this.buildCommandPacketU32(SPI_SET_PARAMS, 0, this.flashSize, 64 * 1024, 4 * 1024, 256, 0xFFFF), async (resolve, reject, responsePacket) => {
                 this.logDebug("SPI_SET_PARAMS configured");
                 resolve();
             });
@@ -1961,21 +3904,140 @@ class ESPFlasher {
         }
 
         this.stubLoaded = true;
+        this.emit('stub-loaded', { chip: this.current_chip, flashSize: this.flashSize });
         return true;
     }
 
+    /**
+     * Send a raw command to the SPI flash chip through the SPI controller user registers
+     * @async
+     * @param {number} spiCommand - Flash command byte (e.g. 0x9F for RDID)
+     * @param {number} [readBits=0] - Number of response bits to clock in (max 32)
+     * @returns {Promise<number>} Response bits read back from W0
+     * @throws {Error} If the chip has no SPI register map or the command does not complete
+     */
+    async runSpiFlashCommand(spiCommand, readBits = 0) {
+        const chip = this.chip_descriptions[this.current_chip];
+        if (!chip || !chip.spi_regs) {
+            throw new Error(`No SPI register map for chip ${this.current_chip}`);
+        }
+
+        const regs = chip.spi_regs;
+        const SPI_CMD_REG = regs.base;
+        const SPI_USR_REG = regs.base + regs.usr;
+        const SPI_USR1_REG = regs.base + regs.usr1;
+        const SPI_USR2_REG = regs.base + regs.usr2;
+        const SPI_W0_REG = regs.base + regs.w0;
+
+        const SPI_CMD_USR = (1 << 18);
+        const SPI_USR_COMMAND = (1 << 31);
+        const SPI_USR_MISO = (1 << 28);
+        const SPI_USR2_COMMAND_LEN_SHIFT = 28;
+
+        /* Preserve the controller state, the loader relies on it for its own flash accesses */
+        const oldUsr = await this.readReg(SPI_USR_REG);
+        const oldUsr2 = await this.readReg(SPI_USR2_REG);
+
+        if (regs.mosi_dlen !== null) {
+            if (readBits > 0) {
+                await this.writeReg(regs.base + regs.miso_dlen, readBits - 1);
+            }
+        } else {
+            /* ESP8266 keeps both bit lengths in USR1 */
+            const misoMask = readBits > 0 ? readBits - 1 : 0;
+            await this.writeReg(SPI_USR1_REG, (misoMask << 8) >>> 0);
+        }
+
+        let flags = SPI_USR_COMMAND;
+        if (readBits > 0) {
+            flags |= SPI_USR_MISO;
+        }
+        await this.writeReg(SPI_USR_REG, flags >>> 0);
+        await this.writeReg(SPI_USR2_REG, ((7 << SPI_USR2_COMMAND_LEN_SHIFT) | spiCommand) >>> 0);
+        await this.writeReg(SPI_W0_REG, 0);
+        await this.writeReg(SPI_CMD_REG, SPI_CMD_USR);
+
+        let done = false;
+        for (let attempt = 0; attempt < 10; attempt++) {
+            if ((await this.readReg(SPI_CMD_REG) & SPI_CMD_USR) === 0) {
+                done = true;
+                break;
+            }
+        }
+
+        const result = await this.readReg(SPI_W0_REG);
+
+        await this.writeReg(SPI_USR_REG, oldUsr);
+        await this.writeReg(SPI_USR2_REG, oldUsr2);
+
+        if (!done) {
+            throw new Error(`SPI flash command 0x${spiCommand.toString(16)} did not complete`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Read the JEDEC ID of the attached SPI flash
+     * @async
+     * @returns {Promise<Object>} {id, manufacturerId, deviceId, manufacturer, sizeBytes}
+     *          sizeBytes is null when the capacity byte is unknown
+     * @throws {Error} If the flash does not respond
+     * @description Also updates this.flashSize and this.flashId when the size could be decoded.
+     */
+    async readFlashId() {
+        const SPIFLASH_RDID = 0x9F;
+
+        /* The ROM loader only talks to flash after SPI_ATTACH; the stub attaches on startup */
+        if (!this.stubLoaded && this.current_chip !== 'esp8266') {
+            await this.executeCommand(this.buildCommandPacketU32(SPI_ATTACH, 0, 0),
+                async (resolve) => {
+                    resolve();
+                });
+        }
+
+        const id = (await this.runSpiFlashCommand(SPIFLASH_RDID, 24)) & 0xFFFFFF;
+        if (id === 0xFFFFFF || id === 0) {
+            throw new Error(`No response from SPI flash (RDID returned 0x${id.toString(16).padStart(6, '0')})`);
+        }
+
+        const manufacturerId = id & 0xFF;
+        const capacity = (id >> 16) & 0xFF;
+        const deviceId = (((id >> 8) & 0xFF) << 8) | capacity;
+
+        const info = {
+            id: id,
+            manufacturerId: manufacturerId,
+            deviceId: deviceId,
+            manufacturer: FLASH_MANUFACTURER_MAP[manufacturerId] || `Unknown (0x${manufacturerId.toString(16).padStart(2, '0')})`,
+            sizeBytes: FLASH_SIZE_MAP[capacity] || null
+        };
+
+        this.logDebug(`Flash ID 0x${id.toString(16).padStart(6, '0')}: ${info.manufacturer}, device 0x${deviceId.toString(16).padStart(4, '0')}, size ${info.sizeBytes ? `${info.sizeBytes / 0x100000} MiB` : 'unknown'}`);
+
+        this.flashId = info;
+        if (info.sizeBytes) {
+            this.flashSize = info.sizeBytes;
+        }
+
+        return info;
+    }
+
     /**
      * Write data to flash memory
      * @async
      * @param {number} address - Target flash address
      * @param {Uint8Array} data - Binary data to write
      * @param {Function} [progressCallback] - Callback(bytesWritten, totalBytes)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops between FLASH_DATA packets and closes the sequence with FLASH_END
      * @returns {Promise<void>}
-     * @throws {Error} If write fails
+     * @throws {Error} If write fails, signal.reason when aborted
      */
-    async writeFlashPlain(address, data, progressCallback) {
+    async writeFlashPlain(address, data, progressCallback, options = {}) {
         const MAX_PACKET_SIZE = 0x1000;
         const packets = Math.ceil(data.length / MAX_PACKET_SIZE);
+        throwIfAborted(options.signal);
 
         /* Send FLASH_BEGIN command with the total data size
            according to https://docs.espressif.com/projects/esptool/en/latest/esp32s3/advanced-topics/serial-protocol.html
@@ -1995,6 +4057,10 @@ class ESPFlasher {
         /* Split data into chunks and send FLASH_DATA commands */
         var seq = 0;
         for (let offset = 0; offset < data.length; offset += MAX_PACKET_SIZE) {
+            if (options.signal && options.signal.aborted) {
+                await this._endFlashSequence(FLASH_END);
+                throwIfAborted(options.signal);
+            }
             const chunk = data.slice(offset, offset + MAX_PACKET_SIZE);
 
             /* Four 32-bit words: data size, sequence number, 0, 0, then data. Uses Checksum. */
@@ -2008,7 +4074,148 @@ class ESPFlasher {
             );
 
             progressCallback && progressCallback(offset + chunk.length, data.length);
+            this._emitProgress('write', address, offset + chunk.length, data.length, 'writing');
+        }
+    }
+
+    /**
+     * Write data to flash memory using zlib compressed transfer
+     * @async
+     * @param {number} address - Target flash address
+     * @param {Uint8Array} data - Binary data to write (uncompressed)
+     * @param {Function} [progressCallback] - Callback(bytesWritten, totalBytes), in uncompressed bytes
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops between FLASH_DEFL_DATA packets and closes the sequence with FLASH_DEFL_END
+     * @returns {Promise<void>}
+     * @throws {Error} If write fails, signal.reason when aborted
+     * @description Sends FLASH_DEFL_BEGIN/FLASH_DEFL_DATA. The stub inflates the stream on-chip,
+     *              so only the compressed size travels over the link. Requires the stub loader.
+     */
+    async writeFlashDeflated(address, data, progressCallback, options = {}) {
+        const MAX_PACKET_SIZE = 0x1000;
+        throwIfAborted(options.signal);
+        const compressed = await this.deflate(data);
+        const packets = Math.ceil(compressed.length / MAX_PACKET_SIZE);
+        const ratio = data.length / Math.max(1, compressed.length);
+
+        if (this.devMode) {
+            this.logDebug(`[WriteFlashDeflated] ${data.length} bytes compressed to ${compressed.length} bytes (${(100 / ratio).toFixed(1)}%), ${packets} packets`);
+        }
+
+        /* FLASH_DEFL_BEGIN: uncompressed size, number of compressed packets, packet size, offset.
+           The stub erases as it goes, so the uncompressed size is what it expects to write.
+        */
+        await this.executeCommand(
+            this.buildCommandPacketU32(FLASH_DEFL_BEGIN, data.length, packets,
+                MAX_PACKET_SIZE,
+                address
+            ),
+            async (resolve) => {
+                resolve();
+            },
+            null,
+            3000
+        );
+
+        /* Split compressed stream into chunks and send FLASH_DEFL_DATA commands */
+        var seq = 0;
+        for (let offset = 0; offset < compressed.length; offset += MAX_PACKET_SIZE) {
+            if (options.signal && options.signal.aborted) {
+                await this._endFlashSequence(FLASH_DEFL_END);
+                throwIfAborted(options.signal);
+            }
+            const chunk = compressed.slice(offset, offset + MAX_PACKET_SIZE);
+
+            /* The stub inflates and writes the chunk before acking, so scale the timeout
+               with the amount of flash this chunk is likely to expand to. */
+            const expectedBytes = chunk.length * ratio;
+            const timeout = Math.max(5000, Math.ceil(expectedBytes / 0x10000) * 1000);
+
+            /* Same header as FLASH_DATA: data size, sequence number, 0, 0, then data. */
+            await this.executeCommand(
+                this.buildCommandPacketU32(FLASH_DEFL_DATA, chunk.length, seq++, 0, 0, chunk),
+                async (resolve) => {
+                    resolve();
+                },
+                null,
+                timeout
+            );
+
+            const written = Math.min(data.length, Math.round((offset + chunk.length) * ratio));
+            progressCallback && progressCallback(written, data.length);
+            this._emitProgress('write', address, written, data.length, 'writing');
+        }
+    }
+
+    /**
+     * Close a flash write sequence that is left before all data was sent
+     * @async
+     * @private
+     * @param {number} command - FLASH_END or FLASH_DEFL_END
+     * @description The loader stays in command mode (argument 1). It may answer with an error because
+     *              data is missing; the next FLASH_BEGIN starts cleanly either way.
+     */
+    async _endFlashSequence(command) {
+        try {
+            await this.executeCommand(this.buildCommandPacketU32(command, 1),
+                async (resolve) => {
+                    resolve();
+                });
+        } catch (error) {
+            this.logDebug(`Closing the aborted flash write: ${error.message || error}`);
+        }
+    }
+
+    /**
+     * Compress data into a zlib (RFC1950) stream as expected by the stub
+     * @async
+     * @param {Uint8Array} data - Data to compress
+     * @returns {Promise<Uint8Array>} zlib stream
+     */
+    async deflate(data) {
+        /* Browsers and Node 18+ provide CompressionStream, whose 'deflate' format is zlib */
+        if (typeof CompressionStream !== 'undefined') {
+            const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+
+        if (typeof require !== 'undefined') {
+            try {
+                return new Uint8Array(require('zlib').deflateSync(data, { level: 9 }));
+            } catch (e) {
+            }
+        }
+
+        /* Last resort: a valid zlib stream made of stored blocks. No gain, but still correct. */
+        const blockCount = Math.max(1, Math.ceil(data.length / 0xFFFF));
+        const out = new Uint8Array(2 + blockCount * 5 + data.length + 4);
+        let pos = 0;
+        out[pos++] = 0x78;
+        out[pos++] = 0x01;
+        for (let block = 0; block < blockCount; block++) {
+            const start = block * 0xFFFF;
+            const len = Math.min(0xFFFF, data.length - start);
+            out[pos++] = (block == blockCount - 1) ? 1 : 0;
+            out[pos++] = len & 0xFF;
+            out[pos++] = (len >> 8) & 0xFF;
+            out[pos++] = ~len & 0xFF;
+            out[pos++] = (~len >> 8) & 0xFF;
+            out.set(data.subarray(start, start + len), pos);
+            pos += len;
+        }
+
+        /* Adler-32 of the uncompressed data, big endian */
+        let a = 1, b = 0;
+        for (let index = 0; index < data.length; index++) {
+            a = (a + data[index]) % 65521;
+            b = (b + a) % 65521;
         }
+        out[pos++] = (b >> 8) & 0xFF;
+        out[pos++] = b & 0xFF;
+        out[pos++] = (a >> 8) & 0xFF;
+        out[pos++] = a & 0xFF;
+
+        return out;
     }
 
     /**
@@ -2017,8 +4224,10 @@ class ESPFlasher {
      * @param {number} address - Source flash address
      * @param {number} [totalLength=0x1000] - Number of bytes to read
      * @param {Function} [progressCallback] - Callback(bytesRead, totalBytes)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops at the next data packet and drains the rest of the transfer
      * @returns {Promise<Uint8Array>} Read data (MD5 verified)
-     * @throws {Error} If read fails or MD5 mismatch
+     * @throws {Error} If read fails or MD5 mismatch, signal.reason when aborted
      * 
 
        ESP32-C3
@@ -2040,7 +4249,37 @@ class ESPFlasher {
         [01:06:29] [DEBUG]   Packets received: 64
 
      */
-    async readFlashPlain(address, totalLength = 0x1000, cbr) {
+    async readFlashPlain(address, totalLength = 0x1000, cbr, options = {}) {
+        return this._readFlashPlain(address, totalLength, (read, total) => {
+            cbr && cbr(read, total);
+            this._emitProgress('read', address, read, total, 'reading');
+        }, options.signal);
+    }
+
+    /**
+     * readFlashPlain() without 'progress' events, for reads that report their own progress
+     * @async
+     * @private
+     */
+    async _readFlashPlain(address, totalLength, cbr, signal) {
+        throwIfAborted(signal);
+        try {
+            return await this._readFlashStream(address, totalLength, cbr, signal);
+        } catch (error) {
+            if (signal && signal.aborted) {
+                /* The stub keeps streaming until everything is acknowledged */
+                await this._recoverReadFlash(totalLength);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * READ_FLASH transfer behind readFlashPlain()
+     * @async
+     * @private
+     */
+    async _readFlashStream(address, totalLength, cbr, signal) {
         let blockSize = Math.min(totalLength, this.readFlashBlockSize);
         let maxInFlight = Math.min(totalLength, blockSize * this.readFlashMaxInFlight);
         const packetCount = Math.ceil(totalLength / blockSize);
@@ -2105,13 +4344,15 @@ class ESPFlasher {
                         } else {
                             const error = `MD5 mismatch! Expected: ${receivedMD5}, Got: ${calculatedMD5}`;
                             this.logError(error);
-                            reject(new Error(error));
+                            reject(new VerifyError(error, { address, size: totalLength, expected: receivedMD5, actual: calculatedMD5 }));
                         }
                     } else {
                         const error = `Unknown response length for MD5! Expected: 16, Got: ${rawData.length}`;
                         this.logError(error);
-                        reject(new Error(error));
+                        reject(new ProtocolError(error, { command: READ_FLASH }));
                     }
+                } else if (signal && signal.aborted) {
+                    reject(signal.reason);
                 } else {
                     /* Track packet latency */
                     const packetLatency = currentTime - lastPacketTime;
@@ -2143,7 +4384,7 @@ class ESPFlasher {
                         resp[2] = (data.length >> 16) & 0xFF;
                         resp[3] = (data.length >> 24) & 0xFF;
 
-                        await this._writeFrame(this.slipLayer.encode(resp));
+                        await this._sendPacket(resp);
 
                         /* move last acked length further */
                         lastAckedLength = Math.min(lastAckedLength + maxInFlight, totalLength);
@@ -2188,7 +4429,7 @@ class ESPFlasher {
                         .join('');
                     resolve(md5);
                 } else {
-                    reject('No MD5 data received');
+                    reject(new ProtocolError('No MD5 data received', { command: SPI_FLASH_MD5 }));
                 }
             },
             async (resolve, reject, rawData) => {
@@ -2214,72 +4455,202 @@ class ESPFlasher {
     }
 
     /**
-     * Read flash with comprehensive MD5 verification
-     * @async
+     * Prepare a resumable flash read
      * @param {number} address - Source address
      * @param {number} size - Number of bytes
-     * @param {Function} [progressCallback] - Callback(read, total, stage)
-     * @returns {Promise<Uint8Array>} Verified data
-     * @throws {Error} If read/verification fails
+     * @param {Object} [options] - See FlashReadSession, blockSize defaults to 64 KiB (less on WebUSB)
+     * @returns {FlashReadSession} Session to pass to readFlashSession() or readFlash()
      */
-    async readFlash(address, size, progressCallback) {
+    createReadSession(address, size, options = {}) {
         var blockSize = 64 * 0x1000;
 
         if (this.port instanceof WebUSBSerial) {
             blockSize = (this.port.maxTransferSize - 2) / 2; /* remove 2 bytes for SLIP overhead, divide by 2 because 0xC0 gets potentially escaped */
         }
 
-        try {
-            /* Step 1: Read data in blocks */
-            this.logDebug(`ReadFlashSafe: Reading ${size} bytes in ${blockSize}-byte blocks...`);
-            const allData = new Uint8Array(size);
-            let offset = 0;
-
-            while (offset < size) {
-                const readSize = Math.min(blockSize, size - offset);
-                let cbr = (read, readBlockSize) => {
-                    progressCallback && progressCallback(offset + read, size, 'reading');
-                }
-                const blockData = await this.readFlashPlain(address + offset, readSize, cbr);
+        return new FlashReadSession(address, size, {
+            blockSize: blockSize,
+            maxRetries: this.readFlashMaxRetries,
+            ...options
+        });
+    }
 
-                /* Copy block to buffer */
-                allData.set(blockData.slice(0, readSize), offset);
-                offset += readSize;
+    /**
+     * Read all pending blocks of a session, verifying each one with SPI_FLASH_MD5
+     * @async
+     * @param {FlashReadSession} session - Session from createReadSession(), may be partially read
+     * @param {Function} [progressCallback] - Callback(read, total, stage)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops without retrying; the session can be resumed later
+     * @returns {Promise<Uint8Array>} Verified data
+     * @throws {Error} When a block runs out of retries, error.session holds the session for resuming;
+     *                 signal.reason when aborted
+     */
+    async readFlashSession(session, progressCallback, options = {}) {
+        const signal = options.signal;
+        session.resume();
 
-                /* Call progress callback */
-                progressCallback && progressCallback(offset, size, 'reading');
+        for (const block of session.blocks) {
+            const blockAddress = session.address + block.offset;
 
-                if (this.devMode) {
-                    this.logDebug(`ReadFlashSafe: Read ${offset}/${size} bytes (${Math.round((offset / size) * 100)}%)`);
+            while (block.state === 'pending') {
+                const doneBefore = session.bytesDone;
+                block.attempts++;
+                try {
+                    const blockData = await this._readFlashBlockVerified(blockAddress, block.length, (read) => {
+                        progressCallback && progressCallback(doneBefore + read, session.size, 'reading');
+                        this._emitProgress('read', session.address, doneBefore + read, session.size, 'reading');
+                    }, true, signal);
+                    session.data.set(blockData.subarray(0, block.length), block.offset);
+                    block.md5 = this.calculateMD5(blockData);
+                    block.state = 'done';
+                    block.error = null;
+                } catch (error) {
+                    if (signal && signal.aborted) {
+                        /* Not a failure of the block, it stays pending for the next readFlash() of this session */
+                        block.attempts--;
+                        throw error;
+                    }
+                    block.error = error.message;
+                    if (block.attempts > session.maxRetries) {
+                        block.state = 'failed';
+                        break;
+                    }
+                    session.retries++;
+                    const delay = session.retryDelayFor(block.attempts);
+                    this.logWarning(`ReadFlash: block at 0x${blockAddress.toString(16).padStart(8, '0')} failed (${error.message}), retry ${block.attempts}/${session.maxRetries} in ${delay} ms`);
+                    progressCallback && progressCallback(doneBefore, session.size, 'retrying');
+                    this._emitProgress('read', session.address, doneBefore, session.size, 'retrying');
+                    await new Promise(resolve => setTimeout(resolve, delay));
                 }
             }
 
-            /* Step 2: Calculate MD5 of read data */
-            progressCallback && progressCallback(size, size, 'calc MD5 of input');
-            this.logDebug(`ReadFlashSafe: Calculating MD5 of read data...`);
-            const actualMD5 = await this.calculateMD5(allData);
-            this.logDebug(`Actual MD5: ${actualMD5}`);
+            if (block.state === 'failed') {
+                /* Stop here, the link is most likely gone. The remaining blocks stay pending for a resume. */
+                const error = new Error(`Flash read failed at 0x${blockAddress.toString(16).padStart(8, '0')} after ${block.attempts} attempts: ${block.error}`);
+                error.session = session;
+                throw error;
+            }
+
+            progressCallback && progressCallback(session.bytesDone, session.size, 'reading');
+            this._emitProgress('read', session.address, session.bytesDone, session.size, 'reading');
 
-            /* Step 3: Get expected MD5 from flash */
-            progressCallback && progressCallback(size, size, 'calc MD5 onchip');
+            if (this.devMode) {
+                this.logDebug(`ReadFlashSafe: Read ${session.bytesDone}/${session.size} bytes (${Math.round((session.bytesDone / session.size) * 100)}%)`);
+            }
+        }
 
-            this.logDebug(`ReadFlashSafe: Calculating expected MD5 for ${size} bytes at 0x${address.toString(16).padStart(8, '0')}...`);
-            const expectedMD5 = await this.checksumFlash(address, size);
-            this.logDebug(`Expected MD5: ${expectedMD5}`);
+        return session.data;
+    }
 
-            /* Step 4: Compare MD5 hashes */
+    /**
+     * Read one block and compare it against the MD5 the chip calculates from flash
+     * @async
+     * @private
+     * @param {number} address - Source address
+     * @param {number} length - Number of bytes
+     * @param {Function} [cbr] - Callback(bytesRead, totalBytes)
+     * @param {boolean} [verify=true] - Check the block with SPI_FLASH_MD5
+     * @param {AbortSignal} [signal] - Abort signal of the calling operation
+     * @returns {Promise<Uint8Array>} Block data
+     * @throws {Error} On transfer error or MD5 mismatch, after the stub was brought back to command mode
+     */
+    async _readFlashBlockVerified(address, length, cbr, verify = true, signal = null) {
+        let blockData;
+        try {
+            blockData = await this._readFlashPlain(address, length, cbr, signal);
+        } catch (error) {
+            /* _readFlashPlain() recovers from aborts itself */
+            if (!(signal && signal.aborted)) {
+                await this._recoverReadFlash(length);
+            }
+            throw error;
+        }
+
+        if (verify) {
+            const expectedMD5 = await this.checksumFlash(address, length);
+            const actualMD5 = this.calculateMD5(blockData);
             if (expectedMD5.toLowerCase() !== actualMD5.toLowerCase()) {
-                this.logError(`ReadFlashSafe FAILED: MD5 mismatch!`);
-                this.logError(`  Expected: ${expectedMD5}`);
-                this.logError(`  Actual:   ${actualMD5}`);
-                throw new Error(`MD5 verification failed: expected ${expectedMD5}, got ${actualMD5}`);
+                throw new VerifyError(`MD5 mismatch: expected ${expectedMD5}, got ${actualMD5}`, { address, size: length, expected: expectedMD5, actual: actualMD5 });
+            }
+        }
+
+        return blockData;
+    }
+
+    /**
+     * Bring the stub out of an aborted READ_FLASH
+     * @async
+     * @private
+     * @param {number} length - Length of the aborted read
+     * @description The stub keeps sending until everything is acknowledged, so ack the full length
+     *              and swallow the remaining frames and the trailing MD5 until the line is quiet.
+     */
+    async _recoverReadFlash(length) {
+        const QUIET_MS = 100;
+        const MAX_WAIT_MS = 2000;
+        let lastDataTime = Date.now();
+
+        this.responseHandlers.clear();
+        this.responseHandlers.set(-1, async () => {
+            lastDataTime = Date.now();
+        });
+
+        try {
+            var resp = new Uint8Array(4);
+            resp[0] = (length >> 0) & 0xFF;
+            resp[1] = (length >> 8) & 0xFF;
+            resp[2] = (length >> 16) & 0xFF;
+            resp[3] = (length >> 24) & 0xFF;
+            await this._sendPacket(resp);
+
+            const start = Date.now();
+            while (Date.now() - lastDataTime < QUIET_MS && Date.now() - start < MAX_WAIT_MS) {
+                await new Promise(resolve => setTimeout(resolve, 10));
             }
+        } catch (error) {
+            this.logDebug(`ReadFlash recovery failed: ${error.message}`);
+        } finally {
+            this.responseHandlers.clear();
+        }
+    }
+
+    /**
+     * Read flash with per-block MD5 verification and retries
+     * @async
+     * @param {number} address - Source address
+     * @param {number} size - Number of bytes
+     * @param {Function} [progressCallback] - Callback(read, total, stage)
+     * @param {FlashReadSession} [session] - Session of a previously failed or aborted read to resume
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the read at the next packet, the stub stays usable
+     * @returns {Promise<Uint8Array>} Verified data
+     * @throws {Error} If a block cannot be read, error.session can be passed back in to resume;
+     *                 signal.reason when aborted
+     */
+    async readFlash(address, size, progressCallback, session = null, options = {}) {
+        if (session && (session.address !== address || session.size !== size)) {
+            throw new Error(`Read session covers 0x${session.address.toString(16)}+${session.size}, not 0x${address.toString(16)}+${size}`);
+        }
+        session = session || this.createReadSession(address, size);
+
+        try {
+            this.logDebug(`ReadFlashSafe: Reading ${size} bytes in ${session.blockSize}-byte blocks (${session.bytesDone} already done)...`);
+            const allData = await this.readFlashSession(session, progressCallback, options);
 
+            if (session.retries > 0) {
+                this.logWarning(`ReadFlashSafe: ${session.retries} block retries were needed`);
+            }
             this.logDebug(`ReadFlashSafe: MD5 verification passed ✓`);
             return allData;
 
         } catch (error) {
-            this.logError(`ReadFlashSafe failed: ${error.message}`);
+            if (options.signal && options.signal.aborted) {
+                error.session = session;
+                this.logDebug(`ReadFlashSafe: aborted after ${session.bytesDone} bytes`);
+            } else {
+                this.logError(`ReadFlashSafe failed: ${error.message}`);
+            }
             throw error;
         }
     }
@@ -2290,26 +4661,39 @@ class ESPFlasher {
      * @param {number} address - Target address
      * @param {Uint8Array} data - Data to write
      * @param {Function} [progressCbr] - Callback(written, total, stage)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels between data packets; the flash range is then partly written
      * @returns {Promise<Object>} {success: boolean, md5: string}
-     * @throws {Error} If write/verification fails
+     * @throws {Error} If write/verification fails, signal.reason when aborted
+     * @description Uses compressed transfer when the stub is loaded (see compressFlashWrites).
+     *              Verification always compares against the MD5 of the uncompressed data.
      */
-    async writeFlash(address, data, progressCbr) {
+    async writeFlash(address, data, progressCbr, options = {}) {
         try {
             /* Step 1: Write data to flash */
-            this.logDebug(`WriteFlashSafe: Writing ${data.length} bytes to 0x${address.toString(16).padStart(8, '0')}...`);
-            await this.writeFlashPlain(address, data, (offset, total) => {
+            const compressed = this.stubLoaded && this.compressFlashWrites;
+            this.logDebug(`WriteFlashSafe: Writing ${data.length} bytes to 0x${address.toString(16).padStart(8, '0')}${compressed ? ' (compressed)' : ''}...`);
+            const writeCbr = (offset, total) => {
                 progressCbr && progressCbr(offset, total, 'Writing');
-            });
+            };
+            if (compressed) {
+                await this.writeFlashDeflated(address, data, writeCbr, options);
+            } else {
+                await this.writeFlashPlain(address, data, writeCbr, options);
+            }
             this.logDebug(`WriteFlashSafe: Write complete`);
+            throwIfAborted(options.signal);
 
             /* Step 2: Calculate MD5 of input data */
             progressCbr && progressCbr(data.length, data.length, 'Calculating MD5 of input');
+            this._emitProgress('write', address, data.length, data.length, 'hashing');
             this.logDebug(`WriteFlashSafe: Calculating MD5 of ${data.length} bytes to write...`);
             const expectedMD5 = this.calculateMD5(data);
             this.logDebug(`Input data MD5: ${expectedMD5}`);
 
             /* Step 3: Get MD5 from device */
             progressCbr && progressCbr(data.length, data.length, 'Calculating MD5 on device');
+            this._emitProgress('write', address, data.length, data.length, 'verifying');
             this.logDebug(`WriteFlashSafe: Calculating MD5 on device for verification...`);
             const deviceMD5 = await this.checksumFlash(address, data.length);
             this.logDebug(`Device MD5: ${deviceMD5}`);
@@ -2319,42 +4703,140 @@ class ESPFlasher {
                 this.logError(`WriteFlashSafe FAILED: MD5 mismatch!`);
                 this.logError(`  Expected: ${expectedMD5}`);
                 this.logError(`  Device:   ${deviceMD5}`);
-                throw new Error(`MD5 verification failed after write: expected ${expectedMD5}, got ${deviceMD5}`);
+                throw new VerifyError(`MD5 verification failed after write: expected ${expectedMD5}, got ${deviceMD5}`, { address, size: data.length, expected: expectedMD5, actual: deviceMD5 });
             }
 
             this.logDebug(`WriteFlashSafe: MD5 verification passed ✓`);
 
             progressCbr && progressCbr(data.length, data.length, expectedMD5, 'Verified');
+            this._emitProgress('write', address, data.length, data.length, 'verified');
 
             return { success: true, md5: expectedMD5 };
 
         } catch (error) {
-            this.logError(`WriteFlashSafe failed: ${error.message}`);
+            if (options.signal && options.signal.aborted) {
+                this.logDebug(`WriteFlashSafe: aborted`);
+            } else {
+                this.logError(`WriteFlashSafe failed: ${error.message}`);
+            }
             throw error;
         }
     }
 
+    /**
+     * Erase the entire flash chip
+     * @async
+     * @param {Function} [progressCbr] - Callback(erased, total, stage)
+     * @returns {Promise<void>}
+     * @throws {Error} If the stub is not loaded or the erase times out
+     * @description The chip reports nothing until it is done, so progress only marks start and end.
+     */
+    async eraseFlash(progressCbr) {
+        if (!this.stubLoaded) {
+            throw new Error('ERASE_FLASH requires the stub loader');
+        }
+
+        const total = this.flashSize;
+        progressCbr && progressCbr(0, total, 'Erasing');
+        this._emitProgress('erase', 0, 0, total, 'erasing');
+        this.logDebug(`EraseFlash: erasing entire flash...`);
+
+        const startTime = Date.now();
+        await this.executeCommand(
+            this.buildCommandPacketU32(ERASE_FLASH),
+            async (resolve) => {
+                resolve();
+            },
+            null,
+            Math.max(10000, Math.ceil(ERASE_TIMEOUT_PER_MB * total / 0x100000))
+        );
+
+        this.logDebug(`EraseFlash: done in ${Date.now() - startTime} ms`);
+        progressCbr && progressCbr(total, total, 'Erased');
+        this._emitProgress('erase', 0, total, total, 'erased');
+    }
+
+    /**
+     * Erase a 4 KiB aligned flash region
+     * @async
+     * @param {number} address - Start address, multiple of 0x1000
+     * @param {number} length - Number of bytes, multiple of 0x1000
+     * @param {Function} [progressCbr] - Callback(erased, total, stage)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels between the 1 MiB erase commands
+     * @returns {Promise<void>}
+     * @throws {Error} If arguments are misaligned, the stub is not loaded or the erase times out; signal.reason when aborted
+     */
+    async eraseRegion(address, length, progressCbr, options = {}) {
+        const SECTOR_SIZE = 0x1000;
+        /* Erase in slices so progress can be reported and each command gets a sane timeout */
+        const ERASE_CHUNK = 0x100000;
+
+        if (address % SECTOR_SIZE !== 0) {
+            throw new Error(`Erase address 0x${address.toString(16)} is not aligned to 0x1000 bytes`);
+        }
+        if (length % SECTOR_SIZE !== 0) {
+            throw new Error(`Erase length ${length} is not aligned to 0x1000 bytes`);
+        }
+        if (!this.stubLoaded) {
+            throw new Error('ERASE_REGION requires the stub loader');
+        }
+
+        this.logDebug(`EraseRegion: erasing ${length} bytes at 0x${address.toString(16).padStart(8, '0')}...`);
+        progressCbr && progressCbr(0, length, 'Erasing');
+        this._emitProgress('erase', address, 0, length, 'erasing');
+
+        for (let offset = 0; offset < length; offset += ERASE_CHUNK) {
+            throwIfAborted(options.signal);
+            const chunkLength = Math.min(ERASE_CHUNK, length - offset);
+            const timeout = Math.max(3000, Math.ceil(ERASE_TIMEOUT_PER_MB * chunkLength / 0x100000));
+
+            await this.executeCommand(
+                this.buildCommandPacketU32(ERASE_REGION, address + offset, chunkLength),
+                async (resolve) => {
+                    resolve();
+                },
+                null,
+                timeout
+            );
+
+            progressCbr && progressCbr(offset + chunkLength, length, 'Erasing');
+            this._emitProgress('erase', address, offset + chunkLength, length, 'erasing');
+        }
+
+        progressCbr && progressCbr(length, length, 'Erased');
+        this._emitProgress('erase', address, length, length, 'erased');
+    }
+
     /**
      * Check if flash memory is erased
      * @async
      * @param {Function} [cbr] - Progress callback
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels at the next data packet
      * @returns {Promise<void>}
+     * @throws {Error} If a block still fails after readFlashMaxRetries retries, signal.reason when aborted
      */
-    async blankCheck(startAddress = 0x000000, endAddress = 0x800000, cbr = null) {
+    async blankCheck(startAddress = 0x000000, endAddress = 0x800000, cbr = null, options = {}) {
         const blockSize = 0x1000;
+        /* Only used for its retry delays, the blocks are checked by the READ_FLASH MD5 */
+        const retryPolicy = new FlashReadSession(startAddress, 0, { maxRetries: this.readFlashMaxRetries });
 
         let totalReads = 0;
         let totalTime = 0;
         let erasedBytesTotal = 0;
         let currentAddress = startAddress;
+        let attempts = 0;
 
         while (currentAddress < endAddress) {
 
             try {
                 const startTime = Date.now();
-                var rawData = await this.readFlashPlain(currentAddress, blockSize);
+                attempts++;
+                var rawData = await this._readFlashBlockVerified(currentAddress, blockSize, null, false, options.signal);
                 const endTimeRead = Date.now();
                 const readDuration = endTimeRead - startTime;
+                attempts = 0;
 
                 var erasedBytes = 0;
                 for (var pos = 0; pos < rawData.length; pos++) {
@@ -2369,10 +4851,18 @@ class ESPFlasher {
                 totalReads++;
 
                 cbr && cbr(currentAddress, startAddress, endAddress, blockSize, erasedBytes, erasedBytesTotal);
+                this._emitProgress('blank-check', startAddress, currentAddress - startAddress, endAddress - startAddress, 'checking');
             } catch (error) {
-                this.logError(`Read failed due to an error`, `${error.message}`);
-                this.disconnect();
-                break;
+                throwIfAborted(options.signal);
+                if (attempts > retryPolicy.maxRetries) {
+                    this.logError(`Read failed due to an error`, `${error.message}`);
+                    /* Keep the error class and its details for the caller */
+                    error.message = `Blank check failed at 0x${currentAddress.toString(16).padStart(8, '0')}: ${error.message}`;
+                    throw error;
+                }
+                const delay = retryPolicy.retryDelayFor(attempts);
+                this.logWarning(`Blank check: read at 0x${currentAddress.toString(16).padStart(8, '0')} failed (${error.message}), retry ${attempts}/${retryPolicy.maxRetries} in ${delay} ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
             }
         }
 
@@ -2388,15 +4878,21 @@ class ESPFlasher {
      * @param {number} address - Test address
      * @param {number} size - Test data size
      * @param {Function} [cbr] - Progress callback
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels at the next packet; the original data is not restored
      * @returns {Promise<Object>} Test result
-     * @throws {Error} On critical failure
+     * @throws {Error} On critical failure, signal.reason when aborted
      */
-    async writeReadTest(address, size, cbr) {
+    async writeReadTest(address, size, cbr, options = {}) {
+        const report = (stage, step, steps, ...rest) => {
+            cbr && cbr(stage, step, steps, ...rest);
+            this._emitProgress('test', address, step, steps, stage);
+        };
         try {
             /* Step 1: Read original data */
             this.logDebug(`Test: Reading original ${size} bytes from 0x${address.toString(16).padStart(8, '0')}...`);
-            cbr && cbr('reading_original', 0, 3);
-            const originalData = await this.readFlashPlain(address, size);
+            report('reading_original', 0, 3);
+            const originalData = await this.readFlashPlain(address, size, null, options);
             this.logDebug(`Original data read complete`);
 
             /* Hexdump original data (first 64 bytes) */
@@ -2411,7 +4907,7 @@ class ESPFlasher {
 
             /* Step 2: Generate random data */
             this.logDebug(`Test: Generating ${size} bytes of random data...`);
-            cbr && cbr('generating_random', 1, 3);
+            report('generating_random', 1, 3);
             const randomData = new Uint8Array(size);
             for (let i = 0; i < size; i++) {
                 randomData[i] = Math.floor(Math.random() * 256);
@@ -2429,17 +4925,17 @@ class ESPFlasher {
 
             /* Step 3: Write random data to flash */
             this.logDebug(`Test: Writing ${size} bytes to flash at 0x${address.toString(16).padStart(8, '0')}...`);
-            cbr && cbr('writing', 2, 3);
+            report('writing', 2, 3);
             await this.writeFlashPlain(address, randomData, (offset, total) => {
                 const percent = Math.round((offset / total) * 100);
-                cbr && cbr('writing', 2, 3, percent);
-            });
+                report('writing', 2, 3, percent);
+            }, options);
             this.logDebug(`Write complete`);
 
             /* Step 4: Read back the data */
             this.logDebug(`Test: Reading back ${size} bytes from 0x${address.toString(16).padStart(8, '0')}...`);
-            cbr && cbr('reading_back', 3, 3);
-            const readbackData = await this.readFlashPlain(address, size);
+            report('reading_back', 3, 3);
+            const readbackData = await this.readFlashPlain(address, size, null, options);
             this.logDebug(`Readback complete`);
 
             /* Hexdump readback data (first 64 bytes) */
@@ -2482,12 +4978,16 @@ class ESPFlasher {
                 this.logError(`  Expected: 0x${randomData[firstError].toString(16).padStart(2, '0')}, Got: 0x${readbackData[firstError].toString(16).padStart(2, '0')}`);
             }
 
-            cbr && cbr('complete', 3, 3, 100, result);
+            report('complete', 3, 3, 100, result);
             return result;
 
         } catch (error) {
+            if (options.signal && options.signal.aborted) {
+                report('aborted', 0, 3, 0, { success: false, error: error.message });
+                throw error;
+            }
             this.logError(`Write/Read test failed: ${error.message}`);
-            cbr && cbr('error', 0, 3, 0, { success: false, error: error.message });
+            report('error', 0, 3, 0, { success: false, error: error.message });
             throw error;
         }
     }
@@ -2577,16 +5077,7 @@ class ESPFlasher {
         }
 
         /* Log command execution with parameters */
-        const commandNames = {
-            0x02: 'FLASH_BEGIN', 0x03: 'FLASH_DATA', 0x04: 'FLASH_END',
-            0x05: 'MEM_BEGIN', 0x06: 'MEM_END', 0x07: 'MEM_DATA',
-            0x08: 'SYNC', 0x09: 'WRITE_REG', 0x0a: 'READ_REG',
-            0x0b: 'SPI_SET_PARAMS', 0x0d: 'SPI_ATTACH', 0x0f: 'CHANGE_BAUDRATE',
-            0x10: 'FLASH_DEFL_BEGIN', 0x11: 'FLASH_DEFL_DATA', 0x12: 'FLASH_DEFL_END',
-            0x13: 'SPI_FLASH_MD5', 0x14: 'GET_SECURITY_INFO',
-            0xd0: 'ERASE_FLASH', 0xd1: 'ERASE_REGION', 0xd2: 'READ_FLASH', 0xd3: 'RUN_USER_CODE'
-        };
-        const cmdName = commandNames[pkt.command] || `0x${pkt.command.toString(16)}`;
+        const cmdName = COMMAND_NAMES[pkt.command] || `0x${pkt.command.toString(16)}`;
         this.logDebug(`[CMD] ${cmdName} (0x${pkt.command.toString(16).padStart(2, '0')})`, 'params:', pkt);
 
         if (pkt.dir == 0) {
@@ -2626,11 +5117,29 @@ class ESPFlasher {
      * @async
      * @param {Uint8Array} packet - Raw packet bytes
      * @returns {Promise<void>}
+     * @description Responses get status, errorCode and errorName from the status bytes at the end of their data:
+     *              4 bytes from the ROM loader (2 on the ESP8266), 2 from the stub. executeCommand() turns a
+     *              non-zero status into a ProtocolError.
      */
     async processPacket(packet) {
         var pkt = this.parsePacket(packet);
+        const isResponse = pkt && pkt.dir === 0x01;
+
+        if (isResponse) {
+            this.decodeResponseStatus(pkt);
+        }
+        if (this.listenerCount('packet') > 0) {
+            this.emit('packet', {
+                direction: 'rx',
+                command: isResponse ? pkt.command : null,
+                commandName: isResponse ? (COMMAND_NAMES[pkt.command] || null) : null,
+                data: packet,
+                status: isResponse ? pkt.status : null,
+                errorCode: isResponse ? pkt.errorCode : null
+            });
+        }
 
-        if (pkt && pkt.dir === 0x01) {
+        if (isResponse) {
             this.dumpPacket(pkt);
             /* Call response handler if registered */
             if (this.responseHandlers.has(pkt.command)) {
@@ -2647,6 +5156,25 @@ class ESPFlasher {
         }
     }
 
+    /**
+     * Fill in the status fields of a parsed response
+     * @param {Object} pkt - Response from parsePacket()
+     * @returns {Object} pkt with status, errorCode (null if the response has no status bytes) and errorName
+     */
+    decodeResponseStatus(pkt) {
+        const statusLength = (this.stubLoaded === true || this.current_chip === 'esp8266' || pkt.data.length < 4) ? 2 : 4;
+        if (pkt.data.length < statusLength) {
+            pkt.status = null;
+            pkt.errorCode = null;
+            pkt.errorName = null;
+            return pkt;
+        }
+        pkt.status = pkt.data[pkt.data.length - statusLength];
+        pkt.errorCode = pkt.data[pkt.data.length - statusLength + 1];
+        pkt.errorName = pkt.status !== 0 ? describeLoaderError(pkt.errorCode) : null;
+        return pkt;
+    }
+
     /* ==================== MD5 Hash Implementation ==================== */
     /**
      * MD5 Hash Implementation (from js-md5 library)
@@ -3051,4 +5579,18 @@ class ESPFlasher {
 /* CommonJS export for Node.js */
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ESPFlasher;
+    module.exports.WebSocketSerial = WebSocketSerial;
+    module.exports.FlasherEventEmitter = FlasherEventEmitter;
+    module.exports.SerialSessionRecorder = SerialSessionRecorder;
+    module.exports.ReplaySerialPort = ReplaySerialPort;
+    module.exports.describeUsbSerialAdapter = describeUsbSerialAdapter;
+    module.exports.USB_SERIAL_ADAPTERS = USB_SERIAL_ADAPTERS;
+    module.exports.FlasherError = FlasherError;
+    module.exports.TimeoutError = TimeoutError;
+    module.exports.SyncError = SyncError;
+    module.exports.ProtocolError = ProtocolError;
+    module.exports.DisconnectedError = DisconnectedError;
+    module.exports.VerifyError = VerifyError;
+    module.exports.LOADER_ERRORS = LOADER_ERRORS;
+    module.exports.describeLoaderError = describeLoaderError;
 }
\ No newline at end of file
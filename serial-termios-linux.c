@@ -0,0 +1,50 @@
+/*
+ * serial-termios-linux - arbitrary baud rates through the kernel's own termios ioctls
+ *
+ * Kept apart from serial-termios.c because <asm/termbits.h> cannot be included next to the
+ * libc <termios.h> (uv.h pulls that in too). Taking the structures from the kernel headers
+ * keeps the layout right on every architecture: asm-generic has struct termios2 with TCGETS2,
+ * MIPS a larger c_cc, PowerPC no termios2 but the speed fields in struct termios itself.
+ */
+
+#include <sys/ioctl.h>
+#include <asm/termbits.h>
+
+#include "serial-termios-linux.h"
+
+#ifdef TCGETS2
+typedef struct termios2 kernel_termios_t;
+#define KERNEL_TCGETS TCGETS2
+#define KERNEL_TCSETS TCSETS2
+#else
+typedef struct termios kernel_termios_t;
+#define KERNEL_TCGETS TCGETS
+#define KERNEL_TCSETS TCSETS
+#endif
+
+int linux_configure_raw(int fd, unsigned int baud)
+{
+    kernel_termios_t tio;
+    if (ioctl(fd, KERNEL_TCGETS, &tio) < 0) {
+        return -1;
+    }
+    tio.c_iflag = IGNBRK;
+    tio.c_oflag = 0;
+    tio.c_lflag = 0;
+    tio.c_cflag = CS8 | CREAD | CLOCAL | BOTHER;
+    tio.c_ispeed = baud;
+    tio.c_ospeed = baud;
+    tio.c_cc[VMIN] = 0;
+    tio.c_cc[VTIME] = 0;
+    return ioctl(fd, KERNEL_TCSETS, &tio) < 0 ? -1 : 0;
+}
+
+int linux_get_baud_rate(int fd, unsigned int *baud)
+{
+    kernel_termios_t tio;
+    if (ioctl(fd, KERNEL_TCGETS, &tio) < 0) {
+        return -1;
+    }
+    *baud = tio.c_ospeed;
+    return 0;
+}
@@ -0,0 +1,15 @@
+/*
+ * serial-termios-linux - termios through the kernel ioctls, see serial-termios-linux.c
+ * Both return 0, or -1 with errno set.
+ */
+
+#ifndef SERIAL_TERMIOS_LINUX_H
+#define SERIAL_TERMIOS_LINUX_H
+
+/* Raw 8N1, no flow control, reads return what is there, any baud rate the driver accepts */
+int linux_configure_raw(int fd, unsigned int baud);
+
+/* Output speed the driver reports */
+int linux_get_baud_rate(int fd, unsigned int *baud);
+
+#endif
@@ -0,0 +1,327 @@
+/*
+ * serial-termios - native serial port helpers for flasher-termios.js (Node-API addon)
+ *
+ * Raw 8N1 configuration with arbitrary baud rates, DTR/RTS, flushing, readiness notification
+ * on the Node event loop and pseudo-terminal pairs for tests. Linux sets non-standard rates
+ * through the kernel ioctls in serial-termios-linux.c, other POSIX systems pass the rate to cfsetspeed().
+ *
+ * Built with binding.gyp into build/Release/serial_termios.node:
+ *   npx node-gyp rebuild
+ */
+
+#define _GNU_SOURCE
+#include <errno.h>
+#include <fcntl.h>
+#include <stdio.h>
+#include <stdlib.h>
+#include <string.h>
+#include <sys/ioctl.h>
+#include <termios.h>
+#include <unistd.h>
+
+#ifdef __linux__
+#include "serial-termios-linux.h"
+#endif
+
+#include <node_api.h>
+#include <uv.h>
+
+#define CHECK(call)                                                      \
+    do {                                                                 \
+        if ((call) != napi_ok) {                                         \
+            napi_throw_error(env, NULL, "Node-API call failed: " #call); \
+            return NULL;                                                 \
+        }                                                                \
+    } while (0)
+
+static napi_value throw_errno(napi_env env, const char *what)
+{
+    char message[256];
+    snprintf(message, sizeof(message), "%s: %s", what, strerror(errno));
+    napi_throw_error(env, NULL, message);
+    return NULL;
+}
+
+static int get_int_arg(napi_env env, napi_callback_info info, size_t index, int32_t *value)
+{
+    size_t argc = 4;
+    napi_value argv[4];
+    if (napi_get_cb_info(env, info, &argc, argv, NULL, NULL) != napi_ok || index >= argc) {
+        return -1;
+    }
+    return napi_get_value_int32(env, argv[index], value) == napi_ok ? 0 : -1;
+}
+
+/* -1 for undefined/null, otherwise 0 or 1 */
+static int get_optional_bool_arg(napi_env env, napi_value value)
+{
+    napi_valuetype type;
+    bool result = false;
+    if (napi_typeof(env, value, &type) != napi_ok || type == napi_undefined || type == napi_null) {
+        return -1;
+    }
+    napi_get_value_bool(env, value, &result);
+    return result ? 1 : 0;
+}
+
+/* configure(fd, baudRate): raw 8N1, no flow control, reads return what is there */
+static napi_value configure(napi_env env, napi_callback_info info)
+{
+    int32_t fd, baud;
+    if (get_int_arg(env, info, 0, &fd) || get_int_arg(env, info, 1, &baud) || baud <= 0) {
+        napi_throw_type_error(env, NULL, "configure(fd, baudRate) expects two positive integers");
+        return NULL;
+    }
+
+#ifdef __linux__
+    if (linux_configure_raw(fd, (unsigned int)baud) < 0) {
+        return throw_errno(env, "TCSETS");
+    }
+#else
+    struct termios tio;
+    if (tcgetattr(fd, &tio) < 0) {
+        return throw_errno(env, "tcgetattr");
+    }
+    cfmakeraw(&tio);
+    tio.c_iflag |= IGNBRK;
+    tio.c_cflag = CS8 | CREAD | CLOCAL;
+    tio.c_cc[VMIN] = 0;
+    tio.c_cc[VTIME] = 0;
+    if (cfsetspeed(&tio, (speed_t)baud) < 0 || tcsetattr(fd, TCSANOW, &tio) < 0) {
+        return throw_errno(env, "tcsetattr");
+    }
+#endif
+    return NULL;
+}
+
+/* getBaudRate(fd): output speed the driver reports */
+static napi_value get_baud_rate(napi_env env, napi_callback_info info)
+{
+    int32_t fd;
+    napi_value result;
+    if (get_int_arg(env, info, 0, &fd)) {
+        napi_throw_type_error(env, NULL, "getBaudRate(fd) expects an integer");
+        return NULL;
+    }
+#ifdef __linux__
+    unsigned int baud;
+    if (linux_get_baud_rate(fd, &baud) < 0) {
+        return throw_errno(env, "TCGETS");
+    }
+    CHECK(napi_create_uint32(env, baud, &result));
+#else
+    struct termios tio;
+    if (tcgetattr(fd, &tio) < 0) {
+        return throw_errno(env, "tcgetattr");
+    }
+    CHECK(napi_create_uint32(env, (uint32_t)cfgetospeed(&tio), &result));
+#endif
+    return result;
+}
+
+/* setSignals(fd, dtr, rts): true/false sets the line, undefined leaves it; both change in one ioctl */
+static napi_value set_signals(napi_env env, napi_callback_info info)
+{
+    size_t argc = 3;
+    napi_value argv[3];
+    int32_t fd;
+    int lines;
+
+    CHECK(napi_get_cb_info(env, info, &argc, argv, NULL, NULL));
+    if (argc < 1 || napi_get_value_int32(env, argv[0], &fd) != napi_ok) {
+        napi_throw_type_error(env, NULL, "setSignals(fd, dtr, rts) expects an fd");
+        return NULL;
+    }
+    int dtr = argc > 1 ? get_optional_bool_arg(env, argv[1]) : -1;
+    int rts = argc > 2 ? get_optional_bool_arg(env, argv[2]) : -1;
+
+    if (ioctl(fd, TIOCMGET, &lines) < 0) {
+        return throw_errno(env, "TIOCMGET");
+    }
+    if (dtr >= 0) {
+        lines = dtr ? (lines | TIOCM_DTR) : (lines & ~TIOCM_DTR);
+    }
+    if (rts >= 0) {
+        lines = rts ? (lines | TIOCM_RTS) : (lines & ~TIOCM_RTS);
+    }
+    if (ioctl(fd, TIOCMSET, &lines) < 0) {
+        return throw_errno(env, "TIOCMSET");
+    }
+    return NULL;
+}
+
+/* flush(fd, input, output): discard data not yet read and/or not yet sent */
+static napi_value flush(napi_env env, napi_callback_info info)
+{
+    size_t argc = 3;
+    napi_value argv[3];
+    int32_t fd;
+
+    CHECK(napi_get_cb_info(env, info, &argc, argv, NULL, NULL));
+    if (argc < 3 || napi_get_value_int32(env, argv[0], &fd) != napi_ok) {
+        napi_throw_type_error(env, NULL, "flush(fd, input, output) expects an fd and two booleans");
+        return NULL;
+    }
+    int input = get_optional_bool_arg(env, argv[1]) == 1;
+    int output = get_optional_bool_arg(env, argv[2]) == 1;
+    if (!input && !output) {
+        return NULL;
+    }
+    if (tcflush(fd, input && output ? TCIOFLUSH : (input ? TCIFLUSH : TCOFLUSH)) < 0) {
+        return throw_errno(env, "tcflush");
+    }
+    return NULL;
+}
+
+/* Readiness watch: the callback runs on the event loop whenever the fd becomes readable or hangs up */
+typedef struct {
+    uv_poll_t poll;
+    napi_env env;
+    napi_ref callback;
+    int closing;
+} watch_t;
+
+static void watch_closed(uv_handle_t *handle)
+{
+    free(handle->data);
+}
+
+static void watch_event(uv_poll_t *poll, int status, int events)
+{
+    watch_t *watch = poll->data;
+    napi_env env = watch->env;
+    napi_handle_scope scope;
+    napi_value callback, global, argv[1];
+
+    if (watch->closing) {
+        return;
+    }
+
+    napi_open_handle_scope(env, &scope);
+    napi_get_reference_value(env, watch->callback, &callback);
+    napi_get_global(env, &global);
+    if (status < 0) {
+        napi_value message;
+        napi_create_string_utf8(env, uv_strerror(status), NAPI_AUTO_LENGTH, &message);
+        napi_create_error(env, NULL, message, &argv[0]);
+    } else {
+        napi_get_boolean(env, (events & UV_DISCONNECT) != 0, &argv[0]);
+    }
+    napi_call_function(env, global, callback, 1, argv, NULL);
+    napi_close_handle_scope(env, scope);
+}
+
+static void watch_finalize(napi_env env, void *data, void *hint)
+{
+    /* The poll handle owns the memory once started, unwatch() releases it */
+    (void)env;
+    (void)data;
+    (void)hint;
+}
+
+/* watch(fd, callback(errorOrHangup)) -> handle for unwatch() */
+static napi_value watch(napi_env env, napi_callback_info info)
+{
+    size_t argc = 2;
+    napi_value argv[2], handle;
+    int32_t fd;
+    uv_loop_t *loop;
+
+    CHECK(napi_get_cb_info(env, info, &argc, argv, NULL, NULL));
+    if (argc < 2 || napi_get_value_int32(env, argv[0], &fd) != napi_ok) {
+        napi_throw_type_error(env, NULL, "watch(fd, callback) expects an fd and a function");
+        return NULL;
+    }
+    CHECK(napi_get_uv_event_loop(env, &loop));
+
+    watch_t *w = calloc(1, sizeof(watch_t));
+    if (!w) {
+        napi_throw_error(env, NULL, "Out of memory");
+        return NULL;
+    }
+    w->env = env;
+    w->poll.data = w;
+    CHECK(napi_create_reference(env, argv[1], 1, &w->callback));
+
+    int result = uv_poll_init(loop, &w->poll, fd);
+    if (result < 0) {
+        napi_delete_reference(env, w->callback);
+        free(w);
+        napi_throw_error(env, NULL, uv_strerror(result));
+        return NULL;
+    }
+    result = uv_poll_start(&w->poll, UV_READABLE | UV_DISCONNECT, watch_event);
+    if (result < 0) {
+        napi_delete_reference(env, w->callback);
+        uv_close((uv_handle_t *)&w->poll, watch_closed);
+        napi_throw_error(env, NULL, uv_strerror(result));
+        return NULL;
+    }
+
+    CHECK(napi_create_external(env, w, watch_finalize, NULL, &handle));
+    return handle;
+}
+
+/* unwatch(handle): stop notifications, call before closing the fd */
+static napi_value unwatch(napi_env env, napi_callback_info info)
+{
+    size_t argc = 1;
+    napi_value argv[1];
+    watch_t *w;
+
+    CHECK(napi_get_cb_info(env, info, &argc, argv, NULL, NULL));
+    if (argc < 1 || napi_get_value_external(env, argv[0], (void **)&w) != napi_ok) {
+        napi_throw_type_error(env, NULL, "unwatch(handle) expects a handle from watch()");
+        return NULL;
+    }
+    if (!w->closing) {
+        w->closing = 1;
+        uv_poll_stop(&w->poll);
+        napi_delete_reference(env, w->callback);
+        uv_close((uv_handle_t *)&w->poll, watch_closed);
+    }
+    return NULL;
+}
+
+/* openpty() -> {fd, path}: master fd (non-blocking) and the path of the slave side */
+static napi_value open_pty(napi_env env, napi_callback_info info)
+{
+    napi_value result, value;
+    (void)info;
+
+    int fd = posix_openpt(O_RDWR | O_NOCTTY);
+    if (fd < 0) {
+        return throw_errno(env, "posix_openpt");
+    }
+    char *path = (grantpt(fd) == 0 && unlockpt(fd) == 0) ? ptsname(fd) : NULL;
+    if (!path || fcntl(fd, F_SETFL, fcntl(fd, F_GETFL) | O_NONBLOCK) < 0) {
+        int saved = errno;
+        close(fd);
+        errno = saved;
+        return throw_errno(env, "openpty");
+    }
+
+    CHECK(napi_create_object(env, &result));
+    CHECK(napi_create_int32(env, fd, &value));
+    CHECK(napi_set_named_property(env, result, "fd", value));
+    CHECK(napi_create_string_utf8(env, path, NAPI_AUTO_LENGTH, &value));
+    CHECK(napi_set_named_property(env, result, "path", value));
+    return result;
+}
+
+static napi_value init(napi_env env, napi_value exports)
+{
+    napi_property_descriptor properties[] = {
+        { "configure", NULL, configure, NULL, NULL, NULL, napi_default, NULL },
+        { "getBaudRate", NULL, get_baud_rate, NULL, NULL, NULL, napi_default, NULL },
+        { "setSignals", NULL, set_signals, NULL, NULL, NULL, napi_default, NULL },
+        { "flush", NULL, flush, NULL, NULL, NULL, napi_default, NULL },
+        { "watch", NULL, watch, NULL, NULL, NULL, napi_default, NULL },
+        { "unwatch", NULL, unwatch, NULL, NULL, NULL, napi_default, NULL },
+        { "openpty", NULL, open_pty, NULL, NULL, NULL, napi_default, NULL },
+    };
+    napi_define_properties(env, exports, sizeof(properties) / sizeof(properties[0]), properties);
+    return exports;
+}
+
+NAPI_MODULE(serial_termios, init)
@@ -1,7 +1,8 @@
 #!/usr/bin/env node
 
 /**
- * Test cases for SparseImage write buffer handling
+ * Test cases for SparseImage write buffer handling and, against the
+ * emulated ROM/stub in esp32-emulator.js, end-to-end ESPFlasher runs
  * 
  * Run with: node testcases.js
  */
@@ -10,6 +11,9 @@ const fs = require('fs');
 const path = require('path');
 const util = require('util');
 const { SparseImage } = require('./esp32-parser');
+require('./flasher-nodejs.js');
+const ESPFlasher = require('./flasher.js');
+const { ESPEmulator } = require('./esp32-emulator.js');
 
 const GREEN = '\x1b[32m';
 const RED = '\x1b[31m';
@@ -93,6 +97,57 @@ async function runTest(name, testFn) {
     }
 }
 
+/*
+ * Shared fixtures, passed to every test file next to runTest and assert
+ */
+
+/* Deterministic test data: no long runs of one value, different seeds give different data */
+function pattern(length, seed = 0) {
+    return Uint8Array.from({ length }, (_, i) => (i * 31 + seed + (i >> 8)) & 0xFF);
+}
+
+/*
+ * SparseImage over a backing buffer, every device read listed as "address+length" in reads.
+ * With sectors set, reads are widened to whole 4 KiB sectors like the device path does.
+ */
+function backedImage(backing, { sectors = false } = {}) {
+    const reads = [];
+    const sparse = new SparseImage(backing.length, async (address, size) => {
+        const start = sectors ? address & ~0xFFF : address;
+        const end = sectors ? Math.min(backing.length, (address + size + 0xFFF) & ~0xFFF) : address + size;
+        reads.push(`${start.toString(16)}+${(end - start).toString(16)}`);
+        return { address: start, data: backing.slice(start, end) };
+    }, async (address, data) => {
+        backing.set(data, address);
+    });
+    return { sparse, reads };
+}
+
+/*
+ * Emulator with a flasher connected and synced, the stub loaded unless stub is false.
+ * Other options go to the emulator, e.g. flash for its initial content.
+ */
+async function connectEmulator({ chip = 'esp32c3', stub = true, ...options } = {}) {
+    const emulator = new ESPEmulator({ chip, flashSize: 0x100000, ...options });
+    const flasher = new ESPFlasher({ initialBaudRate: 115200 });
+    await flasher.openPortWithPort(emulator.createPort());
+    await flasher.sync();
+    if (stub) {
+        await flasher.downloadStub();
+    }
+    return { emulator, flasher };
+}
+
+/* The error a promise rejects with, null if it resolves */
+async function rejection(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        return error;
+    }
+    return null;
+}
+
 async function runAllTests() {
     parseArgs(process.argv);
 
@@ -104,9 +159,9 @@ async function runAllTests() {
     for (const file of files) {
         const register = require(path.join(testsDir, file));
         if (typeof register === 'function') {
-            await register({ runTest, assert, SparseImage, log });
+            await register({ runTest, assert, SparseImage, ESPFlasher, ESPEmulator, log, pattern, backedImage, connectEmulator, rejection });
         } else if (register && typeof register.registerTests === 'function') {
-            await register.registerTests({ runTest, assert, SparseImage, log });
+            await register.registerTests({ runTest, assert, SparseImage, ESPFlasher, ESPEmulator, log, pattern, backedImage, connectEmulator, rejection });
         } else {
             console.warn(`Skipping ${file}: no registerTests export`);
         }
@@ -0,0 +1,54 @@
+module.exports = async function registerTests({ runTest, assert, SparseImage, log }) {
+    await runTest('Flush turns 0xFF sectors into erase calls when an erase callback is set', async () => {
+        const totalSize = 0x10000;
+        const writeLog = [];
+        const eraseLog = [];
+
+        const sparse = new SparseImage(totalSize, null, async (address, data) => {
+            writeLog.push({ address, length: data.length, data: data.slice() });
+        }, null, 0x1000);
+        sparse.eraseDataCallback = async (address, length) => {
+            eraseLog.push({ address, length });
+        };
+
+        // Erase 0x2000-0x6000, then put real data into one sector and a partial sector in the middle
+        sparse.fill(0xFF, 0x2000, 0x6000);
+        const payload = new Uint8Array(0x1000);
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] = i & 0xFF;
+        }
+        sparse.write(0x3000, payload);
+        sparse.write(0x4800, new Uint8Array(0x10).fill(0x00));
+
+        await sparse.flush();
+
+        log(`  Erase calls: ${eraseLog.map(e => `0x${e.address.toString(16)}+0x${e.length.toString(16)}`).join(', ')}`);
+        log(`  Write calls: ${writeLog.map(w => `0x${w.address.toString(16)}+0x${w.length.toString(16)}`).join(', ')}`);
+
+        assert(eraseLog.length === 2, `Two erase runs expected, got ${eraseLog.length}`);
+        assert(eraseLog[0].address === 0x2000 && eraseLog[0].length === 0x1000, 'First erase covers 0x2000-0x3000');
+        assert(eraseLog[1].address === 0x5000 && eraseLog[1].length === 0x1000, 'Second erase covers 0x5000-0x6000');
+
+        assert(writeLog.length === 1, `One write run expected, got ${writeLog.length}`);
+        assert(writeLog[0].address === 0x3000 && writeLog[0].length === 0x2000, 'Write covers 0x3000-0x5000');
+        assert(writeLog[0].data[0x10] === 0x10, 'Payload data is written');
+        assert(writeLog[0].data[0x1800] === 0x00 && writeLog[0].data[0x1810] === 0xFF, 'Partial sector keeps its 0xFF tail');
+
+        const afterFlush = sparse.slice(0x2000, 0x2010);
+        assert(afterFlush.every(b => b === 0xFF), 'Erased range reads back as 0xFF from cache');
+        assert(sparse.writeBuffer.length === 0, 'Write buffer cleared after flush');
+    });
+
+    await runTest('Flush without erase callback writes 0xFF data as before', async () => {
+        const writeLog = [];
+        const sparse = new SparseImage(0x8000, null, async (address, data) => {
+            writeLog.push({ address, length: data.length });
+        }, null, 0x1000);
+
+        sparse.fill(0xFF, 0x1000, 0x3000);
+        await sparse.flush();
+
+        assert(writeLog.length === 1, `One write expected, got ${writeLog.length}`);
+        assert(writeLog[0].address === 0x1000 && writeLog[0].length === 0x2000, 'Write covers the filled range');
+    });
+};
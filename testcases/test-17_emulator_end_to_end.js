@@ -0,0 +1,143 @@
+module.exports = async function registerTests({ runTest, assert, ESPFlasher, ESPEmulator, log, pattern }) {
+    const connect = async (options) => {
+        const emulator = new ESPEmulator({ flashSize: 0x100000, ...options });
+        const flasher = new ESPFlasher({ initialBaudRate: 115200, logDebug: () => { } });
+        await flasher.openPortWithPort(emulator.createPort());
+        return { emulator, flasher };
+    };
+
+    /* App image with one IRAM segment */
+    const ramImage = (code) => {
+        const image = new Uint8Array(24 + 8 + code.length);
+        const view = new DataView(image.buffer);
+        image[0] = 0xE9;
+        image[1] = 1;
+        view.setUint32(4, 0x40380000, true);
+        view.setUint32(24, 0x40380000, true);
+        view.setUint32(28, code.length, true);
+        image.set(code, 32);
+        return image;
+    };
+
+    await runTest('Emulator: sync detects the chip via magic value and security info', async () => {
+        for (const chip of ['esp32', 'esp32s3', 'esp32c3']) {
+            const { flasher } = await connect({ chip, mac: '24:0a:c4:12:34:56' });
+            await flasher.sync();
+            log(`  ${chip}: detected ${flasher.current_chip}`);
+
+            assert(flasher.current_chip === chip, `${chip} detected`);
+            assert(await flasher.readMac() === '24:0a:c4:12:34:56', `${chip} MAC read from eFuse registers`);
+            assert(await flasher.isStubLoader() === false, `${chip} ROM loader answers`);
+            await flasher.disconnect();
+        }
+    });
+
+    await runTest('Emulator: stub load, flash ID, compressed write, read back and verify', async () => {
+        const { emulator, flasher } = await connect({ chip: 'esp32s3', chunkSize: 61 });
+        await flasher.sync();
+
+        assert(await flasher.downloadStub() === true, 'Stub reports OHAI');
+        assert(await flasher.isStubLoader() === true, 'Stub answers with 2 status bytes');
+        assert(flasher.flashSize === 0x100000, 'Flash size taken from the JEDEC ID');
+
+        const data = pattern(0x5000, 7);
+        const result = await flasher.writeFlash(0x10000, data);
+        assert(result.success, 'writeFlash verifies MD5');
+        assert(emulator.stats.commands[0x11] > 0 && !emulator.stats.commands[0x03], 'Compressed FLASH_DEFL_DATA used with the stub');
+        assert(emulator.flash.subarray(0x10000, 0x15000).every((b, i) => b === data[i]), 'Flash image holds the data');
+
+        const readBack = await flasher.readFlash(0x10000, data.length);
+        assert(readBack.every((b, i) => b === data[i]), 'readFlash returns the written data');
+
+        await flasher.eraseRegion(0x11000, 0x1000);
+        assert(emulator.flash.subarray(0x11000, 0x12000).every(b => b === 0xFF), 'eraseRegion erases the sector');
+        assert(emulator.flash[0x10000] === data[0] && emulator.flash[0x12000] === data[0x2000], 'Neighbouring sectors untouched');
+
+        await flasher.disconnect();
+    });
+
+    await runTest('Emulator: uncompressed writes and baud rate change', async () => {
+        const { emulator, flasher } = await connect({ chip: 'esp32' });
+        flasher.compressFlashWrites = false;
+        await flasher.sync();
+        await flasher.downloadStub();
+
+        assert(await flasher.changeBaudRate(921600) === true, 'Baud rate changed');
+        assert(emulator.baudRate === 921600 && flasher.currentBaudRate === 921600, 'Device and host both at 921600');
+
+        const data = pattern(0x2100, 3);
+        await flasher.writeFlash(0x3000, data);
+        assert(emulator.stats.commands[0x03] === 3, 'Three FLASH_DATA packets sent');
+        assert(emulator.flash.subarray(0x3000, 0x5100).every((b, i) => b === data[i]), 'Data written uncompressed');
+
+        await flasher.disconnect();
+    });
+
+    await runTest('Emulator: reset strategies boot into download mode or the app', async () => {
+        const { emulator, flasher } = await connect({ chip: 'esp32c3' });
+        await flasher.sync();
+
+        await flasher.hardReset(false);
+        assert(emulator.state === 'app', 'DTR/RTS reset without IO0 starts the app');
+
+        await flasher.hardReset(true);
+        assert(emulator.state === 'download', 'DTR/RTS reset with IO0 low enters download mode');
+
+        await flasher.sync();
+        flasher.resetStrategy = 'watchdog';
+        await flasher.hardReset(false);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert(emulator.state === 'app', 'Watchdog reset starts the app');
+
+        await flasher.disconnect();
+    });
+
+    await runTest('Emulator: runFromRam passes output that follows the MEM_END response to the console', async () => {
+        /* Program output arrives in the same chunk as the response */
+        const { emulator, flasher } = await connect({ chip: 'esp32c3', ramOutput: 'Hello from RAM\r\n' });
+        await flasher.sync();
+
+        const code = pattern(0x40, 5);
+        const image = ramImage(code);
+
+        let received = '';
+        const result = await flasher.runFromRam(image, (data) => { received += new TextDecoder().decode(data); });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        log(`  console: ${JSON.stringify(received)}`);
+
+        assert(result.entry === 0x40380000 && emulator.ramEntry === 0x40380000, 'Started at the entry point');
+        assert(emulator.ramSegments[0].data.subarray(0, code.length).every((byte, i) => byte === code[i]), 'Segment loaded');
+        assert(received === 'Hello from RAM\r\n', 'Nothing of the program output lost, no response bytes in it');
+        assert(flasher.consoleMode && !flasher.synced, 'Console mode, loader gone');
+
+        await flasher.disconnect();
+    });
+
+    await runTest('Emulator: runFromRam waits for queued commands and keeps frames that are not its response', async () => {
+        /* Output before the response holds a SLIP frame of its own */
+        const before = Uint8Array.from([0x41, 0xC0, 0x01, 0x02, 0xC0, 0x42]);
+        const { flasher } = await connect({ chip: 'esp32c3', ramOutputBefore: before, ramOutput: 'ok\r\n' });
+        await flasher.sync();
+        const magic = await flasher.readReg(flasher.chip_magic_addr);
+
+        /* A background read queued right after the last segment, like a viewer prefetch */
+        let pending = null;
+        const downloadMem = flasher.downloadMem.bind(flasher);
+        flasher.downloadMem = async (...args) => {
+            await downloadMem(...args);
+            pending = flasher.readReg(flasher.chip_magic_addr);
+        };
+
+        const received = [];
+        await flasher.runFromRam(ramImage(pattern(0x40, 6)), (data) => received.push(...data));
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const expected = [...before, ...new TextEncoder().encode('ok\r\n')];
+        log(`  console: ${received.map(b => b.toString(16).padStart(2, '0')).join(' ')}`);
+
+        assert(await pending === magic, 'Queued command answered before the console took over');
+        assert(received.length === expected.length && received.every((b, i) => b === expected[i]), 'Frame that is not the MEM_END response passed on');
+        assert(flasher.consoleMode && !flasher.synced, 'Console mode, loader gone');
+
+        await flasher.disconnect();
+    });
+};
@@ -0,0 +1,80 @@
+module.exports = async function registerTests({ runTest, assert, ESPFlasher, log, connectEmulator }) {
+    await runTest('Emulator faults: delayed responses still complete', async () => {
+        const { emulator, flasher } = await connectEmulator();
+        emulator.injectFault({ type: 'delay', ms: 20, count: 4 });
+
+        const start = Date.now();
+        const data = new Uint8Array(0x2000).fill(0x42);
+        await flasher.writeFlash(0x8000, data);
+        log(`  Write with delayed responses took ${Date.now() - start} ms`);
+
+        assert(Date.now() - start >= 60, 'Responses were delayed');
+        assert(emulator.flash.subarray(0x8000, 0xA000).every(b => b === 0x42), 'Data written despite delays');
+        await flasher.disconnect();
+    });
+
+    await runTest('Emulator faults: dropped bytes time out a command, the next one recovers', async () => {
+        const { emulator, flasher } = await connectEmulator();
+        emulator.injectFault({ type: 'drop', direction: 'toHost', count: 3 });
+
+        let error = null;
+        try {
+            await flasher.readReg(0x40001000);
+        } catch (e) {
+            error = e;
+        }
+        assert(error && /Timeout/.test(error.message), 'Truncated response times out');
+        assert(emulator.stats.droppedBytes === 3, 'Three bytes dropped');
+
+        const value = await flasher.readReg(flasher.chip_descriptions.esp32c3.mac_efuse_reg);
+        assert(typeof value === 'number', 'Following command succeeds');
+        await flasher.disconnect();
+    });
+
+    await runTest('Emulator faults: corrupted checksum and NAK fail the write with the loader error', async () => {
+        const { emulator, flasher } = await connectEmulator();
+        const data = new Uint8Array(0x3000);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = i & 0xFF;
+        }
+
+        emulator.injectFault({ type: 'checksum', command: 0x11 });
+        let error = null;
+        try {
+            await flasher.writeFlash(0x20000, data);
+        } catch (e) {
+            error = e;
+        }
+        assert(error instanceof ESPFlasher.ProtocolError && error.commandName === 'FLASH_DEFL_DATA', `Rejected data packet fails the write, got ${error && error.message}`);
+        assert(error.errorCode === 0x07 && error.errorName === 'Invalid CRC in message' && error.retryable, 'Checksum error decoded and retryable');
+
+        emulator.injectFault({ type: 'nak', command: 0x11, error: 0x08 });
+        error = null;
+        try {
+            await flasher.writeFlash(0x20000, data);
+        } catch (e) {
+            error = e;
+        }
+        assert(emulator.stats.naks === 1, 'One NAK sent');
+        assert(error instanceof ESPFlasher.ProtocolError && error.errorCode === 0x08 && !error.retryable, 'NAKed data packet reported as flash write error');
+        assert(error.message === 'FLASH_DEFL_DATA failed: Flash write error (0x08)', `Message names command and error, got ${error.message}`);
+
+        const result = await flasher.writeFlash(0x20000, data);
+        assert(result.success, 'Write succeeds once the faults are gone');
+        await flasher.disconnect();
+    });
+
+    await runTest('Emulator faults: bytes lost during READ_FLASH make the block read again', async () => {
+        const { emulator, flasher } = await connectEmulator();
+        emulator.flash.fill(0x33, 0x4000, 0x6000);
+        emulator.injectFault({ type: 'drop', direction: 'toHost', count: 16, skip: 100 });
+
+        const session = flasher.createReadSession(0x4000, 0x2000, { retryDelay: 10 });
+        const data = await flasher.readFlash(0x4000, 0x2000, null, session);
+        assert(session.retries === 1, `One retry expected, got ${session.retries}`);
+        assert(data.every(b => b === 0x33), 'Retried read returns the flash content');
+
+        assert(await flasher.readReg(flasher.chip_descriptions.esp32c3.mac_efuse_reg) !== undefined, 'Stub accepts commands after the aborted read');
+        await flasher.disconnect();
+    });
+};
@@ -0,0 +1,88 @@
+module.exports = async function registerTests({ runTest, assert, ESPFlasher, log, connectEmulator }) {
+    /* Flash content that differs from block to block */
+    const flash = Uint8Array.from({ length: 0x100000 }, (_, i) => (i * 7 + (i >> 12)) & 0xFF);
+
+    await runTest('Read session: flipped bits only re-read the affected block', async () => {
+        const { emulator, flasher } = await connectEmulator({ flash });
+        const session = flasher.createReadSession(0x10000, 0x8000, { blockSize: 0x2000, retryDelay: 5 });
+        assert(session.blocks.length === 4, 'Four blocks planned');
+
+        emulator.injectFault({ type: 'flip', count: 1 });
+        const stages = new Set();
+        const data = await flasher.readFlash(0x10000, 0x8000, (read, total, stage) => stages.add(stage), session);
+        log(`  READ_FLASH commands: ${emulator.stats.commands[0xd2]}, MD5 commands: ${emulator.stats.commands[0x13]}`);
+
+        assert(session.complete && session.retries === 1, 'Session completes with one retry');
+        assert(session.blocks[0].attempts === 2 && session.blocks[1].attempts === 1, 'Only the corrupted block was read twice');
+        assert(emulator.stats.commands[0xd2] === 5, 'Five READ_FLASH commands for four blocks');
+        assert(emulator.stats.commands[0x13] === 4, 'Each block verified with SPI_FLASH_MD5');
+        assert(stages.has('retrying'), 'Progress reports the retry');
+        assert(data.every((b, i) => b === emulator.flash[0x10000 + i]), 'Data matches the flash');
+        await flasher.disconnect();
+    });
+
+    await runTest('Read session: exhausted retries keep progress and can be resumed', async () => {
+        const { emulator, flasher } = await connectEmulator({ flash });
+        flasher.readFlashBlockSize = 0x2000; /* one frame per block */
+        const session = flasher.createReadSession(0x0, 0x6000, { blockSize: 0x2000, maxRetries: 1, retryDelay: 5 });
+
+        /* First block fine, second block corrupted on both attempts */
+        emulator.injectFault({ type: 'flip', count: 2, skip: 1 });
+        let error = null;
+        try {
+            await flasher.readFlash(0x0, 0x6000, null, session);
+        } catch (e) {
+            error = e;
+        }
+        assert(error && error.session === session, 'Error carries the session');
+        assert(session.failedBlocks.length === 1 && session.failedBlocks[0].offset === 0x2000, 'Second block marked failed');
+        assert(session.blocks[2].state === 'pending', 'Blocks after the failure stay pending');
+        assert(session.bytesDone === 0x2000, 'First block kept');
+
+        const data = await flasher.readFlash(0x0, 0x6000, null, error.session);
+        assert(session.complete, 'Resumed session completes');
+        assert(session.blocks[0].attempts === 1, 'First block not read again');
+        assert(emulator.stats.commands[0xd2] === 5, 'Five READ_FLASH commands in total');
+        assert(data.every((b, i) => b === emulator.flash[i]), 'Resumed data matches the flash');
+
+        let mismatch = null;
+        try {
+            await flasher.readFlash(0x1000, 0x6000, null, session);
+        } catch (e) {
+            mismatch = e;
+        }
+        assert(mismatch && /Read session covers/.test(mismatch.message), 'Session for another range is rejected');
+        await flasher.disconnect();
+    });
+
+    await runTest('Read session: backoff doubles up to the limit', async () => {
+        const session = new ESPFlasher().createReadSession(0, 0x1000, { retryDelay: 100, maxRetryDelay: 350 });
+        assert(session.retryDelayFor(1) === 100, 'First retry uses the base delay');
+        assert(session.retryDelayFor(2) === 200, 'Second retry doubles');
+        assert(session.retryDelayFor(3) === 350, 'Third retry is capped');
+    });
+
+    await runTest('Blank check retries a failed block instead of disconnecting', async () => {
+        const { emulator, flasher } = await connectEmulator({ flash });
+        emulator.flash.fill(0xFF, 0x20000, 0x24000);
+        flasher.readFlashMaxRetries = 2;
+        emulator.injectFault({ type: 'flip', count: 1 });
+
+        let erased = 0;
+        await flasher.blankCheck(0x20000, 0x24000, (current, start, end, blockSize, erasedBytes, total) => {
+            erased = total;
+        });
+        assert(erased === 0x4000, 'All blocks checked and erased');
+        assert(flasher.port !== null, 'Port still open');
+
+        emulator.injectFault({ type: 'flip', count: 10 });
+        let error = null;
+        try {
+            await flasher.blankCheck(0x20000, 0x21000);
+        } catch (e) {
+            error = e;
+        }
+        assert(error && /Blank check failed/.test(error.message), 'Persistent errors are reported');
+        await flasher.disconnect();
+    });
+};
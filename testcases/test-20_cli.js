@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main, EXIT_CODES } = require('../esp32-flasher.js');
+
+module.exports = async function registerTests({ runTest, assert, ESPFlasher, ESPEmulator, log, pattern }) {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'esp32-flasher-cli-'));
+
+    /* Run the CLI against an emulator, capturing stdout/stderr */
+    const cli = async (emulator, argv) => {
+        const output = { stdout: '', stderr: '' };
+        const stream = (name) => ({ isTTY: false, write: (text) => { output[name] += text; } });
+        const code = await main(argv, {
+            stdout: stream('stdout'),
+            stderr: stream('stderr'),
+            createFlasher: async (port, options) => {
+                const flasher = new ESPFlasher(options);
+                await flasher.openPortWithPort(emulator.createPort());
+                return flasher;
+            }
+        });
+        log(`  esp32-flasher ${argv.join(' ')} -> ${code}`);
+        return { code, ...output, json: argv.includes('--json') ? JSON.parse(output.stdout) : null };
+    };
+
+    const writeTmp = (name, data) => {
+        const file = path.join(tmpDir, name);
+        fs.writeFileSync(file, Buffer.from(data));
+        return file;
+    };
+
+
+    /* Partition table at 0x8000 with an NVS partition holding one empty active page */
+    const partitionEntry = (label, type, subType, offset, size) => {
+        const entry = new Uint8Array(32);
+        const view = new DataView(entry.buffer);
+        view.setUint16(0, 0x50AA, true);
+        entry[2] = type;
+        entry[3] = subType;
+        view.setUint32(4, offset, true);
+        view.setUint32(8, size, true);
+        entry.set(new TextEncoder().encode(label), 12);
+        return entry;
+    };
+    const prepareFlash = (emulator) => {
+        emulator.flash.set(partitionEntry('nvs', 0x01, 0x02, 0x9000, 0x6000), 0x8000);
+        emulator.flash.set(partitionEntry('factory', 0x00, 0x00, 0x10000, 0x100000 - 0x10000), 0x8020);
+        new DataView(emulator.flash.buffer).setUint32(0x9000, 0xFFFFFFFE, true);
+        emulator.flash[0x9008] = 0xFE;
+    };
+
+    await runTest('CLI: write-flash with several files, verify, read-flash and erase-region', async () => {
+        const emulator = new ESPEmulator({ chip: 'esp32s3', flashSize: 0x100000 });
+        const bootloader = writeTmp('bootloader.bin', pattern(0x1800, 1));
+        const appData = pattern(0x3000, 2);
+        const app = writeTmp('app.bin', appData);
+
+        let run = await cli(emulator, ['-p', 'emu', '--json', 'write-flash', '0x0', bootloader, '0x10000', app]);
+        assert(run.code === EXIT_CODES.OK, `write-flash exits with 0, got ${run.code}: ${run.stdout}`);
+        assert(run.json.result.writes.length === 2, 'Both files written');
+        assert(emulator.flash.subarray(0x10000, 0x13000).every((b, i) => b === appData[i]), 'App data in flash');
+
+        run = await cli(emulator, ['-p', 'emu', 'verify', '0x0', bootloader, '0x10000', app]);
+        assert(run.code === EXIT_CODES.OK && /OK/.test(run.stdout), 'verify passes');
+
+        emulator.flash[0x10010] ^= 0xFF;
+        run = await cli(emulator, ['-p', 'emu', '--json', 'verify', '0x0', bootloader, '0x10000', app]);
+        assert(run.code === EXIT_CODES.VERIFY_FAILED, `Modified flash fails verification with exit code 4, got ${run.code}`);
+        assert(run.json.result.mismatches === 1 && !run.json.result.results[1].match, 'Mismatch reported for the app only');
+
+        const dump = path.join(tmpDir, 'dump.bin');
+        run = await cli(emulator, ['-p', 'emu', 'read-flash', '0x0', '8k', dump]);
+        assert(run.code === EXIT_CODES.OK, 'read-flash exits with 0');
+        assert(fs.readFileSync(dump).equals(Buffer.from(emulator.flash.subarray(0, 0x2000))), 'Dump matches the flash');
+
+        run = await cli(emulator, ['-p', 'emu', 'erase-region', '0x10000', '0x1000']);
+        assert(run.code === EXIT_CODES.OK && emulator.flash.subarray(0x10000, 0x11000).every(b => b === 0xFF), 'erase-region erases');
+
+        run = await cli(emulator, ['-p', 'emu', '--json', 'chip-info']);
+        assert(run.json.result.chip === 'esp32s3' && run.json.result.stub === true, 'chip-info reports chip and stub');
+        assert(emulator.state === 'app', 'Device is reset into the app afterwards');
+    });
+
+    await runTest('CLI: partitions and NVS on a device and on a dump file', async () => {
+        const emulator = new ESPEmulator({ chip: 'esp32c3', flashSize: 0x100000 });
+        prepareFlash(emulator);
+
+        let run = await cli(emulator, ['-p', 'emu', '--json', '--table-offset', '0x8000', 'dump-partitions']);
+        assert(run.code === EXIT_CODES.OK, `dump-partitions exits with 0, got ${run.code}: ${run.stdout}`);
+        assert(run.json.result.partitions.map(p => p.label).join(',') === 'nvs,factory', 'Both partitions listed');
+
+        run = await cli(emulator, ['-p', 'emu', '--table-offset', '0x8000', 'nvs-set', 'wifi', 'ssid', 'string', 'lab-ap']);
+        assert(run.code === EXIT_CODES.OK, `nvs-set exits with 0, got ${run.code}: ${run.stderr}`);
+        run = await cli(emulator, ['-p', 'emu', '--table-offset', '0x8000', 'nvs-set', 'wifi', 'channel', 'u8', '11']);
+        assert(run.code === EXIT_CODES.OK, 'Second nvs-set exits with 0');
+
+        run = await cli(emulator, ['-p', 'emu', '--json', '--table-offset', '0x8000', 'nvs-get', 'wifi']);
+        const items = run.json.result.items;
+        assert(items.length === 2, `Two items in namespace wifi, got ${items.length}`);
+        assert(items.some(i => i.key === 'ssid' && i.value === 'lab-ap'), 'String written to the device');
+        assert(items.some(i => i.key === 'channel' && i.value === 11), 'U8 written to the device');
+
+        run = await cli(emulator, ['-p', 'emu', '--table-offset', '0x8000', 'nvs-get', 'wifi', 'password']);
+        assert(run.code === EXIT_CODES.NOT_FOUND, `Missing key exits with 5, got ${run.code}`);
+
+        /* Same commands against a dump, without a device */
+        const commandsBefore = JSON.stringify(emulator.stats.commands);
+        const dump = writeTmp('flash.bin', emulator.flash.slice(0, 0x20000));
+        run = await cli(emulator, ['--file', dump, '--table-offset', '0x8000', 'nvs-set', 'wifi', 'ssid', 'string', 'bench-ap']);
+        assert(run.code === EXIT_CODES.OK, 'nvs-set on a dump exits with 0');
+        run = await cli(emulator, ['--file', dump, '--json', '--table-offset', '0x8000', 'nvs-get', 'wifi', 'ssid']);
+        assert(run.json.result.items[0].value === 'bench-ap', 'Dump file updated in place');
+        assert(JSON.stringify(emulator.stats.commands) === commandsBefore, 'No device traffic for --file runs');
+    });
+
+    await runTest('CLI: image-info decodes an image file, usage errors exit with 2', async () => {
+        const image = new Uint8Array(64);
+        image.set([0xE9, 1, 0x02, 0x20, 0x00, 0x00, 0x08, 0x40, 0xEE, 0, 0, 0, 0x09, 0x00, 0, 0, 0, 0x63, 0x00]);
+        new DataView(image.buffer).setUint32(24, 0x3FC88000, true);
+        new DataView(image.buffer).setUint32(28, 16, true);
+        image.set(pattern(16, 5), 32);
+        image[63] = pattern(16, 5).reduce((acc, b) => acc ^ b, 0xEF);
+        const file = writeTmp('app-image.bin', image);
+
+        let run = await cli(null, ['--json', 'image-info', file]);
+        assert(run.code === EXIT_CODES.OK, `image-info exits with 0, got ${run.code}: ${run.stdout}`);
+        assert(run.json.result.chip === 'ESP32-S3', `Chip decoded, got ${run.json.result.chip}`);
+        assert(run.json.result.segments.length === 1 && run.json.result.checksumValid === true, 'Segment and checksum decoded');
+
+        run = await cli(null, ['frobnicate']);
+        assert(run.code === EXIT_CODES.USAGE && /Unknown command/.test(run.stderr), 'Unknown command exits with 2');
+        run = await cli(null, ['--json', 'write-flash', '0x1000']);
+        assert(run.code === EXIT_CODES.USAGE && run.json.error.exitCode === EXIT_CODES.USAGE, 'Missing file exits with 2, also in JSON');
+        run = await cli(null, ['--file', file, 'chip-info']);
+        assert(run.code === EXIT_CODES.USAGE, 'Device commands reject --file');
+        run = await cli(null, ['image-info', path.join(tmpDir, 'missing.bin')]);
+        assert(run.code === EXIT_CODES.NOT_FOUND, 'Missing input file exits with 5');
+    });
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+};
@@ -0,0 +1,138 @@
+const net = require('net');
+const { createNodeESPFlasher } = require('../flasher-nodejs.js');
+const { NetworkSerialPort, TelnetParser, TELNET, COM_PORT, escapeIac } = require('../flasher-network.js');
+
+module.exports = async function registerTests({ runTest, assert, ESPFlasher, ESPEmulator, log }) {
+    const NodeESPFlasher = createNodeESPFlasher(ESPFlasher);
+
+    /*
+     * Loopback serial server in front of an emulator, like ser2net on a test rack.
+     * With rfc2217 it answers the COM port option and applies baud rate and DTR/RTS to the emulated port,
+     * recording every SET_CONTROL value in server.controls.
+     */
+    const startServer = async (emulator, { rfc2217 = true, refuseComPort = false } = {}) => {
+        const server = net.createServer(async (socket) => {
+            const port = emulator.createPort();
+            await port.open({ baudRate: 115200 });
+            const writer = port.writable.getWriter();
+            const reader = port.readable.getReader();
+            const parser = new TelnetParser();
+            const reply = (bytes) => !socket.destroyed && socket.write(Buffer.from(bytes));
+
+            socket.on('close', () => port.close());
+            (async () => {
+                for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+                    !socket.destroyed && socket.write(rfc2217 ? escapeIac(chunk.value) : Buffer.from(chunk.value));
+                }
+            })();
+
+            socket.on('data', async (chunk) => {
+                if (!rfc2217) {
+                    await writer.write(new Uint8Array(chunk));
+                    return;
+                }
+                for (const event of parser.parse(chunk)) {
+                    if (event.type === 'data') {
+                        await writer.write(new Uint8Array(event.data));
+                    } else if (event.type === 'command' && event.command === TELNET.WILL) {
+                        const refuse = refuseComPort && event.option === TELNET.OPT_COM_PORT;
+                        reply([TELNET.IAC, refuse ? TELNET.DONT : TELNET.DO, event.option]);
+                    } else if (event.type === 'subnegotiation') {
+                        const [command, ...value] = event.payload;
+                        if (command === COM_PORT.SET_BAUDRATE) {
+                            await port.setBaudRate(event.payload.readUInt32BE(1));
+                            server.baudRates.push(event.payload.readUInt32BE(1));
+                        } else if (command === COM_PORT.SET_CONTROL) {
+                            server.controls.push(value[0]);
+                            if (value[0] === COM_PORT.CONTROL_DTR_ON || value[0] === COM_PORT.CONTROL_DTR_OFF) {
+                                await port.setSignals({ dataTerminalReady: value[0] === COM_PORT.CONTROL_DTR_ON });
+                            } else if (value[0] === COM_PORT.CONTROL_RTS_ON || value[0] === COM_PORT.CONTROL_RTS_OFF) {
+                                await port.setSignals({ requestToSend: value[0] === COM_PORT.CONTROL_RTS_ON });
+                            }
+                        }
+                        reply([TELNET.IAC, TELNET.SB, TELNET.OPT_COM_PORT, command + COM_PORT.SERVER_OFFSET,
+                            ...escapeIac(value), TELNET.IAC, TELNET.SE]);
+                    }
+                }
+            });
+        });
+        server.controls = [];
+        server.baudRates = [];
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        server.url = (scheme) => `${scheme}://127.0.0.1:${server.address().port}`;
+        return server;
+    };
+
+    const stopServer = (server) => new Promise(resolve => server.close(resolve));
+
+    const pattern = (length) => Uint8Array.from({ length }, (_, i) => (i % 3) ? 0xFF : (i * 7) & 0xFF);
+
+    await runTest('Network: telnet parser handles escaped 0xFF, commands and split subnegotiations', async () => {
+        const parser = new TelnetParser();
+        const first = parser.parse([0x01, TELNET.IAC, TELNET.IAC, 0x02, TELNET.IAC, TELNET.DO, TELNET.OPT_COM_PORT,
+            TELNET.IAC, TELNET.SB, TELNET.OPT_COM_PORT, 101, 0x00, 0x01]);
+        const second = parser.parse([TELNET.IAC, TELNET.IAC, 0x00, TELNET.IAC, TELNET.SE, 0x03]);
+
+        assert(first[0].type === 'data' && first[0].data.equals(Buffer.from([0x01, 0xFF, 0x02])), 'IAC IAC decodes to one 0xFF');
+        assert(first[1].type === 'command' && first[1].command === TELNET.DO && first[1].option === TELNET.OPT_COM_PORT, 'DO COM-PORT-OPTION decoded');
+        assert(second[0].type === 'subnegotiation' && second[0].payload.equals(Buffer.from([101, 0x00, 0x01, 0xFF, 0x00])),
+            'Subnegotiation spanning two segments decoded with its escaped 0xFF');
+        assert(second[1].type === 'data' && second[1].data[0] === 0x03, 'Data after SE continues');
+    });
+
+    await runTest('Network: ESPFlasher over rfc2217:// syncs, resets, changes baud rate and moves 0xFF-heavy data', async () => {
+        const emulator = new ESPEmulator({ chip: 'esp32s3', flashSize: 0x100000 });
+        const server = await startServer(emulator);
+        const flasher = new NodeESPFlasher({ logDebug: () => { } });
+        await flasher.openPortByPath(server.url('rfc2217'));
+        assert(server.baudRates[0] === 115200, 'Initial baud rate sent to the server');
+
+        assert(await flasher.hardReset(false) === true && emulator.state === 'app', 'DTR/RTS over RFC2217 starts the app');
+        assert(await flasher.hardReset(true) === true && emulator.state === 'download', 'DTR/RTS over RFC2217 enters download mode');
+        assert(server.controls.includes(COM_PORT.CONTROL_RTS_ON) && server.controls.includes(COM_PORT.CONTROL_DTR_OFF), 'Signal changes reached the server');
+
+        await flasher.sync();
+        assert(flasher.current_chip === 'esp32s3', 'Chip detected through the network port');
+        await flasher.downloadStub();
+
+        assert(await flasher.changeBaudRate(921600) === true, 'Baud rate change succeeds');
+        assert(server.baudRates.includes(921600) && emulator.baudRate === 921600, 'Remote port switched to 921600');
+
+        const data = pattern(0x3000);
+        const result = await flasher.writeFlash(0x20000, data);
+        assert(result.success, 'writeFlash verifies MD5');
+        const readBack = await flasher.readFlash(0x20000, data.length);
+        assert(readBack.every((b, i) => b === data[i]), 'Data with many 0xFF bytes survives both directions');
+
+        await flasher.disconnect();
+        await stopServer(server);
+    });
+
+    await runTest('Network: raw socket:// transport, refused and unreachable servers', async () => {
+        const emulator = new ESPEmulator({ chip: 'esp32c3', flashSize: 0x100000, mac: '24:0a:c4:ab:cd:ef' });
+        const raw = await startServer(emulator, { rfc2217: false });
+        const flasher = new NodeESPFlasher({ logDebug: () => { } });
+        await flasher.openPortByPath(raw.url('socket'));
+        await flasher.sync();
+        log(`  socket://: detected ${flasher.current_chip}`);
+        assert(flasher.current_chip === 'esp32c3', 'Raw TCP carries the protocol unchanged');
+        assert(await flasher.readMac() === '24:0a:c4:ab:cd:ef', 'Register reads work over raw TCP');
+        await flasher.disconnect();
+        await stopServer(raw);
+
+        const refusing = await startServer(emulator, { refuseComPort: true });
+        let error = null;
+        await new NetworkSerialPort(refusing.url('rfc2217')).open().catch(e => { error = e; });
+        assert(error && /does not support RFC2217/.test(error.message), `Refused COM port option rejects open, got ${error && error.message}`);
+        const closedUrl = refusing.url('rfc2217');
+        await stopServer(refusing);
+
+        error = null;
+        await new NodeESPFlasher().openPortByPath(closedUrl).catch(e => { error = e; });
+        assert(error && /Failed to connect/.test(error.message), 'Closed server port rejects openPortByPath');
+
+        error = null;
+        try { new NetworkSerialPort('rfc2217://rack-3'); } catch (e) { error = e; }
+        assert(error && /host:port/.test(error.message), 'URL without port rejected');
+    });
+};
@@ -0,0 +1,151 @@
+const { createNodeESPFlasher } = require('../flasher-nodejs.js');
+const { SerialBridge, NodeWebSocket, WebSocketConnection, encodeFrame, OPCODE } = require('../esp32-serial-bridge.js');
+const { EventEmitter } = require('events');
+const net = require('net');
+
+module.exports = async function registerTests({ runTest, assert, ESPFlasher, ESPEmulator, log }) {
+    const NodeESPFlasher = createNodeESPFlasher(ESPFlasher);
+
+    /* Bridge on a loopback port with an emulator standing in for the local serial port */
+    const startBridge = async (emulator, options = {}) => {
+        const bridge = new SerialBridge({
+            portPath: '/dev/ttyEMU0',
+            createPort: () => emulator.createPort(),
+            log: (message) => log(`  [bridge] ${message}`),
+            ...options
+        });
+        const { port } = await bridge.listen(0, '127.0.0.1');
+        bridge.url = `ws://127.0.0.1:${port}/${options.token ? `?token=${options.token}` : ''}`;
+        return bridge;
+    };
+
+    const connectError = (url) => new Promise(resolve => {
+        const socket = new NodeWebSocket(url);
+        socket.onopen = () => { socket.close(); resolve(null); };
+        socket.onerror = (event) => resolve(event.message);
+    });
+
+    await runTest('Bridge: WebSocket frames of every length class survive masking and split delivery', async () => {
+        const socket = new EventEmitter();
+        socket.setNoDelay = () => { };
+        const connection = new WebSocketConnection(socket);
+        const messages = [];
+        connection.on('message', (data, isBinary) => messages.push({ data, isBinary }));
+
+        const sizes = [0, 125, 126, 0xFFFF, 0x10000 + 7];
+        const payloads = sizes.map(size => Buffer.from(Uint8Array.from({ length: size }, (_, i) => (i * 11 + size) & 0xFF)));
+        const stream = Buffer.concat([
+            ...payloads.map(payload => encodeFrame(OPCODE.BINARY, payload, true)),
+            encodeFrame(OPCODE.TEXT, Buffer.from('{"type":"close"}'), true)
+        ]);
+        for (let offset = 0; offset < stream.length; offset += 1000) {
+            socket.emit('data', stream.subarray(offset, offset + 1000));
+        }
+
+        assert(messages.length === sizes.length + 1, `All frames decoded, got ${messages.length}`);
+        assert(payloads.every((payload, i) => messages[i].isBinary && messages[i].data.equals(payload)), 'Binary payloads unmasked correctly');
+        assert(!messages[sizes.length].isBinary && messages[sizes.length].data.toString() === '{"type":"close"}', 'Text frame decoded');
+    });
+
+    await runTest('Bridge: ESPFlasher over ws:// resets, syncs, changes baud rate and flashes', async () => {
+        const emulator = new ESPEmulator({ chip: 'esp32s3', flashSize: 0x100000, usbVendorId: 0x10C4, usbProductId: 0xEA60 });
+        const bridge = await startBridge(emulator, { token: 'lab' });
+
+        const flasher = new NodeESPFlasher({ logDebug: () => { } });
+        await flasher.openPortByPath(bridge.url);
+        assert(flasher.usbDeviceName === 'CP2102/CP2104', `USB IDs of the bridge's port reported, got ${flasher.usbDeviceName}`);
+
+        assert(await flasher.hardReset(false) === true && emulator.state === 'app', 'Reset into the app through the bridge');
+        assert(await flasher.hardReset(true) === true && emulator.state === 'download', 'Reset into download mode through the bridge');
+        await flasher.sync();
+        assert(flasher.current_chip === 'esp32s3', 'Chip detected through the bridge');
+        await flasher.downloadStub();
+        assert(await flasher.changeBaudRate(921600) === true && emulator.baudRate === 921600, 'Baud rate changed on the bridge port');
+
+        const data = Uint8Array.from({ length: 0x12000 }, (_, i) => (i * 29 + (i >> 9)) & 0xFF);
+        assert((await flasher.writeFlash(0x10000, data)).success, 'writeFlash verifies MD5');
+        const readBack = await flasher.readFlash(0x10000, data.length);
+        assert(readBack.every((b, i) => b === data[i]), 'readFlash returns the written data');
+
+        let error = await connectError(bridge.url);
+        assert(error && /409/.test(error), `Second client rejected while the port is in use, got ${error}`);
+
+        await flasher.disconnect();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        error = await connectError(bridge.url);
+        assert(error === null, 'Port free again after disconnect');
+        await bridge.close();
+    });
+
+    await runTest('Bridge: wrong token is refused, losing the local port closes the client', async () => {
+        const emulator = new ESPEmulator({ chip: 'esp32c3', flashSize: 0x100000 });
+        const bridge = await startBridge(emulator, { token: 'secret' });
+
+        const error = await connectError(bridge.url.replace('secret', 'guess'));
+        assert(error && /401/.test(error), `Wrong token rejected with 401, got ${error}`);
+        assert(/401/.test(await connectError(bridge.url.replace('secret', 'secret2'))), 'Longer token rejected');
+
+        const flasher = new NodeESPFlasher({ logDebug: () => { }, logError: () => { } });
+        await flasher.openPortByPath(bridge.url);
+        await flasher.hardReset(true);
+        await flasher.sync();
+
+        const closed = new Promise(resolve => flasher.port.addEventListener('close', resolve));
+        await emulator.port.close();
+        await closed;
+        assert(!flasher.port.isOpen, 'Client port closed when the bridge lost its serial port');
+
+        let readError = null;
+        await flasher.readReg(flasher.chip_magic_addr).catch(e => { readError = e; });
+        assert(readError !== null, 'Commands fail after the bridge port went away');
+
+        await flasher.disconnect();
+        await bridge.close();
+    });
+
+    await runTest('Bridge: browser origins are checked against the allowlist', async () => {
+        /* Upgrade request as a browser page sends it, resolves with the HTTP status of the reply */
+        const statusOf = (url, origin) => new Promise(resolve => {
+            const target = new URL(url);
+            const socket = net.connect(parseInt(target.port, 10), target.hostname, () => {
+                socket.write(`GET ${target.pathname}${target.search} HTTP/1.1\r\nHost: ${target.host}\r\n` +
+                    'Connection: Upgrade\r\nUpgrade: websocket\r\nSec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n' +
+                    (origin !== undefined ? `Origin: ${origin}\r\n` : '') + '\r\n');
+            });
+            let reply = '';
+            socket.on('data', (chunk) => {
+                reply += chunk.toString('latin1');
+                const match = /^HTTP\/1\.1 (\d{3})/.exec(reply);
+                if (match) {
+                    socket.destroy();
+                    resolve(parseInt(match[1], 10));
+                }
+            });
+            socket.on('error', (e) => resolve(e.message));
+        });
+
+        const emulator = new ESPEmulator({ chip: 'esp32c3', flashSize: 0x100000 });
+        let bridge = await startBridge(emulator);
+        /* The origin is checked first, so 101 or 409 (port held by an earlier test client) both mean it was accepted */
+        const accepted = async (origin) => (await statusOf(bridge.url, origin)) !== 403;
+        for (const origin of [undefined, 'http://localhost:8000', 'http://127.0.0.1']) {
+            assert(await accepted(origin), `Origin ${origin} accepted by default`);
+        }
+        /* Sandboxed iframes and data: URLs of any site send Origin: null */
+        assert(await statusOf(bridge.url, 'null') === 403, 'Origin null refused with 403 by default');
+        for (const origin of ['https://evil.example', 'http://localhost.evil.example']) {
+            assert(!(await accepted(origin)), `Origin ${origin} refused with 403`);
+        }
+        await bridge.close();
+
+        bridge = await startBridge(emulator, { allowOrigins: ['https://viewer.example'] });
+        assert(await accepted('https://viewer.example'), 'Listed origin accepted');
+        assert(!(await accepted('http://localhost')), 'Defaults replaced by the list');
+        assert(!(await accepted('null')), 'Origin null still refused');
+        await bridge.close();
+
+        bridge = await startBridge(emulator, { allowOrigins: ['null'] });
+        assert(await accepted('null'), 'Origin null accepted when listed explicitly');
+        await bridge.close();
+    });
+};
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const { createNodeESPFlasher } = require('../flasher-nodejs.js');
+const path = require('path');
+const { TermiosSerialPort, loadTermiosBinding, termiosBindingError } = require('../flasher-termios.js');
+
+module.exports = async function registerTests({ runTest, assert, ESPFlasher, ESPEmulator, log }) {
+    const binding = process.platform === 'linux' ? loadTermiosBinding() : null;
+    const NodeESPFlasher = createNodeESPFlasher(ESPFlasher);
+
+    /* Master side of a fresh pty pair, collecting what the port under test sends */
+    const openPty = () => {
+        const pty = binding.openpty();
+        pty.received = [];
+        pty.onData = (chunk) => pty.received.push(chunk);
+        pty.watch = binding.watch(pty.fd, () => {
+            const buffer = Buffer.alloc(65536);
+            try {
+                for (let n = fs.readSync(pty.fd, buffer); n > 0; n = fs.readSync(pty.fd, buffer)) {
+                    pty.onData(Buffer.from(buffer.subarray(0, n)));
+                }
+            } catch (e) { /* EAGAIN, or EIO once the slave side is closed */ }
+        });
+        pty.write = (data) => fs.writeSync(pty.fd, Buffer.from(data));
+        pty.close = () => {
+            binding.unwatch(pty.watch);
+            fs.closeSync(pty.fd);
+        };
+        return pty;
+    };
+
+    const waitFor = async (condition, timeout = 1000) => {
+        for (const start = Date.now(); !condition() && Date.now() - start < timeout;) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        return condition();
+    };
+
+    const skipped = () => {
+        if (!binding) {
+            log(`  native serial helper unavailable, skipped: ${termiosBindingError() ? termiosBindingError().message : process.platform}`);
+        }
+        return !binding;
+    };
+
+    await runTest('Termios: raw mode passes every byte value unchanged in both directions', async () => {
+        if (skipped()) return;
+        const pty = openPty();
+        const port = new TermiosSerialPort(pty.path);
+        await port.open({ baudRate: 115200 });
+
+        const received = [];
+        port.on('data', (chunk) => received.push(chunk));
+        const allBytes = Uint8Array.from({ length: 256 }, (_, i) => i);
+        pty.write(allBytes);
+        assert(await waitFor(() => Buffer.concat(received).length >= 256), 'Data event delivered without polling');
+        assert(Buffer.concat(received).equals(Buffer.from(allBytes)), 'CR, XON/XOFF, ^C and ^V arrive untranslated');
+
+        await new Promise((resolve, reject) => port.write(Buffer.from([0x0A, 0x0D, 0xC0, 0x11]), e => e ? reject(e) : resolve()));
+        assert(await waitFor(() => Buffer.concat(pty.received).length >= 4), 'Write reaches the other side');
+        assert(Buffer.concat(pty.received).equals(Buffer.from([0x0A, 0x0D, 0xC0, 0x11])), 'No output processing, LF stays LF');
+
+        await port.close();
+        pty.close();
+    });
+
+    await runTest('Termios: arbitrary baud rates, flush and unsupported modem lines', async () => {
+        if (skipped()) return;
+        const pty = openPty();
+        const port = new TermiosSerialPort(pty.path);
+        await port.open({ baudRate: 1500000 });
+        assert(binding.getBaudRate(port.fd) === 1500000, '1.5M baud set on open');
+        await port.setBaudRate(1234567);
+        assert(binding.getBaudRate(port.fd) === 1234567, 'Non-standard 1234567 baud set in place');
+
+        await port.flush();
+        let error = null;
+        await port.setSignals({ dataTerminalReady: true, requestToSend: false }).catch(e => { error = e; });
+        assert(error && /TIOCM/.test(error.message), 'A pty has no modem lines, setSignals reports the ioctl error');
+
+        const closed = new Promise(resolve => port.once('close', resolve));
+        pty.close();
+        await closed;
+        assert(!port.isOpen && port.fd === null, 'Closing the other side closes the port');
+    });
+
+    await runTest('Termios: ESPFlasher syncs, switches baud rate and flashes over a pty', async () => {
+        if (skipped()) return;
+        const pty = openPty();
+        const emulator = new ESPEmulator({ chip: 'esp32c3', flashSize: 0x100000 });
+        const emulatorPort = emulator.createPort();
+        await emulatorPort.open({ baudRate: 115200 });
+        const writer = emulatorPort.writable.getWriter();
+        const reader = emulatorPort.readable.getReader();
+
+        /* The emulator sits on the master side and follows the baud rate the flasher sets on its side */
+        pty.onData = async (chunk) => {
+            emulatorPort.baudRate = binding.getBaudRate(pty.fd);
+            await writer.write(new Uint8Array(chunk));
+        };
+        (async () => {
+            for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+                try { pty.write(chunk.value); } catch (e) { /* pty closed */ }
+            }
+        })();
+
+        const flasher = new NodeESPFlasher({ logDebug: () => { }, logError: () => { } });
+        await flasher.openPortByPath(pty.path);
+        assert(flasher.port.serialPort instanceof TermiosSerialPort, 'NodeSerialPort uses the native transport');
+
+        await flasher.sync();
+        assert(flasher.current_chip === 'esp32c3', 'Chip detected over the pty');
+        await flasher.downloadStub();
+        assert(await flasher.changeBaudRate(1500000) === true, 'Baud rate change to 1.5M succeeds');
+        assert(binding.getBaudRate(pty.fd) === 1500000 && emulator.baudRate === 1500000, 'Both sides at 1.5M');
+
+        const data = Uint8Array.from({ length: 0x4000 }, (_, i) => (i * 17 + (i >> 7)) & 0xFF);
+        assert((await flasher.writeFlash(0x8000, data)).success, 'writeFlash verifies MD5');
+        const readBack = await flasher.readFlash(0x8000, data.length);
+        assert(readBack.every((b, i) => b === data[i]), 'readFlash returns the written data');
+
+        await flasher.disconnect();
+        await emulatorPort.close();
+        pty.close();
+    });
+
+    await runTest('Termios: opening a port without the built helper reports how to build it and compiles nothing', async () => {
+        if (process.platform === 'win32') return;
+        const builtPath = path.join(__dirname, '..', 'build', 'Release', 'serial_termios.node');
+        const hiddenPath = `${builtPath}.hidden`;
+        const built = fs.existsSync(builtPath);
+        const listing = () => fs.existsSync(path.dirname(builtPath)) ? fs.readdirSync(path.dirname(builtPath)).sort().join() : '';
+
+        /* Fresh module state, as in a new process */
+        const load = () => {
+            delete require.cache[require.resolve('../flasher-termios.js')];
+            delete require.cache[require.resolve('../flasher-nodejs.js')];
+            return require('../flasher-nodejs.js');
+        };
+        if (built) fs.renameSync(builtPath, hiddenPath);
+        try {
+            const before = listing();
+            const port = new (load().NodeSerialPort)('/dev/null');
+            let error = null;
+            await port.open({ baudRate: 115200 }).catch(e => { error = e; });
+            log(`  ${error && error.message}`);
+            assert(error && /node-gyp rebuild/.test(error.message), 'open() fails with the build command');
+            assert(listing() === before, 'Nothing built or written by open()');
+        } finally {
+            if (built) fs.renameSync(hiddenPath, builtPath);
+            load();
+        }
+    });
+};
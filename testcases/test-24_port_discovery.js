@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listSerialPorts, findSerialPorts, getSerialPortInfo } = require('../flasher-discovery.js');
+const { main, EXIT_CODES } = require('../esp32-flasher.js');
+
+module.exports = async function registerTests({ runTest, assert, ESPFlasher, ESPEmulator, log }) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'esp32-flasher-sysfs-'));
+    const sysfsRoot = path.join(root, 'sys');
+    const devRoot = path.join(root, 'dev');
+
+    /* USB device directory with its attributes, the tty linked from an interface or usb-serial port below it */
+    const addUsbTty = (name, usbPath, attributes, ttyParent) => {
+        const deviceDir = path.join(sysfsRoot, 'devices', 'pci0000:00', usbPath);
+        fs.mkdirSync(deviceDir, { recursive: true });
+        Object.entries(attributes).forEach(([key, value]) => fs.writeFileSync(path.join(deviceDir, key), `${value}\n`));
+        const interfaceDir = path.join(deviceDir, `${path.basename(usbPath)}:1.0`);
+        fs.mkdirSync(path.join(interfaceDir, ttyParent), { recursive: true });
+        fs.writeFileSync(path.join(interfaceDir, 'bInterfaceNumber'), '00\n');
+        addTty(name, path.join(interfaceDir, ttyParent));
+    };
+    const addTty = (name, deviceDir) => {
+        const classDir = path.join(sysfsRoot, 'class', 'tty', name);
+        fs.mkdirSync(classDir, { recursive: true });
+        if (deviceDir) {
+            fs.symlinkSync(deviceDir, path.join(classDir, 'device'));
+        }
+        fs.writeFileSync(path.join(devRoot, name), '');
+    };
+
+    fs.mkdirSync(devRoot);
+    addUsbTty('ttyACM0', 'usb1/1-2', { idVendor: '303a', idProduct: '1001', serial: '7C:DF:A1:00:11:22', manufacturer: 'Espressif', product: 'USB JTAG/serial debug unit' }, '.');
+    addUsbTty('ttyUSB10', 'usb1/1-3', { idVendor: '10c4', idProduct: 'ea60', serial: '0001', manufacturer: 'Silicon Labs', product: 'CP2102 USB to UART Bridge Controller' }, 'ttyUSB10');
+    addUsbTty('ttyUSB2', 'usb1/1-4', { idVendor: '046d', idProduct: 'c52b', manufacturer: 'Logitech' }, 'ttyUSB2');
+    addTty('ttyS0', path.join(sysfsRoot, 'devices', 'platform', 'serial8250'));
+    fs.mkdirSync(path.join(sysfsRoot, 'devices', 'platform', 'serial8250'), { recursive: true });
+    addTty('tty1', null);
+    const options = { sysfsRoot, devRoot };
+
+    await runTest('Discovery: USB serial ports from sysfs with IDs, serial number and adapter kind', async () => {
+        const ports = listSerialPorts(options);
+        assert(ports.map(p => p.name).join(',') === 'ttyACM0,ttyUSB2,ttyUSB10', `Only USB ttys, naturally sorted, got ${ports.map(p => p.name)}`);
+
+        const [jtag, unknown, cp2102] = ports;
+        assert(jtag.path === path.join(devRoot, 'ttyACM0') && jtag.vendorId === 0x303A && jtag.productId === 0x1001, 'VID/PID read as numbers');
+        assert(jtag.serialNumber === '7C:DF:A1:00:11:22' && jtag.manufacturer === 'Espressif' && jtag.interfaceNumber === 0, 'Serial number, manufacturer, interface');
+        assert(jtag.kind === 'usb_jtag' && /ESP32-C3/.test(jtag.hint), 'Native USB-JTAG flagged with the chips that have it');
+        assert(cp2102.known && cp2102.kind === 'uart_bridge' && cp2102.adapter === 'Silicon Labs CP2102/CP2104', `Bridge found through usb-serial port dir, got ${cp2102.adapter}`);
+        assert(!unknown.known && unknown.kind === null && unknown.manufacturer === 'Logitech', 'Unknown adapters listed but not flagged');
+
+        assert(listSerialPorts({ sysfsRoot: path.join(root, 'missing') }).length === 0, 'No sysfs, no ports');
+        const byId = path.join(root, 'usb-Espressif-if00');
+        fs.symlinkSync(path.join(devRoot, 'ttyACM0'), byId);
+        assert(getSerialPortInfo(byId, options).vendorId === 0x303A, 'Port info follows by-id links');
+        assert(getSerialPortInfo('/dev/ttyS0', options) === null, 'No info for a non-USB port');
+    });
+
+    await runTest('Discovery: selecting ports by serial number, VID and PID', async () => {
+        const names = (selector) => findSerialPorts(selector, options).map(p => p.name).join(',');
+        assert(names({}) === 'ttyACM0,ttyUSB10', 'Without criteria only known ESP adapters match');
+        assert(names({ serial: '7c:df:a1:00:11:22' }) === 'ttyACM0', 'Serial number matched case-insensitively');
+        assert(names({ vid: '303a' }) === 'ttyACM0' && names({ vid: '0x10C4', pid: 'ea60' }) === 'ttyUSB10', 'Hex VID/PID with or without 0x');
+        assert(names({ vid: '046d' }) === 'ttyUSB2', 'Explicit VID also matches unknown adapters');
+        assert(names({ serial: 'nope' }) === '', 'Nothing for an unknown serial number');
+    });
+
+    await runTest('Discovery: CLI list-ports, --serial and --port auto pick the port to connect to', async () => {
+        const emulator = new ESPEmulator({ chip: 'esp32c3', flashSize: 0x100000 });
+        const cli = async (argv, ports = listSerialPorts(options)) => {
+            const output = { stdout: '', stderr: '', port: null };
+            const stream = (name) => ({ isTTY: false, write: (text) => { output[name] += text; } });
+            const code = await main(argv, {
+                stdout: stream('stdout'),
+                stderr: stream('stderr'),
+                listPorts: () => ports,
+                createFlasher: async (port, flasherOptions) => {
+                    output.port = port;
+                    const flasher = new ESPFlasher(flasherOptions);
+                    await flasher.openPortWithPort(emulator.createPort());
+                    return flasher;
+                }
+            });
+            log(`  esp32-flasher ${argv.join(' ')} -> ${code}`);
+            return { code, ...output };
+        };
+
+        let run = await cli(['--json', 'list-ports']);
+        const listed = JSON.parse(run.stdout).result.ports;
+        assert(run.code === EXIT_CODES.OK && listed.length === 3 && listed[0].kind === 'usb_jtag', 'list-ports reports all USB ports as JSON');
+        run = await cli(['list-ports', '--vid', '10c4']);
+        assert(run.stdout.trim().split('\n').length === 1 && /ttyUSB10 \[10c4:ea60\] serial 0001 Silicon Labs/.test(run.stdout), `Filtered human output, got ${run.stdout}`);
+
+        run = await cli(['--serial', '7C:DF:A1:00:11:22', '--json', 'chip-info']);
+        assert(run.code === EXIT_CODES.OK && run.port === path.join(devRoot, 'ttyACM0'), `--serial connects to the matching port, got ${run.port}`);
+        assert(/Using .*ttyACM0/.test(run.stderr), 'Chosen port reported on stderr');
+
+        run = await cli(['-p', 'auto', 'chip-info']);
+        assert(run.code === EXIT_CODES.USAGE && /2 serial ports match/.test(run.stderr) && run.port === null, 'Ambiguous auto selection refused');
+        run = await cli(['-p', 'auto', '-q', 'chip-info'], listSerialPorts(options).filter(p => p.name !== 'ttyUSB10'));
+        assert(run.code === EXIT_CODES.OK && run.port === path.join(devRoot, 'ttyACM0') && run.stderr === '', 'Single ESP adapter picked by --port auto');
+
+        run = await cli(['--vid', '1a86', 'chip-info']);
+        assert(run.code === EXIT_CODES.NOT_FOUND && run.port === null, 'No match exits with NOT_FOUND');
+        run = await cli(['--vid', 'xyz', 'chip-info']);
+        assert(run.code === EXIT_CODES.USAGE, 'Invalid VID is a usage error');
+        run = await cli(['-p', '/dev/ttyUSB0', '--serial', '0001', 'chip-info']);
+        assert(run.code === EXIT_CODES.USAGE, '--serial together with an explicit port is a usage error');
+    });
+
+    fs.rmSync(root, { recursive: true, force: true });
+};
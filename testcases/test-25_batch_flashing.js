@@ -0,0 +1,109 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BatchFlasher } = require('../flasher-batch.js');
+const { main, EXIT_CODES } = require('../esp32-flasher.js');
+
+module.exports = async function registerTests({ runTest, assert, ESPFlasher, ESPEmulator, log, pattern }) {
+    const bootloader = pattern(0x2000, 3);
+    const app = pattern(0x9000, 5);
+
+    /* Emulators by port name, one flasher per port */
+    const createBench = (specs) => {
+        const emulators = {};
+        specs.forEach(([id, chip, mac]) => {
+            emulators[id] = new ESPEmulator({ chip, mac, flashSize: 0x100000 });
+        });
+        const open = async (port, options) => {
+            if (!emulators[port]) {
+                throw new Error(`Cannot open ${port}: no such device`);
+            }
+            const flasher = new ESPFlasher(options);
+            await flasher.openPortWithPort(emulators[port].createPort());
+            return flasher;
+        };
+        return { emulators, open };
+    };
+
+    await runTest('Batch: devices flash in parallel, a failing board does not stop the others', async () => {
+        const bench = createBench([
+            ['hub-1', 'esp32s3', '7c:df:a1:00:00:01'],
+            ['hub-2', 'esp32c3', '7c:df:a1:00:00:02'],
+            ['hub-3', 'esp32', '7c:df:a1:00:00:03']
+        ]);
+        /* NAK every compressed data block of the second board */
+        bench.emulators['hub-2'].injectFault({ type: 'nak', command: 0x11, error: 0x08, count: 1000 });
+
+        let active = 0;
+        let maxActive = 0;
+        const updates = [];
+        const batch = new BatchFlasher({
+            images: [{ address: 0x1000, data: bootloader, name: 'bootloader.bin' }, { address: 0x10000, data: app, name: 'app.bin' }],
+            concurrency: 2,
+            createFlasher: async (device, options) => {
+                maxActive = Math.max(maxActive, ++active);
+                return bench.open(device.port, options);
+            },
+            onUpdate: (device) => {
+                updates.push(`${device.id}:${device.status}`);
+                if (device.status === 'done' || device.status === 'failed') active--;
+            }
+        });
+        const report = await batch.run(['hub-1', 'hub-2', 'hub-3'].map(id => ({ id, port: id })));
+        log(`  ${JSON.stringify(Object.fromEntries(Object.entries(report.devices).map(([mac, d]) => [mac, d.status])))}`);
+
+        assert(report.total === 3 && report.succeeded === 2 && report.failed === 1, `Two boards done, one failed, got ${report.succeeded}/${report.failed}`);
+        assert(Object.keys(report.devices).sort().join(',') === '7c:df:a1:00:00:01,7c:df:a1:00:00:02,7c:df:a1:00:00:03', 'Report keyed by MAC');
+        const failed = report.devices['7c:df:a1:00:00:02'];
+        assert(failed.status === 'failed' && failed.id === 'hub-2' && failed.chip === 'esp32c3' && failed.error, `Failure recorded with its error: ${failed.error}`);
+
+        const good = report.devices['7c:df:a1:00:00:03'];
+        assert(good.status === 'done' && good.images.length === 2 && good.images.every(image => image.verified), 'Both images verified on a good board');
+        assert(report.images[1].md5 === good.images[1].md5 && /^[0-9a-f]{32}$/.test(report.images[1].md5), 'Image MD5 in the report');
+        ['hub-1', 'hub-3'].forEach(id => {
+            const flash = bench.emulators[id].flash;
+            assert(bootloader.every((b, i) => flash[0x1000 + i] === b) && app.every((b, i) => flash[0x10000 + i] === b), `${id} holds the images`);
+            assert(bench.emulators[id].state === 'app', `${id} reset into the application`);
+        });
+
+        assert(maxActive === 2, `At most two devices at once, got ${maxActive}`);
+        assert(updates.indexOf('hub-3:connecting') > updates.findIndex(u => /:(done|failed)$/.test(u)), 'Third board starts when a slot frees up');
+
+        const logs = batch.devices.map(device => BatchFlasher.formatLog(device));
+        assert(logs[0].includes('7c:df:a1:00:00:01') && !logs[0].includes('7c:df:a1:00:00:02'), 'Each device has its own log');
+        assert(/ERROR .*failed:/.test(logs[1]) && /done: Finished/.test(logs[2]), 'Failure and success in the device logs');
+    });
+
+    await runTest('Batch: CLI batch-write writes per-device logs and a report, ports that do not open are reported', async () => {
+        const bench = createBench([
+            ['/dev/ttyUSB0', 'esp32s3', '7c:df:a1:00:00:11'],
+            ['/dev/ttyUSB1', 'esp32c6', '7c:df:a1:00:00:12']
+        ]);
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'esp32-flasher-batch-'));
+        const appFile = path.join(tmpDir, 'app.bin');
+        fs.writeFileSync(appFile, Buffer.from(app));
+        const outDir = path.join(tmpDir, 'out');
+
+        const output = { stdout: '', stderr: '' };
+        const stream = (name) => ({ isTTY: false, write: (text) => { output[name] += text; } });
+        const code = await main(['-p', '/dev/ttyUSB0,/dev/ttyUSB1,/dev/ttyUSB9', '-o', outDir, 'batch-write', '0x10000', appFile], {
+            stdout: stream('stdout'),
+            stderr: stream('stderr'),
+            createFlasher: bench.open
+        });
+        log(output.stdout.trim().split('\n').map(line => `  ${line}`).join('\n'));
+
+        assert(code === EXIT_CODES.ERROR, `Exit code reports the failed port, got ${code}`);
+        assert(/^OK +7c:df:a1:00:00:11 \/dev\/ttyUSB0 esp32s3$/m.test(output.stdout) && /2 of 3 devices flashed/.test(output.stdout), 'Summary per device');
+        assert(/\[\/dev\/ttyUSB1\] done:/.test(output.stderr), 'Status changes on stderr');
+
+        const report = JSON.parse(fs.readFileSync(path.join(outDir, 'report.json'), 'utf8'));
+        assert(report.devices['7c:df:a1:00:00:12'].status === 'done', 'Report file keyed by MAC');
+        assert(report.unidentified.length === 1 && /no such device/.test(report.unidentified[0].error), 'Port that did not open listed without MAC');
+        const logFiles = fs.readdirSync(outDir).sort();
+        assert(logFiles.join(',') === '7c_df_a1_00_00_11.log,7c_df_a1_00_00_12.log,_dev_ttyUSB9.log,report.json', `One log per device, got ${logFiles}`);
+        assert(bench.emulators['/dev/ttyUSB1'].flash.subarray(0x10000, 0x10000 + app.length).every((b, i) => b === app[i]), 'Image written');
+
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+};
@@ -0,0 +1,119 @@
+const ESP32Parser = require('../esp32-parser.js');
+
+module.exports = async function registerTests({ runTest, assert, ESPFlasher, log, pattern, connectEmulator, rejection }) {
+    /* Incompressible data so deflated writes still take many packets */
+    const noise = (length, seed) => {
+        let state = seed;
+        return Uint8Array.from({ length }, () => {
+            state = (state * 1103515245 + 12345) >>> 0;
+            return state >>> 24;
+        });
+    };
+
+    const flash = noise(0x100000, 7);
+
+    await runTest('Abort: cancelled writes close the FLASH_BEGIN sequence and the next write works', async () => {
+        const { emulator, flasher } = await connectEmulator({ chip: 'esp32s3', flash });
+        const data = noise(0x10000, 1);
+
+        for (const compressed of [true, false]) {
+            flasher.compressFlashWrites = compressed;
+            const endCommand = compressed ? 0x12 : 0x04;
+            const controller = new AbortController();
+            const error = await rejection(flasher.writeFlash(0x20000, data, (offset) => {
+                if (offset >= 0x2000) controller.abort();
+            }, { signal: controller.signal }));
+            log(`  ${compressed ? 'deflated' : 'plain'}: ${error && error.name}, END commands ${emulator.stats.commands[endCommand]}`);
+
+            assert(error && error.name === 'AbortError', `Write rejects with AbortError, got ${error && error.message}`);
+            assert(emulator.stats.commands[endCommand] === 1 && emulator._flashWrite === null, 'Write sequence closed with an END command');
+
+            const result = await flasher.writeFlash(0x20000, data);
+            assert(result.success && data.every((b, i) => emulator.flash[0x20000 + i] === b), 'Next write completes and verifies');
+        }
+        await flasher.disconnect();
+    });
+
+    await runTest('Abort: cancelled reads drain the stub and can be resumed', async () => {
+        const { emulator, flasher } = await connectEmulator({ chip: 'esp32s3', flash });
+        const controller = new AbortController();
+        const session = flasher.createReadSession(0x0, 0x20000, { blockSize: 0x8000 });
+        const error = await rejection(flasher.readFlash(0x0, 0x20000, (read) => {
+            if (read >= 0x9000) controller.abort();
+        }, session, { signal: controller.signal }));
+        log(`  aborted after ${session.bytesDone} verified bytes`);
+
+        assert(error && error.name === 'AbortError' && error.session === session, 'Read rejects with AbortError and its session');
+        assert(session.bytesDone === 0x8000 && session.retries === 0 && session.blocks[1].attempts === 0, 'Abort is no failed attempt');
+        const md5 = await flasher.checksumFlash(0x0, 0x1000);
+        assert(md5 === flasher.calculateMD5(emulator.flash.subarray(0, 0x1000)), 'Stub answers commands after the abort');
+
+        const data = await flasher.readFlash(0x0, 0x20000, null, error.session);
+        assert(session.complete && data.every((b, i) => b === emulator.flash[i]), 'Resumed read completes');
+        assert(emulator.stats.commands[0xd2] === 5, `Only the cancelled block was read again, ${emulator.stats.commands[0xd2]} READ_FLASH`);
+
+        const commands = emulator.stats.commands[0xd2];
+        const aborted = AbortSignal.abort();
+        assert((await rejection(flasher.readFlash(0x0, 0x1000, null, null, { signal: aborted }))).name === 'AbortError', 'Already aborted signal rejects');
+        assert((await rejection(flasher.writeFlash(0x0, new Uint8Array(0x1000), null, { signal: aborted }))).name === 'AbortError', 'Also for writes');
+        assert(emulator.stats.commands[0xd2] === commands && !emulator.stats.commands[0x10], 'Nothing sent to the device');
+        await flasher.disconnect();
+    });
+
+    await runTest('Abort: blank check and write/read test stop at a packet boundary', async () => {
+        const { emulator, flasher } = await connectEmulator({ chip: 'esp32s3', flash });
+        let controller = new AbortController();
+        let blocks = 0;
+        let error = await rejection(flasher.blankCheck(0x0, 0x40000, () => {
+            if (++blocks === 3) controller.abort();
+        }, { signal: controller.signal }));
+        assert(error && error.name === 'AbortError' && blocks === 3, `Blank check stops after the current block, ${blocks} blocks`);
+
+        controller = new AbortController();
+        const stages = [];
+        error = await rejection(flasher.writeReadTest(0x30000, 0x10000, (stage, current, total, percent) => {
+            stages.push(stage);
+            if (stage === 'writing' && percent >= 25) controller.abort();
+        }, { signal: controller.signal }));
+        log(`  write/read test stages: ${[...new Set(stages)].join(', ')}`);
+        assert(error && error.name === 'AbortError' && stages[stages.length - 1] === 'aborted', 'Write/read test reports the abort');
+        assert(!stages.includes('reading_back') && emulator.stats.commands[0x04] === 1, 'Write closed with FLASH_END, no read back');
+
+        const result = await flasher.writeReadTest(0x30000, 0x2000);
+        assert(result.success, 'Next test passes');
+        await flasher.disconnect();
+    });
+
+    await runTest('Abort: SparseImage.flush keeps what was not written for the next flush', async () => {
+        const { emulator, flasher } = await connectEmulator({ chip: 'esp32s3', flash });
+        const controller = new AbortController();
+        let writes = 0;
+        const parser = new ESP32Parser(flasher, {
+            sizeHint: 0x100000,
+            postWriteCommandCbr: () => {
+                if (++writes === 1) controller.abort();
+            }
+        });
+        const first = pattern(0x1000, 2);
+        const second = pattern(0x2000, 3);
+        parser.sparseImage.write(0x10000, first);
+        parser.sparseImage.write(0x40000, second);
+        parser.sparseImage.fill(0xFF, 0x80000, 0x82000);
+
+        const error = await rejection(parser.sparseImage.flush({ signal: controller.signal }));
+        const pending = parser.sparseImage.writeBuffer.map(seg => `0x${seg.address.toString(16)}+0x${seg.data.length.toString(16)}`);
+        log(`  pending after abort: ${pending.join(', ')}`);
+
+        assert(error && error.name === 'AbortError' && writes === 1, 'Flush stops after the running write');
+        assert(first.every((b, i) => emulator.flash[0x10000 + i] === b), 'First segment on the device');
+        assert(pending.join(',') === '0x40000+0x2000,0x80000+0x2000', 'Other segments still pending');
+        assert(parser.sparseImage.readBuffer.some(seg => seg.address <= 0x10000 && seg.address + seg.data.length >= 0x11000), 'Written segment cached');
+        assert(!second.every((b, i) => emulator.flash[0x40000 + i] === b), 'Second segment not written');
+
+        await parser.sparseImage.flush();
+        assert(parser.sparseImage.writeBuffer.length === 0, 'Second flush finishes');
+        assert(second.every((b, i) => emulator.flash[0x40000 + i] === b), 'Second segment written');
+        assert(emulator.flash.subarray(0x80000, 0x82000).every(b => b === 0xFF), 'Erased run done');
+        await flasher.disconnect();
+    });
+};
@@ -0,0 +1,78 @@
+const { main, EXIT_CODES } = require('../esp32-flasher.js');
+
+module.exports = async function registerTests({ runTest, assert, ESPFlasher, ESPEmulator, log, connectEmulator, rejection }) {
+    const { FlasherError, TimeoutError, SyncError, ProtocolError, DisconnectedError, VerifyError, describeLoaderError } = ESPFlasher;
+
+    await runTest('Errors: loader status bytes become a ProtocolError with esptool names', async () => {
+        assert(describeLoaderError(0x05) === 'Received message is invalid' && describeLoaderError(0xC1) === 'Bad data checksum', 'ROM and stub codes named');
+        assert(describeLoaderError(0x42) === 'Unknown error 0x42', 'Unknown codes shown in hex');
+
+        /* ROM loader: 4 status bytes */
+        const rom = await connectEmulator({ stub: false });
+        rom.emulator.injectFault({ type: 'nak', command: 0x0a, error: 0x05 });
+        let error = await rejection(rom.flasher.readReg(0x60008800));
+        log(`  ROM: ${error && error.message}`);
+        assert(error instanceof ProtocolError && error instanceof FlasherError && error.name === 'ProtocolError', 'Typed error from the ROM loader');
+        assert(error.command === 0x0a && error.commandName === 'READ_REG' && error.status === 1 && error.errorCode === 0x05, 'Command, status and error byte');
+        assert(error.errorName === 'Received message is invalid' && !error.retryable, 'Decoded, not worth a retry');
+        assert(typeof await rom.flasher.readReg(0x60008800) === 'number', 'Next command works');
+        await rom.flasher.disconnect();
+
+        /* Stub loader: 2 status bytes, also behind the payload of SPI_FLASH_MD5 */
+        const stub = await connectEmulator();
+        stub.emulator.injectFault({ type: 'nak', command: 0x13, error: 0xC1 });
+        error = await rejection(stub.flasher.checksumFlash(0, 0x1000));
+        log(`  stub: ${error && error.message}`);
+        assert(error instanceof ProtocolError && error.errorCode === 0xC1 && error.retryable, 'Stub checksum error is retryable');
+        assert(/^[0-9a-f]{32}$/.test(await stub.flasher.checksumFlash(0, 0x1000)), 'MD5 payload not mistaken for a status');
+        await stub.flasher.disconnect();
+    });
+
+    await runTest('Errors: timeouts, lost sync, verification and disconnects have their own types', async () => {
+        const { emulator, flasher } = await connectEmulator();
+        emulator.injectFault({ type: 'drop', direction: 'toHost', count: 3 });
+        let error = await rejection(flasher.readReg(0x60008800));
+        assert(error instanceof TimeoutError && error.commandName === 'READ_REG' && error.timeout === 500 && error.retryable, `TimeoutError with details, got ${error && error.message}`);
+
+        emulator.injectFault({ type: 'flip', count: 1 });
+        error = await rejection(flasher.readFlashPlain(0x0, 0x2000));
+        assert(error instanceof VerifyError && /^[0-9a-f]{32}$/.test(error.expected) && error.expected !== error.actual, 'Corrupted read is a VerifyError');
+
+        emulator.injectFault({ type: 'delay', ms: 200, count: 1 });
+        const pending = rejection(flasher.readReg(0x60008800));
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await flasher.disconnect();
+        error = await pending;
+        assert(error instanceof DisconnectedError, `Disconnect fails the waiting command at once, got ${error && error.name}`);
+        error = await rejection(flasher.readReg(0x60008800));
+        assert(error instanceof DisconnectedError, 'Commands on a closed port fail with DisconnectedError');
+
+        const asleep = new ESPEmulator({ chip: 'esp32c3', flashSize: 0x100000 });
+        asleep.reset(false);
+        const unsynced = new ESPFlasher({ initialBaudRate: 115200 });
+        await unsynced.openPortWithPort(asleep.createPort());
+        error = await rejection(unsynced.sync());
+        assert(error instanceof SyncError && error.attempts === 4 && error.cause instanceof TimeoutError, 'Chip in the app gives a SyncError');
+        await unsynced.disconnect();
+    });
+
+    await runTest('Errors: CLI maps error types to exit codes and reports them in JSON', async () => {
+        const emulator = new ESPEmulator({ chip: 'esp32s3', flashSize: 0x100000 });
+        const output = { stdout: '', stderr: '' };
+        const stream = (name) => ({ isTTY: false, write: (text) => { output[name] += text; } });
+        emulator.injectFault({ type: 'nak', command: 0xd1, error: 0xC4, count: 10 });
+        const code = await main(['-p', '/dev/ttyUSB0', '--json', 'erase-region', '0x10000', '0x1000'], {
+            stdout: stream('stdout'),
+            stderr: stream('stderr'),
+            createFlasher: async (port, options) => {
+                const flasher = new ESPFlasher(options);
+                await flasher.openPortWithPort(emulator.createPort());
+                return flasher;
+            }
+        });
+        const result = JSON.parse(output.stdout);
+        log(`  ${JSON.stringify(result.error)}`);
+        assert(code === EXIT_CODES.ERROR && result.error.type === 'ProtocolError', 'Loader error reported as ProtocolError');
+        assert(result.error.command === 'ERASE_REGION' && result.error.errorCode === 0xC4 && result.error.errorName === 'Failed SPI operation', 'Decoded status in the JSON error');
+    });
+};
@@ -0,0 +1,135 @@
+const ESP32Parser = require('../esp32-parser.js');
+
+module.exports = async function registerTests({ runTest, assert, ESPFlasher, ESPEmulator, log, pattern }) {
+
+    /* Record every event of the given names */
+    const record = (emitter, names) => {
+        const events = [];
+        names.forEach(name => emitter.on(name, detail => events.push({ name, ...detail })));
+        return events;
+    };
+
+    await runTest('Events: connection lifecycle, packets and log output', async () => {
+        const emulator = new ESPEmulator({ chip: 'esp32s3', flashSize: 0x100000 });
+        const legacy = [];
+        const flasher = new ESPFlasher({ initialBaudRate: 115200, logWarning: (msg) => legacy.push(msg) });
+        const events = record(flasher, ['connect', 'chip-detected', 'stub-loaded', 'disconnect']);
+        const packets = record(flasher, ['packet']);
+        const logs = record(flasher, ['log', 'warning']);
+
+        const port = emulator.createPort();
+        await flasher.openPortWithPort(port);
+        await flasher.sync();
+        await flasher.downloadStub();
+        log(`  ${events.map(e => e.name).join(', ')}; ${packets.length} packets, ${logs.length} log events`);
+
+        assert(events[0].name === 'connect' && events[0].baudRate === 115200, 'connect with the baud rate');
+        assert(events[1].name === 'chip-detected' && events[1].chip === 'esp32s3', 'chip-detected names the chip');
+        assert(events[2].name === 'stub-loaded' && events[2].chip === 'esp32s3' && events[2].flashSize === 0x100000, 'stub-loaded with the flash size');
+
+        const sync = packets.find(p => p.direction === 'tx' && p.commandName === 'SYNC');
+        const answer = packets.find(p => p.direction === 'rx' && p.commandName === 'MEM_END');
+        assert(sync && sync.command === 0x08 && sync.data[1] === 0x08, 'Sent commands with name and frame');
+        assert(answer && answer.status === 0 && answer.errorCode === 0, 'Responses with decoded status');
+        assert(packets.some(p => p.direction === 'rx' && p.command === null && new TextDecoder().decode(p.data) === 'OHAI'), 'Raw frames have no command');
+
+        /* Assigned log functions become adapters */
+        flasher.logMessage = (msg) => legacy.push(msg);
+        flasher.logMessage('hello', 42);
+        flasher.logWarning('careful');
+        flasher.logError(new Error('broken'), { lines: [] });
+        assert(legacy.join(',') === 'hello,careful', 'Legacy log functions still called');
+        const tail = logs.slice(-4).map(e => `${e.name}:${e.level || ''}:${e.message}`);
+        assert(tail.join('|') === 'log:info:hello 42|log:warning:careful|warning::careful|log:error:broken', `Log events, got ${tail.join('|')}`);
+
+        await port.close();
+        await flasher.disconnect();
+        const disconnects = events.filter(e => e.name === 'disconnect');
+        assert(disconnects.length === 1 && disconnects[0].unexpected, 'Port closed underneath: one unexpected disconnect');
+
+        await flasher.openPortWithPort(emulator.createPort());
+        await flasher.disconnect();
+        const last = events[events.length - 1];
+        assert(last.name === 'disconnect' && !last.unexpected && events.filter(e => e.name === 'connect').length === 2, 'disconnect() after a reconnect');
+    });
+
+    await runTest('Events: progress of writes, reads and erases next to the positional callbacks', async () => {
+        const emulator = new ESPEmulator({ chip: 'esp32c3', flashSize: 0x100000 });
+        const flasher = new ESPFlasher({ initialBaudRate: 115200 });
+        await flasher.openPortWithPort(emulator.createPort());
+        await flasher.sync();
+        await flasher.downloadStub();
+        const progress = record(flasher, ['progress']);
+        const data = pattern(0x6000, 4);
+
+        const callback = [];
+        await flasher.writeFlash(0x20000, data, (...args) => callback.push(args));
+        const writes = progress.filter(e => e.op === 'write');
+        assert(writes.every(e => e.addr === 0x20000 && e.total === data.length), 'Write events carry address and size');
+        assert([...new Set(writes.map(e => e.stage))].join(',') === 'writing,hashing,verifying,verified', 'Write stages in order');
+        assert(callback[callback.length - 1][3] === 'Verified' && callback[0][2] === 'Writing', 'Positional callback unchanged');
+
+        progress.length = 0;
+        await flasher.readFlash(0x20000, 0x6000, null, flasher.createReadSession(0x20000, 0x6000, { blockSize: 0x2000 }));
+        assert(progress.length > 0 && progress.every(e => e.op === 'read' && e.addr === 0x20000 && e.total === 0x6000), 'Session read reports the whole range only');
+        assert(progress[progress.length - 1].done === 0x6000, 'Read ends complete');
+
+        progress.length = 0;
+        await flasher.readFlashPlain(0x21000, 0x2000);
+        assert(progress.length > 0 && progress.every(e => e.op === 'read' && e.addr === 0x21000 && e.total === 0x2000), 'Plain read without callback');
+
+        progress.length = 0;
+        await flasher.eraseRegion(0x30000, 0x2000);
+        assert(progress.map(e => `${e.op}:${e.stage}:${e.done}`).join(',') === 'erase:erasing:0,erase:erasing:8192,erase:erased:8192', 'Erase events');
+
+        progress.length = 0;
+        const stages = [];
+        const listener = (e) => stages.push(e.stage);
+        flasher.once('progress', listener);
+        flasher.on('progress', () => { throw new Error('listener bug'); });
+        const consoleError = console.error;
+        console.error = () => { };
+        try {
+            await flasher.blankCheck(0x30000, 0x32000);
+        } finally {
+            console.error = consoleError;
+        }
+        assert(stages.length === 1 && progress.length === 2 && progress.every(e => e.op === 'blank-check'), 'once() fires once, a throwing listener does not stop the others');
+        flasher.off('progress', listener);
+        await flasher.disconnect();
+    });
+
+    await runTest('Events: ESP32Parser reports device progress and image warnings', async () => {
+        const emulator = new ESPEmulator({ chip: 'esp32c3', flashSize: 0x100000 });
+        /* Not erased yet, so filling it with 0xFF is not skipped as unchanged */
+        emulator.flash.fill(0x00, 0x50000, 0x52000);
+        const flasher = new ESPFlasher({ initialBaudRate: 115200 });
+        await flasher.openPortWithPort(emulator.createPort());
+        await flasher.sync();
+        await flasher.downloadStub();
+
+        const blocks = [];
+        const parser = new ESP32Parser(flasher, {
+            sizeHint: 0x100000,
+            writeBlockCbr: (addr, data, offset, total, status, info) => blocks.push({ addr, data, len: info.length, erase: info.erase })
+        });
+        const events = record(parser, ['progress', 'warning']);
+        await parser.sparseImage.prefetch(0x8000, 0x100);
+        parser.sparseImage.write(0x40000, pattern(0x1000, 9));
+        parser.sparseImage.fill(0xFF, 0x50000, 0x52000);
+        await parser.sparseImage.flush();
+        log(`  ${[...new Set(events.map(e => `${e.op}:${e.stage}`))].join(', ')}`);
+
+        assert(events.some(e => e.op === 'read' && e.addr === 0x8000 && e.done === e.total), 'Read progress');
+        assert(events.some(e => e.op === 'write' && e.addr === 0x40000 && e.stage === 'verified'), 'Write progress');
+        assert(events.some(e => e.op === 'erase' && e.addr === 0x50000 && e.stage === 'erased'), 'Erase progress');
+        assert(blocks.some(b => b.addr === 0x40000) && blocks.some(b => b.addr === 0x50000), 'writeBlockCbr called for the write and the erase');
+        assert(blocks.every(b => b.len === (b.addr === 0x40000 ? 0x1000 : 0x2000)), 'writeBlockCbr gets the length for both');
+        assert(blocks.filter(b => b.addr === 0x40000).every(b => b.data instanceof Uint8Array && b.data.length === 0x1000 && !b.erase), 'Writes still pass the data');
+        assert(blocks.filter(b => b.addr === 0x50000).every(b => b.data === null && b.erase), 'Erases pass no data and the erase flag');
+
+        parser._warn('Image at 0x10000: built for esp32s3');
+        assert(events[events.length - 1].name === 'warning' && /esp32s3/.test(events[events.length - 1].message), 'Warnings as events');
+        await flasher.disconnect();
+    });
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main } = require('../esp32-flasher.js');
+const { createNodePort } = require('../flasher-nodejs.js');
+
+module.exports = async function registerTests({ runTest, assert, ESPFlasher, ESPEmulator, log, rejection }) {
+    const { SerialSessionRecorder, ReplaySerialPort, TimeoutError } = ESPFlasher;
+
+    /* Session with a timeout in the middle; the replay has to run into the same one */
+    const session = async (flasher) => {
+        await flasher.hardReset(true);
+        await flasher.sync();
+        await flasher.downloadStub();
+        const error = await rejection(flasher.readReg(0x60008800));
+        const data = await flasher.readFlash(0x0, 0x4000);
+        await flasher.disconnect();
+        return { error, data };
+    };
+
+    const recordSession = async () => {
+        const emulator = new ESPEmulator({ chip: 'esp32c3', flashSize: 0x100000 });
+        emulator.flash.set(Uint8Array.from({ length: 0x4000 }, (_, i) => (i * 7 + (i >> 8)) & 0xFF));
+        const flasher = new ESPFlasher({ initialBaudRate: 115200 });
+        flasher.startRecording({ info: { description: 'READ_REG times out' } });
+        await flasher.openPortWithPort(emulator.createPort());
+        /* Every answer to the next command lost: first attempt and both retries */
+        const original = flasher.readReg.bind(flasher);
+        flasher.readReg = (...args) => {
+            emulator.injectFault({ type: 'drop', direction: 'toHost', count: 3 });
+            return original(...args);
+        };
+        const result = await session(flasher);
+        return { ...result, recorder: flasher.stopRecording() };
+    };
+
+    await runTest('Replay: a recorded session plays back with the same results and timing', async () => {
+        const recorded = await recordSession();
+        const text = recorded.recorder.serialize();
+        const { header, events } = SerialSessionRecorder.parse(text);
+        log(`  ${events.length} events, ${text.length} bytes of .esplog`);
+
+        assert(header.format === 'esplog' && header.version === 1 && header.chip === 'esp32c3', 'Header names format and chip');
+        assert(header.description === 'READ_REG times out' && header.initialBaudRate === 115200, 'Header keeps info and flasher settings');
+        assert(['open', 'signals', 'tx', 'rx', 'close'].every(type => events.some(e => e.type === type)), 'All event types recorded');
+        assert(events.every((e, i) => i === 0 || e.t >= events[i - 1].t), 'Timestamps in order');
+        assert(recorded.error instanceof TimeoutError, 'Recorded session timed out');
+
+        const port = new ReplaySerialPort(text);
+        const flasher = new ESPFlasher({ initialBaudRate: header.initialBaudRate });
+        await flasher.openPortWithPort(port);
+        const started = Date.now();
+        const replayed = await session(flasher);
+        log(`  replay: ${replayed.error && replayed.error.name} after ${Date.now() - started} ms, ${port.divergences.length} divergences`);
+
+        assert(replayed.error instanceof TimeoutError && replayed.error.commandName === 'READ_REG', 'Same timeout on replay');
+        assert(replayed.data.every((b, i) => b === recorded.data[i]), 'Same flash content');
+        assert(flasher.current_chip === 'esp32c3', 'Chip detected from the recording');
+        assert(port.divergences.length === 0 && port.finished, 'Replay matched every write and played every event');
+    });
+
+    await runTest('Replay: writes that differ from the recording are reported, or fail in strict mode', async () => {
+        const { recorder } = await recordSession();
+        const recording = SerialSessionRecorder.parse(recorder.serialize());
+
+        const port = new ReplaySerialPort(recording, { realtime: false });
+        const flasher = new ESPFlasher({ initialBaudRate: 115200 });
+        await flasher.openPortWithPort(port);
+        await flasher.hardReset(true);
+        await flasher.sync();
+        await flasher.downloadStub();
+        await rejection(flasher.readReg(0x60008800));
+        await rejection(flasher.readFlash(0x1000, 0x1000));
+        log(`  ${port.divergences[0] && port.divergences[0].message}`);
+        assert(port.divergences.length > 0 && port.divergences[0].expected && port.divergences[0].actual, 'Different read reported with both frames');
+        await flasher.disconnect();
+
+        const strict = new ReplaySerialPort(recording, { realtime: false, strict: true });
+        await strict.open({ baudRate: 115200 });
+        const writer = strict.writable.getWriter();
+        const error = await rejection(writer.write(new Uint8Array([0xC0, 0x00, 0x42, 0xC0])));
+        assert(error && /Replay diverged/.test(error.message), 'Strict replay fails the write');
+        await strict.close();
+
+        assert(/Not an .esplog/.test((await rejection(Promise.resolve().then(() => SerialSessionRecorder.parse('{"hello":1}\n')))).message), 'Other files rejected');
+        const future = JSON.stringify({ format: 'esplog', version: 99 });
+        assert(await rejection(Promise.resolve().then(() => SerialSessionRecorder.parse(future))) !== null, 'Newer versions rejected');
+
+        const small = new SerialSessionRecorder({ maxBytes: 8 });
+        small.record('tx', new Uint8Array(6));
+        small.record('rx', new Uint8Array(6));
+        assert(small.truncated && SerialSessionRecorder.parse(small.serialize()).header.truncated, 'Size limit marks the recording truncated');
+    });
+
+    await runTest('Replay: CLI --record writes a recording that replay: plays back', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'esplog-'));
+        const file = path.join(dir, 'session.esplog');
+        const output = { stdout: '', stderr: '' };
+        const stream = (name) => ({ isTTY: false, write: (text) => { output[name] += text; } });
+        try {
+            const emulator = new ESPEmulator({ chip: 'esp32s3', flashSize: 0x100000 });
+            let code = await main(['-p', '/dev/ttyUSB0', '--json', '--record', file, 'chip-info'], {
+                stdout: stream('stdout'),
+                stderr: stream('stderr'),
+                createFlasher: async (port, options) => {
+                    const flasher = new ESPFlasher(options);
+                    await flasher.openPortWithPort(emulator.createPort());
+                    return flasher;
+                }
+            });
+            assert(code === 0 && fs.existsSync(file), `Recording written, exit code ${code}`);
+            const { header } = SerialSessionRecorder.parse(fs.readFileSync(file, 'utf8'));
+            assert(header.tool === 'esp32-flasher' && header.command === 'chip-info' && header.chip === 'esp32s3', 'Header names command and chip');
+
+            const port = createNodePort(`replay:${file}`);
+            assert(port instanceof ReplaySerialPort, 'replay: gives a ReplaySerialPort');
+
+            output.stdout = '';
+            code = await main(['-p', `replay:${file}`, '--json', 'chip-info'], {
+                stdout: stream('stdout'),
+                stderr: stream('stderr'),
+                createFlasher: async (portPath, options) => {
+                    const flasher = new ESPFlasher(options);
+                    await flasher.openPortWithPort(createNodePort(portPath));
+                    return flasher;
+                }
+            });
+            const result = JSON.parse(output.stdout);
+            log(`  replayed chip-info: ${result.result.chip}`);
+            assert(code === 0 && result.result.chip === 'esp32s3', 'Replayed chip-info');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+};
@@ -0,0 +1,115 @@
+const ESP32Parser = require('../esp32-parser.js');
+
+module.exports = async function registerTests({ runTest, assert, SparseImage, log, pattern }) {
+    const same = (a, b) => a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+    await runTest('History: undo and redo restore the pending writes exactly', async () => {
+        const base = pattern(0x20000, 1);
+        const sparse = SparseImage.fromBuffer(base.slice());
+        const contents = [sparse.subarray(0, sparse.size)];
+        const changed = [];
+        sparse.historyChangedCallback = () => changed.push(sparse.getHistory().entries.length);
+
+        sparse.write(0x1010, [1, 2, 3]);
+        contents.push(sparse.subarray(0, sparse.size));
+        sparse.fill(0xFF, 0x4000, 0x6800);
+        contents.push(sparse.subarray(0, sparse.size));
+        sparse.beginChange('NVS page');
+        sparse.write(0x67FE, [9, 9, 9, 9]);
+        sparse.write(0x9000, pattern(0x20, 5));
+        sparse.endChange();
+        contents.push(sparse.subarray(0, sparse.size));
+
+        const history = sparse.getHistory();
+        log(`  ${history.entries.map(e => `${e.label} [${e.ranges.map(r => `0x${r.address.toString(16)}+${r.size}`).join(' ')}]`).join(', ')}`);
+        assert(history.entries.map(e => e.label).join(',') === 'Write,Fill with 0xFF,NVS page', 'One entry per change, labelled');
+        assert(history.entries[2].ranges.length === 2 && history.entries[2].ranges[0].address === 0x67FE && history.entries[2].ranges[1].size === 0x20, 'Exact byte ranges');
+        assert(changed.join(',') === '1,2,3', 'Callback on every change');
+
+        for (let i = 3; i > 0; i--) {
+            assert(sparse.undo().label === history.entries[i - 1].label, 'undo() returns the entry');
+            assert(same(sparse.subarray(0, sparse.size), contents[i - 1]), `State ${i - 1} after undo`);
+        }
+        assert(sparse.writeBuffer.length === 0 && sparse.undo() === null, 'Nothing pending, nothing left to undo');
+        assert(sparse.getHistory().entries.every(e => e.undone), 'Undone entries stay listed');
+
+        for (let i = 1; i <= 3; i++) {
+            sparse.redo();
+            assert(same(sparse.subarray(0, sparse.size), contents[i]), `State ${i} after redo`);
+        }
+        assert(sparse.redo() === null, 'Nothing left to redo');
+
+        sparse.undo();
+        sparse.write(0x100, [0x55]);
+        assert(!sparse.getHistory().canRedo && sparse.getHistory().entries.length === 3, 'A new change drops what was undone');
+
+        const before = sparse.getHistory().entries.length;
+        sparse.write(0x2000, base.subarray(0x2000, 0x2100));
+        assert(sparse.getHistory().entries.length === before, 'Writing the same data is no change');
+    });
+
+    await runTest('History: snapshots, the size limit and flush()', async () => {
+        const written = [];
+        const sparse = new SparseImage(0x40000, null, async (address, data) => written.push({ address, size: data.length }));
+        sparse.historyLimit = 4;
+
+        sparse.write(0x0, pattern(0x100, 1));
+        const snapshot = sparse.snapshot('before NVS wipe');
+        sparse.fill(0xFF, 0x9000, 0xF000);
+        sparse.write(0x9000, pattern(0x40, 2));
+        assert(sparse.rollbackTo('before NVS wipe') === 2, 'Rolled back over two changes');
+        assert(sparse.writeBuffer.length === 1 && sparse.writeBuffer[0].address === 0x0, 'Only the first write pending');
+        assert(sparse.rollbackTo(snapshot.id) === 0, 'Already there');
+
+        sparse.redo();
+        sparse.write(0x20000, [1]);
+        assert(sparse.getHistory().snapshots.length === 1, 'Snapshot before the dropped entries stays');
+
+        for (let i = 0; i < 4; i++) {
+            sparse.write(0x30000 + i * 0x1000, [i + 1]);
+        }
+        const history = sparse.getHistory();
+        assert(history.entries.length === 4 && history.snapshots.length === 0, 'Oldest entries and their snapshots dropped at the limit');
+
+        let error = null;
+        sparse.beginChange('open');
+        try {
+            sparse.undo();
+        } catch (e) {
+            error = e;
+        }
+        sparse.endChange();
+        assert(error && /still being recorded/.test(error.message), 'No undo inside a change');
+
+        await sparse.flush();
+        assert(written.length > 0 && !sparse.getHistory().canUndo && sparse.getHistory().entries.length === 0, 'Flushed changes leave the history');
+        assert(sparse.subarray(0x30000, 0x30001)[0] === 1, 'Flushed data stays');
+    });
+
+    await runTest('History: NVS edits are one entry each', async () => {
+        /* NVS partition at 0x9000 with one empty active page */
+        const image = new Uint8Array(0x20000).fill(0xFF);
+        new DataView(image.buffer).setUint32(0x9000, 0xFFFFFFFE, true);
+        image[0x9008] = 0xFE;
+        const parser = new ESP32Parser(SparseImage.fromBuffer(image));
+        const sparse = parser.sparseImage;
+        const nvs = await parser.parseNVS({ offset: 0x9000, length: 0x6000, label: 'nvs' });
+
+        await nvs.addNamespace('wifi');
+        await nvs.updateItem('wifi', 'ssid', 'String', 'lab-ap');
+        const afterAdd = sparse.subarray(0x9000, 0xF000);
+        await nvs.deleteItem('wifi', 'ssid');
+
+        const labels = sparse.getHistory().entries.map(e => e.label);
+        log(`  ${labels.join(', ')}`);
+        assert(labels.join(',') === 'NVS: add namespace wifi,NVS: update wifi.ssid,NVS: delete wifi.ssid', 'One entry per NVS operation');
+
+        sparse.undo();
+        assert(same(sparse.subarray(0x9000, 0xF000), afterAdd), 'Deleted item back');
+        const namespaces = await nvs.buildNamespaceMap();
+        assert('wifi' in namespaces, 'Namespace readable after undo');
+        sparse.undo();
+        sparse.undo();
+        assert(sparse.writeBuffer.length === 0, 'All NVS edits taken back');
+    });
+};
@@ -0,0 +1,77 @@
+const ESP32Parser = require('../esp32-parser.js');
+
+module.exports = async function registerTests({ runTest, assert, SparseImage, ESPFlasher, ESPEmulator, log, pattern }) {
+
+    await runTest('Flush skip: sectors equal to the backing store or the read cache are not written', async () => {
+        const backing = pattern(0x40000, 3);
+        const writes = [];
+        const compares = [];
+        const sparse = new SparseImage(0x40000, null, async (address, data) => {
+            writes.push({ address, size: data.length });
+            backing.set(data, address);
+        });
+        sparse.compareDataCallback = async (address, data) => {
+            compares.push(address);
+            return data.every((byte, i) => byte === backing[address + i]);
+        };
+
+        /* Import of an image that differs in two sectors */
+        const image = backing.slice(0x10000, 0x20000);
+        image[0x3010] ^= 0xFF;
+        image.fill(0x00, 0x7000, 0x8000);
+        sparse.write(0x10000, image);
+        const stats = await sparse.flush();
+        log(`  ${JSON.stringify(stats)}, ${compares.length} comparisons`);
+
+        assert(writes.map(w => `${w.address.toString(16)}+${w.size.toString(16)}`).join(',') === '13000+1000,17000+1000', 'Only the changed sectors written');
+        assert(stats.pendingBytes === 0x10000 && stats.writtenBytes === 0x2000 && stats.skippedBytes === 0xE000 && stats.skippedSectors === 14, 'Counts of written and skipped bytes');
+        assert(sparse.flushStats === stats && sparse.writeBuffer.length === 0, 'Stats kept, nothing pending');
+        assert(sparse.subarray(0x10000, 0x20000).every((byte, i) => byte === image[i]), 'Skipped sectors cached');
+
+        /* Cached sectors are compared without asking the backing store */
+        compares.length = 0;
+        writes.length = 0;
+        sparse.writeBuffer = [{ address: 0x10000, data: image.slice(0, 0x2000) }];
+        const again = await sparse.flush();
+        assert(again.skippedBytes === 0x2000 && writes.length === 0 && compares.length === 0, 'Read cache used for the comparison');
+    });
+
+    await runTest('Flush skip: ESP32Parser compares with SPI_FLASH_MD5 on the device', async () => {
+        const emulator = new ESPEmulator({ chip: 'esp32s3', flashSize: 0x100000 });
+        const original = pattern(0x20000, 9);
+        emulator.flash.set(original, 0x40000);
+        const flasher = new ESPFlasher({ initialBaudRate: 115200 });
+        await flasher.openPortWithPort(emulator.createPort());
+        await flasher.sync();
+        await flasher.downloadStub();
+
+        const parser = new ESP32Parser(flasher, { sizeHint: 0x100000 });
+        const image = original.slice();
+        image.fill(0xA5, 0x5000, 0x6000);
+        parser.sparseImage.write(0x40000, image);
+        const md5Before = emulator.stats.commands[0x13] || 0;
+        const stats = await parser.sparseImage.flush();
+        log(`  wrote ${stats.writtenBytes}, skipped ${stats.skippedBytes} bytes with ${emulator.stats.commands[0x13] - md5Before} MD5 commands`);
+
+        assert(stats.writtenBytes === 0x1000 && stats.skippedBytes === 0x1F000, 'One sector written');
+        assert(emulator.flash.subarray(0x40000, 0x60000).every((byte, i) => byte === image[i]), 'Flash holds the image');
+
+        /* Same image again: now cached, nothing written */
+        const dataCommands = emulator.stats.commands[0x11] || 0;
+        parser.sparseImage.writeBuffer = [{ address: 0x40000, data: image.slice() }];
+        const again = await parser.sparseImage.flush();
+        assert(again.writtenBytes === 0 && (emulator.stats.commands[0x11] || 0) === dataCommands, 'Identical image not written');
+
+        /* Without a working MD5 command everything is written, also what is already on flash */
+        const warnings = [];
+        parser.on('warning', (event) => warnings.push(event.message));
+        const uncached = pattern(0x4000, 17);
+        emulator.flash.set(uncached, 0x80000);
+        emulator.injectFault({ type: 'nak', command: 0x13, error: 0xC1, count: 1 });
+        parser.sparseImage.writeBuffer = [{ address: 0x80000, data: uncached.slice() }];
+        const fallback = await parser.sparseImage.flush();
+        assert(fallback.writtenBytes === 0x4000 && warnings.length === 1 && /MD5/.test(warnings[0]), 'Failed MD5 falls back to writing, with one warning');
+        assert(emulator.flash.subarray(0x80000, 0x84000).every((byte, i) => byte === uncached[i]), 'Fallback write correct');
+        await flasher.disconnect();
+    });
+};
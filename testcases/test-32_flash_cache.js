@@ -0,0 +1,111 @@
+const ESP32Parser = require('../esp32-parser.js');
+const { SparseImageCache, MemoryCacheStore } = require('../esp32-cache.js');
+
+module.exports = async function registerTests({ runTest, assert, ESPFlasher, ESPEmulator, log, pattern }) {
+
+    /* One connection to the emulated board; flash reads are listed as "address+length" */
+    const connect = async (emulator) => {
+        const flasher = new ESPFlasher({ initialBaudRate: 115200 });
+        await flasher.openPortWithPort(emulator.createPort());
+        await flasher.sync();
+        await flasher.downloadStub();
+        const reads = [];
+        const readFlashPlain = flasher.readFlashPlain.bind(flasher);
+        flasher.readFlashPlain = (address, length, ...rest) => {
+            reads.push(`${address.toString(16)}+${length.toString(16)}`);
+            return readFlashPlain(address, length, ...rest);
+        };
+        const parser = new ESP32Parser(flasher, { sizeHint: 0x100000 });
+        return { flasher, parser, sparse: parser.sparseImage, reads };
+    };
+
+    await runTest('Flash cache: reconnect revalidates per region and re-reads only what changed', async () => {
+        const emulator = new ESPEmulator({ chip: 'esp32s3', flashSize: 0x100000 });
+        emulator.flash.set(pattern(0x40000, 1));
+        const store = new MemoryCacheStore();
+
+        let session = await connect(emulator);
+        let cache = new SparseImageCache(store, { regionSize: 0x10000 });
+        const first = await cache.attach(session.sparse, session.flasher);
+        await session.sparse.prefetch(0, 0x40000);
+        const mac = await session.flasher.readMac();
+        await cache.detach();
+        await session.flasher.disconnect();
+        assert(first.restoredBytes === 0 && session.reads.length > 0, 'Nothing cached on the first connect');
+        assert((await store.keys()).join() === `${mac.toLowerCase()}/1048576`, 'Keyed by MAC and flash size');
+
+        /* The application changed one byte while we were away */
+        emulator.flash[0x25123] ^= 0x5A;
+
+        session = await connect(emulator);
+        cache = new SparseImageCache(store, { regionSize: 0x10000 });
+        const restored = await cache.attach(session.sparse, session.flasher);
+        await session.sparse.prefetch(0, 0x40000);
+        log(`  restored ${restored.restoredBytes} bytes, reads: ${session.reads.join(' ')}, ${JSON.stringify(cache.stats)}`);
+
+        assert(restored.restoredBytes === 0x40000, 'All read data restored');
+        assert(session.reads.join() === '20000+10000', 'Only the changed region read again');
+        assert(cache.stats.verifiedBytes === 0x30000 && cache.stats.staleBytes === 0x10000 && cache.stats.md5Commands === 4, 'One MD5 per region');
+        assert(session.sparse.subarray(0, 0x40000).every((byte, i) => byte === emulator.flash[i]), 'Image matches the flash');
+
+        /* Read past the cached part goes to the device as before */
+        await session.sparse.prefetch(0x40000, 0x1000);
+        assert(session.reads.join() === '20000+10000,40000+1000', 'Uncached data read from the device');
+        await cache.detach();
+        await session.flasher.disconnect();
+
+        /* Same board with a bigger flash is a different device */
+        session = await connect(emulator);
+        cache = new SparseImageCache(store);
+        const other = await cache.attach(session.sparse, session.flasher, { flashSize: 0x400000 });
+        assert(other.restoredBytes === 0 && cache.key.endsWith('/4194304'), 'Other flash size, no cache');
+        await cache.detach({ save: false });
+        await session.flasher.disconnect();
+    });
+
+    await runTest('Flash cache: pending writes, a failing MD5 command and forget()', async () => {
+        const emulator = new ESPEmulator({ chip: 'esp32c3', flashSize: 0x100000 });
+        emulator.flash.set(pattern(0x20000, 7));
+        const store = new MemoryCacheStore();
+
+        let session = await connect(emulator);
+        let cache = new SparseImageCache(store, { persistWrites: true });
+        await cache.attach(session.sparse, session.flasher);
+        await session.sparse.prefetch(0, 0x20000);
+        session.sparse.write(0x1000, [1, 2, 3]);
+        const record = await cache.save();
+        assert(record.write.length === 1 && record.write[0].address === 0x1000, 'Pending write stored');
+        await cache.detach();
+        await session.flasher.disconnect();
+
+        /* Without persistWrites the stored changes stay out of the image */
+        session = await connect(emulator);
+        cache = new SparseImageCache(store);
+        await cache.attach(session.sparse, session.flasher);
+        assert(session.sparse.writeBuffer.length === 0 && cache.stats.restoredWriteBytes === 0, 'Writes ignored');
+        await cache.detach({ save: false });
+        await session.flasher.disconnect();
+
+        session = await connect(emulator);
+        cache = new SparseImageCache(store, { persistWrites: true });
+        let historyChanges = 0;
+        session.sparse.historyChangedCallback = () => historyChanges++;
+        const restored = await cache.attach(session.sparse, session.flasher);
+        assert(restored.restoredWriteBytes === 0x1000 && session.sparse.subarray(0x1000, 0x1003).join() === '1,2,3', 'Pending write back in the image');
+        const history = session.sparse.getHistory();
+        assert(historyChanges === 1 && history.entries.length === 1 && history.entries[0].label === 'Restored unsaved changes', 'Restore recorded as one history entry');
+
+        /* No MD5: nothing restored is trusted, the device is read instead */
+        emulator.injectFault({ type: 'nak', command: 0x13, error: 0xC1, count: 1 });
+        await session.sparse.prefetch(0x10000, 0x10000);
+        log(`  after MD5 failure: reads ${session.reads.join(' ')}, ${JSON.stringify(cache.stats)}`);
+        assert(cache.stats.md5Commands === 1 && cache.unverified.length === 0, 'Revalidation stopped after the failure');
+        assert(session.reads.join() === '10000+10000', 'Region read from the device');
+        assert(session.sparse.subarray(0x10000, 0x20000).every((byte, i) => byte === emulator.flash[0x10000 + i]), 'Device data used');
+
+        await cache.forget();
+        assert((await store.keys()).length === 0, 'Record deleted');
+        await cache.detach({ save: false });
+        await session.flasher.disconnect();
+    });
+};
@@ -0,0 +1,88 @@
+const ESP32Parser = require('../esp32-parser.js');
+const { SparseImageCache, MemoryCacheStore } = require('../esp32-cache.js');
+
+module.exports = async function registerTests({ runTest, assert, SparseImage, log, pattern, backedImage }) {
+    const sector = 0x1000;
+
+    await runTest('Memory budget: least recently used sectors are evicted and read again on access', async () => {
+        const backing = pattern(0x100000, 3);
+        const { sparse, reads } = backedImage(backing);
+        sparse.memoryBudget = 8 * sector;
+
+        await sparse.prefetch(0x0, 4 * sector);
+        await sparse.prefetch(0x10000, 4 * sector);
+        await sparse.prefetch(0x0, 1);
+        await sparse.prefetch(0x20000, 4 * sector);
+        const usage = sparse.getMemoryUsage();
+        const evicted = sparse.getEvictedRanges().map(r => `${r.address.toString(16)}+${r.size.toString(16)}`).join(',');
+        log(`  evicted ${evicted}, ${JSON.stringify(usage)}`);
+
+        assert(evicted === '1000+3000,10000+2000', 'Oldest sectors evicted first, the one used again kept');
+        assert(usage.cachedBytes === 7 * sector && usage.evictedBytes === 5 * sector && usage.budget === 8 * sector, 'Cache 1/8 below the budget');
+        assert(sparse.readBuffer.every(segment => segment.data.buffer.byteLength === segment.data.length), 'Remaining pieces do not hold the big buffers');
+
+        reads.length = 0;
+        const data = await sparse.subarray_async(0x0, 4 * sector);
+        assert(reads.join() === '1000+3000', 'Only the evicted sectors read again');
+        assert(data.every((byte, i) => byte === backing[i]), 'Re-read data correct');
+        assert(!sparse.evictedSectors.has(1) && sparse.evictedSectors.has(0x10), 'Re-read sectors no longer evicted');
+
+        /* A single read larger than the budget is kept whole until the next one */
+        await sparse.prefetch(0x40000, 16 * sector);
+        assert(sparse.getMemoryUsage().cachedBytes === 16 * sector, 'Requested range stays');
+        assert((await sparse.subarray_async(0x40000, 0x50000)).every((byte, i) => byte === backing[0x40000 + i]), 'Large range correct');
+
+        await sparse.clear();
+        assert(sparse.getEvictedRanges().length === 0, 'clear() forgets evicted sectors');
+    });
+
+    await runTest('Memory budget: pending writes are never evicted, images without a read callback never shrink', async () => {
+        const backing = pattern(0x100000, 5);
+        const { sparse } = backedImage(backing);
+        sparse.memoryBudget = 4 * sector;
+
+        await sparse.prefetch(0x8000, 2 * sector);
+        sparse.write(0x8010, [1, 2, 3]);
+        const expected = sparse.subarray(0x8000, 0x9000);
+        for (let address = 0x20000; address < 0x60000; address += 2 * sector) {
+            await sparse.prefetch(address, 2 * sector);
+        }
+        log(`  ${sparse.evictedSectors.size} sectors evicted, ${sparse.getMemoryUsage().cachedBytes} bytes cached`);
+        assert(sparse.evictedSectors.size > 0 && !sparse.evictedSectors.has(8), 'Sector with the pending write kept');
+        assert(sparse.getMemoryUsage().pendingBytes > 0 && sparse.subarray(0x8000, 0x9000).every((byte, i) => byte === expected[i]), 'Pending data unchanged');
+
+        /* Flushed data becomes clean cache and may go */
+        await sparse.flush();
+        assert(backing[0x8011] === 2, 'Written');
+        for (let address = 0x60000; address < 0x70000; address += sector) {
+            await sparse.prefetch(address, sector);
+        }
+        assert(sparse.evictedSectors.has(8) && sparse.getMemoryUsage().cachedBytes <= 4 * sector, 'Flushed sector evicted later');
+        assert((await sparse.subarray_async(0x8000, 0x8020))[0x11] === 2, 'Read back from the backing store');
+
+        const file = SparseImage.fromBuffer(pattern(0x20000, 1));
+        file.memoryBudget = sector;
+        await file.prefetch(0, 0x20000);
+        assert(file.getMemoryUsage().cachedBytes === 0x20000 && file.evictedSectors.size === 0, 'Nothing to read again, nothing evicted');
+
+        const parser = new ESP32Parser(null, { sizeHint: 0x100000, readDataCallback: sparse.readDataCallback, memoryBudget: 0x200000 });
+        assert(parser.sparseImage.memoryBudget === 0x200000, 'ESP32Parser option');
+    });
+
+    await runTest('Memory budget: the flash cache keeps the stored copy of evicted sectors', async () => {
+        const backing = pattern(0x40000, 9);
+        const { sparse } = backedImage(backing);
+        sparse.memoryBudget = 4 * sector;
+        const store = new MemoryCacheStore();
+        const cache = new SparseImageCache(store);
+        await cache.attach(sparse, null, { mac: '24:0A:C4:00:00:01' });
+
+        await sparse.prefetch(0x0, 4 * sector);
+        await cache.save();
+        await sparse.prefetch(0x10000, 4 * sector);
+        const record = await cache.save();
+        const stored = (address) => record.read.some(s => s.address <= address && s.address + s.data.length > address);
+        assert(sparse.evictedSectors.has(0) && stored(0x0) && stored(0x10000), 'Evicted and cached sectors both saved');
+        await cache.detach({ save: false });
+    });
+};
@@ -0,0 +1,108 @@
+const ESP32Parser = require('../esp32-parser.js');
+
+module.exports = async function registerTests({ runTest, assert, SparseImage, log, pattern, backedImage }) {
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    /* Entry by entry like NVSParser.parseItem */
+    const walk = async (sparse, start, end, step = 32) => {
+        for (let address = start; address < end; address += step) {
+            await sparse.prefetch(address, step);
+        }
+    };
+
+    await runTest('Read-ahead: sequential misses fetch growing pieces', async () => {
+        const backing = pattern(0x100000, 1);
+        const plain = backedImage(backing, { sectors: true });
+        await walk(plain.sparse, 0x10000, 0x50000);
+
+        const { sparse, reads } = backedImage(backing, { sectors: true });
+        sparse.readAhead = 'sequential';
+        await walk(sparse, 0x10000, 0x50000);
+        const stats = sparse.getReadStats();
+        log(`  none: ${plain.reads.length} round-trips, sequential: ${reads.join(' ')}`);
+        log(`  ${JSON.stringify(stats)}`);
+
+        assert(plain.reads.length === 64 && plain.sparse.getReadStats().roundTripsSaved === 0, 'One round-trip per sector without read-ahead');
+        assert(reads.slice(0, 5).join() === '10000+1000,11000+1000,12000+2000,14000+4000,18000+8000', 'Window doubles');
+        assert(reads.length === 8 && reads.every(r => parseInt(r.split('+')[1], 16) <= 0x10000), 'Capped at readAheadMax');
+        assert(stats.roundTrips === 8 && stats.misses === 8 && stats.requests === 0x2000 && stats.hitRate > 0.99, 'Hit rate');
+        assert(stats.roundTripsSaved === 64 - 8 && stats.readAheadBytes === 0x40000 - 8 * 32, 'Round-trips saved, bytes beyond the requests');
+        assert(sparse.subarray(0x10000, 0x50000).every((byte, i) => byte === backing[0x10000 + i]), 'Data correct');
+
+        /* A jump elsewhere starts small again */
+        await sparse.prefetch(0x80000, 4);
+        assert(reads[reads.length - 1] === '80000+1000', 'Random access not read ahead');
+    });
+
+    await runTest('Read-ahead: hinted regions and custom policies', async () => {
+        /* NVS partition at 0x9000 with one empty active page */
+        const image = new Uint8Array(0x100000).fill(0xFF);
+        new DataView(image.buffer).setUint32(0x9000, 0xFFFFFFFE, true);
+        image[0x9008] = 0xFE;
+        const { sparse, reads } = backedImage(image, { sectors: true });
+        sparse.readAhead = 'hints';
+        const parser = new ESP32Parser(sparse);
+        await parser.parseNVS({ offset: 0x9000, length: 0x6000, label: 'nvs' });
+        log(`  NVS parse: ${reads.join(' ')}`);
+        assert(reads.join() === '9000+6000', 'Whole NVS partition in one read');
+
+        sparse.hint(0x100000 - 0x3000, 0x10000);
+        await sparse.prefetch(0xFE000, 1);
+        assert(reads[reads.length - 1] === 'fe000+2000', 'Hint clipped to the image end');
+
+        /* Custom policy: always up to the next cached data */
+        const custom = backedImage(pattern(0x40000, 2), { sectors: true });
+        await custom.sparse.prefetch(0x30000, 0x1000);
+        custom.sparse.readAhead = { plan: (request) => request.limit - request.address };
+        await custom.sparse.prefetch(0x1000, 1);
+        assert(custom.reads.join() === '30000+1000,1000+2f000', 'Policy object decides the size');
+    });
+
+    await runTest('Read-ahead: background prefetch while idle', async () => {
+        const backing = pattern(0x100000, 3);
+        const { sparse, reads } = backedImage(backing, { sectors: true });
+        sparse.backgroundPrefetch = true;
+        sparse.backgroundIdleMs = 5;
+        sparse.readAheadMax = 0x8000;
+
+        sparse.queuePrefetch(0x20000, 0x18000);
+        await sparse.prefetch(0x0, 0x10);
+        for (let i = 0; i < 200 && sparse._prefetchQueue.length; i++) {
+            await sleep(5);
+        }
+        const stats = sparse.getReadStats();
+        log(`  ${reads.join(' ')}, ${JSON.stringify(stats)}`);
+        assert(sparse._prefetchQueue.length === 0 && stats.backgroundBytes === 0x18000, 'Queued region read in readAheadMax pieces');
+        assert(reads.slice(1).join() === '20000+8000,28000+8000,30000+8000', 'After the foreground read');
+
+        await walk(sparse, 0x20000, 0x38000, 0x1000);
+        const after = sparse.getReadStats();
+        assert(after.roundTrips === stats.roundTrips && after.roundTripsSaved === 0x18, 'Later reads are hits');
+
+        /* Nothing queued without the switch, and the queue can be dropped */
+        sparse.queuePrefetch(0x60000, 0x1000);
+        sparse.stopBackgroundPrefetch();
+        sparse.backgroundPrefetch = false;
+        sparse.queuePrefetch(0x70000, 0x1000);
+        await sleep(20);
+        assert(!reads.some(r => r.startsWith('60000') || r.startsWith('70000')), 'Stopped and disabled queues read nothing');
+
+        /* ESP32Parser queues NVS, otadata, PHY data and app headers from the partition table */
+        const image = new Uint8Array(0x100000).fill(0xFF);
+        const table = new DataView(image.buffer, 0x8000);
+        [[0x01, 0x02, 0x9000, 0x6000], [0x01, 0x00, 0xF000, 0x2000], [0x01, 0x01, 0x11000, 0x1000], [0x00, 0x10, 0x20000, 0x100000 - 0x20000]]
+            .forEach(([type, subType, offset, length], i) => {
+                table.setUint16(i * 32, 0x50AA, true);
+                table.setUint8(i * 32 + 2, type);
+                table.setUint8(i * 32 + 3, subType);
+                table.setUint32(i * 32 + 4, offset, true);
+                table.setUint32(i * 32 + 8, length, true);
+            });
+        const device = backedImage(image, { sectors: true });
+        const parser = new ESP32Parser(device.sparse, { backgroundPrefetch: true });
+        await parser.parsePartitions(0x8000);
+        const queued = device.sparse._prefetchQueue.map(r => `${r.address.toString(16)}-${r.end.toString(16)}`).join();
+        device.sparse.stopBackgroundPrefetch();
+        assert(queued === '9000-f000,f000-11000,11000-12000,20000-21000', `Parser queue: ${queued}`);
+    });
+};